@@ -0,0 +1,175 @@
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn, generateTurns } from '../src/js/core/rules.js';
+import { formatTurn } from '../src/js/core/notation.js';
+import { STANDARD_VARIANT, getVariant } from '../src/js/core/variants.js';
+import { AI_LEVELS, searchBestTurn } from '../src/js/ai/aiSearch.js';
+import { parseCommand, parseGoCommand, playTurnText, readPositionCommand } from './protocol.js';
+
+/**
+ * builtinEngine - The computer opponent of the game as an engine speaking the protocol (see engine/protocol.js)
+ *
+ * Usage: node engine/builtinEngine.js [--level easy|medium|hard]
+ *
+ * The level sets the search depth, and the thinking time when go gives no time limit.
+ * With clocks, each turn gets a share of the time left plus most of the increment.
+ */
+
+const ENGINE_NAME = 'Hexaequo built-in AI';
+const ENGINE_AUTHOR = 'Hexaequo contributors';
+
+// Share of the time left used for a turn, when playing with clocks
+const TIME_SHARE = 1 / 30;
+const INCREMENT_SHARE = 0.75;
+const TIME_RESERVE = 50; // Milliseconds kept for answering
+
+/**
+ * Engine - Protocol commands on a GameState
+ */
+class Engine {
+    constructor(level, write) {
+        this.settings = AI_LEVELS[level];
+        this.level = level;
+        this.write = write;
+        this.variant = STANDARD_VARIANT;
+
+        this.state = new GameState();
+        this.state.setupNewGame(this.variant);
+    }
+
+    /**
+     * Run a command
+     * @param {string} line - The command line
+     * @returns {boolean} - False once the engine should exit
+     */
+    handle(line) {
+        const command = parseCommand(line);
+        if (!command) return true;
+        const { name, args } = command;
+
+        try {
+            switch (name) {
+                case 'hep':
+                    this.write(`id name ${ENGINE_NAME} (${this.level})`);
+                    this.write(`id author ${ENGINE_AUTHOR}`);
+                    this.write('hepok');
+                    break;
+                case 'isready':
+                    this.write('readyok');
+                    break;
+                case 'newgame':
+                    this.newGame(args[0]);
+                    break;
+                case 'position':
+                    this.state = readPositionCommand(args, this.variant);
+                    break;
+                case 'turn':
+                    playTurnText(this.state, args[0] || '');
+                    break;
+                case 'go':
+                    this.go(parseGoCommand(args));
+                    break;
+                case 'quit':
+                    return false;
+                default:
+                    // stop: the search already keeps to its time limit
+                    break;
+            }
+        } catch (error) {
+            this.write(`info string ${error.message}`);
+        }
+        return true;
+    }
+
+    /**
+     * Start a new game
+     * @param {string} [variantId] - Id of a built-in rules variant
+     */
+    newGame(variantId) {
+        this.variant = variantId ? getVariant(variantId) : STANDARD_VARIANT;
+        if (!this.variant) {
+            this.variant = STANDARD_VARIANT;
+            throw new Error(`Unknown rules variant "${variantId}", playing standard rules`);
+        }
+        this.state = new GameState();
+        this.state.setupNewGame(this.variant);
+    }
+
+    /**
+     * Get the thinking time for a turn
+     * @param {Object} limits - Parsed go arguments
+     * @returns {number} - Milliseconds
+     */
+    getTimeLimit(limits) {
+        if (limits.movetime !== undefined) {
+            return Math.max(10, limits.movetime - TIME_RESERVE);
+        }
+
+        const prefix = this.state.currentPlayer.charAt(0);
+        const remaining = limits[`${prefix}time`];
+        if (remaining === undefined) {
+            return this.settings.timeLimit;
+        }
+
+        const bonus = limits[`${prefix}inc`] || limits[`${prefix}delay`] || 0;
+        const budget = remaining * TIME_SHARE + bonus * INCREMENT_SHARE;
+        return Math.max(10, Math.min(budget, remaining / 2 - TIME_RESERVE, this.settings.timeLimit));
+    }
+
+    /**
+     * Search the position and answer with the best turn, played on the engine's position
+     * @param {Object} limits - Parsed go arguments
+     */
+    go(limits) {
+        const state = this.state;
+        const turns = state.gameStatus === 'ongoing' ? generateTurns(state) : [];
+        if (turns.length === 0) {
+            this.write('bestturn none');
+            return;
+        }
+
+        const start = Date.now();
+        let turn;
+        if (this.settings.randomness > 0 && Math.random() < this.settings.randomness) {
+            turn = turns[Math.floor(Math.random() * turns.length)];
+            this.write('info string random turn');
+        } else {
+            const depth = limits.depth !== undefined ? limits.depth : this.settings.depth;
+            const result = searchBestTurn(state, { depth, timeLimit: this.getTimeLimit(limits) });
+            turn = result.turn;
+            this.write(`info depth ${result.depth} score ${result.score} nodes ${result.nodes} time ${Date.now() - start}`);
+        }
+
+        const text = formatTurn(state, turn);
+        applyTurn(state, turn, { skipValidation: true });
+        this.write(`bestturn ${text}`);
+    }
+}
+
+/**
+ * Read commands from stdin until quit
+ */
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            level: { type: 'string', default: 'medium' }
+        }
+    });
+    if (!AI_LEVELS[options.level]) {
+        console.error(`Unknown level "${options.level}" (${Object.keys(AI_LEVELS).join(', ')})`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const engine = new Engine(options.level, (line) => process.stdout.write(`${line}\n`));
+    const input = createInterface({ input: process.stdin });
+
+    input.on('line', (line) => {
+        if (!engine.handle(line)) {
+            input.close();
+        }
+    });
+}
+
+main();
@@ -0,0 +1,289 @@
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { formatTurn, parseTurn } from '../src/js/core/notation.js';
+import { isLegalTurn } from '../src/js/core/rules.js';
+import { getRemainingTime } from '../src/js/core/gameClock.js';
+import { STANDARD_VARIANT } from '../src/js/core/variants.js';
+import { describeGame, formatGoCommand, formatPositionCommand, parseCommand, parseInfo } from './protocol.js';
+
+/**
+ * externalEngine - Node adapter running an executable that speaks the engine protocol (see engine/protocol.js)
+ * The adapter keeps the engine's position in step with a GameState and checks the turns it answers.
+ */
+
+const HANDSHAKE_TIMEOUT = 10000; // Milliseconds to answer hep
+const READY_TIMEOUT = 10000; // Milliseconds to answer isready
+const QUIT_TIMEOUT = 2000; // Milliseconds to exit after quit, before the process is killed
+const TIME_MARGIN = 1000; // Milliseconds allowed past the time limit, for starting up and answering
+const STOP_GRACE = 500; // Milliseconds to answer bestturn after stop
+const DEFAULT_TIME_LIMIT = 60000; // Milliseconds per turn when go has neither clocks nor movetime
+
+/**
+ * EngineError - An engine failed: it could not be started, exited, did not answer in time or played an illegal turn
+ * timeout is true when the engine ran out of time
+ */
+export class EngineError extends Error {
+    constructor(message, { timeout = false } = {}) {
+        super(message);
+        this.name = 'EngineError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * ExternalEngine - An engine process
+ *
+ *   const engine = new ExternalEngine('node engine/builtinEngine.js --level hard');
+ *   await engine.start();
+ *   await engine.newGame();
+ *   const { turn } = await engine.chooseTurn(gameState, { movetime: 1000 });
+ *   await engine.quit();
+ */
+export class ExternalEngine {
+    /**
+     * @param {string} command - Command line of the engine, run by the shell
+     * @param {Object} [options] - { cwd, onLine(direction, line) to log the traffic ('>' to the engine, '<' from it) }
+     */
+    constructor(command, { cwd, onLine = null } = {}) {
+        this.command = command;
+        this.cwd = cwd;
+        this.onLine = onLine;
+
+        this.process = null;
+        this.name = command; // Replaced by the engine's id name
+        this.author = null;
+        this.hasExited = false;
+        this.stderr = ''; // Last error output, for error messages
+
+        this.waiting = null; // { accept(command), resolve, reject } of the answer waited for
+        this.lastInfo = null; // Last info answer of the current search
+        this.known = null; // { start, turns } of the position the engine has, see describeGame()
+    }
+
+    /**
+     * Start the process and wait for the end of the handshake
+     * @returns {Promise} - Resolves once the engine answered hepok
+     * @throws {EngineError} - If the engine could not be started or did not answer
+     */
+    async start() {
+        this.hasExited = false;
+        this.stderr = '';
+        this.known = null;
+        this.process = spawn(this.command, { cwd: this.cwd, shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+
+        createInterface({ input: this.process.stdout }).on('line', (line) => this.receive(line));
+        this.process.stderr.on('data', (data) => {
+            this.stderr = `${this.stderr}${data}`.slice(-1000);
+        });
+        this.process.stdin.on('error', () => {}); // Reported by the exit event
+        this.process.on('error', (error) => this.fail(new EngineError(`Cannot run "${this.command}": ${error.message}`)));
+        this.process.on('exit', (code) => {
+            this.hasExited = true;
+            const output = this.stderr.trim();
+            this.fail(new EngineError(`Engine "${this.name}" exited (code ${code})${output ? `: ${output}` : ''}`));
+        });
+
+        this.send('hep');
+        await this.waitFor(({ name, args }) => {
+            if (name === 'id' && args[0] === 'name' && args.length > 1) {
+                this.name = args.slice(1).join(' ');
+            } else if (name === 'id' && args[0] === 'author' && args.length > 1) {
+                this.author = args.slice(1).join(' ');
+            }
+            return name === 'hepok';
+        }, HANDSHAKE_TIMEOUT, 'hep');
+    }
+
+    /**
+     * Start the engine again, e.g. after it exited
+     * @returns {Promise} - Resolves once the new process answered hepok
+     */
+    async restart() {
+        await this.quit();
+        await this.start();
+    }
+
+    /**
+     * Start a new game
+     * @param {Object} [variant] - Rules variant (a built-in one, see core/variants.js)
+     * @returns {Promise} - Resolves once the engine is ready
+     */
+    async newGame(variant = STANDARD_VARIANT) {
+        this.send(variant.id === STANDARD_VARIANT.id ? 'newgame' : `newgame ${variant.id}`);
+        this.known = null;
+        await this.isReady();
+    }
+
+    /**
+     * Wait until the engine has done the previous commands
+     * @returns {Promise} - Resolves on readyok
+     */
+    async isReady() {
+        this.send('isready');
+        await this.waitFor(({ name }) => name === 'readyok', READY_TIMEOUT, 'isready');
+    }
+
+    /**
+     * Ask the engine for a turn in the position of a game
+     * The engine gets the turns played since its last turn, or the whole game if it does not have this one.
+     * @param {GameState} gameState - The game, the engine's side to move (not modified)
+     * @param {Object} [limits] - { movetime, depth }; the clocks of the game are sent if it has some
+     * @returns {Promise<Object>} - { turn, text, info }: info is the last info answer, or null
+     * @throws {EngineError} - If the engine fails, does not answer in time or answers an illegal turn
+     */
+    async chooseTurn(gameState, limits = {}) {
+        this.syncPosition(gameState);
+
+        // The engine has its time limit, and a margin for answering
+        let timeLimit = DEFAULT_TIME_LIMIT;
+        if (gameState.clock) {
+            timeLimit = getRemainingTime(gameState.clock, gameState.currentPlayer, Date.now());
+        } else if (limits.movetime !== undefined) {
+            timeLimit = limits.movetime;
+        }
+
+        this.lastInfo = null;
+        this.send(formatGoCommand(gameState, limits));
+        const isBestTurn = ({ name }) => name === 'bestturn';
+        const answer = await this.waitFor(isBestTurn, Math.max(0, timeLimit) + TIME_MARGIN, 'go')
+            .catch(async (error) => {
+                if (!error.timeout || this.hasExited) throw error;
+
+                // Out of time: the engine may still answer right after stop, but it has lost on time
+                this.send('stop');
+                await this.waitFor(isBestTurn, STOP_GRACE, 'stop').catch(() => {});
+                this.known = null;
+                throw error;
+            });
+
+        const text = answer.args[0];
+        const turn = text && text !== 'none' ? parseTurn(text) : null;
+        if (!turn || !isLegalTurn(gameState, turn)) {
+            this.known = null;
+            throw new EngineError(`Engine "${this.name}" played an illegal turn: ${text || 'nothing'}`);
+        }
+
+        // The engine played its turn on its position (kept with the capture markers of the game)
+        this.known.turns.push(formatTurn(gameState, turn));
+        return { turn, text, info: this.lastInfo };
+    }
+
+    /**
+     * Bring the engine's position to the one of a game
+     * @param {GameState} gameState - The game
+     */
+    syncPosition(gameState) {
+        const game = describeGame(gameState);
+        const known = this.known;
+        const follows = known && known.start === game.start && known.turns.length <= game.turns.length &&
+                        known.turns.every((text, index) => game.turns[index] === text);
+
+        if (follows) {
+            for (const text of game.turns.slice(known.turns.length)) {
+                this.send(`turn ${text}`);
+            }
+        } else {
+            this.send(formatPositionCommand(game));
+        }
+        this.known = game;
+    }
+
+    /**
+     * Ask the engine to exit, and end the process if it does not
+     * @returns {Promise} - Resolves once the process has exited
+     */
+    async quit() {
+        if (!this.process || this.hasExited) return;
+
+        const exited = new Promise(resolve => this.process.once('exit', resolve));
+        this.send('quit');
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(resolve, QUIT_TIMEOUT);
+        });
+        await Promise.race([exited, timeout]);
+        clearTimeout(timer);
+
+        if (!this.hasExited) {
+            this.process.kill();
+            await exited;
+        }
+    }
+
+    /**
+     * Send a command to the engine
+     * @param {string} line - The command
+     */
+    send(line) {
+        if (this.hasExited) return;
+
+        if (this.onLine) this.onLine('>', line);
+        this.process.stdin.write(`${line}\n`);
+    }
+
+    /**
+     * Handle a line written by the engine
+     * @param {string} line - The line
+     */
+    receive(line) {
+        if (this.onLine) this.onLine('<', line);
+
+        const command = parseCommand(line);
+        if (!command) return;
+
+        if (command.name === 'info') {
+            this.lastInfo = parseInfo(command.args);
+        }
+        if (this.waiting && this.waiting.accept(command)) {
+            this.waiting.resolve(command);
+        }
+    }
+
+    /**
+     * Wait for an answer of the engine
+     * @param {Function} accept - Called with each { name, args } answer, returns true for the one waited for
+     * @param {number} timeout - Milliseconds
+     * @param {string} command - Command answered, for the error message
+     * @returns {Promise<Object>} - The answer
+     * @throws {EngineError} - If the engine exits or does not answer in time
+     */
+    waitFor(accept, timeout, command) {
+        if (this.hasExited) {
+            return Promise.reject(new EngineError(`Engine "${this.name}" is not running`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                clearTimeout(timer);
+                this.waiting = null;
+            };
+            const timer = setTimeout(() => {
+                done();
+                reject(new EngineError(`Engine "${this.name}" did not answer ${command} in time`, { timeout: true }));
+            }, timeout);
+
+            this.waiting = {
+                accept,
+                resolve: (answer) => {
+                    done();
+                    resolve(answer);
+                },
+                reject: (error) => {
+                    done();
+                    reject(error);
+                }
+            };
+        });
+    }
+
+    /**
+     * Reject the answer waited for
+     * @param {EngineError} error - What went wrong
+     */
+    fail(error) {
+        if (this.waiting) {
+            this.waiting.reject(error);
+        }
+    }
+}
@@ -0,0 +1,85 @@
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn } from '../src/js/core/rules.js';
+import { formatTurn } from '../src/js/core/notation.js';
+import { createClock, getRemainingTime, startClock } from '../src/js/core/gameClock.js';
+import { STANDARD_VARIANT } from '../src/js/core/variants.js';
+import { EngineError } from './externalEngine.js';
+
+/**
+ * match - Games between engines (see engine/externalEngine.js), refereed by the rules of GameState
+ */
+
+const MAX_PLIES = 400; // Turns before a game is drawn, in case the engines shuffle forever (e.g. without repetition draws)
+
+/**
+ * Play a game between two started engines
+ * An engine that runs out of time loses on time; one that plays an illegal turn, fails or exits resigns.
+ * A game still going after maxPlies turns is drawn, as if both players agreed to it.
+ * @param {Object} engines - { black, white } ExternalEngine instances
+ * @param {Object} [options] - Options:
+ *   variant: rules variant (a built-in one, see core/variants.js), standard by default
+ *   clock: { type, initial, increment } time control (see core/gameClock.js), or null for no clocks
+ *   movetime, depth: limits sent with each go
+ *   opening: turns played before the engines take over (e.g. a random opening)
+ *   maxPlies: turns (opening included) after which the game is drawn, 400 by default, Infinity for no limit
+ *   onTurn(state, text, color, info): called after each turn of the engines
+ * @returns {Promise<Object>} - { state, forfeit, adjudication }: the finished game, { color, message } if an engine
+ *                              failed, and why the game was drawn if it reached maxPlies (null otherwise)
+ */
+export async function playGame(engines, options = {}) {
+    const {
+        variant = STANDARD_VARIANT, clock = null, movetime, depth, opening = [], maxPlies = MAX_PLIES, onTurn = null
+    } = options;
+
+    const state = new GameState();
+    state.setupNewGame(variant);
+    for (const turn of opening) {
+        if (!applyTurn(state, turn)) {
+            throw new Error('The opening has an illegal turn');
+        }
+    }
+    await Promise.all([engines.black.newGame(variant), engines.white.newGame(variant)]);
+
+    if (clock) {
+        state.clock = createClock(clock);
+        startClock(state.clock, state.currentPlayer, Date.now());
+    }
+
+    let forfeit = null;
+    let adjudication = null;
+    while (state.gameStatus === 'ongoing') {
+        if (state.turnHistory.length >= maxPlies) {
+            adjudication = `Drawn after ${maxPlies} turns`;
+            state.agreeDraw();
+            break;
+        }
+
+        const color = state.currentPlayer;
+
+        let answer;
+        try {
+            answer = await engines[color].chooseTurn(state, { movetime, depth });
+        } catch (error) {
+            if (!(error instanceof EngineError)) throw error;
+
+            if (error.timeout) {
+                state.loseOnTime(color);
+            } else {
+                forfeit = { color, message: error.message };
+                state.resign(color);
+            }
+            break;
+        }
+
+        if (state.clock && getRemainingTime(state.clock, color, Date.now()) <= 0) {
+            state.loseOnTime(color);
+            break;
+        }
+
+        const text = formatTurn(state, answer.turn);
+        applyTurn(state, answer.turn, { skipValidation: true });
+        if (onTurn) onTurn(state, text, color, answer.info);
+    }
+
+    return { state, forfeit, adjudication };
+}
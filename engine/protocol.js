@@ -0,0 +1,235 @@
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn } from '../src/js/core/rules.js';
+import { formatTurn, parseTurn } from '../src/js/core/notation.js';
+import { startsFromInitialPosition } from '../src/js/core/gameRecord.js';
+import { getRemainingTime } from '../src/js/core/gameClock.js';
+
+/**
+ * protocol - Hexaequo Engine Protocol (HEP), a UCI-like text protocol to play against external programs
+ *
+ * An engine is an executable reading commands on stdin and writing answers on stdout, one per line.
+ * Words are separated by spaces, turns are written in move notation (see src/js/core/notation.js)
+ * and times are in milliseconds. Unknown commands and answers are ignored by both sides.
+ *
+ * Commands (to the engine):
+ * - hep                            Sent once at start: answer with id lines, then hepok
+ * - isready                        Answer readyok once the previous commands are done
+ * - newgame [<variant>]            A new game, in a built-in rules variant (see core/variants.js), standard by default
+ * - position startpos [turns <turn> ...]
+ *                                  Set the position: the start of the variant, then the turns played from it
+ * - position snapshot <json> [turns <turn> ...]
+ *                                  Same from a set-up position: { currentPlayer, tiles, pieces } as in saved games,
+ *                                  written without spaces
+ * - turn <turn>                    The opponent played a turn on the current position
+ * - go [btime <t>] [wtime <t>] [binc <t>] [winc <t>] [bdelay <t>] [wdelay <t>] [movetime <t>] [depth <n>]
+ *                                  Search the current position and answer with bestturn: time left on the clocks,
+ *                                  Fischer increments or Bronstein delays, a fixed time for this turn or a depth limit
+ * - stop                           Answer bestturn now
+ * - quit                           Exit
+ *
+ * Answers (from the engine):
+ * - id name <name> / id author <author>
+ * - hepok
+ * - readyok
+ * - info [depth <n>] [score <score>] [nodes <n>] [time <t>] [string <text>]
+ *                                  Search progress, for logs (score: positive when the engine is ahead)
+ * - bestturn <turn>                The turn the engine plays; it is played on the engine's position as well,
+ *                                  so only the opponent's turns are sent back with turn.
+ *                                  bestturn none if the engine has no legal turn
+ */
+
+// Number-valued arguments of go
+const GO_ARGUMENTS = ['btime', 'wtime', 'binc', 'winc', 'bdelay', 'wdelay', 'movetime', 'depth'];
+
+// Number-valued fields of info
+const INFO_FIELDS = ['depth', 'score', 'nodes', 'time'];
+
+/**
+ * Split a line into a command (or answer) name and its arguments
+ * @param {string} line - The line
+ * @returns {Object|null} - { name, args }, or null for an empty line
+ */
+export function parseCommand(line) {
+    const [name, ...args] = line.trim().split(/\s+/);
+    return name ? { name, args } : null;
+}
+
+/**
+ * Get the start of the turn history of a game and its turns in notation
+ * @param {GameState} gameState - The game (not modified)
+ * @returns {Object} - { start: 'startpos' or 'snapshot <json>', turns: Array of turns in notation }
+ */
+export function describeGame(gameState) {
+    // A game without history is sent as its current position
+    if (!gameState.historyStart) {
+        return { start: formatSnapshot(gameState.createSnapshot()), turns: [] };
+    }
+
+    const replay = new GameState();
+    let start;
+    if (startsFromInitialPosition(gameState)) {
+        replay.setupNewGame(gameState.variant);
+        start = 'startpos';
+    } else {
+        replay.setupPosition(gameState.historyStart.snapshot, gameState.variant);
+        start = formatSnapshot(gameState.historyStart.snapshot);
+    }
+    replay.recordHistory = false;
+
+    // Captures are worked out from the position before each turn
+    const turns = gameState.turnHistory.map(({ turn }) => {
+        const text = formatTurn(replay, turn);
+        applyTurn(replay, turn, { skipValidation: true });
+        return text;
+    });
+    return { start, turns };
+}
+
+/**
+ * Write the snapshot argument of a position command
+ * @param {Object} snapshot - Snapshot from GameState.createSnapshot()
+ * @returns {string} - 'snapshot <json>'
+ */
+function formatSnapshot({ currentPlayer, tiles, pieces }) {
+    return `snapshot ${JSON.stringify({ currentPlayer, tiles, pieces })}`;
+}
+
+/**
+ * Write the position command of a game
+ * @param {Object} game - { start, turns } from describeGame()
+ * @returns {string} - The command
+ */
+export function formatPositionCommand({ start, turns }) {
+    return `position ${start}${turns.length > 0 ? ` turns ${turns.join(' ')}` : ''}`;
+}
+
+/**
+ * Set up the position of a position command
+ * @param {Array<string>} args - Arguments of the command
+ * @param {Object} variant - Rules variant of the game (see core/variants.js)
+ * @returns {GameState} - The position, with its turns in the history
+ * @throws {Error} - If the position cannot be read or a turn is illegal
+ */
+export function readPositionCommand(args, variant) {
+    const state = new GameState();
+    let index;
+
+    if (args[0] === 'startpos') {
+        state.setupNewGame(variant);
+        index = 1;
+    } else if (args[0] === 'snapshot' && args[1]) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(args[1]);
+        } catch (error) {
+            throw new Error(`Invalid position snapshot: ${error.message}`);
+        }
+        if (!snapshot || !snapshot.tiles || !snapshot.pieces || !['black', 'white'].includes(snapshot.currentPlayer)) {
+            throw new Error('Invalid position snapshot: currentPlayer, tiles and pieces are needed');
+        }
+        state.setupPosition(snapshot, variant);
+        index = 2;
+    } else {
+        throw new Error('The position must be startpos or snapshot <json>');
+    }
+
+    if (index < args.length && args[index] !== 'turns') {
+        throw new Error(`Unexpected "${args[index]}" in the position`);
+    }
+    for (const text of args.slice(index + 1)) {
+        playTurnText(state, text);
+    }
+    return state;
+}
+
+/**
+ * Play a turn written in notation
+ * @param {GameState} state - The position to play it on
+ * @param {string} text - The turn in notation
+ * @returns {Object} - The turn played
+ * @throws {Error} - If the turn cannot be read or is illegal
+ */
+export function playTurnText(state, text) {
+    const turn = parseTurn(text);
+    if (!turn) {
+        throw new Error(`"${text}" is not a turn`);
+    }
+    if (state.gameStatus !== 'ongoing' || !applyTurn(state, turn)) {
+        throw new Error(`"${text}" is not a legal turn`);
+    }
+    return turn;
+}
+
+/**
+ * Write the go command for the player to move
+ * The clocks of the game are sent if it has some
+ * @param {GameState} state - The game
+ * @param {Object} [limits] - { movetime, depth } to send as well
+ * @returns {string} - The command
+ */
+export function formatGoCommand(state, { movetime, depth } = {}) {
+    const args = [];
+
+    if (state.clock) {
+        const now = Date.now();
+        const increment = state.clock.type === 'fischer' ? 'inc' : state.clock.type === 'bronstein' ? 'delay' : null;
+
+        for (const color of ['black', 'white']) {
+            const prefix = color.charAt(0);
+            args.push(`${prefix}time`, Math.max(0, Math.round(getRemainingTime(state.clock, color, now))));
+            if (increment) {
+                args.push(`${prefix}${increment}`, state.clock.increment);
+            }
+        }
+    }
+    if (movetime !== undefined) {
+        args.push('movetime', movetime);
+    }
+    if (depth !== undefined) {
+        args.push('depth', depth);
+    }
+
+    return ['go', ...args].join(' ');
+}
+
+/**
+ * Read the arguments of a go command
+ * @param {Array<string>} args - Arguments of the command
+ * @returns {Object} - Limits by name (btime, wtime, binc, winc, bdelay, wdelay, movetime, depth), as numbers
+ */
+export function parseGoCommand(args) {
+    return readNamedNumbers(args, GO_ARGUMENTS);
+}
+
+/**
+ * Read the arguments of an info answer
+ * @param {Array<string>} args - Arguments of the answer
+ * @returns {Object} - { depth, score, nodes, time, string } with the fields given
+ */
+export function parseInfo(args) {
+    const stringIndex = args.indexOf('string');
+    const info = readNamedNumbers(stringIndex === -1 ? args : args.slice(0, stringIndex), INFO_FIELDS);
+
+    if (stringIndex !== -1) {
+        info.string = args.slice(stringIndex + 1).join(' ');
+    }
+    return info;
+}
+
+/**
+ * Read 'name value' pairs of numbers, skipping unknown names and invalid values
+ * @param {Array<string>} args - The words
+ * @param {Array<string>} names - Names to read
+ * @returns {Object} - Numbers by name
+ */
+function readNamedNumbers(args, names) {
+    const values = {};
+    for (let index = 0; index < args.length - 1; index++) {
+        const value = Number(args[index + 1]);
+        if (names.includes(args[index]) && Number.isFinite(value)) {
+            values[args[index]] = value;
+            index++;
+        }
+    }
+    return values;
+}
@@ -0,0 +1,135 @@
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn, generateTurns } from '../src/js/core/rules.js';
+import { STANDARD_VARIANT } from '../src/js/core/variants.js';
+import { createRandom } from '../src/js/utils/random.js';
+import { playGame } from './match.js';
+
+/**
+ * tournament - Series of games between two engines, to tell whether one is stronger than the other
+ * The candidate plays black and white in turn; with random openings, each opening is played once with each colour.
+ * Games are refereed by GameState (victory and draw conditions of the variant, see engine/match.js).
+ */
+
+const OPENING_ATTEMPTS = 100; // Random openings tried before giving up on one that leaves the game going
+const CONFIDENCE_Z = 1.96; // 95% confidence interval of the Elo difference
+
+/**
+ * Draw random turns from the start of a game, leaving the game going
+ * @param {Object} variant - Rules variant (see core/variants.js)
+ * @param {number} length - Number of turns
+ * @param {Function} random - Returns numbers in [0, 1)
+ * @returns {Array} - The turns
+ * @throws {Error} - If no opening of that length leaves the game going
+ */
+export function randomOpening(variant, length, random) {
+    for (let attempt = 0; attempt < OPENING_ATTEMPTS; attempt++) {
+        const state = new GameState();
+        state.setupNewGame(variant);
+        state.recordHistory = false;
+
+        const turns = [];
+        while (turns.length < length && state.gameStatus === 'ongoing') {
+            const legal = generateTurns(state);
+            const turn = legal[Math.floor(random() * legal.length)];
+            applyTurn(state, turn, { skipValidation: true });
+            turns.push(turn);
+        }
+        if (state.gameStatus === 'ongoing') {
+            return turns;
+        }
+    }
+    throw new Error(`No random opening of ${length} turns leaves the game going`);
+}
+
+/**
+ * Get the Elo difference matching an expected score
+ * @param {number} score - Share of the points, from 0 to 1
+ * @returns {number} - Elo difference (Infinity or -Infinity for a score of 1 or 0)
+ */
+export function eloFromScore(score) {
+    return 400 * Math.log10(score / (1 - score));
+}
+
+/**
+ * Summarize the results of a series of games
+ * The error bar is the 95% confidence interval of the score, from the spread of the game results, in Elo.
+ * @param {Object} results - { wins, losses, draws } of the candidate
+ * @returns {Object} - { games, score, drawRate, elo, eloError }: score and drawRate from 0 to 1,
+ *                     elo the difference for the candidate, eloError half the width of the interval
+ */
+export function summarizeResults({ wins, losses, draws }) {
+    const games = wins + losses + draws;
+    if (games === 0) {
+        return { games, score: NaN, drawRate: NaN, elo: NaN, eloError: NaN };
+    }
+
+    const score = (wins + draws / 2) / games;
+    const variance = (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games;
+    const margin = CONFIDENCE_Z * Math.sqrt(variance / games);
+
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    const low = eloFromScore(clamp(score - margin));
+    const high = eloFromScore(clamp(score + margin));
+
+    return {
+        games,
+        score,
+        drawRate: draws / games,
+        elo: eloFromScore(score),
+        eloError: Number.isFinite(high - low) ? (high - low) / 2 : Infinity
+    };
+}
+
+/**
+ * Play a series of games between two started engines
+ * An engine that exits during a game loses it and is started again for the next one.
+ * @param {Object} engines - { candidate, baseline } ExternalEngine instances
+ * @param {Object} [options] - Options:
+ *   games: number of games (default 2)
+ *   openingLength: random turns played before the engines take over, 0 for none
+ *   seed: seed of the random openings
+ *   variant, clock, movetime, depth, maxPlies: game settings (see playGame in engine/match.js)
+ *   onGame(game, results): called after each game with { round, players, state, forfeit, adjudication, score }
+ *                          and the results so far
+ * @returns {Promise<Object>} - { games, results: { wins, losses, draws } of the candidate }
+ */
+export async function runTournament(engines, options = {}) {
+    const { games: gameCount = 2, openingLength = 0, seed = 1, variant = STANDARD_VARIANT, onGame = null } = options;
+    const random = createRandom(seed); // The same seed gives the same openings
+    const results = { wins: 0, losses: 0, draws: 0 };
+    const games = [];
+
+    let opening = [];
+    for (let index = 0; index < gameCount; index++) {
+        // Each opening is played twice, the candidate taking each colour once
+        if (index % 2 === 0 && openingLength > 0) {
+            opening = randomOpening(variant, openingLength, random);
+        }
+        const players = index % 2 === 0
+            ? { black: 'candidate', white: 'baseline' }
+            : { black: 'baseline', white: 'candidate' };
+
+        for (const engine of Object.values(engines)) {
+            if (engine.hasExited) {
+                await engine.restart();
+            }
+        }
+
+        const { state, forfeit, adjudication } = await playGame(
+            { black: engines[players.black], white: engines[players.white] },
+            { ...options, variant, opening }
+        );
+
+        let score = 0.5;
+        if (state.winner) {
+            score = players[state.winner] === 'candidate' ? 1 : 0;
+        }
+        results[score === 1 ? 'wins' : score === 0 ? 'losses' : 'draws']++;
+
+        const game = { round: index + 1, players, state, forfeit, adjudication, score };
+        games.push(game);
+        if (onGame) onGame(game, results);
+    }
+
+    return { games, results };
+}
@@ -0,0 +1,766 @@
+import { randomBytes, randomInt } from 'node:crypto';
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn } from '../src/js/core/rules.js';
+import { createClock, getRemainingTime, validateClock } from '../src/js/core/gameClock.js';
+
+/**
+ * rooms - Online game rooms of the reference server
+ * Each room holds the authoritative GameState: every turn is checked with the shared rules
+ * before being sent to the players, so a modified client cannot play illegal turns.
+ *
+ * Messages are JSON objects with a type (see the Online Multiplayer section of the README):
+ * - Client: create, join, watch, turn, resign, offer_draw, answer_draw, rematch, leave
+ * - Server: joined, watching, players, turn, resigned, draw_offer, draw_answer, timeout, sync, error
+ *
+ * Timed games are clocked by the server: clocks keep running while a player is disconnected,
+ * and the server ends the game when the flag of the player to move falls.
+ */
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I look-alikes
+const CODE_LENGTH = 5;
+const EMPTY_ROOM_TIMEOUT = 10 * 60 * 1000; // Rooms without connected players are removed after 10 minutes
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // Longest delay setTimeout accepts
+
+/**
+ * Check if a value received from a client is a hex
+ * @param {*} value - The received value
+ * @returns {boolean} - True for an object with whole number q and r
+ */
+function isHex(value) {
+    return Boolean(value) && typeof value === 'object' && Number.isInteger(value.q) && Number.isInteger(value.r);
+}
+
+/**
+ * Check the time control sent with a new game
+ * @param {Object|null|undefined} control - { type, initial, increment } in milliseconds, nothing for an untimed game
+ * @returns {Object|null} - The clean time control, or null for an untimed game
+ * @throws {Error} - If the time control is invalid
+ */
+function normalizeTimeControl(control) {
+    if (control === undefined || control === null) {
+        return null;
+    }
+    if (typeof control !== 'object') {
+        throw new Error('Invalid time control');
+    }
+
+    const clock = createClock({ type: control.type, initial: control.initial, increment: control.increment ?? 0 });
+    if (validateClock(clock).length > 0) {
+        throw new Error('Invalid clock times');
+    }
+    return { type: clock.type, initial: clock.initial, increment: clock.increment };
+}
+
+/**
+ * Copy the fields of a turn received from a client, dropping anything else
+ * @param {Object} turn - The received turn
+ * @returns {Object|null} - The clean turn, or null if it is malformed
+ */
+function normalizeTurn(turn) {
+    if (!turn || typeof turn !== 'object') {
+        return null;
+    }
+    if (turn.type === 'place_tile' && isHex(turn)) {
+        return { type: 'place_tile', q: turn.q, r: turn.r };
+    }
+    if (turn.type === 'place_piece' && isHex(turn)) {
+        return { type: 'place_piece', q: turn.q, r: turn.r, pieceType: turn.pieceType };
+    }
+    if (turn.type === 'move_piece' && isHex(turn.from) && Array.isArray(turn.path) && turn.path.every(isHex)) {
+        return {
+            type: 'move_piece',
+            from: { q: turn.from.q, r: turn.from.r },
+            path: turn.path.map(({ q, r }) => ({ q, r }))
+        };
+    }
+    return null;
+}
+
+/**
+ * GameRoom - One game between two seated players, and the spectators watching it
+ */
+export class GameRoom {
+    /**
+     * @param {string} code - Join code
+     * @param {Object|null} [timeControl] - { type, initial, increment } of the clocks (see core/gameClock.js), null for untimed games
+     */
+    constructor(code, timeControl = null) {
+        this.code = code;
+        this.timeControl = timeControl;
+        this.state = new GameState();
+        this.startGame();
+
+        // Seats: { token, name, connection } - the token lets a player take their seat back after reconnecting
+        this.seats = { black: null, white: null };
+        this.spectators = new Set(); // Connections watching the game, they get every turn but cannot play
+        this.drawOffer = null; // Color of the player whose draw offer waits for an answer
+        this.removalTimer = null;
+        this.flagTimer = null; // Ends the game when the clock of the player to move runs out
+    }
+
+    /**
+     * Set up a new game, with fresh clocks for timed games
+     * As in local games, the clock of the player to move starts at the end of the first turn.
+     */
+    startGame() {
+        this.state.setupNewGame();
+        this.state.clock = this.timeControl ? createClock(this.timeControl) : null;
+    }
+
+    /**
+     * Get the clocks as they are now, for the clients
+     * The running time is counted in the remaining time, so clients restart the running clock when they get it
+     * and the clocks of the server and the clients do not need to agree.
+     * @param {number} [now] - Current time
+     * @returns {Object|null} - The clock (see core/gameClock.js), null for untimed games
+     */
+    getClock(now = Date.now()) {
+        const clock = this.state.clock;
+        if (!clock) {
+            return null;
+        }
+
+        return {
+            ...clock,
+            remaining: {
+                black: getRemainingTime(clock, 'black', now),
+                white: getRemainingTime(clock, 'white', now)
+            },
+            turnStartedAt: clock.running ? now : null
+        };
+    }
+
+    /**
+     * Get the whole game for the clients, with the clocks as they are now
+     * @returns {Object} - Serializable game state
+     */
+    getState() {
+        return { ...this.state.getSerializableState(), clock: this.getClock() };
+    }
+
+    /**
+     * End the game if the player to move ran out of time
+     * @param {number} now - Current time
+     * @returns {string|null} - Color of the player who lost on time, or null
+     */
+    checkTime(now) {
+        const clock = this.state.clock;
+        if (!clock || !clock.running || this.state.gameStatus !== 'ongoing' ||
+            getRemainingTime(clock, clock.running, now) > 0) {
+            return null;
+        }
+
+        const color = clock.running;
+        this.state.loseOnTime(color);
+        this.drawOffer = null;
+        return color;
+    }
+
+    /**
+     * Seat a player
+     * @param {WebSocketConnection} connection - The player connection
+     * @param {Object} options - { color: 'black'|'white'|'random', name, token }
+     * @returns {string|null} - The seat color, or null if no seat is available
+     */
+    seatPlayer(connection, { color = 'random', name = null, token = null } = {}) {
+        // A returning player takes their own seat back
+        const ownSeat = token && Object.keys(this.seats).find(seat => this.seats[seat] && this.seats[seat].token === token);
+        if (ownSeat) {
+            this.seats[ownSeat].connection = connection;
+            this.seats[ownSeat].name = name || this.seats[ownSeat].name;
+            return ownSeat;
+        }
+
+        const free = Object.keys(this.seats).filter(seat => !this.seats[seat]);
+        if (free.length === 0) {
+            return null;
+        }
+
+        let seat = free.includes(color) ? color : free[0];
+        if (color === 'random' && free.length === 2) {
+            seat = free[randomInt(2)];
+        }
+
+        this.seats[seat] = {
+            token: randomBytes(16).toString('hex'),
+            name: name || (seat === 'black' ? 'Black' : 'White'),
+            connection
+        };
+        return seat;
+    }
+
+    /**
+     * Let a connection watch the game
+     * @param {WebSocketConnection} connection - The spectator connection
+     */
+    addSpectator(connection) {
+        this.spectators.add(connection);
+    }
+
+    /**
+     * Find the seat of a connection
+     * @param {WebSocketConnection} connection - The connection
+     * @returns {string|null} - 'black', 'white' or null
+     */
+    getSeat(connection) {
+        return Object.keys(this.seats).find(seat => this.seats[seat] && this.seats[seat].connection === connection) || null;
+    }
+
+    /**
+     * Mark a player as disconnected (the seat stays reserved), or drop a spectator
+     * @param {WebSocketConnection} connection - The connection that closed
+     */
+    disconnect(connection) {
+        const seat = this.getSeat(connection);
+        if (seat) {
+            this.seats[seat].connection = null;
+        }
+        this.spectators.delete(connection);
+    }
+
+    /**
+     * Free the seat of a player who left the room, or drop a spectator
+     * @param {WebSocketConnection} connection - The leaving player or spectator
+     */
+    leave(connection) {
+        const seat = this.getSeat(connection);
+        if (seat) {
+            this.seats[seat] = null;
+        }
+        this.spectators.delete(connection);
+    }
+
+    /**
+     * Check if any player is connected
+     * @returns {boolean} - True if the room is in use
+     */
+    hasConnectedPlayers() {
+        return Object.values(this.seats).some(seat => seat && seat.connection);
+    }
+
+    /**
+     * Get the public information about the players
+     * @returns {Object} - { black: { name, connected }|null, white: ... }
+     */
+    getPlayers() {
+        const players = {};
+        for (const [color, seat] of Object.entries(this.seats)) {
+            players[color] = seat ? { name: seat.name, connected: Boolean(seat.connection) } : null;
+        }
+        return players;
+    }
+
+    /**
+     * Play a turn sent by a player
+     * @param {string} color - Seat of the player
+     * @param {Object} turn - The turn (see src/js/core/rules.js for the format)
+     * @param {number} index - Number of turns the player had seen before this one
+     * @returns {string|null} - Error message, or null if the turn was played
+     */
+    playTurn(color, turn, index) {
+        if (!this.seats.black || !this.seats.white) {
+            return 'Waiting for an opponent';
+        }
+        if (this.state.gameStatus !== 'ongoing') {
+            return 'The game is over';
+        }
+        if (this.state.currentPlayer !== color) {
+            return 'Not your turn';
+        }
+        if (index !== this.state.turnHistory.length) {
+            return 'Out of sync with the game';
+        }
+        if (!applyTurn(this.state, turn)) {
+            return 'Illegal turn';
+        }
+
+        // Playing on declines the opponent's draw offer
+        if (this.drawOffer && this.drawOffer !== color) {
+            this.drawOffer = null;
+        }
+        return null;
+    }
+
+    /**
+     * End the game with the resignation of a player
+     * @param {string} color - Seat of the player
+     * @returns {string|null} - Error message, or null if the player resigned
+     */
+    resign(color) {
+        if (!this.state.resign(color)) {
+            return 'The game is over';
+        }
+        this.drawOffer = null;
+        return null;
+    }
+
+    /**
+     * Offer a draw to the opponent
+     * @param {string} color - Seat of the player
+     * @returns {string|null} - Error message, or null if the offer was made
+     */
+    offerDraw(color) {
+        if (!this.seats.black || !this.seats.white) {
+            return 'Waiting for an opponent';
+        }
+        if (this.state.gameStatus !== 'ongoing') {
+            return 'The game is over';
+        }
+        if (this.drawOffer) {
+            return 'A draw offer is already waiting for an answer';
+        }
+        this.drawOffer = color;
+        return null;
+    }
+
+    /**
+     * Accept or decline the opponent's draw offer
+     * @param {string} color - Seat of the player answering
+     * @param {boolean} accept - True to agree to the draw
+     * @returns {string|null} - Error message, or null if the offer was answered
+     */
+    answerDraw(color, accept) {
+        if (!this.drawOffer || this.drawOffer === color || this.state.gameStatus !== 'ongoing') {
+            return 'No draw offer to answer';
+        }
+        this.drawOffer = null;
+        if (accept) {
+            this.state.agreeDraw();
+        }
+        return null;
+    }
+
+    /**
+     * Start a new game in the same room, with colors swapped
+     */
+    rematch() {
+        this.startGame();
+        this.seats = { black: this.seats.white, white: this.seats.black };
+        this.drawOffer = null;
+    }
+
+    /**
+     * Send a message to every connected player and spectator
+     * @param {Object} message - The message
+     */
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        for (const seat of Object.values(this.seats)) {
+            if (seat && seat.connection) {
+                seat.connection.send(text);
+            }
+        }
+        for (const connection of this.spectators) {
+            connection.send(text);
+        }
+    }
+}
+
+/**
+ * RoomManager - Creates rooms and routes client messages to them
+ */
+export class RoomManager {
+    constructor() {
+        this.rooms = new Map(); // code -> GameRoom
+        this.connectionRooms = new Map(); // connection -> GameRoom
+    }
+
+    /**
+     * Start handling the messages of a new connection
+     * @param {WebSocketConnection} connection - The connection
+     */
+    addConnection(connection) {
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                message = null;
+            }
+            if (!message || typeof message !== 'object') {
+                this.sendError(connection, 'bad_message', 'Messages must be JSON objects');
+                return;
+            }
+
+            // A rules bug must not take down the server and every room with it
+            try {
+                this.handleMessage(connection, message);
+            } catch (error) {
+                console.error('Error handling a client message:', error);
+                this.sendError(connection, 'server_error', 'The server could not handle the message');
+            }
+        });
+
+        connection.on('close', () => {
+            const room = this.connectionRooms.get(connection);
+            if (room) {
+                room.disconnect(connection);
+                this.connectionRooms.delete(connection);
+                this.broadcastPlayers(room);
+                this.scheduleRemoval(room);
+            }
+        });
+    }
+
+    /**
+     * Handle a client message
+     * @param {WebSocketConnection} connection - The sender
+     * @param {Object} message - The message
+     */
+    handleMessage(connection, message) {
+        switch (message.type) {
+            case 'create':
+                this.createRoom(connection, message);
+                break;
+            case 'join':
+                this.joinRoom(connection, message);
+                break;
+            case 'watch':
+                this.watchRoom(connection, message);
+                break;
+            case 'turn':
+                this.playTurn(connection, message);
+                break;
+            case 'resign':
+                this.resign(connection);
+                break;
+            case 'offer_draw':
+                this.offerDraw(connection);
+                break;
+            case 'answer_draw':
+                this.answerDraw(connection, message);
+                break;
+            case 'rematch':
+                this.rematch(connection);
+                break;
+            case 'leave':
+                this.leaveRoom(connection);
+                break;
+            default:
+                this.sendError(connection, 'bad_message', `Unknown message type: ${message.type}`);
+        }
+    }
+
+    /**
+     * Create a room and seat its creator
+     * @param {WebSocketConnection} connection - The creator
+     * @param {Object} message - { color, name, clock }: clock is the time control, none for an untimed game
+     */
+    createRoom(connection, { color, name, clock }) {
+        let timeControl;
+        try {
+            timeControl = normalizeTimeControl(clock);
+        } catch (error) {
+            this.sendError(connection, 'bad_clock', error.message);
+            return;
+        }
+
+        this.leaveRoom(connection);
+
+        const room = new GameRoom(this.generateCode(), timeControl);
+        this.rooms.set(room.code, room);
+        console.log(`Room ${room.code} created`);
+
+        this.seat(connection, room, { color, name });
+    }
+
+    /**
+     * Join an existing room
+     * @param {WebSocketConnection} connection - The joining player
+     * @param {Object} message - { code, name, token }
+     */
+    joinRoom(connection, { code, name, token }) {
+        const room = this.rooms.get(String(code || '').toUpperCase());
+        if (!room) {
+            this.sendError(connection, 'unknown_room', `No game with code ${code}`);
+            return;
+        }
+
+        if (this.connectionRooms.get(connection) !== room) {
+            this.leaveRoom(connection);
+        }
+        this.seat(connection, room, { name, token });
+    }
+
+    /**
+     * Watch an existing room without playing
+     * @param {WebSocketConnection} connection - The spectator
+     * @param {Object} message - { code }
+     */
+    watchRoom(connection, { code }) {
+        const room = this.rooms.get(String(code || '').toUpperCase());
+        if (!room) {
+            this.sendError(connection, 'unknown_room', `No game with code ${code}`);
+            return;
+        }
+
+        // A player who watches their own game gives their seat up
+        this.leaveRoom(connection);
+        room.addSpectator(connection);
+        this.connectionRooms.set(connection, room);
+
+        connection.send(JSON.stringify({
+            type: 'watching',
+            code: room.code,
+            state: room.getState(),
+            players: room.getPlayers(),
+            spectators: room.spectators.size,
+            drawOffer: room.drawOffer
+        }));
+        this.broadcastPlayers(room);
+    }
+
+    /**
+     * Seat a connection in a room and tell everyone
+     * @param {WebSocketConnection} connection - The player
+     * @param {GameRoom} room - The room
+     * @param {Object} options - { color, name, token }
+     */
+    seat(connection, room, options) {
+        const color = room.seatPlayer(connection, options);
+        if (!color) {
+            this.sendError(connection, 'room_full', `Game ${room.code} already has two players`);
+            return;
+        }
+
+        clearTimeout(room.removalTimer);
+        this.connectionRooms.set(connection, room);
+
+        connection.send(JSON.stringify({
+            type: 'joined',
+            code: room.code,
+            color,
+            token: room.seats[color].token,
+            state: room.getState(),
+            players: room.getPlayers(),
+            drawOffer: room.drawOffer
+        }));
+        this.broadcastPlayers(room);
+    }
+
+    /**
+     * Check and relay a turn
+     * @param {WebSocketConnection} connection - The player
+     * @param {Object} message - { turn, index }
+     */
+    playTurn(connection, { turn, index }) {
+        const player = this.getPlayer(connection);
+        if (!player) return;
+
+        const { room, color } = player;
+
+        // A turn that comes after the flag fell is refused as the game is over
+        this.checkTime(room);
+
+        turn = normalizeTurn(turn);
+        const error = turn ? room.playTurn(color, turn, index) : 'Invalid turn';
+        if (error) {
+            // Send the real game back so the client can undo its local turn
+            this.sendError(connection, 'illegal_turn', error);
+            connection.send(JSON.stringify({ type: 'sync', state: room.getState() }));
+            return;
+        }
+
+        room.broadcast({ type: 'turn', turn, color, index, clock: room.getClock() });
+        this.scheduleFlag(room);
+    }
+
+    /**
+     * End the game with the resignation of the sender
+     * @param {WebSocketConnection} connection - The player
+     */
+    resign(connection) {
+        const player = this.getPlayer(connection);
+        if (!player) return;
+
+        const error = player.room.resign(player.color);
+        if (error) {
+            this.sendError(connection, 'not_allowed', error);
+            return;
+        }
+        player.room.broadcast({ type: 'resigned', color: player.color });
+    }
+
+    /**
+     * Offer a draw to the opponent of the sender
+     * @param {WebSocketConnection} connection - The player
+     */
+    offerDraw(connection) {
+        const player = this.getPlayer(connection);
+        if (!player) return;
+
+        const error = player.room.offerDraw(player.color);
+        if (error) {
+            this.sendError(connection, 'not_allowed', error);
+            return;
+        }
+        player.room.broadcast({ type: 'draw_offer', color: player.color });
+    }
+
+    /**
+     * Accept or decline the draw offered to the sender
+     * @param {WebSocketConnection} connection - The player
+     * @param {Object} message - { accept }
+     */
+    answerDraw(connection, { accept }) {
+        const player = this.getPlayer(connection);
+        if (!player) return;
+
+        const error = player.room.answerDraw(player.color, accept === true);
+        if (error) {
+            this.sendError(connection, 'not_allowed', error);
+            return;
+        }
+        player.room.broadcast({ type: 'draw_answer', color: player.color, accept: accept === true });
+    }
+
+    /**
+     * Get the room and seat of a player, or tell a connection why it cannot play
+     * @param {WebSocketConnection} connection - The connection
+     * @returns {Object|null} - { room, color }, or null if the connection has no seat
+     */
+    getPlayer(connection) {
+        const room = this.connectionRooms.get(connection);
+        if (!room) {
+            this.sendError(connection, 'not_in_room', 'Join a game first');
+            return null;
+        }
+
+        const color = room.getSeat(connection);
+        if (!color) {
+            this.sendError(connection, 'spectator', 'Spectators cannot play');
+            return null;
+        }
+        return { room, color };
+    }
+
+    /**
+     * Start a new game once the current one is over
+     * @param {WebSocketConnection} connection - The player asking
+     */
+    rematch(connection) {
+        const room = this.connectionRooms.get(connection);
+        if (!room) return;
+
+        if (!room.getSeat(connection)) {
+            this.sendError(connection, 'spectator', 'Spectators cannot start a new game');
+            return;
+        }
+        if (room.state.gameStatus === 'ongoing') {
+            this.sendError(connection, 'game_ongoing', 'The game is not over yet');
+            return;
+        }
+
+        room.rematch();
+        this.scheduleFlag(room);
+
+        // Colors are swapped, so each player is told their new seat
+        const state = room.getState();
+        for (const [color, seat] of Object.entries(room.seats)) {
+            if (seat && seat.connection) {
+                seat.connection.send(JSON.stringify({ type: 'sync', state, color }));
+            }
+        }
+        for (const spectator of room.spectators) {
+            spectator.send(JSON.stringify({ type: 'sync', state }));
+        }
+        this.broadcastPlayers(room);
+    }
+
+    /**
+     * Leave the current room, freeing the seat
+     * @param {WebSocketConnection} connection - The leaving player or spectator
+     */
+    leaveRoom(connection) {
+        const room = this.connectionRooms.get(connection);
+        if (!room) return;
+
+        room.leave(connection);
+        this.connectionRooms.delete(connection);
+        this.broadcastPlayers(room);
+        this.scheduleRemoval(room);
+    }
+
+    /**
+     * Tell everyone in a room who is playing and how many are watching
+     * @param {GameRoom} room - The room
+     */
+    broadcastPlayers(room) {
+        room.broadcast({ type: 'players', players: room.getPlayers(), spectators: room.spectators.size });
+    }
+
+    /**
+     * End the game of a room if the player to move ran out of time, and tell everyone
+     * @param {GameRoom} room - The room
+     * @returns {boolean} - True if the game ended on time
+     */
+    checkTime(room) {
+        const color = room.checkTime(Date.now());
+        if (!color) {
+            return false;
+        }
+
+        clearTimeout(room.flagTimer);
+        room.broadcast({ type: 'timeout', color });
+        return true;
+    }
+
+    /**
+     * Check the time of the player to move when their clock should run out
+     * @param {GameRoom} room - The room
+     */
+    scheduleFlag(room) {
+        clearTimeout(room.flagTimer);
+
+        const clock = room.state.clock;
+        if (!clock || !clock.running || room.state.gameStatus !== 'ongoing') return;
+
+        const delay = Math.min(MAX_TIMER_DELAY, Math.max(0, getRemainingTime(clock, clock.running, Date.now())));
+        room.flagTimer = setTimeout(() => {
+            if (!this.checkTime(room)) {
+                this.scheduleFlag(room);
+            }
+        }, delay);
+        room.flagTimer.unref();
+    }
+
+    /**
+     * Remove a room some time after its last player left
+     * @param {GameRoom} room - The room
+     */
+    scheduleRemoval(room) {
+        if (room.hasConnectedPlayers()) return;
+
+        clearTimeout(room.removalTimer);
+        room.removalTimer = setTimeout(() => {
+            if (!room.hasConnectedPlayers()) {
+                clearTimeout(room.flagTimer);
+                this.rooms.delete(room.code);
+                console.log(`Room ${room.code} removed`);
+            }
+        }, EMPTY_ROOM_TIMEOUT);
+        room.removalTimer.unref();
+    }
+
+    /**
+     * Generate an unused join code
+     * @returns {string} - The code
+     */
+    generateCode() {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    /**
+     * Send an error message
+     * @param {WebSocketConnection} connection - The recipient
+     * @param {string} code - Error code
+     * @param {string} message - Human readable message
+     */
+    sendError(connection, code, message) {
+        connection.send(JSON.stringify({ type: 'error', code, message }));
+    }
+}
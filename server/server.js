@@ -0,0 +1,145 @@
+import { createServer } from 'node:http';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { acceptUpgrade } from './webSocket.js';
+import { RoomManager } from './rooms.js';
+
+/**
+ * Hexaequo reference server
+ * - Serves the game files with no-cache headers (for local development)
+ * - Hosts online games over WebSocket on /ws
+ *
+ * Usage: npm start (or node server/server.js), then open http://localhost:8000
+ * The port can be changed with the PORT environment variable.
+ */
+
+const PORT = Number(process.env.PORT) || 8000;
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WEBSOCKET_PATH = '/ws';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.hgn': 'text/plain; charset=utf-8'
+};
+
+const COLORS = {
+    green: '\x1b[92m',
+    blue: '\x1b[94m',
+    yellow: '\x1b[93m',
+    red: '\x1b[91m',
+    reset: '\x1b[0m'
+};
+
+/**
+ * Log a request with its status code in color
+ * @param {http.IncomingMessage} request - The request
+ * @param {number} status - Response status code
+ */
+function logRequest(request, status) {
+    const color = status < 300 ? COLORS.green : status < 400 ? COLORS.blue : status < 500 ? COLORS.yellow : COLORS.red;
+    console.log(`${request.socket.remoteAddress} - ${color}"${request.method} ${request.url}" ${status}${COLORS.reset}`);
+}
+
+/**
+ * Serve a static file from the project directory
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ */
+async function serveFile(request, response) {
+    let filePath;
+    try {
+        const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        filePath = path.join(ROOT, path.normalize(urlPath));
+    } catch (error) {
+        filePath = null;
+    }
+
+    // Never serve anything outside the project directory
+    if (!filePath || (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep))) {
+        response.writeHead(403).end();
+        logRequest(request, 403);
+        return;
+    }
+
+    try {
+        let info = await stat(filePath);
+        if (info.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+            info = await stat(filePath);
+        }
+
+        // The file can still go away or be unreadable after stat
+        const stream = createReadStream(filePath);
+        stream.on('error', (error) => {
+            console.error(`Error reading ${filePath}:`, error.message);
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                response.writeHead(500, { 'Content-Type': 'text/plain' }).end('Server error');
+            }
+            logRequest(request, 500);
+        });
+        stream.on('open', () => {
+            response.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+                'Content-Length': info.size,
+                'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0',
+                'Pragma': 'no-cache',
+                'Expires': '0'
+            });
+            stream.pipe(response);
+            logRequest(request, 200);
+        });
+    } catch (error) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+        logRequest(request, 404);
+    }
+}
+
+const rooms = new RoomManager();
+const server = createServer((request, response) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405).end();
+        logRequest(request, 405);
+        return;
+    }
+    serveFile(request, response);
+});
+
+server.on('upgrade', (request, socket) => {
+    let pathname;
+    try {
+        pathname = new URL(request.url, 'http://localhost').pathname;
+    } catch (error) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+        return;
+    }
+
+    if (pathname !== WEBSOCKET_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const connection = acceptUpgrade(request, socket);
+    if (connection) {
+        rooms.addConnection(connection);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`\x1b[1;32mStarting server at http://localhost:${PORT}${COLORS.reset}`);
+    console.log(`\x1b[1;34mServing files from: ${ROOT}${COLORS.reset}`);
+    console.log(`\x1b[1;36mOnline games on ws://localhost:${PORT}${WEBSOCKET_PATH}${COLORS.reset}`);
+    console.log(`\x1b[1;33mPress Ctrl+C to stop the server${COLORS.reset}`);
+});
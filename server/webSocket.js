@@ -0,0 +1,238 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+/**
+ * webSocket - Minimal WebSocket (RFC 6455) server side, so the reference server needs no dependencies
+ * Supports text messages (fragmented or not), ping/pong and the closing handshake.
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // Game messages are tiny, anything bigger is refused
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Accept a WebSocket upgrade request
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - The request socket
+ * @returns {WebSocketConnection|null} - The connection, or null if the request was refused
+ */
+export function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+/**
+ * WebSocketConnection - One client connection
+ * Events: 'message' (text), 'close' (code)
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = []; // Payloads of a fragmented message
+        this.isOpen = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.onData(data));
+        socket.on('close', () => this.onSocketClosed());
+        socket.on('error', (error) => {
+            console.error('WebSocket error:', error.message);
+            socket.destroy();
+        });
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - The message
+     */
+    send(text) {
+        if (this.isOpen) {
+            this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+        }
+    }
+
+    /**
+     * Start the closing handshake
+     * @param {number} [code] - Close status code
+     */
+    close(code = 1000) {
+        if (!this.isOpen) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.write(encodeFrame(OPCODES.CLOSE, payload));
+        this.socket.end();
+        this.isOpen = false;
+    }
+
+    /**
+     * Read the complete frames received so far
+     * @param {Buffer} data - Newly received bytes
+     */
+    onData(data) {
+        // Frames that arrive after the close are dropped, the rooms no longer know the connection
+        if (!this.isOpen) return;
+
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (this.isOpen && (frame = decodeFrame(this.buffer)) !== null) {
+            if (frame.error) {
+                this.close(frame.error);
+                return;
+            }
+
+            this.buffer = this.buffer.subarray(frame.length);
+            this.onFrame(frame);
+        }
+    }
+
+    /**
+     * Handle a decoded frame
+     * @param {Object} frame - { fin, opcode, payload }
+     */
+    onFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', text);
+                }
+                break;
+            }
+
+            case OPCODES.PING:
+                this.socket.write(encodeFrame(OPCODES.PONG, payload));
+                break;
+
+            case OPCODES.PONG:
+                break;
+
+            case OPCODES.CLOSE:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+
+            default:
+                // Binary frames are not part of the protocol
+                this.close(1003);
+        }
+    }
+
+    /**
+     * Handle the underlying socket closing
+     */
+    onSocketClosed() {
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
+
+/**
+ * Encode a server frame (server frames are never masked)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} - The frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first frame of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} - { fin, opcode, payload, length }, { error } for an invalid frame,
+ *                          or null if the frame is not complete yet
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    // Client frames must be masked
+    if (!masked) {
+        return { error: 1002 };
+    }
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        if (longLength > BigInt(MAX_MESSAGE_SIZE)) {
+            return { error: 1009 };
+        }
+        payloadLength = Number(longLength);
+        offset = 10;
+    }
+
+    if (payloadLength > MAX_MESSAGE_SIZE) {
+        return { error: 1009 };
+    }
+
+    if (buffer.length < offset + 4 + payloadLength) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    offset += 4;
+
+    const payload = Buffer.alloc(payloadLength);
+    for (let i = 0; i < payloadLength; i++) {
+        payload[i] = buffer[offset + i] ^ mask[i % 4];
+    }
+
+    return { fin, opcode, payload, length: offset + payloadLength };
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'hexaequo-v1';
+const CACHE_NAME = 'hexaequo-v3';
 const ASSETS = [
   './',
   './index.html',
@@ -6,15 +6,54 @@ const ASSETS = [
   './src/js/main.js',
   './src/js/core/gameBoard.js',
   './src/js/core/gameState.js',
+  './src/js/core/rules.js',
+  './src/js/core/saveFormat.js',
+  './src/js/core/gameClock.js',
+  './src/js/core/notation.js',
+  './src/js/core/variants.js',
+  './src/js/core/zobrist.js',
+  './src/js/core/gameRecord.js',
+  './src/js/core/puzzles.js',
+  './src/js/core/gameResult.js',
+  './src/js/core/positionEditor.js',
   './src/js/ui/threeRenderer.js',
+  './src/js/ui/threeAnimationHandler.js',
+  './src/js/ui/svgRenderer.js',
+  './src/js/ui/svgAnimationHandler.js',
   './src/js/ui/uiManager.js',
+  './src/js/ui/replayViewer.js',
+  './src/js/ui/savedGamesDialog.js',
+  './src/js/ui/hotSeat.js',
+  './src/js/ui/clockPanel.js',
+  './src/js/ui/keyboardControls.js',
+  './src/js/ui/analysisPanel.js',
+  './src/js/ui/pieceThemes.js',
+  './src/js/ui/puzzlePlayer.js',
+  './src/js/ui/gameEndControls.js',
+  './src/js/ui/resultScreen.js',
+  './src/js/ui/boardEditor.js',
   './src/js/utils/storageManager.js',
+  './src/js/ai/aiPlayer.js',
+  './src/js/ai/aiSearch.js',
+  './src/js/ai/aiWorker.js',
+  './src/js/online/onlineGame.js',
+  './src/assets/models/themes.json',
+  './src/assets/models/modern/theme.json',
   './src/assets/models/modern/tile_black.glb',
   './src/assets/models/modern/tile_white.glb',
   './src/assets/models/modern/disc_black.glb',
   './src/assets/models/modern/disc_white.glb',
   './src/assets/models/modern/ring_black.glb',
   './src/assets/models/modern/ring_white.glb',
+  './src/assets/models/wood/theme.json',
+  './src/assets/models/wood/tile_black.glb',
+  './src/assets/models/wood/tile_white.glb',
+  './src/assets/models/wood/disc_black.glb',
+  './src/assets/models/wood/disc_white.glb',
+  './src/assets/models/wood/ring_black.glb',
+  './src/assets/models/wood/ring_white.glb',
+  './src/assets/puzzles/collections.json',
+  './src/assets/puzzles/starter.json',
   './manifest.json',
   './src/assets/icons/favicon.ico',
   './src/assets/icons/icon-192x192.png',
@@ -0,0 +1,169 @@
+import { GameState } from '../core/gameState.js';
+import { chooseTurn, evaluate } from './aiSearch.js';
+
+/**
+ * AIPlayer - Plays one side of the game as a computer opponent
+ * Watches the game state, asks the search worker for a turn when it is the computer's turn,
+ * then plays that turn through GameBoard like a human turn would be
+ */
+export class AIPlayer {
+    constructor(gameState, gameBoard) {
+        this.gameState = gameState;
+        this.gameBoard = gameBoard;
+
+        // Settings (updated from the settings modal through configure())
+        this.enabled = false;
+        this.level = 'medium'; // 'easy', 'medium' or 'hard'
+        this.color = 'white'; // Side played by the computer
+
+        // Search state
+        this.isThinking = false;
+        this.requestId = 0;
+        this.pendingPosition = null; // Position the current request was made for
+        this.onThinkingChangeCallbacks = [];
+
+        this.worker = this.createWorker();
+
+        // Check after every state change whether the computer has to play
+        this.gameState.onStateChange(() => this.checkTurn());
+    }
+
+    /**
+     * Create the search worker
+     * @returns {Worker|null} - The worker, or null if module workers are not supported
+     */
+    createWorker() {
+        try {
+            const worker = new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', (event) => this.onTurnChosen(event.data));
+            worker.addEventListener('error', (error) => {
+                console.error('AI worker error, searching on the main thread instead:', error);
+                this.worker = null;
+                this.setThinking(false);
+                this.checkTurn();
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Web Workers not available, the AI will search on the main thread:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Update the computer opponent settings
+     * @param {Object} options - { enabled, level, color }
+     */
+    configure({ enabled = this.enabled, level = this.level, color = this.color } = {}) {
+        this.enabled = enabled;
+        this.level = level;
+        this.color = color;
+
+        this.checkTurn();
+    }
+
+    /**
+     * Check whether it is the computer's turn to play
+     * @returns {boolean} - True if the computer should play now
+     */
+    isComputerTurn() {
+        return this.enabled &&
+               this.gameState.gameStatus === 'ongoing' &&
+               this.gameState.currentPlayer === this.color;
+    }
+
+    /**
+     * Answer a draw offered by the human player: the computer accepts unless it is ahead on the board
+     * @returns {boolean} - True if the computer accepts the draw
+     */
+    acceptsDraw() {
+        return evaluate(this.gameState, this.color) <= 0;
+    }
+
+    /**
+     * Start thinking if it is the computer's turn
+     */
+    checkTurn() {
+        // Human input is only accepted on the human player's turn
+        this.gameBoard.inputLocked = this.isComputerTurn();
+
+        if (!this.isComputerTurn() || this.isThinking || this.gameState.currentAction) {
+            return;
+        }
+
+        this.requestTurn();
+    }
+
+    /**
+     * Ask the worker (or the main thread as a fallback) for a turn
+     */
+    requestTurn() {
+        this.setThinking(true);
+        const id = ++this.requestId;
+        const state = this.gameState.getSerializableState();
+        this.pendingPosition = this.getPositionKey();
+
+        console.log(`AI (${this.level}) thinking for ${this.color}`);
+
+        if (this.worker) {
+            this.worker.postMessage({ id, state, level: this.level });
+        } else {
+            // Let the UI update before blocking the main thread with the search
+            setTimeout(() => {
+                const searchState = new GameState();
+                searchState.loadFromSave(JSON.parse(JSON.stringify(state)));
+                this.onTurnChosen({ id, turn: chooseTurn(searchState, this.level) });
+            }, 50);
+        }
+    }
+
+    /**
+     * Play the turn chosen by the search
+     * @param {Object} data - { id, turn }
+     */
+    async onTurnChosen({ id, turn }) {
+        // Ignore answers for a position that is no longer on the board (new game, loaded game...)
+        if (id !== this.requestId || this.pendingPosition !== this.getPositionKey()) {
+            console.log('Discarding AI turn for an outdated position');
+            this.setThinking(false);
+            this.checkTurn();
+            return;
+        }
+
+        if (turn && this.isComputerTurn()) {
+            await this.gameBoard.playTurn(turn);
+        } else if (!turn) {
+            console.warn('AI found no legal turn');
+        }
+
+        this.setThinking(false);
+        this.checkTurn();
+    }
+
+    /**
+     * Update the thinking flag and notify listeners
+     * @param {boolean} isThinking - Whether the computer is thinking or playing its turn
+     */
+    setThinking(isThinking) {
+        this.isThinking = isThinking;
+
+        for (const callback of this.onThinkingChangeCallbacks) {
+            callback(isThinking);
+        }
+    }
+
+    /**
+     * Register a callback for when the computer starts or stops thinking
+     * @param {Function} callback - Called with the new thinking flag
+     */
+    onThinkingChange(callback) {
+        this.onThinkingChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Get a key identifying the current position
+     * @returns {string} - The position key
+     */
+    getPositionKey() {
+        return this.gameState.getPositionKey();
+    }
+}
@@ -0,0 +1,325 @@
+import { generateTurns, applyTurn, isTerminal } from '../core/rules.js';
+
+/**
+ * aiSearch - Alpha-beta search for the computer opponent
+ * Works on plain GameState objects only (no DOM, no Three.js) so it can run in a Web Worker.
+ * Turns are generated and played through the headless rules module (see core/rules.js for the turn format).
+ */
+
+// Difficulty levels selectable from the settings modal
+export const AI_LEVELS = {
+    easy: {
+        depth: 1,
+        timeLimit: 500,     // Milliseconds
+        randomness: 0.35    // Chance of playing a random turn instead of the best one
+    },
+    medium: {
+        depth: 2,
+        timeLimit: 1500,
+        randomness: 0
+    },
+    hard: {
+        depth: 4,
+        timeLimit: 4000,
+        randomness: 0
+    }
+};
+
+// Evaluation weights - easily tweakable
+const WEIGHTS = {
+    DISC_LEFT: 10,          // Each disc still in play (on board or in reserve)
+    RING_LEFT: 30,          // Each ring still in play
+    LAST_PIECE: 40,         // Extra penalty when down to the last disc or ring
+    PIECE_ON_BOARD: 3       // Pieces on the board can move and capture
+};
+
+const WIN_SCORE = 100000;
+const MAX_PLY = 1000; // Won and lost scores are WIN_SCORE minus the distance to the end of the game
+
+// Default search of the analysis panel
+export const ANALYSIS = {
+    depth: 4,
+    timeLimit: 3000,
+    count: 3
+};
+
+// Thrown when the time limit is reached in the middle of a search
+const SEARCH_TIMEOUT = Symbol('search-timeout');
+
+// Transposition table: scores of positions already searched, by position key (see GameState.getPositionKey)
+const TABLE_SIZE = 200000; // Entries kept before the table is cleared
+const BOUND = { EXACT: 0, LOWER: 1, UPPER: 2 };
+
+/**
+ * Get the opponent of a player
+ * @param {string} color - 'black' or 'white'
+ * @returns {string} - The other color
+ */
+function opponentOf(color) {
+    return color === 'black' ? 'white' : 'black';
+}
+
+/**
+ * Count the pieces of a color on the board
+ * @param {GameState} state - The game state
+ * @param {string} color - 'black' or 'white'
+ * @returns {Object} - { discs, rings }
+ */
+function countBoardPieces(state, color) {
+    let discs = 0;
+    let rings = 0;
+
+    for (const key in state.board.tiles) {
+        const piece = state.board.tiles[key].piece;
+        if (piece && piece.color === color) {
+            if (piece.type === 'disc') discs++;
+            else rings++;
+        }
+    }
+
+    return { discs, rings };
+}
+
+/**
+ * Static evaluation of a position
+ * @param {GameState} state - The game state
+ * @param {string} color - Player the score is computed for
+ * @returns {number} - Positive when the position is good for color
+ */
+export function evaluate(state, color) {
+    if (state.gameStatus === 'draw') {
+        return 0;
+    }
+    if (state.gameStatus !== 'ongoing') {
+        return state.winner === color ? WIN_SCORE : -WIN_SCORE;
+    }
+
+    return scoreSide(state, color) - scoreSide(state, opponentOf(color));
+}
+
+/**
+ * Material score of one side
+ * @param {GameState} state - The game state
+ * @param {string} color - 'black' or 'white'
+ * @returns {number} - The score
+ */
+function scoreSide(state, color) {
+    const onBoard = countBoardPieces(state, color);
+    const discsLeft = onBoard.discs + state.pieces[color].discsAvailable;
+    const ringsLeft = onBoard.rings + state.pieces[color].ringsAvailable;
+
+    let score = discsLeft * WEIGHTS.DISC_LEFT + ringsLeft * WEIGHTS.RING_LEFT;
+    score += (onBoard.discs + onBoard.rings) * WEIGHTS.PIECE_ON_BOARD;
+
+    if (discsLeft === 1) score -= WEIGHTS.LAST_PIECE;
+    if (ringsLeft === 1) score -= WEIGHTS.LAST_PIECE;
+
+    return score;
+}
+
+/**
+ * Build the child positions of a state, best first for the player to move
+ * @param {GameState} state - The game state
+ * @param {string} color - Player to move
+ * @returns {Array} - Array of { turn, state } entries
+ */
+function expand(state, color) {
+    const children = [];
+
+    for (const turn of generateTurns(state)) {
+        const child = state.clone();
+        if (applyTurn(child, turn, { skipValidation: true })) {
+            children.push({ turn, state: child, order: evaluate(child, color) });
+        }
+    }
+
+    // Searching the most promising turns first makes alpha-beta cut off much more
+    children.sort((a, b) => b.order - a.order);
+    return children;
+}
+
+/**
+ * Convert a won or lost score between distance from the root and distance from the position,
+ * so that table entries can be used at any ply
+ * @param {number} score - The score
+ * @param {number} ply - Distance from the root, negative to convert back
+ * @returns {number} - The converted score
+ */
+function shiftWinScore(score, ply) {
+    if (score >= WIN_SCORE - MAX_PLY) return score + ply;
+    if (score <= -WIN_SCORE + MAX_PLY) return score - ply;
+    return score;
+}
+
+/**
+ * Negamax search with alpha-beta pruning and a transposition table
+ * @param {GameState} state - Position to search
+ * @param {number} depth - Remaining depth in turns
+ * @param {number} alpha - Lower bound
+ * @param {number} beta - Upper bound
+ * @param {string} color - Player to move in this position
+ * @param {number} ply - Distance from the root (used to prefer faster wins)
+ * @param {Object} context - Shared search data { deadline, nodes, table }
+ * @returns {number} - Score of the position for color
+ */
+function negamax(state, depth, alpha, beta, color, ply, context) {
+    context.nodes++;
+    if ((context.nodes & 255) === 0 && Date.now() > context.deadline) {
+        throw SEARCH_TIMEOUT;
+    }
+
+    // Same position already searched at least as deep (reached through other turns)
+    const key = state.getPositionKey();
+    const entry = context.table.get(key);
+    if (entry && entry.depth >= depth && !isTerminal(state)) {
+        const score = shiftWinScore(entry.score, -ply);
+        if (entry.bound === BOUND.EXACT ||
+            (entry.bound === BOUND.LOWER && score >= beta) ||
+            (entry.bound === BOUND.UPPER && score <= alpha)) {
+            return score;
+        }
+    }
+
+    if (isTerminal(state)) {
+        const score = evaluate(state, color);
+        // Prefer quick wins and slow losses
+        return score > 0 ? score - ply : score < 0 ? score + ply : 0;
+    }
+
+    if (depth === 0) {
+        return evaluate(state, color);
+    }
+
+    const children = expand(state, color);
+    if (children.length === 0) {
+        return evaluate(state, color);
+    }
+
+    const originalAlpha = alpha;
+    let best = -Infinity;
+    for (const child of children) {
+        const score = -negamax(child.state, depth - 1, -beta, -alpha, opponentOf(color), ply + 1, context);
+        if (score > best) best = score;
+        if (best > alpha) alpha = best;
+        if (alpha >= beta) break;
+    }
+
+    if (context.table.size >= TABLE_SIZE) {
+        context.table.clear();
+    }
+    context.table.set(key, {
+        depth,
+        score: shiftWinScore(best, ply),
+        bound: best <= originalAlpha ? BOUND.UPPER : best >= beta ? BOUND.LOWER : BOUND.EXACT
+    });
+
+    return best;
+}
+
+/**
+ * Search the root position with iterative deepening
+ * The best `count` turns get exact scores, the others are only known to be worse.
+ * @param {GameState} state - Position to search (not modified)
+ * @param {Object} options - { depth, timeLimit, count }
+ * @returns {Object|null} - { lines: [{ turn, score }] best first, depth, nodes } or null if there is no legal turn
+ */
+function searchRoot(state, options = {}) {
+    const { depth: maxDepth = 2, timeLimit = 1000, count = 1 } = options;
+    const color = state.currentPlayer;
+    const context = { deadline: Date.now() + timeLimit, nodes: 0, table: new Map() };
+
+    let rootChildren = expand(state, color);
+    if (rootChildren.length === 0) {
+        return null;
+    }
+
+    const toLines = () => rootChildren.slice(0, count).map(({ turn, score, order }) => ({
+        turn,
+        score: score !== undefined ? score : order
+    }));
+    let result = { lines: toLines(), depth: 0, nodes: 0 };
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        try {
+            // Scores of the best turns so far: a turn has to beat the last of them to be searched exactly
+            const best = [];
+            for (const child of rootChildren) {
+                const alpha = best.length >= count ? best[count - 1] : -Infinity;
+                child.score = -negamax(child.state, depth - 1, -Infinity, -alpha, opponentOf(color), 1, context);
+
+                best.push(child.score);
+                best.sort((a, b) => b - a);
+                best.length = Math.min(best.length, count);
+            }
+        } catch (error) {
+            if (error !== SEARCH_TIMEOUT) throw error;
+            break; // Keep the result of the last completed depth
+        }
+
+        // Re-order root turns so the next iteration starts with the best ones
+        rootChildren = [...rootChildren].sort((a, b) => b.score - a.score);
+        result = { lines: toLines(), depth, nodes: context.nodes };
+
+        // No need to look deeper once a forced win is found
+        if (rootChildren[0].score >= WIN_SCORE - maxDepth) break;
+    }
+
+    return result;
+}
+
+/**
+ * Search for the best turn with iterative deepening
+ * @param {GameState} state - Position to search (not modified)
+ * @param {Object} options - { depth, timeLimit }
+ * @returns {Object|null} - { turn, score, depth, nodes } or null if there is no legal turn
+ */
+export function searchBestTurn(state, options = {}) {
+    const result = searchRoot(state, { ...options, count: 1 });
+    if (!result) {
+        return null;
+    }
+
+    const { turn, score } = result.lines[0];
+    return { turn, score, depth: result.depth, nodes: result.nodes };
+}
+
+/**
+ * Analyze a position: the best turns with their scores, for the analysis panel
+ * @param {GameState} state - Position to analyze (not modified)
+ * @param {Object} options - { depth, timeLimit, count } (count is the number of turns wanted)
+ * @returns {Object|null} - { lines: [{ turn, score }] best first, depth, nodes } or null if there is no legal turn.
+ *                          Scores are for the player to move, see turnsToEnd() for won and lost positions
+ */
+export function analyzePosition(state, options = {}) {
+    return searchRoot(state, { ...ANALYSIS, ...options });
+}
+
+/**
+ * Get the distance to the end of the game of a won (positive) or lost (negative) score
+ * @param {number} score - Search score
+ * @returns {number} - Number of turns to the end of the game, or 0 if the score is not a forced result
+ */
+export function turnsToEnd(score) {
+    const distance = WIN_SCORE - Math.abs(score);
+    return distance < MAX_PLY ? distance : 0;
+}
+
+/**
+ * Choose a turn for the given difficulty level
+ * @param {GameState} state - Position to play from (not modified)
+ * @param {string} level - 'easy', 'medium' or 'hard'
+ * @returns {Object|null} - The chosen turn or null if there is no legal turn
+ */
+export function chooseTurn(state, level = 'medium') {
+    const settings = AI_LEVELS[level] || AI_LEVELS.medium;
+
+    if (settings.randomness > 0 && Math.random() < settings.randomness) {
+        const turns = generateTurns(state);
+        if (turns.length > 0) {
+            return turns[Math.floor(Math.random() * turns.length)];
+        }
+    }
+
+    const result = searchBestTurn(state, settings);
+    return result ? result.turn : null;
+}
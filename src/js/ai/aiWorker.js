@@ -0,0 +1,26 @@
+/**
+ * aiWorker - Web Worker running the AI search off the main thread
+ * so the Three.js render loop keeps going while the computer thinks
+ *
+ * Message in:  { id, state, level } where state comes from GameState.getSerializableState()
+ *              or { id, state, analysis } where analysis holds the analyzePosition() options
+ * Message out: { id, turn } where turn is null if there is no legal turn
+ *              or { id, analysis } with the analyzePosition() result
+ */
+import { GameState } from '../core/gameState.js';
+import { chooseTurn, analyzePosition } from './aiSearch.js';
+
+self.addEventListener('message', (event) => {
+    const { id, state, level, analysis } = event.data;
+
+    const gameState = new GameState();
+    gameState.loadFromSave(state);
+
+    if (analysis) {
+        self.postMessage({ id, analysis: analyzePosition(gameState, analysis) });
+        return;
+    }
+
+    const turn = chooseTurn(gameState, level);
+    self.postMessage({ id, turn });
+});
@@ -1,3 +1,5 @@
+import { getJumpChains, getNextSteps } from './rules.js';
+
 /**
  * GameBoard - Manages the hexagonal grid system and game interactions
  * Uses axial (q,r) coordinates for the hex grid
@@ -10,6 +12,18 @@ export class GameBoard {
         // Event callback references
         this.onClickHandler = this.onClick.bind(this);
         
+        // Set while a non-human player (e.g. the computer opponent) is playing
+        this.inputLocked = false;
+        
+        // Set while spectating an online game: turns are played without any placement or validation UI
+        this.readOnly = false;
+        
+        // Set while the board editor is open (see ui/boardEditor.js): clicks on hexes edit the position instead
+        this.editor = null;
+        
+        // Piece movement turn being built: { type: 'move_piece', from: {q, r}, path: [{q, r}, ...] }
+        this.currentTurn = null;
+        
         // Initialize interaction
         this.setupInteractions();
     }
@@ -35,12 +49,27 @@ export class GameBoard {
      * @param {Event} event - The click event
      */
     async onClick(event) {
+        if (this.editor) {
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            const hex = this.screenToHex(event.clientX - rect.left, event.clientY - rect.top);
+            if (hex) {
+                this.editor.editHex(hex.q, hex.r);
+            }
+            return;
+        }
+        
         // Check if game is over - if so, ignore all clicks
         if (this.gameState.gameStatus !== 'ongoing') {
             console.log('Game is over, ignoring clicks');
             return;
         }
         
+        // Ignore clicks while it is not a human player's turn
+        if (this.inputLocked) {
+            console.log('Input locked, ignoring clicks');
+            return;
+        }
+        
         // Get mouse position relative to the canvas
         const rect = this.renderer.domElement.getBoundingClientRect();
         const x = event.clientX - rect.left;
@@ -56,108 +85,7 @@ export class GameBoard {
         } else if (this.renderer.isValidateClicked(x, y)) {
             console.log('Validate button clicked');
             
-            if (this.gameState.currentAction === 'place_tile') {
-                // For tile placement confirmation
-                console.log('Validating tile placement');
-                
-                // Find the selected hex coordinates from temp tile model
-                const tempTile = this.renderer.tempTileModel;
-                if (tempTile && tempTile.userData) {
-                    this.finalizeTilePlacement(tempTile.userData.q, tempTile.userData.r);
-                }
-                return;
-            } else if (this.gameState.currentAction === 'place_piece') {
-                // For piece placement confirmation
-                console.log('Validating piece placement');
-                
-                // Check if we have a selected piece type
-                if (this.gameState.selectedPiece && this.gameState.selectedPiece.type) {
-                    const selectedPiece = this.gameState.selectedPiece;
-                    console.log('Selected piece for validation:', selectedPiece);
-                    
-                    if (selectedPiece.q !== undefined && selectedPiece.r !== undefined) {
-                        this.finalizePiecePlacement(
-                            selectedPiece.q,
-                            selectedPiece.r,
-                            selectedPiece.type
-                        );
-                    } else {
-                        console.warn('Selected piece does not have valid coordinates', selectedPiece);
-                        
-                        // Try to get coordinates from the tempPieceModel
-                        if (this.renderer.tempPieceModel && this.renderer.tempPieceModel.userData) {
-                            const userData = this.renderer.tempPieceModel.userData;
-                            console.log('Found piece data from tempPieceModel:', userData);
-                            
-                            if (userData.q !== undefined && userData.r !== undefined && userData.pieceType) {
-                                this.finalizePiecePlacement(
-                                    userData.q,
-                                    userData.r,
-                                    userData.pieceType
-                                );
-                            }
-                        }
-                    }
-                } else {
-                    console.warn('No piece type selected for validation');
-                    
-                    // Try to get info from tempPieceModel as a fallback
-                    if (this.renderer.tempPieceModel && this.renderer.tempPieceModel.userData) {
-                        const userData = this.renderer.tempPieceModel.userData;
-                        console.log('Found piece data from tempPieceModel:', userData);
-                        
-                        if (userData.q !== undefined && userData.r !== undefined && userData.pieceType) {
-                            this.finalizePiecePlacement(
-                                userData.q,
-                                userData.r,
-                                userData.pieceType
-                            );
-                        }
-                    } else {
-                        // Check for temp-piece reference in UI group
-                        const tempPiece = this.renderer.uiGroup.children.find(
-                            child => child.userData && child.userData.type === 'temp-piece'
-                        );
-                        
-                        if (tempPiece && tempPiece.userData) {
-                            console.log('Found temp-piece reference:', tempPiece.userData);
-                            
-                            // If we have temp-piece but no type, use 'disc' as default when only disc is available
-                            const currentPlayer = this.gameState.currentPlayer;
-                            const canPlaceDisc = this.gameState.pieces[currentPlayer].discsAvailable > 0;
-                            const canPlaceRing = this.gameState.pieces[currentPlayer].ringsAvailable > 0 &&
-                                               this.gameState.pieces[currentPlayer].discsCaptured > 0;
-                            
-                            if (canPlaceDisc && !canPlaceRing) {
-                                this.finalizePiecePlacement(
-                                    tempPiece.userData.q,
-                                    tempPiece.userData.r,
-                                    'disc'
-                                );
-                            } else if (!canPlaceDisc && canPlaceRing) {
-                                this.finalizePiecePlacement(
-                                    tempPiece.userData.q,
-                                    tempPiece.userData.r,
-                                    'ring'
-                                );
-                            }
-                        }
-                    }
-                }
-                
-                return;
-            } else if (this.gameState.currentAction === 'move_piece') {
-                // For piece movement confirmation
-                console.log('Validating piece movement');
-                
-                // First clear UI elements to drop the piece back to its resting position
-                this.renderer.clearActionUI(true);
-                
-                // Update the board to show the piece in its final position
-                this.renderer.updateBoard();
-                
-                // End the turn
-                this.gameState.endTurn();
+            if (this.validateAction()) {
                 return;
             }
         } else if (this.renderer.isDiscClicked(x, y)) {
@@ -318,20 +246,10 @@ export class GameBoard {
         const currentAction = this.gameState.currentAction;
         console.log(`Current player: ${currentPlayer}, Current action: ${currentAction}`);
         
-        // Check if we're in a move_piece action with a ring piece that's awaiting validation
-        // If yes, clicking on board tiles should be ignored
-        if (currentAction === 'move_piece' && this.gameState.selectedPiece) {
-            const selectedPiece = this.gameState.selectedPiece;
-            
-            // If the selected piece is a ring and the ring has a different source vs current position
-            // (which means it has already moved and is awaiting validation)
-            if (selectedPiece.type === 'ring') {
-                // Check if the ring has moved by seeing if there are validation icons visible
-                if (this.renderer.validateIcon.visible) {
-                    console.log('Ring has already moved and is awaiting validation, ignoring tile clicks');
-                    return; // Ignore the click, only cancel/validate should be processed
-                }
-            }
+        // If the piece being moved cannot go any further this turn, only cancel/validate are processed
+        if (currentAction === 'move_piece' && this.isMoveComplete()) {
+            console.log('Piece movement is complete and awaiting validation, ignoring tile clicks');
+            return;
         }
         
         // Handle the click based on the current action
@@ -360,9 +278,14 @@ export class GameBoard {
                         r: hex.sourceR, 
                         type: hex.pieceType 
                     };
+                    this.currentTurn = {
+                        type: 'move_piece',
+                        from: { q: hex.sourceQ, r: hex.sourceR },
+                        path: []
+                    };
                     
                     // Get valid moves for the piece
-                    const validMoves = this.gameState.getValidMoves(hex.sourceQ, hex.sourceR);
+                    const validMoves = this.getMoveTargets();
                     this.renderer.showPieceMovementUI(hex.sourceQ, hex.sourceR, validMoves);
                 }
             } else {
@@ -377,210 +300,252 @@ export class GameBoard {
             // Player is placing a piece - handle piece selection, validation, or cancellation
             // Already handled at the beginning of this function
         } else if (currentAction === 'move_piece') {
-            // Handle piece movement selection
-            if (isValidActionIndicator && hex.action === 'move_piece') {
-                // Player clicked on a valid move indicator
+            // Handle piece movement selection - both clicks on a move indicator and on the board
+            // are checked against the rules for the turn in progress
+            await this.moveSelectedPiece(hex.q, hex.r);
+        }
+    }
+    
+    /**
+     * Validate the action in progress, as the validate button does
+     * @returns {boolean} - True if an action was in progress
+     */
+    validateAction() {
+        if (this.gameState.currentAction === 'place_tile') {
+            // For tile placement confirmation
+            console.log('Validating tile placement');
+            
+            // Find the selected hex coordinates from temp tile model
+            const tempTile = this.renderer.tempTileModel;
+            if (tempTile && tempTile.userData) {
+                this.finalizeTilePlacement(tempTile.userData.q, tempTile.userData.r);
+            }
+            return true;
+        } else if (this.gameState.currentAction === 'place_piece') {
+            // For piece placement confirmation
+            console.log('Validating piece placement');
+            
+            // Check if we have a selected piece type
+            if (this.gameState.selectedPiece && this.gameState.selectedPiece.type) {
                 const selectedPiece = this.gameState.selectedPiece;
+                console.log('Selected piece for validation:', selectedPiece);
                 
-                if (selectedPiece) {
-                    console.log('Selected piece before move:', selectedPiece);
-                    
-                    // If this is a ring that's already moved, don't allow further moves
-                    if (selectedPiece.type === 'ring' && this.renderer.validateIcon.visible) {
-                        console.log('Ring has already moved, ignoring this move attempt');
-                        return;
-                    }
-                    
-                    // Ensure we have the color of the piece
-                    const fromKey = `${selectedPiece.q},${selectedPiece.r}`;
-                    const sourceTile = this.gameState.board.tiles[fromKey];
-                    const pieceColor = sourceTile && sourceTile.piece ? sourceTile.piece.color : this.gameState.currentPlayer;
-                    
-                    // Clear valid move indicators first
-                    this.renderer.clearValidMoveIndicators();
-                    
-                    // Animate the piece movement
-                    await this.renderer.animatePieceMovement(
+                if (selectedPiece.q !== undefined && selectedPiece.r !== undefined) {
+                    this.finalizePiecePlacement(
                         selectedPiece.q,
                         selectedPiece.r,
-                        hex.q,
-                        hex.r
-                    );
-                    
-                    // Then update the game state with the move
-                    const success = this.gameState.movePiece(
-                        selectedPiece.q,
-                        selectedPiece.r,
-                        hex.q,
-                        hex.r
+                        selectedPiece.type
                     );
+                } else {
+                    console.warn('Selected piece does not have valid coordinates', selectedPiece);
                     
-                    if (success) {
-                        // Log piece info before and after the move
-                        console.log('Moved piece:', selectedPiece);
-                        const tileKey = `${hex.q},${hex.r}`;
-                        const pieceAfterMove = this.gameState.board.tiles[tileKey].piece;
-                        console.log('Piece after move:', pieceAfterMove);
+                    // Try to get coordinates from the tempPieceModel
+                    if (this.renderer.tempPieceModel && this.renderer.tempPieceModel.userData) {
+                        const userData = this.renderer.tempPieceModel.userData;
+                        console.log('Found piece data from tempPieceModel:', userData);
                         
-                        // If it's a disc that has moved, check for further jumps
-                        if (selectedPiece.type === 'disc') {
-                            const allValidMoves = this.gameState.getValidMoves(hex.q, hex.r);
-                            
-                            // After a jump, only show other jumps (not adjacent moves)
-                            // Get only jumps (moves that are not adjacent)
-                            const furtherJumps = allValidMoves.filter(move => 
-                                !this.gameState.isAdjacentMove(hex.q, hex.r, move.q, move.r)
+                        if (userData.q !== undefined && userData.r !== undefined && userData.pieceType) {
+                            this.finalizePiecePlacement(
+                                userData.q,
+                                userData.r,
+                                userData.pieceType
                             );
-                            
-                            // Only continue if there are jump moves available
-                            if (furtherJumps.length > 0) {
-                                console.log('Further jumps available:', furtherJumps);
-                                // Update the selected piece for further jumps
-                                this.gameState.selectedPiece = { 
-                                    q: hex.q, 
-                                    r: hex.r,
-                                    type: 'disc',
-                                    color: pieceColor
-                                };
-                                
-                                // First show validation UI to make both cancel and validate visible
-                                this.renderer.showValidationUI(hex.q, hex.r);
-                                
-                                // Then show movement UI for the new position with further jumps
-                                // but with a flag to keep both icons visible
-                                this.renderer.showFurtherJumpUI(hex.q, hex.r, furtherJumps);
-                                return;
-                            }
-                            
-                            // Show validation UI for discs after a move that has no further jumps
-                            this.gameState.selectedPiece = { 
-                                q: hex.q, 
-                                r: hex.r,
-                                type: selectedPiece.type,
-                                color: pieceColor
-                            };
-                            this.renderer.showValidationUI(hex.q, hex.r);
-                        } else if (selectedPiece.type === 'ring') {
-                            // For rings, show validation UI but don't allow further moves
-                            console.log('Ring move completed, showing validation UI');
-                            
-                            // Update the selected piece for the UI
-                            this.gameState.selectedPiece = { 
-                                q: hex.q, 
-                                r: hex.r,
-                                type: 'ring',
-                                color: pieceColor
-                            };
-                            
-                            // Show validation UI (only cancel/validate buttons, no further moves)
-                            this.renderer.showValidationUI(hex.q, hex.r);
                         }
                     }
                 }
             } else {
-                // Regular click on the board while moving a piece (unchanged)
-                const selectedPiece = this.gameState.selectedPiece;
-                if (selectedPiece) {
-                    // If this is a ring that's already moved, don't allow further moves
-                    if (selectedPiece.type === 'ring' && this.renderer.validateIcon.visible) {
-                        console.log('Ring has already moved, ignoring this move attempt');
-                        return;
-                    }
-                    
-                    const validMoves = this.gameState.getValidMoves(selectedPiece.q, selectedPiece.r);
-                    const isMoveValid = validMoves.some(move => move.q === hex.q && move.r === hex.r);
+                console.warn('No piece type selected for validation');
+                
+                // Try to get info from tempPieceModel as a fallback
+                if (this.renderer.tempPieceModel && this.renderer.tempPieceModel.userData) {
+                    const userData = this.renderer.tempPieceModel.userData;
+                    console.log('Found piece data from tempPieceModel:', userData);
                     
-                    if (isMoveValid) {
-                        console.log('Selected piece before move:', selectedPiece);
-                        
-                        // Ensure we have the color of the piece
-                        const fromKey = `${selectedPiece.q},${selectedPiece.r}`;
-                        const sourceTile = this.gameState.board.tiles[fromKey];
-                        const pieceColor = sourceTile && sourceTile.piece ? sourceTile.piece.color : this.gameState.currentPlayer;
-                        
-                        // Clear valid move indicators first
-                        this.renderer.clearValidMoveIndicators();
-                        
-                        // Animate the piece movement
-                        await this.renderer.animatePieceMovement(
-                            selectedPiece.q,
-                            selectedPiece.r,
-                            hex.q,
-                            hex.r
+                    if (userData.q !== undefined && userData.r !== undefined && userData.pieceType) {
+                        this.finalizePiecePlacement(
+                            userData.q,
+                            userData.r,
+                            userData.pieceType
                         );
+                    }
+                } else {
+                    // Check for temp-piece reference in UI group
+                    const tempPiece = this.renderer.uiGroup.children.find(
+                        child => child.userData && child.userData.type === 'temp-piece'
+                    );
+                    
+                    if (tempPiece && tempPiece.userData) {
+                        console.log('Found temp-piece reference:', tempPiece.userData);
                         
-                        // Then update the game state with the move
-                        const success = this.gameState.movePiece(
-                            selectedPiece.q, 
-                            selectedPiece.r, 
-                            hex.q, 
-                            hex.r
-                        );
+                        // If we have temp-piece but no type, use 'disc' as default when only disc is available
+                        const currentPlayer = this.gameState.currentPlayer;
+                        const canPlaceDisc = this.gameState.pieces[currentPlayer].discsAvailable > 0;
+                        const canPlaceRing = this.gameState.canPlaceRing(currentPlayer);
                         
-                        if (success) {
-                            // Log piece info before and after the move
-                            console.log('Moved piece:', selectedPiece);
-                            const tileKey = `${hex.q},${hex.r}`;
-                            const pieceAfterMove = this.gameState.board.tiles[tileKey].piece;
-                            console.log('Piece after move:', pieceAfterMove);
-                            
-                            // If it's a disc that has moved, check for further jumps
-                            if (selectedPiece.type === 'disc') {
-                                const allValidMoves = this.gameState.getValidMoves(hex.q, hex.r);
-                                
-                                // After a jump, only show other jumps (not adjacent moves)
-                                // Get only jumps (moves that are not adjacent)
-                                const furtherJumps = allValidMoves.filter(move => 
-                                    !this.gameState.isAdjacentMove(hex.q, hex.r, move.q, move.r)
-                                );
-                                
-                                // Only continue if there are jump moves available
-                                if (furtherJumps.length > 0) {
-                                    console.log('Further jumps available:', furtherJumps);
-                                    // Update the selected piece for further jumps
-                                    this.gameState.selectedPiece = { 
-                                        q: hex.q, 
-                                        r: hex.r,
-                                        type: 'disc',
-                                        color: pieceColor
-                                    };
-                                    
-                                    // First show validation UI to make both cancel and validate visible
-                                    this.renderer.showValidationUI(hex.q, hex.r);
-                                    
-                                    // Then show movement UI for the new position with further jumps
-                                    // but with a flag to keep both icons visible
-                                    this.renderer.showFurtherJumpUI(hex.q, hex.r, furtherJumps);
-                                    return;
-                                }
-                                
-                                // Show validation UI for discs after a move that has no further jumps
-                                this.gameState.selectedPiece = { 
-                                    q: hex.q, 
-                                    r: hex.r,
-                                    type: selectedPiece.type,
-                                    color: pieceColor
-                                };
-                                this.renderer.showValidationUI(hex.q, hex.r);
-                            } else if (selectedPiece.type === 'ring') {
-                                // For rings, show validation UI but don't allow further moves
-                                console.log('Ring move completed, showing validation UI');
-                                
-                                // Update the selected piece for the UI
-                                this.gameState.selectedPiece = { 
-                                    q: hex.q, 
-                                    r: hex.r,
-                                    type: 'ring',
-                                    color: pieceColor
-                                };
-                                
-                                // Show validation UI (only cancel/validate buttons, no further moves)
-                                this.renderer.showValidationUI(hex.q, hex.r);
-                            }
+                        if (canPlaceDisc && !canPlaceRing) {
+                            this.finalizePiecePlacement(
+                                tempPiece.userData.q,
+                                tempPiece.userData.r,
+                                'disc'
+                            );
+                        } else if (!canPlaceDisc && canPlaceRing) {
+                            this.finalizePiecePlacement(
+                                tempPiece.userData.q,
+                                tempPiece.userData.r,
+                                'ring'
+                            );
                         }
                     }
                 }
             }
+            
+            return true;
+        } else if (this.gameState.currentAction === 'move_piece') {
+            // For piece movement confirmation
+            console.log('Validating piece movement');
+            
+            // The piece must have moved first
+            if (!this.currentTurn || this.currentTurn.path.length === 0) {
+                return true;
+            }
+            
+            // First clear UI elements to drop the piece back to its resting position
+            this.renderer.clearActionUI(true);
+            
+            // Update the board to show the piece in its final position
+            this.renderer.updateBoard();
+            
+            // End the turn
+            const turn = this.currentTurn;
+            this.currentTurn = null;
+            this.gameState.endTurn(turn);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check if the piece movement in progress cannot continue (only validate/cancel remain)
+     * @returns {boolean} - True if the piece has moved and has no further step available
+     */
+    isMoveComplete() {
+        return this.currentTurn !== null &&
+               this.currentTurn.path.length > 0 &&
+               getNextSteps(this.gameState, this.currentTurn).length === 0;
+    }
+    
+    /**
+     * Get the hexes the piece being moved can be sent to: its next steps, and the ends of the jump chains
+     * that lead there one way only (so a click plays the whole chain without ambiguity)
+     * @returns {Array} - Array of {q, r}
+     */
+    getMoveTargets() {
+        if (!this.currentTurn) {
+            return [];
+        }
+        
+        const targets = getNextSteps(this.gameState, this.currentTurn);
+        const chainEnds = new Map();
+        
+        for (const { path } of getJumpChains(this.gameState, this.currentTurn)) {
+            const end = path[path.length - 1];
+            const key = `${end.q},${end.r}`;
+            chainEnds.set(key, chainEnds.has(key) ? null : end);
+        }
+        
+        for (const end of chainEnds.values()) {
+            if (end && !targets.some(target => target.q === end.q && target.r === end.r)) {
+                targets.push(end);
+            }
+        }
+        
+        return targets;
+    }
+    
+    /**
+     * Get the steps taking the piece being moved to a hex
+     * @param {number} q - Destination hex q coordinate
+     * @param {number} r - Destination hex r coordinate
+     * @returns {Array|null} - One step, the steps of the only jump chain ending there, or null if the hex cannot be reached
+     */
+    getStepsTo(q, r) {
+        if (!this.currentTurn) {
+            return null;
+        }
+        
+        if (getNextSteps(this.gameState, this.currentTurn).some(step => step.q === q && step.r === r)) {
+            return [{ q, r }];
+        }
+        
+        const chains = getJumpChains(this.gameState, this.currentTurn).filter(({ path }) =>
+            path[path.length - 1].q === q && path[path.length - 1].r === r
+        );
+        return chains.length === 1 ? chains[0].path.map(step => ({ ...step })) : null;
+    }
+    
+    /**
+     * Move the selected piece as part of the turn in progress: one step, or a whole jump chain to its end
+     * After a disc jump, further jumps are offered alongside the validate button
+     * @param {number} q - Destination hex q coordinate
+     * @param {number} r - Destination hex r coordinate
+     */
+    async moveSelectedPiece(q, r) {
+        const selectedPiece = this.gameState.selectedPiece;
+        if (!selectedPiece || !this.currentTurn) {
+            return;
+        }
+        
+        // Only destinations allowed by the rules at this point of the turn are accepted
+        const steps = this.getStepsTo(q, r);
+        if (!steps) {
+            console.log(`Move to (${q}, ${r}) is not allowed at this point of the turn`);
+            return;
+        }
+        
+        console.log('Selected piece before move:', selectedPiece);
+        
+        // Ensure we have the color of the piece
+        const fromKey = `${selectedPiece.q},${selectedPiece.r}`;
+        const sourceTile = this.gameState.board.tiles[fromKey];
+        const pieceColor = sourceTile && sourceTile.piece ? sourceTile.piece.color : this.gameState.currentPlayer;
+        
+        // Clear valid move indicators first
+        this.renderer.clearValidMoveIndicators();
+        
+        let current = { q: selectedPiece.q, r: selectedPiece.r };
+        for (const step of steps) {
+            // Animate the piece movement
+            await this.renderer.animatePieceMovement(current.q, current.r, step.q, step.r);
+            
+            // Then update the game state with the move
+            if (!this.gameState.movePiece(current.q, current.r, step.q, step.r)) {
+                return;
+            }
+            
+            this.currentTurn.path.push(step);
+            current = step;
+        }
+        
+        // Log piece info after the move
+        console.log('Piece after move:', this.gameState.board.tiles[`${q},${r}`].piece);
+        
+        // Update the selected piece for the UI
+        this.gameState.selectedPiece = { 
+            q, 
+            r,
+            type: selectedPiece.type,
+            color: pieceColor
+        };
+        
+        // Show validation UI to make both cancel and validate visible
+        this.renderer.showValidationUI(q, r);
+        
+        // Then show further jumps, if the rules allow the turn to continue
+        const furtherSteps = this.getMoveTargets();
+        if (furtherSteps.length > 0) {
+            console.log('Further jumps available:', furtherSteps);
+            this.renderer.showFurtherJumpUI(q, r, furtherSteps);
         }
     }
     
@@ -595,26 +560,15 @@ export class GameBoard {
         const tile = this.gameState.board.tiles[key];
         
         // Case 1: Click on a valid tile placement
-        if (this.gameState.pieces[currentPlayer].tilesAvailable > 0) {
-            const validTilePlacements = this.gameState.getValidTilePlacements(currentPlayer);
-            const isValidPlacement = validTilePlacements.some(placement => 
-                placement.q === q && placement.r === r
-            );
-            
-            if (isValidPlacement) {
-                console.log('Case 1: Valid tile placement');
-                this.gameState.currentAction = 'place_tile';
-                this.gameState.selectedTile = { q, r };
-                this.renderer.showTilePlacementUI(q, r, currentPlayer);
-                return;
-            }
+        if (this.startTilePlacement(q, r)) {
+            console.log('Case 1: Valid tile placement');
+            return;
         }
         
         // Case 2: Click on a valid piece placement
         if (tile && tile.color === currentPlayer && !tile.piece) {
             const canPlaceDisc = this.gameState.pieces[currentPlayer].discsAvailable > 0;
-            const canPlaceRing = this.gameState.pieces[currentPlayer].ringsAvailable > 0 &&
-                                this.gameState.pieces[currentPlayer].discsCaptured > 0;
+            const canPlaceRing = this.gameState.canPlaceRing(currentPlayer);
             
             if (canPlaceDisc || canPlaceRing) {
                 console.log('Case 2: Valid piece placement');
@@ -628,23 +582,10 @@ export class GameBoard {
         // Case 3: Click on the player's own piece to move it
         if (tile && tile.piece && tile.piece.color === currentPlayer) {
             console.log(`Case 3: Piece movement - piece: ${JSON.stringify(tile.piece)}`);
-            const validMoves = this.gameState.getValidMoves(q, r);
-            
-            console.log(`Valid moves found: ${validMoves.length}`);
-            
-            if (validMoves.length > 0) {
-                // Show the piece movement UI
-                this.gameState.currentAction = 'move_piece';
-                
-                // Save the current game state before the move
-                this.gameState.saveGameState();
-                
-                this.gameState.selectedPiece = { q, r, type: tile.piece.type };
-                await this.renderer.showPieceMovementUI(q, r, validMoves);
+            if (await this.startPieceMovement(q, r)) {
                 return;
-            } else {
-                console.log('No valid moves for this piece');
             }
+            console.log('No valid moves for this piece');
         } else {
             console.log('Not a valid piece to move');
         }
@@ -652,6 +593,93 @@ export class GameBoard {
         console.log('No valid action found for this click');
     }
     
+    /**
+     * Start placing a tile of the current player
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @returns {boolean} - True if a tile can be placed there
+     */
+    startTilePlacement(q, r) {
+        const currentPlayer = this.gameState.currentPlayer;
+        if (this.gameState.pieces[currentPlayer].tilesAvailable <= 0) {
+            return false;
+        }
+        
+        const isValidPlacement = this.gameState.getValidTilePlacements(currentPlayer).some(placement =>
+            placement.q === q && placement.r === r
+        );
+        if (!isValidPlacement) {
+            return false;
+        }
+        
+        this.gameState.currentAction = 'place_tile';
+        this.gameState.selectedTile = { q, r };
+        this.renderer.showTilePlacementUI(q, r, currentPlayer);
+        return true;
+    }
+    
+    /**
+     * Start placing a given piece of the current player (no disc/ring choice is shown)
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} pieceType - 'disc' or 'ring'
+     * @returns {boolean} - True if the piece can be placed there
+     */
+    startPiecePlacement(q, r, pieceType) {
+        const currentPlayer = this.gameState.currentPlayer;
+        const pieces = this.gameState.pieces[currentPlayer];
+        const tile = this.gameState.board.tiles[`${q},${r}`];
+        
+        if (!tile || tile.color !== currentPlayer || tile.piece) {
+            return false;
+        }
+        
+        const canPlace = pieceType === 'disc'
+            ? pieces.discsAvailable > 0
+            : this.gameState.canPlaceRing(currentPlayer);
+        if (!canPlace) {
+            return false;
+        }
+        
+        this.gameState.currentAction = 'place_piece';
+        this.gameState.selectedPiece = { q, r };
+        this.renderer.showPiecePlacementUI(q, r, currentPlayer, pieceType === 'disc', pieceType === 'ring');
+        return true;
+    }
+    
+    /**
+     * Start moving a piece of the current player
+     * @param {number} q - Hex q coordinate of the piece
+     * @param {number} r - Hex r coordinate of the piece
+     * @returns {Promise<boolean>} - True if the piece can move
+     */
+    async startPieceMovement(q, r) {
+        const tile = this.gameState.board.tiles[`${q},${r}`];
+        if (!tile || !tile.piece || tile.piece.color !== this.gameState.currentPlayer) {
+            return false;
+        }
+        
+        const turn = { type: 'move_piece', from: { q, r }, path: [] };
+        if (getNextSteps(this.gameState, turn).length === 0) {
+            console.log('Valid moves found: 0');
+            return false;
+        }
+        
+        // Show the piece movement UI
+        this.gameState.currentAction = 'move_piece';
+        
+        // Save the current game state before the move
+        this.gameState.saveGameState();
+        
+        this.gameState.selectedPiece = { q, r, type: tile.piece.type };
+        this.currentTurn = turn;
+        
+        const validMoves = this.getMoveTargets();
+        console.log(`Valid moves found: ${validMoves.length}`);
+        await this.renderer.showPieceMovementUI(q, r, validMoves);
+        return true;
+    }
+    
     /**
      * Cancel the current action
      */
@@ -659,6 +687,9 @@ export class GameBoard {
         // Store the current action for reference
         const previousAction = this.gameState.currentAction;
         const selectedPiece = this.gameState.selectedPiece;
+        
+        // Drop the turn in progress
+        this.currentTurn = null;
 
         // If we were in the process of moving a piece, restore the saved game state
         if (previousAction === 'move_piece') {
@@ -683,7 +714,9 @@ export class GameBoard {
         this.renderer.updateBoard();
         
         // Show valid action placeholders for the new turn
-        this.renderer.showValidActionPlaceholders();
+        if (!this.readOnly) {
+            this.renderer.showValidActionPlaceholders();
+        }
     }
     
     /**
@@ -712,7 +745,7 @@ export class GameBoard {
             this.renderer.clearActionUI();
             
             // End the turn
-            this.gameState.endTurn();
+            this.gameState.endTurn({ type: 'place_tile', q, r });
             
             // Valid action placeholders will be updated via the state change callback in UIManager
         } else {
@@ -748,7 +781,7 @@ export class GameBoard {
             this.renderer.clearActionUI();
             
             // End the turn
-            this.gameState.endTurn();
+            this.gameState.endTurn({ type: 'place_piece', q, r, pieceType });
             
             // Valid action placeholders will be updated via the state change callback in UIManager
         } else {
@@ -757,6 +790,84 @@ export class GameBoard {
         }
     }
     
+    /**
+     * Play a complete turn without user interaction (used by the computer opponent)
+     * Goes through the same game state calls and animations as a turn played with clicks
+     * @param {Object} turn - { type: 'place_tile', q, r }, { type: 'place_piece', q, r, pieceType }
+     *                        or { type: 'move_piece', from: {q, r}, path: [{q, r}, ...] }
+     * @returns {Promise<boolean>} - True if the turn was played
+     */
+    async playTurn(turn) {
+        if (this.gameState.gameStatus !== 'ongoing') {
+            return false;
+        }
+        
+        const currentPlayer = this.gameState.currentPlayer;
+        
+        // Remove the placeholders shown for the turn
+        this.renderer.clearActionUI();
+        
+        if (turn.type === 'place_tile') {
+            this.gameState.currentAction = 'place_tile';
+            this.renderer.showTilePlacementUI(turn.q, turn.r, currentPlayer);
+            
+            // Only the floating tile is needed for the drop animation
+            if (this.readOnly) {
+                this.renderer.cancelIcon.visible = false;
+                this.renderer.validateIcon.visible = false;
+            }
+            await this.finalizeTilePlacement(turn.q, turn.r);
+            return true;
+        }
+        
+        if (turn.type === 'place_piece') {
+            this.gameState.currentAction = 'place_piece';
+            await this.finalizePiecePlacement(turn.q, turn.r, turn.pieceType);
+            return true;
+        }
+        
+        if (turn.type === 'move_piece') {
+            let { q, r } = turn.from;
+            const tile = this.gameState.board.tiles[`${q},${r}`];
+            
+            if (!tile || !tile.piece) {
+                console.warn(`No piece at (${q}, ${r}) to play turn`, turn);
+                return false;
+            }
+            
+            this.gameState.currentAction = 'move_piece';
+            
+            // Save the current game state before the move, as for a move made with clicks
+            this.gameState.saveGameState();
+            this.gameState.selectedPiece = { q, r, type: tile.piece.type };
+            
+            await this.renderer.animatePieceLift(q, r);
+            
+            // Play each hop of the path (several for disc jump chains)
+            for (const step of turn.path) {
+                await this.renderer.animatePieceMovement(q, r, step.q, step.r);
+                
+                if (!this.gameState.movePiece(q, r, step.q, step.r)) {
+                    console.warn(`Illegal step to (${step.q}, ${step.r}), cancelling turn`, turn);
+                    this.cancelAction();
+                    return false;
+                }
+                
+                q = step.q;
+                r = step.r;
+            }
+            
+            // Drop the piece and end the turn, as the validate button does
+            this.renderer.clearActionUI(true);
+            this.renderer.updateBoard();
+            this.gameState.endTurn({ type: 'move_piece', from: { ...turn.from }, path: turn.path.map(step => ({ ...step })) });
+            return true;
+        }
+        
+        console.warn('Unknown turn type', turn);
+        return false;
+    }
+    
     /**
      * Clean up resources when the game board is no longer needed
      */
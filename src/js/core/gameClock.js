@@ -0,0 +1,150 @@
+/**
+ * gameClock - Chess-style game clocks
+ * A clock is a plain serializable object kept in GameState.clock (null for untimed games), so it is saved with the game:
+ * { type, initial, increment, remaining: { black, white }, running: color|null, turnStartedAt: timestamp|null }
+ * Times are in milliseconds. Functions take the current time as an argument, so they can be used headless and in tests.
+ *
+ * Time controls:
+ * - sudden_death: each player has `initial` for the whole game
+ * - fischer: `increment` is added after each turn
+ * - bronstein: the time used by a turn is given back after it, up to `increment` (the delay)
+ */
+
+export const TIME_CONTROLS = ['sudden_death', 'fischer', 'bronstein'];
+
+/**
+ * Create a clock, stopped with both players at their initial time
+ * @param {Object} control - { type, initial, increment } (increment: Fischer increment or Bronstein delay)
+ * @returns {Object} - The clock
+ */
+export function createClock({ type, initial, increment = 0 }) {
+    if (!TIME_CONTROLS.includes(type)) {
+        throw new Error(`Unknown time control: ${type}`);
+    }
+    if (!(initial > 0) || increment < 0) {
+        throw new Error('Invalid clock times');
+    }
+
+    return {
+        type,
+        initial,
+        increment: type === 'sudden_death' ? 0 : increment,
+        remaining: { black: initial, white: initial },
+        running: null,
+        turnStartedAt: null
+    };
+}
+
+/**
+ * Get the time a player has left
+ * @param {Object} clock - The clock
+ * @param {string} color - 'black' or 'white'
+ * @param {number} now - Current time
+ * @returns {number} - Milliseconds left (0 or less once the flag has fallen)
+ */
+export function getRemainingTime(clock, color, now) {
+    const elapsed = clock.running === color ? now - clock.turnStartedAt : 0;
+    return clock.remaining[color] - elapsed;
+}
+
+/**
+ * Start the clock of a player (the other clock is stopped first)
+ * @param {Object} clock - The clock
+ * @param {string} color - 'black' or 'white'
+ * @param {number} now - Current time
+ */
+export function startClock(clock, color, now) {
+    stopClock(clock, now);
+    clock.running = color;
+    clock.turnStartedAt = now;
+}
+
+/**
+ * Stop the running clock without bonus (pause, undo...)
+ * @param {Object} clock - The clock
+ * @param {number} now - Current time
+ * @returns {number} - Milliseconds used since the clock was started
+ */
+export function stopClock(clock, now) {
+    if (!clock.running) {
+        return 0;
+    }
+
+    const elapsed = Math.max(0, now - clock.turnStartedAt);
+    clock.remaining[clock.running] -= elapsed;
+    clock.running = null;
+    clock.turnStartedAt = null;
+    return elapsed;
+}
+
+/**
+ * End the turn of the running player, adding the increment or giving back the delay
+ * @param {Object} clock - The clock
+ * @param {number} now - Current time
+ */
+export function pressClock(clock, now) {
+    const color = clock.running;
+    if (!color) return;
+
+    const elapsed = stopClock(clock, now);
+
+    if (clock.type === 'fischer') {
+        clock.remaining[color] += clock.increment;
+    } else if (clock.type === 'bronstein') {
+        clock.remaining[color] += Math.min(elapsed, clock.increment);
+    }
+}
+
+/**
+ * Check the fields of a saved clock
+ * @param {Object|null} clock - The clock
+ * @returns {Array<string>} - Problems found (empty if the clock is valid)
+ */
+export function validateClock(clock) {
+    if (clock === null) {
+        return [];
+    }
+    if (typeof clock !== 'object' || Array.isArray(clock)) {
+        return ['invalid clock'];
+    }
+
+    const problems = [];
+    const isTime = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    if (!TIME_CONTROLS.includes(clock.type)) {
+        problems.push(`unknown time control ${JSON.stringify(clock.type)}`);
+    }
+    if (!isTime(clock.initial) || clock.initial <= 0 || !isTime(clock.increment) || clock.increment < 0) {
+        problems.push('invalid clock time control');
+    }
+    if (!clock.remaining || !isTime(clock.remaining.black) || !isTime(clock.remaining.white)) {
+        problems.push('invalid clock times');
+    }
+    if (clock.running !== null && clock.running !== 'black' && clock.running !== 'white') {
+        problems.push('invalid running clock');
+    } else if (clock.running !== null && !isTime(clock.turnStartedAt)) {
+        problems.push('running clock without start time');
+    }
+
+    return problems;
+}
+
+/**
+ * Format a time for display
+ * @param {number} time - Milliseconds
+ * @returns {string} - "m:ss", "h:mm:ss", or "s.t" under 10 seconds
+ */
+export function formatClockTime(time) {
+    const milliseconds = Math.max(0, time);
+
+    if (milliseconds < 10000) {
+        return (Math.floor(milliseconds / 100) / 10).toFixed(1);
+    }
+
+    const totalSeconds = Math.ceil(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
@@ -0,0 +1,308 @@
+import { GameState } from './gameState.js';
+import { applyTurn, isLegalTurn } from './rules.js';
+import { formatTurn, parseTurn } from './notation.js';
+import { STANDARD_VARIANT, getVariant } from './variants.js';
+
+/**
+ * gameRecord - PGN-like game records
+ *
+ * A record is a list of header tags followed by the numbered turns in notation (see core/notation.js):
+ *
+ *   [Event "Casual game"]
+ *   [Date "2026.05.14"]
+ *   [Black "Player"]
+ *   [White "Computer (hard)"]
+ *   [Result "1/2-1/2"]
+ *   [DrawReason "repetition"]
+ *   [Variant "free_rings"]
+ *
+ *   1. T2,0 T-1,1 2. D1,0 D0,1 3. 0,0>2,0 1,1x1,0 ... 1/2-1/2
+ *
+ * Black plays first, so each numbered move is a black turn followed by a white turn.
+ * The Variant tag is only written for games not played with the standard rules (see core/variants.js).
+ * Results: '1-0' black wins, '0-1' white wins, '1/2-1/2' draw, '*' unfinished.
+ * Finished games say how they ended with a WinReason tag (a victory condition, 'resignation' or 'time')
+ * or a DrawReason tag ('repetition', 'no_moves' or 'agreement'), see GameState.
+ * Games are replayed through the rules on import, which reports the first illegal turn.
+ */
+
+export const RECORD_FILE_EXTENSION = '.hgn';
+
+const RESULTS = {
+    black_win: '1-0',
+    white_win: '0-1',
+    draw: '1/2-1/2',
+    ongoing: '*'
+};
+
+// Tags always written, in this order
+const STANDARD_TAGS = ['Event', 'Date', 'Black', 'White', 'Result'];
+
+const TAG_REGEX = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const MOVE_NUMBER_REGEX = /^(\d+)\.(\.\.)?$/;
+
+/**
+ * Get the result tag value for a game state
+ * @param {GameState} state - The game state
+ * @returns {string} - '1-0', '0-1', '1/2-1/2' or '*'
+ */
+export function getResultTag(state) {
+    // Losses on time are scored like any other win
+    if (state.gameStatus === 'timeout') {
+        return state.winner === 'black' ? RESULTS.black_win : RESULTS.white_win;
+    }
+    return RESULTS[state.gameStatus] || '*';
+}
+
+/**
+ * Format a date as a record Date tag (YYYY.MM.DD)
+ * @param {Date} date - The date
+ * @returns {string} - The formatted date
+ */
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}.${month}.${day}`;
+}
+
+/**
+ * Escape a tag value for writing between double quotes
+ * @param {string} value - The tag value
+ * @returns {string} - The escaped value
+ */
+function escapeTagValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Check if the turn history of a game starts from the starting position of its variant
+ * Records only hold turns, so other starting positions could not be replayed
+ * @param {GameState} gameState - The game state
+ * @returns {boolean} - True if the history starts from the initial position
+ */
+export function startsFromInitialPosition(gameState) {
+    if (!gameState.historyStart) {
+        return false;
+    }
+
+    const initial = new GameState();
+    initial.setupNewGame(gameState.variant);
+
+    return JSON.stringify(gameState.historyStart.snapshot) === JSON.stringify(initial.createSnapshot()) &&
+           gameState.historyStart.positionHistory.length === initial.board.positionHistory.length;
+}
+
+/**
+ * Write the record of a game
+ * @param {GameState} gameState - The game to export (not modified)
+ * @param {Object} [tags] - Extra or overriding header tags, e.g. { Black: 'Alice', White: 'Bob' }
+ * @returns {string} - The game record
+ * @throws {Error} - If the game does not start from the initial position
+ */
+export function exportGameRecord(gameState, tags = {}) {
+    if (!startsFromInitialPosition(gameState)) {
+        throw new Error('This game does not start from the initial position and cannot be written as a record');
+    }
+
+    // Records name the variant, so only the selectable ones can be read back
+    const variant = gameState.variant;
+    if (JSON.stringify(getVariant(variant.id)) !== JSON.stringify(variant)) {
+        throw new Error(`The rules variant "${variant.name}" is not a built-in variant and cannot be written in a record`);
+    }
+
+    const result = getResultTag(gameState);
+    const allTags = {
+        Event: 'Casual game',
+        Date: formatDate(new Date()),
+        Black: 'Black',
+        White: 'White',
+        Result: result,
+        ...(gameState.winReason ? { WinReason: gameState.winReason } : {}),
+        ...(gameState.drawReason ? { DrawReason: gameState.drawReason } : {}),
+        ...(variant.id !== STANDARD_VARIANT.id ? { Variant: variant.id } : {}),
+        ...tags
+    };
+
+    // Header, standard tags first
+    const tagNames = [
+        ...STANDARD_TAGS,
+        ...Object.keys(allTags).filter(name => !STANDARD_TAGS.includes(name))
+    ];
+    const lines = tagNames.map(name => `[${name} "${escapeTagValue(allTags[name])}"]`);
+
+    // Turns - replayed from the start, since captures are worked out from the position before each turn
+    const replay = new GameState();
+    replay.setupNewGame(variant);
+    replay.recordHistory = false;
+
+    const tokens = [];
+    gameState.turnHistory.forEach(({ turn }, index) => {
+        if (!turn) {
+            throw new Error(`Turn ${index + 1} was not recorded and cannot be written`);
+        }
+
+        // Keep move numbers on the same line as the black turn
+        const text = formatTurn(replay, turn);
+        tokens.push(replay.currentPlayer === 'black' ? `${Math.floor(index / 2) + 1}. ${text}` : text);
+        applyTurn(replay, turn, { skipValidation: true });
+    });
+    tokens.push(result);
+
+    lines.push('');
+    lines.push(...wrapTokens(tokens, 80));
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Join tokens into lines of limited length
+ * @param {Array} tokens - Array of strings
+ * @param {number} width - Maximum line length
+ * @returns {Array} - Array of lines
+ */
+function wrapTokens(tokens, width) {
+    const lines = [];
+    let line = '';
+
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > width) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+
+    if (line) {
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * Read the tags and turn texts of a record, without checking the turns against the rules
+ * @param {string} text - The game record
+ * @returns {Object} - { tags, moves: [{ text, moveNumber }], result }
+ * @throws {Error} - If the record cannot be read
+ */
+export function parseGameRecord(text) {
+    const tags = {};
+    const moves = [];
+    let result = null;
+    let moveNumber = 1;
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+    for (const [lineIndex, rawLine] of lines.entries()) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('[')) {
+            const tag = TAG_REGEX.exec(line);
+            if (!tag) {
+                throw new Error(`Invalid tag on line ${lineIndex + 1}: ${line}`);
+            }
+            tags[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+            continue;
+        }
+
+        // Comments run to the end of the line
+        const content = line.split(';')[0];
+
+        for (const token of content.split(/\s+/).filter(Boolean)) {
+            if (result !== null) {
+                throw new Error(`Unexpected "${token}" after the result on line ${lineIndex + 1}`);
+            }
+
+            const number = MOVE_NUMBER_REGEX.exec(token);
+            if (number) {
+                moveNumber = Number(number[1]);
+            } else if (Object.values(RESULTS).includes(token)) {
+                result = token;
+            } else {
+                moves.push({ text: token, moveNumber });
+            }
+        }
+    }
+
+    return { tags, moves, result };
+}
+
+/**
+ * End a replayed game the way its record says it ended away from the board
+ * Resignations, draws by agreement and losses on time are not turns, so only the tags tell about them.
+ * @param {GameState} state - The game, replayed to its last turn
+ * @param {Object} tags - Header tags of the record
+ * @param {string|null} result - Result at the end of the turns (the Result tag if null)
+ */
+function applyRecordedEnding(state, tags, result) {
+    const recorded = result || tags.Result;
+
+    if (recorded === RESULTS.draw && tags.DrawReason === 'agreement') {
+        state.agreeDraw();
+    } else if (recorded === RESULTS.black_win || recorded === RESULTS.white_win) {
+        const loser = recorded === RESULTS.black_win ? 'white' : 'black';
+        if (tags.WinReason === 'resignation') {
+            state.resign(loser);
+        } else if (tags.WinReason === 'time') {
+            state.loseOnTime(loser);
+        }
+    }
+}
+
+/**
+ * Replay a game record through the rules
+ * The game is replayed up to the first illegal turn, which is reported in error.
+ * A game that ended away from the board (see applyRecordedEnding) is ended the same way.
+ * @param {string} text - The game record
+ * @returns {Object} - { state, tags, turns, error }
+ *   state: GameState after the last legal turn (with its undo history)
+ *   turns: the legal turns played
+ *   error: null, or { moveNumber, color, text, message } for the first illegal turn
+ * @throws {Error} - If the record cannot be read at all, or its variant is unknown
+ */
+export function importGameRecord(text) {
+    const { tags, moves, result } = parseGameRecord(text);
+
+    const variant = tags.Variant ? getVariant(tags.Variant) : STANDARD_VARIANT;
+    if (!variant) {
+        throw new Error(`Unknown rules variant "${tags.Variant}"`);
+    }
+
+    const state = new GameState();
+    state.setupNewGame(variant);
+
+    const turns = [];
+    let error = null;
+
+    for (const move of moves) {
+        const color = state.currentPlayer;
+        const turn = parseTurn(move.text);
+        let message = null;
+
+        if (!turn) {
+            message = 'not valid notation';
+        } else if (state.gameStatus !== 'ongoing') {
+            message = 'the game is already over';
+        } else if (!isLegalTurn(state, turn)) {
+            message = 'not a legal turn';
+        } else if (formatTurn(state, turn) !== move.text) {
+            message = `captures do not match the position (expected ${formatTurn(state, turn)})`;
+        }
+
+        if (message) {
+            error = { moveNumber: move.moveNumber, color, text: move.text, message };
+            break;
+        }
+
+        applyTurn(state, turn, { skipValidation: true });
+        turns.push(turn);
+    }
+
+    if (!error && state.gameStatus === 'ongoing') {
+        applyRecordedEnding(state, tags, result);
+    }
+
+    return { state, tags, turns, error };
+}
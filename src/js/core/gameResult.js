@@ -0,0 +1,95 @@
+/**
+ * gameResult - Describes how a game ended, for the status line, the result screen and the saved games
+ * Games end on the board (a victory condition of the variant, a repetition or a player without moves)
+ * or away from it (time, resignation, draw by agreement): see the winReason and drawReason fields of GameState.
+ */
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five'];
+
+/**
+ * Capitalize the first letter of a text
+ * @param {string} text - The text
+ * @returns {string} - e.g. 'Black' for 'black'
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describe why a game was won
+ * @param {string} reason - Win reason (see GameState.winReason)
+ * @param {string} loser - 'black' or 'white'
+ * @returns {string} - e.g. 'White resigned'
+ */
+function describeWinReason(reason, loser) {
+    switch (reason) {
+        case 'all_discs_captured':
+            return `All ${loser} discs captured`;
+        case 'all_rings_captured':
+            return `All ${loser} rings captured`;
+        case 'no_pieces_on_board':
+            return `Elimination: no ${loser} pieces left on the board`;
+        case 'resignation':
+            return `${capitalize(loser)} resigned`;
+        case 'time':
+            return `${capitalize(loser)} ran out of time`;
+        default:
+            return 'Reason unknown';
+    }
+}
+
+/**
+ * Describe why a game was drawn
+ * @param {string} reason - Draw reason (see GameState.drawReason)
+ * @param {Object} variant - Rules variant of the game
+ * @returns {string} - e.g. 'Draw agreed by both players'
+ */
+function describeDrawReason(reason, variant) {
+    switch (reason) {
+        case 'repetition': {
+            const limit = variant ? variant.repetitionLimit : 3;
+            return `Position repeated ${NUMBER_WORDS[limit] || limit} times`;
+        }
+        case 'no_moves':
+            return 'No valid moves';
+        case 'agreement':
+            return 'Draw agreed by both players';
+        default:
+            return 'Reason unknown';
+    }
+}
+
+/**
+ * Describe the result of a finished game
+ * @param {Object} state - GameState, or a save (see core/saveFormat.js)
+ * @returns {Object|null} - { title, reason }, e.g. { title: 'Black wins', reason: 'White resigned' },
+ *                          or null while the game is ongoing
+ */
+export function describeResult(state) {
+    if (state.gameStatus === 'ongoing') {
+        return null;
+    }
+    if (state.gameStatus === 'draw') {
+        return { title: 'Draw', reason: describeDrawReason(state.drawReason, state.variant) };
+    }
+
+    // Wins on the board and losses on time (whose winReason is 'time')
+    const loser = state.winner === 'black' ? 'white' : 'black';
+    return {
+        title: `${capitalize(state.winner)} wins`,
+        reason: describeWinReason(state.gameStatus === 'timeout' ? 'time' : state.winReason, loser)
+    };
+}
+
+/**
+ * Describe the result of a finished game in one line
+ * @param {Object} state - GameState, or a save (see core/saveFormat.js)
+ * @returns {string} - e.g. 'Black wins (white resigned)', or '' while the game is ongoing
+ */
+export function formatResult(state) {
+    const result = describeResult(state);
+    if (!result) {
+        return '';
+    }
+    return `${result.title} (${result.reason.charAt(0).toLowerCase()}${result.reason.slice(1)})`;
+}
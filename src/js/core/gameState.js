@@ -1,13 +1,24 @@
+import { SAVE_VERSION, readSave } from './saveFormat.js';
+import { pressClock, startClock, stopClock } from './gameClock.js';
+import { STANDARD_VARIANT, VICTORY_CONDITIONS } from './variants.js';
+import { computeHash, countKey, formatPositionKey, pieceKey, tileKey, toggleKey } from './zobrist.js';
+
 /**
  * GameState - Manages the state of the game including:
  * - Current player's turn
  * - Board state (tiles and pieces)
  * - Available pieces for each player
  * - Captured pieces
- * - Game status (ongoing, victory, draw)
+ * - Game status (ongoing, victory, draw, loss on time) and how the game ended
+ * - Game clocks
+ * - Rules variant of the game (see core/variants.js)
+ * - Zobrist hash of the position (see core/zobrist.js), kept up to date by every change of the board or counts
  */
 export class GameState {
     constructor() {
+        // Rules of the game, chosen in setupNewGame
+        this.variant = STANDARD_VARIANT;
+        
         // Initialize empty state
         this.reset();
         
@@ -17,56 +28,92 @@ export class GameState {
     
     reset() {
         this.currentPlayer = 'black'; // 'black' or 'white'
-        this.gameStatus = 'ongoing'; // 'ongoing', 'black_win', 'white_win', 'draw'
+        this.gameStatus = 'ongoing'; // 'ongoing', 'black_win', 'white_win', 'draw', 'timeout' (winner set)
         this.winner = null; // 'black', 'white', or null
-        this.drawReason = null; // 'no_moves' or 'repetition' or null
+        this.winReason = null; // Victory condition that was met (see core/variants.js), 'resignation', 'time' or null
+        this.drawReason = null; // 'no_moves', 'repetition', 'agreement' or null
+        this.clock = null; // Game clocks (see core/gameClock.js), null for untimed games
         
         // Board state with tiles and pieces
         this.board = {
             tiles: {}, // Map of q,r coordinates to tile data {color: 'black'|'white', piece: null|object}
-            positionHistory: [] // For tracking repeated positions
+            positionHistory: [] // Position keys (see getPositionKey), for tracking repeated positions
         };
         
         // Available and captured pieces
+        const { tiles, discs, rings } = this.variant.inventory;
         this.pieces = {
             black: {
-                tilesAvailable: 9,
-                discsAvailable: 6,
-                ringsAvailable: 3,
+                tilesAvailable: tiles,
+                discsAvailable: discs,
+                ringsAvailable: rings,
                 discsCaptured: 0,
                 ringsCaptured: 0
             },
             white: {
-                tilesAvailable: 9,
-                discsAvailable: 6,
-                ringsAvailable: 3,
+                tilesAvailable: tiles,
+                discsAvailable: discs,
+                ringsAvailable: rings,
                 discsCaptured: 0,
                 ringsCaptured: 0
             }
         };
+        this.updateHash();
         
         // Turn action state
         this.currentAction = null; // 'place_tile', 'place_piece', 'move_piece', null
         this.selectedPiece = null; // {q, r, type: 'disc'|'ring'}
-        this.turnHistory = []; // For tracking actions within a single turn
+        
+        // Committed turns, for undo/redo
+        this.historyStart = null; // Position the history starts from {snapshot, positionHistory}
+        this.turnHistory = []; // Array of {turn, snapshot, position} - snapshot is the state after the turn
+        this.redoStack = []; // Undone entries, most recently undone last
+        this.recordHistory = true; // Disabled on clones used for searching
     }
     
-    setupNewGame() {
+    /**
+     * Start a new game
+     * @param {Object} [variant] - Rules variant (see core/variants.js), the current one by default
+     */
+    setupNewGame(variant = this.variant) {
+        this.variant = variant;
         this.reset();
         
-        // Place initial tiles (2 black and 2 white)
+        // Place the starting layout of the variant (2 black and 2 white tiles with a disc each in standard games)
         // Using axial coordinates (q,r) where q is the column and r is the row
-        this.placeTile(0, 0, 'black');
-        this.placeTile(1, 0, 'black');
-        this.placeTile(0, 1, 'white');
-        this.placeTile(1, 1, 'white');
+        for (const { q, r, color } of variant.layout.tiles) {
+            this.placeTile(q, r, color);
+        }
         
-        // Place initial discs
-        this.placePiece(0, 0, 'black', 'disc');
-        this.placePiece(1, 1, 'white', 'disc');
+        // Set directly, as placing a ring during the game has a cost
+        for (const { q, r, color, type } of variant.layout.pieces) {
+            this.setPiece(q, r, { type, color });
+            this.changeCount(color, `${type}sAvailable`, -1);
+        }
         
         // Save the initial state
         this.savePositionToHistory();
+        this.startHistory();
+    }
+    
+    /**
+     * Start a game from a set-up position instead of the starting layout (see core/positionEditor.js)
+     * The position is not checked here: PositionEditor.getProblems() tells if it can be played
+     * @param {Object} position - { currentPlayer, tiles, pieces } as in createSnapshot()
+     * @param {Object} [variant] - Rules variant (see core/variants.js), the current one by default
+     */
+    setupPosition({ currentPlayer, tiles, pieces }, variant = this.variant) {
+        this.variant = variant;
+        this.reset();
+        
+        this.currentPlayer = currentPlayer;
+        this.board.tiles = JSON.parse(JSON.stringify(tiles));
+        this.pieces = JSON.parse(JSON.stringify(pieces));
+        this.updateHash();
+        
+        // The set-up position is the start of the game, for undo and replays
+        this.savePositionToHistory();
+        this.startHistory();
     }
     
     /* Game Actions */
@@ -92,9 +139,10 @@ export class GameState {
             color, 
             piece: null 
         };
+        toggleKey(this.hash, tileKey(q, r, color));
         
         // Update available tiles
-        this.pieces[color].tilesAvailable--;
+        this.changeCount(color, 'tilesAvailable', -1);
         
         // Notify state change
         this.notifyStateChange();
@@ -124,22 +172,22 @@ export class GameState {
             return false;
         }
         
-        // For rings, check if player has captured discs to return
-        if (type === 'ring' && this.currentPlayer === color) {
+        // For rings, check if player has captured discs to return (unless the variant makes rings free)
+        if (type === 'ring' && this.currentPlayer === color && this.variant.ringCostsCapturedDisc) {
             const opponentColor = color === 'black' ? 'white' : 'black';
             if (this.pieces[color].discsCaptured <= 0) {
                 return false;
             }
             // Return a captured disc to the opponent
-            this.pieces[color].discsCaptured--;
-            this.pieces[opponentColor].discsAvailable++;
+            this.changeCount(color, 'discsCaptured', -1);
+            this.changeCount(opponentColor, 'discsAvailable', 1);
         }
         
         // Place the piece
-        tile.piece = { type, color };
+        this.setPiece(q, r, { type, color });
         
         // Update available pieces
-        this.pieces[color][pieceProperty]--;
+        this.changeCount(color, pieceProperty, -1);
         
         // Notify state change
         this.notifyStateChange();
@@ -179,8 +227,8 @@ export class GameState {
                 }
                 
                 // Move the piece
-                destTile.piece = { ...piece };
-                sourceTile.piece = null;
+                this.setPiece(toQ, toR, { ...piece });
+                this.setPiece(fromQ, fromR, null);
                 
             } else if (this.isValidJump(fromQ, fromR, toQ, toR)) {
                 // Jump move - check if there's a piece to jump over
@@ -203,8 +251,8 @@ export class GameState {
                 }
                 
                 // Move the piece
-                destTile.piece = { ...piece };
-                sourceTile.piece = null;
+                this.setPiece(toQ, toR, { ...piece });
+                this.setPiece(fromQ, fromR, null);
                 
             } else {
                 return false; // Invalid move
@@ -227,8 +275,8 @@ export class GameState {
             }
             
             // Move the ring
-            destTile.piece = { ...piece };
-            sourceTile.piece = null;
+            this.setPiece(toQ, toR, { ...piece });
+            this.setPiece(fromQ, fromR, null);
         }
         
         // Notify state change
@@ -256,10 +304,10 @@ export class GameState {
         
         // Update captured counts
         const capturedProperty = `${pieceType}sCaptured`;
-        this.pieces[opponentColor][capturedProperty]++;
+        this.changeCount(opponentColor, capturedProperty, 1);
         
         // Remove the piece from the board
-        tile.piece = null;
+        this.setPiece(q, r, null);
         
         // We'll check for victory when the turn is finalized, not here
         // This allows the player to cancel the move even if it would result in a win
@@ -267,7 +315,17 @@ export class GameState {
         return true;
     }
     
-    endTurn() {
+    /**
+     * End the current turn: check victory/draw, record the position and switch player
+     * @param {Object} [turn] - The committed turn (see core/rules.js for the format), kept in the turn history
+     */
+    endTurn(turn = null) {
+        // Stop the clock of the player who just played (with increment or delay)
+        const now = Date.now();
+        if (this.clock) {
+            pressClock(this.clock, now);
+        }
+        
         // Check for victory or draw conditions - only now do we finalize the game result
         this.checkVictoryConditions();
         this.checkDrawConditions();
@@ -275,14 +333,22 @@ export class GameState {
         // Clear the current action and selection
         this.currentAction = null;
         this.selectedPiece = null;
-        this.turnHistory = [];
-        
-        // Record the current position to history (for repetition detection)
-        this.savePositionToHistory();
         
         // Switch player if game is still ongoing
         if (this.gameStatus === 'ongoing') {
             this.currentPlayer = this.currentPlayer === 'black' ? 'white' : 'black';
+            
+            if (this.clock) {
+                startClock(this.clock, this.currentPlayer, now);
+            }
+        }
+        
+        // Record the current position to history (for repetition detection), with the player to move
+        this.savePositionToHistory();
+        
+        // Keep the committed turn for undo/redo
+        if (this.recordHistory) {
+            this.recordTurn(turn);
         }
         
         // Notify state change
@@ -328,18 +394,13 @@ export class GameState {
         const key = `${q},${r}`;
         const tile = this.board.tiles[key];
         
-        console.log(`Checking valid moves for (${q},${r})`);
-        
         if (!tile || !tile.piece || tile.piece.color !== this.currentPlayer) {
-            console.log(`No valid moves: tile=${!!tile}, piece=${!!tile?.piece}, color match=${tile?.piece?.color === this.currentPlayer}`);
             return [];
         }
         
         const validMoves = [];
         const piece = tile.piece;
         
-        console.log(`Finding moves for ${piece.color} ${piece.type} at (${q},${r})`);
-        
         // Check all potential destinations
         for (const destKey in this.board.tiles) {
             const [destQ, destR] = destKey.split(',').map(Number);
@@ -352,7 +413,6 @@ export class GameState {
                 if (this.isAdjacentMove(q, r, destQ, destR)) {
                     const destTile = this.board.tiles[destKey];
                     if (!destTile.piece) {
-                        console.log(`Found valid adjacent move to (${destQ},${destR})`);
                         validMoves.push({ q: destQ, r: destR });
                     }
                 }
@@ -366,7 +426,6 @@ export class GameState {
                     const destTile = this.board.tiles[destKey];
                     
                     if (jumpedTile && jumpedTile.piece && !destTile.piece) {
-                        console.log(`Found valid jump move to (${destQ},${destR})`);
                         validMoves.push({ q: destQ, r: destR });
                     }
                 }
@@ -377,17 +436,73 @@ export class GameState {
                     
                     // Can land on empty tile or capture opponent's piece
                     if (!destTile.piece || destTile.piece.color !== this.currentPlayer) {
-                        console.log(`Found valid ring move to (${destQ},${destR})`);
                         validMoves.push({ q: destQ, r: destR });
                     }
                 }
             }
         }
         
-        console.log(`Total valid moves: ${validMoves.length}`);
         return validMoves;
     }
-    
+
+    /**
+     * Get every jump chain a disc of the current player can play from a hex
+     * Each jump lands two hexes away over a piece, capturing it if it belongs to the opponent (captured pieces
+     * leave the board at once, so they cannot be jumped twice). A chain never lands twice on the same hex,
+     * so each path is a different turn. Chains come in depth-first order: each path is followed by its extensions.
+     * @param {number} q - Hex q coordinate of the disc
+     * @param {number} r - Hex r coordinate of the disc
+     * @param {Array} [visited] - Hexes {q, r} already landed on this turn, when the disc is in the middle of a chain
+     * @returns {Array} - Array of { path: [{q, r}, ...], captures: [{q, r}, ...] }
+     */
+    getJumpPaths(q, r, visited = []) {
+        const tile = this.board.tiles[`${q},${r}`];
+
+        if (!tile || !tile.piece || tile.piece.type !== 'disc' || tile.piece.color !== this.currentPlayer) {
+            return [];
+        }
+
+        const color = tile.piece.color;
+        const paths = [];
+
+        // Hexes left empty during the chain: the start hex, then each captured piece
+        const emptied = new Set([`${q},${r}`]);
+        const landed = new Set([`${q},${r}`, ...visited.map(hex => `${hex.q},${hex.r}`)]);
+        const hasPiece = (key) => Boolean(this.board.tiles[key] && this.board.tiles[key].piece) && !emptied.has(key);
+
+        const extend = (fromQ, fromR, path, captures) => {
+            // Destinations in board order, as getValidMoves
+            for (const destKey in this.board.tiles) {
+                const [destQ, destR] = destKey.split(',').map(Number);
+                if (!this.isValidJump(fromQ, fromR, destQ, destR) || landed.has(destKey) || hasPiece(destKey)) {
+                    continue;
+                }
+
+                const jumpedQ = (fromQ + destQ) / 2;
+                const jumpedR = (fromR + destR) / 2;
+                const jumpedKey = `${jumpedQ},${jumpedR}`;
+                if (!hasPiece(jumpedKey)) {
+                    continue;
+                }
+
+                const isCapture = this.board.tiles[jumpedKey].piece.color !== color;
+                const nextPath = [...path, { q: destQ, r: destR }];
+                const nextCaptures = isCapture ? [...captures, { q: jumpedQ, r: jumpedR }] : captures;
+                paths.push({ path: nextPath, captures: nextCaptures });
+
+                // Jump on from there, with the captured piece off the board
+                landed.add(destKey);
+                if (isCapture) emptied.add(jumpedKey);
+                extend(destQ, destR, nextPath, nextCaptures);
+                landed.delete(destKey);
+                if (isCapture) emptied.delete(jumpedKey);
+            }
+        };
+
+        extend(q, r, [], []);
+        return paths;
+    }
+
     getValidTilePlacements(color) {
         if (this.pieces[color].tilesAvailable <= 0) {
             return [];
@@ -398,18 +513,13 @@ export class GameState {
             return [{ q: 0, r: 0 }];
         }
         
-        // For initial setup (first 4 tiles), allow specific positions
-        if (Object.keys(this.board.tiles).length < 4) {
+        // For initial setup (tiles of the starting layout), allow specific positions
+        const initialPositions = this.variant.layout.tiles;
+        if (Object.keys(this.board.tiles).length < initialPositions.length) {
             // Check which initial positions are still available
-            const initialPositions = [
-                { q: 0, r: 0 }, { q: 1, r: 0 }, 
-                { q: 0, r: 1 }, { q: 1, r: 1 }
-            ];
-            
-            return initialPositions.filter(pos => {
-                const key = `${pos.q},${pos.r}`;
-                return !this.board.tiles[key];
-            });
+            return initialPositions
+                .filter(pos => !this.board.tiles[`${pos.q},${pos.r}`])
+                .map(({ q, r }) => ({ q, r }));
         }
         
         // For normal gameplay, a tile must be adjacent to at least 2 existing tiles
@@ -468,7 +578,7 @@ export class GameState {
         }
         
         // For rings, check if player has captured discs to return
-        if (type === 'ring' && color === this.currentPlayer && this.pieces[color].discsCaptured <= 0) {
+        if (type === 'ring' && color === this.currentPlayer && !this.canPlaceRing(color)) {
             return [];
         }
         
@@ -487,62 +597,50 @@ export class GameState {
         return validPlacements;
     }
     
+    /**
+     * Check if a player can place a ring: one left in hand and, if the variant has rings cost a disc,
+     * a captured disc to give back
+     * @param {string} color - 'black' or 'white'
+     * @returns {boolean} - True if the player has a ring to place
+     */
+    canPlaceRing(color) {
+        const pieces = this.pieces[color];
+        return pieces.ringsAvailable > 0 && (!this.variant.ringCostsCapturedDisc || pieces.discsCaptured > 0);
+    }
+    
     checkVictoryConditions() {
-        const blackDiscsOnBoard = this.countPiecesOnBoard('black', 'disc');
-        const blackRingsOnBoard = this.countPiecesOnBoard('black', 'ring');
-        const whiteDiscsOnBoard = this.countPiecesOnBoard('white', 'disc');
-        const whiteRingsOnBoard = this.countPiecesOnBoard('white', 'ring');
-        
-        // Check if all of opponent's discs are captured
-        if (whiteDiscsOnBoard === 0 && this.pieces.white.discsAvailable === 0) {
-            this.gameStatus = 'black_win';
-            this.winner = 'black';
-            return;
-        }
-        
-        if (blackDiscsOnBoard === 0 && this.pieces.black.discsAvailable === 0) {
-            this.gameStatus = 'white_win';
-            this.winner = 'white';
-            return;
-        }
-        
-        // Check if all of opponent's rings are captured
-        if (whiteRingsOnBoard === 0 && this.pieces.white.ringsAvailable === 0) {
-            this.gameStatus = 'black_win';
-            this.winner = 'black';
-            return;
+        // Victory conditions of the variant, in order (see core/variants.js)
+        for (const name of this.variant.victoryConditions) {
+            const condition = VICTORY_CONDITIONS[name];
+            
+            // Check if the opponent has lost (white first, as black plays first)
+            for (const loser of ['white', 'black']) {
+                if (condition.hasLost(this, loser)) {
+                    this.winner = loser === 'white' ? 'black' : 'white';
+                    this.gameStatus = `${this.winner}_win`;
+                    this.winReason = name;
+                    return;
+                }
+            }
         }
-        
-        if (blackRingsOnBoard === 0 && this.pieces.black.ringsAvailable === 0) {
-            this.gameStatus = 'white_win';
-            this.winner = 'white';
+    }
+    
+    checkDrawConditions() {
+        // A turn that wins the game is not a draw, even if the opponent is left without moves
+        if (this.gameStatus !== 'ongoing') {
             return;
         }
         
-        // Check if opponent has no pieces on board
-        if (whiteDiscsOnBoard === 0 && whiteRingsOnBoard === 0) {
-            this.gameStatus = 'black_win';
-            this.winner = 'black';
-            return;
-        }
+        const nextPlayer = this.currentPlayer === 'black' ? 'white' : 'black';
         
-        if (blackDiscsOnBoard === 0 && blackRingsOnBoard === 0) {
-            this.gameStatus = 'white_win';
-            this.winner = 'white';
-            return;
-        }
-    }
-    
-    checkDrawConditions() {
-        // Check for position repetition
-        if (this.checkPositionRepetition()) {
+        // Check for position repetition (the position reached by the turn, with the opponent to move)
+        if (this.checkPositionRepetition(nextPlayer)) {
             this.gameStatus = 'draw';
             this.drawReason = 'repetition';
             return;
         }
         
-        // Check if current player can make any moves
-        const nextPlayer = this.currentPlayer === 'black' ? 'white' : 'black';
+        // Check if the next player can make any moves
         
         // Check if player can place a tile
         if (this.pieces[nextPlayer].tilesAvailable > 0 && 
@@ -553,8 +651,7 @@ export class GameState {
         // Check if player can place a piece
         if ((this.pieces[nextPlayer].discsAvailable > 0 && 
              this.getValidPiecePlacements(nextPlayer, 'disc').length > 0) ||
-            (this.pieces[nextPlayer].ringsAvailable > 0 && 
-             this.pieces[nextPlayer].discsCaptured > 0 &&
+            (this.canPlaceRing(nextPlayer) &&
              this.getValidPiecePlacements(nextPlayer, 'ring').length > 0)) {
             return; // Can place a piece
         }
@@ -590,14 +687,21 @@ export class GameState {
     }
     
     savePositionToHistory() {
-        // Create a simplified representation of the board for position comparison
-        const position = JSON.stringify(this.board.tiles);
-        this.board.positionHistory.push(position);
+        this.board.positionHistory.push(this.getPositionKey());
     }
     
-    checkPositionRepetition() {
-        // Check if current position has been repeated three times
-        const currentPosition = JSON.stringify(this.board.tiles);
+    /**
+     * Check if the position has occurred as many times as the variant allows (three times in standard games)
+     * @param {string} [sideToMove] - Player to move in the position checked
+     * @returns {boolean} - True if the game is drawn by repetition
+     */
+    checkPositionRepetition(sideToMove = this.currentPlayer) {
+        const limit = this.variant.repetitionLimit;
+        if (!limit) {
+            return false;
+        }
+        
+        const currentPosition = this.getPositionKey(sideToMove);
         
         let repetitionCount = 0;
         for (const position of this.board.positionHistory) {
@@ -606,33 +710,350 @@ export class GameState {
             }
         }
         
-        return repetitionCount >= 3;
+        return repetitionCount >= limit;
+    }
+    
+    /* Position Hashing */
+    
+    /**
+     * Get the key of the position: Zobrist hash of the tiles, pieces, piece counts and side to move
+     * Equal positions have equal keys, so it serves for repetitions and as a transposition key in searches
+     * @param {string} [sideToMove] - Player to move, the current player by default
+     * @returns {string} - 16 hex digits
+     */
+    getPositionKey(sideToMove = this.currentPlayer) {
+        return formatPositionKey(this.hash, sideToMove);
+    }
+    
+    /**
+     * Recompute the hash from scratch, after the board or counts were replaced as a whole
+     */
+    updateHash() {
+        this.hash = computeHash(this.board.tiles, this.pieces);
+    }
+    
+    /**
+     * Put a piece on a tile or remove it, keeping the hash up to date
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {Object|null} piece - { type, color }, or null to empty the tile
+     */
+    setPiece(q, r, piece) {
+        const tile = this.board.tiles[`${q},${r}`];
+        
+        if (tile.piece) {
+            toggleKey(this.hash, pieceKey(q, r, tile.piece));
+        }
+        tile.piece = piece;
+        if (piece) {
+            toggleKey(this.hash, pieceKey(q, r, piece));
+        }
+    }
+    
+    /**
+     * Change a piece count of a player, keeping the hash up to date
+     * @param {string} color - 'black' or 'white'
+     * @param {string} counter - e.g. 'discsAvailable' or 'ringsCaptured'
+     * @param {number} delta - Amount added
+     */
+    changeCount(color, counter, delta) {
+        const value = this.pieces[color][counter];
+        
+        toggleKey(this.hash, countKey(color, counter, value));
+        this.pieces[color][counter] = value + delta;
+        toggleKey(this.hash, countKey(color, counter, value + delta));
+    }
+    
+    /**
+     * End the game because a player ran out of time
+     * Games without clocks can lose on time too, when a record says so (see core/gameRecord.js)
+     * @param {string} color - The player whose time is up
+     */
+    loseOnTime(color) {
+        if (this.gameStatus !== 'ongoing') {
+            return;
+        }
+        
+        if (this.clock) {
+            stopClock(this.clock, Date.now());
+            this.clock.remaining[color] = 0;
+        }
+        
+        this.gameStatus = 'timeout';
+        this.winner = color === 'black' ? 'white' : 'black';
+        this.winReason = 'time';
+        this.endGame();
+    }
+    
+    /**
+     * End the game because a player resigned
+     * Players may resign at any time, not only on their turn
+     * @param {string} color - The player who resigns
+     * @returns {boolean} - True if the game was ongoing
+     */
+    resign(color) {
+        if (this.gameStatus !== 'ongoing') {
+            return false;
+        }
+        
+        this.winner = color === 'black' ? 'white' : 'black';
+        this.gameStatus = `${this.winner}_win`;
+        this.winReason = 'resignation';
+        this.endGame();
+        return true;
+    }
+    
+    /**
+     * End the game as a draw both players agreed to
+     * @returns {boolean} - True if the game was ongoing
+     */
+    agreeDraw() {
+        if (this.gameStatus !== 'ongoing') {
+            return false;
+        }
+        
+        this.gameStatus = 'draw';
+        this.drawReason = 'agreement';
+        this.endGame();
+        return true;
+    }
+    
+    /**
+     * Stop the clocks and drop the selection once a game ended away from the board (time, resignation, agreement)
+     * The end is not a turn of the history: undo takes back the last turn before it, and the game goes on
+     */
+    endGame() {
+        if (this.clock) {
+            stopClock(this.clock, Date.now());
+        }
+        this.currentAction = null;
+        this.selectedPiece = null;
+        
+        this.notifyStateChange();
     }
     
     /* State Serialization */
     
     getSerializableState() {
         return {
+            version: SAVE_VERSION,
             currentPlayer: this.currentPlayer,
             gameStatus: this.gameStatus,
             winner: this.winner,
+            winReason: this.winReason,
             drawReason: this.drawReason,
             board: this.board,
-            pieces: this.pieces
+            pieces: this.pieces,
+            clock: this.clock,
+            variant: this.variant,
+            history: {
+                start: this.historyStart,
+                turns: this.turnHistory,
+                redo: this.redoStack
+            }
         };
     }
     
+    /**
+     * Load a saved game (see core/saveFormat.js for the format)
+     * Older saves are migrated; the state is left untouched if the save is rejected
+     * @param {Object} saveData - Serializable game state, of any known save version
+     * @throws {SaveFormatError} - If the save is invalid
+     */
     loadFromSave(saveData) {
-        this.currentPlayer = saveData.currentPlayer;
-        this.gameStatus = saveData.gameStatus;
-        this.winner = saveData.winner;
-        this.drawReason = saveData.drawReason;
-        this.board = saveData.board;
-        this.pieces = saveData.pieces;
+        const save = readSave(saveData);
+        
+        this.currentPlayer = save.currentPlayer;
+        this.gameStatus = save.gameStatus;
+        this.winner = save.winner || null;
+        this.winReason = save.winReason || null;
+        this.drawReason = save.drawReason || null;
+        this.board = save.board;
+        this.pieces = save.pieces;
+        this.updateHash();
+        this.clock = save.clock;
+        this.variant = save.variant;
+        
+        this.historyStart = save.history.start;
+        this.turnHistory = save.history.turns;
+        this.redoStack = save.history.redo;
         
         // Notify state change
         this.notifyStateChange();
     }
+
+    /**
+     * Create an independent copy of the game state, without any event listeners
+     * Used to try out turns (e.g. in the AI search) without touching the real game
+     * @returns {GameState} - The copied game state
+     */
+    clone() {
+        const copy = new GameState();
+
+        copy.currentPlayer = this.currentPlayer;
+        copy.gameStatus = this.gameStatus;
+        copy.winner = this.winner;
+        copy.winReason = this.winReason;
+        copy.drawReason = this.drawReason;
+        copy.variant = this.variant;
+
+        // Copy tiles by hand - this is called for every node of a search, so avoid JSON round-trips
+        const tiles = {};
+        for (const key in this.board.tiles) {
+            const tile = this.board.tiles[key];
+            tiles[key] = {
+                color: tile.color,
+                piece: tile.piece ? { ...tile.piece } : null
+            };
+        }
+
+        copy.board = {
+            tiles,
+            positionHistory: [...this.board.positionHistory]
+        };
+        copy.pieces = {
+            black: { ...this.pieces.black },
+            white: { ...this.pieces.white }
+        };
+        copy.hash = [...this.hash];
+
+        // Copies are only used to try out turns, no need to keep an undo history for them
+        copy.recordHistory = false;
+
+        return copy;
+    }
+
+    /* Turn History (undo/redo) */
+    
+    /**
+     * Start a new turn history from the current position
+     */
+    startHistory() {
+        this.historyStart = {
+            snapshot: this.createSnapshot(),
+            positionHistory: [...this.board.positionHistory]
+        };
+        this.turnHistory = [];
+        this.redoStack = [];
+    }
+    
+    /**
+     * Create a snapshot of the position (without the repetition history, which is rebuilt on restore)
+     * @returns {Object} - Serializable snapshot
+     */
+    createSnapshot() {
+        return {
+            currentPlayer: this.currentPlayer,
+            gameStatus: this.gameStatus,
+            winner: this.winner,
+            winReason: this.winReason,
+            drawReason: this.drawReason,
+            tiles: JSON.parse(JSON.stringify(this.board.tiles)),
+            pieces: JSON.parse(JSON.stringify(this.pieces))
+        };
+    }
+    
+    /**
+     * Set the position from a snapshot (the repetition history is left empty)
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     */
+    loadSnapshot(snapshot) {
+        this.currentPlayer = snapshot.currentPlayer;
+        this.gameStatus = snapshot.gameStatus;
+        this.winner = snapshot.winner;
+        this.winReason = snapshot.winReason;
+        this.drawReason = snapshot.drawReason;
+        this.board = {
+            tiles: JSON.parse(JSON.stringify(snapshot.tiles)),
+            positionHistory: []
+        };
+        this.pieces = JSON.parse(JSON.stringify(snapshot.pieces));
+        this.updateHash();
+    }
+    
+    /**
+     * Add a committed turn to the history
+     * Keeping only the position added by this turn avoids copying the whole repetition history every turn
+     * @param {Object|null} turn - The committed turn
+     */
+    recordTurn(turn) {
+        if (!this.historyStart) {
+            return;
+        }
+        
+        this.turnHistory.push({
+            turn,
+            snapshot: this.createSnapshot(),
+            position: this.board.positionHistory[this.board.positionHistory.length - 1]
+        });
+        
+        // A new turn makes the undone turns unreachable
+        this.redoStack = [];
+    }
+    
+    /**
+     * Check if there is a committed turn to undo
+     * @returns {boolean} - True if undo is possible
+     */
+    canUndo() {
+        return this.historyStart !== null && this.turnHistory.length > 0;
+    }
+    
+    /**
+     * Check if there is an undone turn to redo
+     * @returns {boolean} - True if redo is possible
+     */
+    canRedo() {
+        return this.historyStart !== null && this.redoStack.length > 0;
+    }
+    
+    /**
+     * Undo the last committed turn
+     * @returns {boolean} - True if a turn was undone
+     */
+    undoTurn() {
+        if (!this.canUndo()) {
+            return false;
+        }
+        
+        this.redoStack.push(this.turnHistory.pop());
+        this.restoreFromHistory();
+        return true;
+    }
+    
+    /**
+     * Redo the last undone turn
+     * @returns {boolean} - True if a turn was redone
+     */
+    redoTurn() {
+        if (!this.canRedo()) {
+            return false;
+        }
+        
+        this.turnHistory.push(this.redoStack.pop());
+        this.restoreFromHistory();
+        return true;
+    }
+    
+    /**
+     * Restore the position after the last turn of the history
+     */
+    restoreFromHistory() {
+        const lastEntry = this.turnHistory[this.turnHistory.length - 1];
+        
+        this.loadSnapshot(lastEntry ? lastEntry.snapshot : this.historyStart.snapshot);
+        this.board.positionHistory = [
+            ...this.historyStart.positionHistory,
+            ...this.turnHistory.map(entry => entry.position)
+        ];
+        
+        // Drop anything from a turn in progress
+        this.currentAction = null;
+        this.selectedPiece = null;
+        this.savedState = null;
+        
+        this.notifyStateChange();
+    }
     
     /* Event Handling */
     
@@ -663,6 +1084,7 @@ export class GameState {
             pieces: JSON.parse(JSON.stringify(this.pieces)),
             gameStatus: this.gameStatus,
             winner: this.winner,
+            winReason: this.winReason,
             drawReason: this.drawReason
         };
     }
@@ -681,8 +1103,10 @@ export class GameState {
         this.currentAction = this.savedState.currentAction;
         this.selectedPiece = this.savedState.selectedPiece ? { ...this.savedState.selectedPiece } : null;
         this.pieces = JSON.parse(JSON.stringify(this.savedState.pieces));
+        this.updateHash();
         this.gameStatus = this.savedState.gameStatus;
         this.winner = this.savedState.winner;
+        this.winReason = this.savedState.winReason;
         this.drawReason = this.savedState.drawReason;
         
         // Notify that state has changed
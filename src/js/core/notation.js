@@ -0,0 +1,182 @@
+/**
+ * notation - Text notation for Hexaequo turns, using the axial q,r coordinates of GameState
+ *
+ * - Tile placement:   T1,-1        (T + hex)
+ * - Disc placement:   D0,1         (D + hex)
+ * - Ring placement:   R0,1         (R + hex)
+ * - Piece movement:   0,0>1,0      (start hex, then each landing hex)
+ *   Each landing hex is preceded by '>' for a plain step or 'x' for a step that captures:
+ *   - disc jump chain: 0,0>2,0x2,2 (jumps over an own piece, then captures while jumping again)
+ *   - ring capture:    1,0x1,2     (lands on an opponent piece)
+ */
+
+const HEX_PATTERN = '(-?\\d+),(-?\\d+)';
+const PLACEMENT_REGEX = new RegExp(`^([TDR])${HEX_PATTERN}$`);
+const MOVE_START_REGEX = new RegExp(`^${HEX_PATTERN}`);
+const MOVE_STEP_REGEX = new RegExp(`([>x])${HEX_PATTERN}`, 'y');
+
+const PIECE_LETTERS = {
+    D: 'disc',
+    R: 'ring'
+};
+
+/**
+ * Format a hex as 'q,r'
+ * @param {Object} hex - {q, r}
+ * @returns {string} - The formatted hex
+ */
+export function formatHex(hex) {
+    return `${hex.q},${hex.r}`;
+}
+
+/**
+ * Format a turn in notation
+ * Captures are worked out from the position, so the state must be the one the turn is played from
+ * @param {GameState} state - Position before the turn (not modified)
+ * @param {Object} turn - The turn (see core/rules.js for the format)
+ * @returns {string} - The turn in notation
+ */
+export function formatTurn(state, turn) {
+    if (turn.type === 'place_tile') {
+        return `T${formatHex(turn)}`;
+    }
+
+    if (turn.type === 'place_piece') {
+        return `${turn.pieceType === 'ring' ? 'R' : 'D'}${formatHex(turn)}`;
+    }
+
+    // Piece movement - replay the steps on a copy to find the captures
+    const probe = state.clone();
+    let current = turn.from;
+    let text = formatHex(turn.from);
+
+    for (const step of turn.path) {
+        const capturedBefore = countCaptured(probe, probe.currentPlayer);
+        probe.movePiece(current.q, current.r, step.q, step.r);
+        const captured = countCaptured(probe, probe.currentPlayer) > capturedBefore;
+
+        text += `${captured ? 'x' : '>'}${formatHex(step)}`;
+        current = step;
+    }
+
+    return text;
+}
+
+/**
+ * Format a hex to be read out by a screen reader, with real minus signs ("2,−1")
+ * @param {Object} hex - {q, r}
+ * @returns {string} - The formatted hex
+ */
+export function formatSpokenHex(hex) {
+    return formatHex(hex).replace(/-/g, '\u2212');
+}
+
+/**
+ * Describe a turn in words, e.g. "White ring from 1,0 captures black disc at 2,−1"
+ * @param {GameState} state - Position before the turn (not modified)
+ * @param {Object} turn - The turn (see core/rules.js for the format)
+ * @returns {string} - The description
+ */
+export function describeTurn(state, turn) {
+    const player = state.currentPlayer.charAt(0).toUpperCase() + state.currentPlayer.slice(1);
+
+    if (turn.type === 'place_tile') {
+        return `${player} places a tile at ${formatSpokenHex(turn)}`;
+    }
+
+    if (turn.type === 'place_piece') {
+        return `${player} places a ${turn.pieceType} at ${formatSpokenHex(turn)}`;
+    }
+
+    // Piece movement - replay the steps on a copy to find the captures
+    const probe = state.clone();
+    const piece = probe.board.tiles[formatHex(turn.from)].piece;
+    const steps = [];
+    let current = turn.from;
+
+    for (const step of turn.path) {
+        // Discs jump two hexes away (rings always move two hexes away)
+        const isJump = piece.type === 'disc' && Math.max(
+            Math.abs(step.q - current.q),
+            Math.abs(step.r - current.r),
+            Math.abs(step.q - current.q + step.r - current.r)
+        ) === 2;
+
+        // Jumps capture the piece jumped over, rings the piece they land on
+        const target = isJump ? { q: (current.q + step.q) / 2, r: (current.r + step.r) / 2 } : step;
+        const targetTile = probe.board.tiles[formatHex(target)];
+        const targetPiece = targetTile && targetTile.piece ? { ...targetTile.piece } : null;
+
+        const capturedBefore = countCaptured(probe, probe.currentPlayer);
+        probe.movePiece(current.q, current.r, step.q, step.r);
+        const captured = countCaptured(probe, probe.currentPlayer) > capturedBefore;
+
+        const victim = captured && targetPiece ? `${targetPiece.color} ${targetPiece.type}` : null;
+        if (isJump) {
+            steps.push(`jumps to ${formatSpokenHex(step)}${victim ? ` capturing ${victim} at ${formatSpokenHex(target)}` : ''}`);
+        } else if (victim) {
+            steps.push(`captures ${victim} at ${formatSpokenHex(step)}`);
+        } else {
+            steps.push(`moves to ${formatSpokenHex(step)}`);
+        }
+        current = step;
+    }
+
+    return `${player} ${piece.type} from ${formatSpokenHex(turn.from)} ${steps.join(', then ')}`;
+}
+
+/**
+ * Count the opponent pieces captured by a player
+ * @param {GameState} state - The game state
+ * @param {string} color - 'black' or 'white'
+ * @returns {number} - Captured discs and rings
+ */
+function countCaptured(state, color) {
+    return state.pieces[color].discsCaptured + state.pieces[color].ringsCaptured;
+}
+
+/**
+ * Parse a turn written in notation
+ * Capture markers are read but not checked here - compare with formatTurn() to check them against a position
+ * @param {string} text - The turn in notation
+ * @returns {Object|null} - The turn, or null if the text is not valid notation
+ */
+export function parseTurn(text) {
+    const trimmed = text.trim();
+
+    const placement = PLACEMENT_REGEX.exec(trimmed);
+    if (placement) {
+        const q = Number(placement[2]);
+        const r = Number(placement[3]);
+
+        if (placement[1] === 'T') {
+            return { type: 'place_tile', q, r };
+        }
+        return { type: 'place_piece', q, r, pieceType: PIECE_LETTERS[placement[1]] };
+    }
+
+    const start = MOVE_START_REGEX.exec(trimmed);
+    if (!start) {
+        return null;
+    }
+
+    const turn = {
+        type: 'move_piece',
+        from: { q: Number(start[1]), r: Number(start[2]) },
+        path: []
+    };
+
+    MOVE_STEP_REGEX.lastIndex = start[0].length;
+    let step;
+    while ((step = MOVE_STEP_REGEX.exec(trimmed)) !== null) {
+        turn.path.push({ q: Number(step[2]), r: Number(step[3]) });
+        if (MOVE_STEP_REGEX.lastIndex === trimmed.length) break;
+    }
+
+    // The whole text must have been consumed by steps
+    if (turn.path.length === 0 || MOVE_STEP_REGEX.lastIndex !== trimmed.length) {
+        return null;
+    }
+
+    return turn;
+}
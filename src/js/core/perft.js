@@ -0,0 +1,56 @@
+import { applyTurn, generateTurns } from './rules.js';
+import { formatTurn } from './notation.js';
+
+/**
+ * perft - Counts of the legal turn sequences from a position, for checking turn generation
+ * perft(state, n) is the number of different sequences of n complete turns (a disc jump chain is one turn).
+ * Games that end on the way count no further, like in chess perft.
+ * The counts of known positions are kept in tests/fixtures/perft.json; run tools/perft.js to compute or check them.
+ */
+
+/**
+ * Count the turn sequences of a given length
+ * @param {GameState} state - The position (not modified)
+ * @param {number} depth - Number of turns
+ * @returns {number} - Number of sequences (leaf nodes)
+ */
+export function perft(state, depth) {
+    if (depth === 0) {
+        return 1;
+    }
+
+    const turns = generateTurns(state);
+
+    // The last turns are counted without being played
+    if (depth === 1) {
+        return turns.length;
+    }
+
+    let nodes = 0;
+    for (const turn of turns) {
+        const child = state.clone();
+        applyTurn(child, turn, { skipValidation: true });
+        nodes += perft(child, depth - 1);
+    }
+    return nodes;
+}
+
+/**
+ * Count the turn sequences of a given length, for each first turn
+ * Comparing the breakdowns of two versions of the rules shows which turn they disagree on.
+ * @param {GameState} state - The position (not modified)
+ * @param {number} depth - Number of turns, at least 1
+ * @returns {Array} - Array of { turn, notation, nodes }, in turn generation order
+ */
+export function divide(state, depth) {
+    return generateTurns(state).map(turn => {
+        const child = state.clone();
+        applyTurn(child, turn, { skipValidation: true });
+
+        return {
+            turn,
+            notation: formatTurn(state, turn),
+            nodes: perft(child, depth - 1)
+        };
+    });
+}
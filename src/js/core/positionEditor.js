@@ -0,0 +1,216 @@
+import { GameState } from './gameState.js';
+import { generateTurns } from './rules.js';
+import { validatePosition } from './saveFormat.js';
+import { STANDARD_VARIANT, VICTORY_CONDITIONS } from './variants.js';
+
+const COLORS = ['black', 'white'];
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, -1], [-1, 1]];
+
+export const PIECE_COUNTS = ['tilesAvailable', 'discsAvailable', 'ringsAvailable', 'discsCaptured', 'ringsCaptured'];
+
+/**
+ * PositionEditor - Sets up arbitrary positions (for teaching and testing) and starts games from them
+ * The position is edited in its own GameState: tiles and pieces are added and removed by hand,
+ * the reserves and captured counts set, and the side to move chosen.
+ * What goes on the board comes out of the reserve of its color while there is some left, and goes back
+ * to it when removed, so the inventory of the variant stays accounted for; getProblems() tells what is
+ * wrong with the position before a game can start from it.
+ * A new editor starts from an empty board of the given variant (the standard rules by default).
+ */
+export class PositionEditor {
+    constructor(variant = STANDARD_VARIANT) {
+        this.state = new GameState();
+        this.state.variant = variant;
+        this.state.recordHistory = false;
+        this.clear();
+    }
+
+    /**
+     * Create an editor holding a copy of the position of a game
+     * @param {GameState} gameState - The game (not modified)
+     * @returns {PositionEditor} - The editor
+     */
+    static fromState(gameState) {
+        const editor = new PositionEditor(gameState.variant);
+        editor.state.loadSnapshot(gameState.createSnapshot());
+        editor.state.gameStatus = 'ongoing';
+        editor.state.winner = null;
+        editor.state.winReason = null;
+        editor.state.drawReason = null;
+        return editor;
+    }
+
+    /**
+     * Empty the board: every tile and piece back in reserve, nothing captured
+     */
+    clear() {
+        const { currentPlayer } = this.state;
+        this.state.reset();
+        this.state.currentPlayer = currentPlayer;
+        this.state.recordHistory = false;
+    }
+
+    /**
+     * Put the starting layout of the variant back
+     */
+    resetToStart() {
+        this.state.setupNewGame(this.state.variant);
+        this.state.recordHistory = false;
+    }
+
+    /**
+     * Take an item out of a reserve, if there is one left
+     * @param {string} color - 'black' or 'white'
+     * @param {string} counter - e.g. 'tilesAvailable'
+     */
+    takeFromReserve(color, counter) {
+        if (this.state.pieces[color][counter] > 0) {
+            this.state.pieces[color][counter]--;
+        }
+    }
+
+    /**
+     * Add, recolor or remove a tile
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string|null} color - Tile color, or null to remove the tile (and the piece on it)
+     */
+    setTile(q, r, color) {
+        const key = `${q},${r}`;
+        const tile = this.state.board.tiles[key];
+
+        if (tile && tile.color === color) {
+            return;
+        }
+        if (tile) {
+            this.state.pieces[tile.color].tilesAvailable++;
+        }
+
+        if (color) {
+            this.takeFromReserve(color, 'tilesAvailable');
+            this.state.board.tiles[key] = { color, piece: tile ? tile.piece : null };
+        } else {
+            this.setPiece(q, r, null);
+            delete this.state.board.tiles[key];
+        }
+        this.state.updateHash();
+    }
+
+    /**
+     * Put a piece on a tile, replacing the piece already there, or remove it
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {Object|null} piece - { type, color }, or null to empty the tile
+     * @throws {Error} - If there is no tile there
+     */
+    setPiece(q, r, piece) {
+        const tile = this.state.board.tiles[`${q},${r}`];
+        if (!tile) {
+            throw new Error(`No tile at ${q},${r}`);
+        }
+
+        if (tile.piece) {
+            this.state.pieces[tile.piece.color][`${tile.piece.type}sAvailable`]++;
+        }
+        if (piece) {
+            this.takeFromReserve(piece.color, `${piece.type}sAvailable`);
+        }
+        tile.piece = piece ? { type: piece.type, color: piece.color } : null;
+        this.state.updateHash();
+    }
+
+    /**
+     * Set a reserve or captured count
+     * @param {string} color - 'black' or 'white'
+     * @param {string} counter - One of PIECE_COUNTS
+     * @param {number} value - New count (whole number, 0 or more)
+     */
+    setCount(color, counter, value) {
+        if (!COLORS.includes(color) || !PIECE_COUNTS.includes(counter)) {
+            throw new Error(`Unknown count ${color} ${counter}`);
+        }
+        this.state.pieces[color][counter] = Math.max(0, Math.floor(value) || 0);
+        this.state.updateHash();
+    }
+
+    /**
+     * Choose the side to move
+     * @param {string} color - 'black' or 'white'
+     */
+    setSideToMove(color) {
+        if (!COLORS.includes(color)) {
+            throw new Error('Invalid color');
+        }
+        this.state.currentPlayer = color;
+    }
+
+    /**
+     * Get the empty hexes where a tile can be added: next to the tiles, or the center of an empty board
+     * @returns {Array} - Array of {q, r}
+     */
+    getFreeHexes() {
+        const tiles = this.state.board.tiles;
+        if (Object.keys(tiles).length === 0) {
+            return [{ q: 0, r: 0 }];
+        }
+
+        const free = new Map();
+        for (const key in tiles) {
+            const [q, r] = key.split(',').map(Number);
+            for (const [dq, dr] of NEIGHBORS) {
+                const neighbor = `${q + dq},${r + dr}`;
+                if (!tiles[neighbor]) {
+                    free.set(neighbor, { q: q + dq, r: r + dr });
+                }
+            }
+        }
+        return [...free.values()];
+    }
+
+    /**
+     * Check if a game can start from the position
+     * @returns {Array<string>} - Problems found (empty if the position can be played)
+     */
+    getProblems() {
+        const state = this.state;
+        const problems = validatePosition({
+            currentPlayer: state.currentPlayer,
+            gameStatus: 'ongoing',
+            tiles: state.board.tiles,
+            pieces: state.pieces
+        }, null, state.variant.inventory);
+
+        if (problems.length > 0) {
+            return problems;
+        }
+
+        // The game must not be over before the first turn
+        for (const name of state.variant.victoryConditions) {
+            for (const color of COLORS) {
+                if (VICTORY_CONDITIONS[name].hasLost(state, color)) {
+                    problems.push(`${color} has already lost (${VICTORY_CONDITIONS[name].name.toLowerCase()})`);
+                }
+            }
+        }
+        if (problems.length === 0 && generateTurns(state).length === 0) {
+            problems.push(`${state.currentPlayer}, to move, has no legal turn`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Start a game from the edited position
+     * @param {GameState} gameState - The game to set up (its current game is replaced)
+     * @throws {Error} - If the position cannot be played (see getProblems)
+     */
+    startGame(gameState) {
+        const problems = this.getProblems();
+        if (problems.length > 0) {
+            throw new Error(`This position cannot be played: ${problems.join('; ')}`);
+        }
+
+        const { currentPlayer, tiles, pieces } = this.state.createSnapshot();
+        gameState.setupPosition({ currentPlayer, tiles, pieces }, this.state.variant);
+    }
+}
@@ -0,0 +1,280 @@
+import { GameState } from './gameState.js';
+import { applyTurn, isLegalTurn } from './rules.js';
+import { formatTurn, parseTurn } from './notation.js';
+import { PositionEditor } from './positionEditor.js';
+import { validatePosition } from './saveFormat.js';
+import { STANDARD_VARIANT, getVariant } from './variants.js';
+
+/**
+ * puzzles - "Win in N" puzzles: a position to win from, with the turns that win it
+ *
+ * A puzzle collection is a JSON file (see src/assets/puzzles):
+ *
+ *   {
+ *     "name": "Starter puzzles",
+ *     "puzzles": [
+ *       {
+ *         "id": "first-capture",
+ *         "title": "First capture",
+ *         "description": "White has a single piece on the board.",
+ *         "position": { "currentPlayer": "black", "tiles": { ... }, "pieces": { ... } },
+ *         "solution": ["1,-1x1,1"],
+ *         "alternatives": [["..."]]
+ *       }
+ *     ]
+ *   }
+ *
+ * - position: as in GameState.createSnapshot(); the side to move (currentPlayer) is the one solving the puzzle
+ * - variant: id of a built-in rules variant (see core/variants.js), the standard rules if left out
+ * - solution: turns in notation (see core/notation.js), the solver's and the defender's replies in turn,
+ *   ending with the solver's winning turn; a puzzle with 2N - 1 turns is a win in N
+ * - alternatives: other lines accepted from the start, no longer than the solution (optional)
+ *
+ * The solver's turns must follow one of the lines. The defender answers with the next turn of the first
+ * line that matches the turns played so far.
+ */
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} - True for objects that are not arrays
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the rules variant of a puzzle
+ * @param {Object} puzzle - The puzzle
+ * @returns {Object|null} - The variant, or null if the puzzle names an unknown one
+ */
+export function getPuzzleVariant(puzzle) {
+    return puzzle.variant === undefined ? STANDARD_VARIANT : getVariant(puzzle.variant);
+}
+
+/**
+ * Get the number of turns the solver needs to win
+ * @param {Object} puzzle - The puzzle
+ * @returns {number} - N of "win in N"
+ */
+export function getPuzzleLength(puzzle) {
+    return Math.ceil(puzzle.solution.length / 2);
+}
+
+/**
+ * Set up a game at the starting position of a puzzle
+ * @param {Object} puzzle - A valid puzzle
+ * @param {GameState} [state] - The game to set up (its current game is replaced), a new one by default
+ * @returns {GameState} - The game, with the puzzle position as the start of its history
+ */
+export function setupPuzzle(puzzle, state = new GameState()) {
+    state.setupPosition(puzzle.position, getPuzzleVariant(puzzle));
+    return state;
+}
+
+/**
+ * Replay a line of a puzzle from its position
+ * @param {Object} puzzle - The puzzle (with a valid position)
+ * @param {Array} line - Turns in notation
+ * @param {string} where - Name of the line in problems, e.g. 'solution'
+ * @returns {Array<string>} - Problems found (empty if the line wins for the solver)
+ */
+function validateLine(puzzle, line, where) {
+    if (!Array.isArray(line) || line.length === 0 || !line.every(text => typeof text === 'string')) {
+        return [`${where}: not a list of turns`];
+    }
+    if (line.length % 2 === 0) {
+        return [`${where}: must end with a turn of the solver (odd number of turns)`];
+    }
+
+    const state = setupPuzzle(puzzle);
+    state.recordHistory = false;
+    const solver = state.currentPlayer;
+
+    for (const [index, text] of line.entries()) {
+        const turn = parseTurn(text);
+        const name = `${where}: turn ${index + 1} "${text}"`;
+
+        if (!turn) {
+            return [`${name} is not valid notation`];
+        }
+        if (state.gameStatus !== 'ongoing') {
+            return [`${name} comes after the end of the game`];
+        }
+        if (!isLegalTurn(state, turn)) {
+            return [`${name} is not a legal turn`];
+        }
+        if (formatTurn(state, turn) !== text) {
+            return [`${name}: captures do not match the position (expected ${formatTurn(state, turn)})`];
+        }
+        applyTurn(state, turn, { skipValidation: true });
+    }
+
+    if (state.gameStatus !== `${solver}_win`) {
+        return [`${where}: does not end with a win for ${solver}`];
+    }
+    return [];
+}
+
+/**
+ * Check a puzzle definition
+ * @param {Object} puzzle - The puzzle
+ * @returns {Array<string>} - Problems found (empty if the puzzle is valid)
+ */
+export function validatePuzzle(puzzle) {
+    if (!isObject(puzzle)) {
+        return ['not a puzzle'];
+    }
+
+    const problems = [];
+    if (typeof puzzle.id !== 'string' || !puzzle.id) {
+        problems.push('missing id');
+    }
+    if (typeof puzzle.title !== 'string' || !puzzle.title) {
+        problems.push('missing title');
+    }
+    if (puzzle.description !== undefined && typeof puzzle.description !== 'string') {
+        problems.push('the description must be text');
+    }
+
+    const variant = getPuzzleVariant(puzzle);
+    if (!variant) {
+        problems.push(`unknown rules variant ${JSON.stringify(puzzle.variant)}`);
+        return problems;
+    }
+
+    // The position must be one a game can start from (see core/positionEditor.js)
+    const position = isObject(puzzle.position) ? { ...puzzle.position, gameStatus: 'ongoing' } : null;
+    const positionProblems = validatePosition(position, 'position', variant.inventory);
+    if (positionProblems.length > 0) {
+        return [...problems, ...positionProblems];
+    }
+    const editor = PositionEditor.fromState(setupPuzzle(puzzle));
+    const playProblems = editor.getProblems();
+    if (playProblems.length > 0) {
+        return [...problems, ...playProblems.map(problem => `position: ${problem}`)];
+    }
+
+    // Lines
+    problems.push(...validateLine(puzzle, puzzle.solution, 'solution'));
+
+    const alternatives = puzzle.alternatives === undefined ? [] : puzzle.alternatives;
+    if (!Array.isArray(alternatives)) {
+        problems.push('alternatives: not a list of lines');
+        return problems;
+    }
+    for (const [index, line] of alternatives.entries()) {
+        const where = `alternative ${index + 1}`;
+        if (Array.isArray(line) && Array.isArray(puzzle.solution) && line.length > puzzle.solution.length) {
+            problems.push(`${where}: longer than the solution`);
+        } else {
+            problems.push(...validateLine(puzzle, line, where));
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Read a puzzle collection, checking every puzzle
+ * @param {Object} data - The parsed JSON of the collection
+ * @returns {Object} - { name, puzzles }
+ * @throws {Error} - If the collection or one of its puzzles is invalid
+ */
+export function readPuzzleCollection(data) {
+    const problems = [];
+
+    if (!isObject(data) || typeof data.name !== 'string' || !Array.isArray(data.puzzles)) {
+        throw new Error('Invalid puzzle collection: a name and a list of puzzles are needed');
+    }
+
+    const ids = new Set();
+    for (const [index, puzzle] of data.puzzles.entries()) {
+        const where = isObject(puzzle) && typeof puzzle.id === 'string' ? `puzzle "${puzzle.id}"` : `puzzle ${index + 1}`;
+        problems.push(...validatePuzzle(puzzle).map(problem => `${where}: ${problem}`));
+
+        if (isObject(puzzle) && ids.has(puzzle.id)) {
+            problems.push(`${where}: the id is used twice`);
+        }
+        ids.add(isObject(puzzle) ? puzzle.id : null);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid puzzle collection "${data.name}": ${problems.join('; ')}`);
+    }
+    return { name: data.name, puzzles: data.puzzles };
+}
+
+/**
+ * PuzzleAttempt - Follows an attempt at a puzzle, turn by turn
+ * Each turn of the solver is checked against the lines of the puzzle; a correct turn is answered by
+ * the defender's reply, which the caller plays on its board. The attempt keeps its own copy of the position.
+ */
+export class PuzzleAttempt {
+    constructor(puzzle) {
+        this.puzzle = puzzle;
+        this.lines = [puzzle.solution, ...(puzzle.alternatives || [])];
+        this.solver = puzzle.position.currentPlayer;
+        this.restart();
+    }
+
+    /**
+     * Go back to the starting position of the puzzle
+     * @param {GameState} [gameState] - A game to set up at the starting position as well
+     */
+    restart(gameState = null) {
+        this.state = setupPuzzle(this.puzzle);
+        this.state.recordHistory = false;
+        this.played = []; // Turns played so far, in notation
+        this.mistakes = 0; // Turns of the solver that were not in the lines
+        this.isSolved = false;
+
+        if (gameState) {
+            setupPuzzle(this.puzzle, gameState);
+        }
+    }
+
+    /**
+     * Get the lines that go on from the turns played so far
+     * @returns {Array} - Lines of the puzzle
+     */
+    getMatchingLines() {
+        return this.lines.filter(line => this.played.every((text, index) => line[index] === text));
+    }
+
+    /**
+     * Check a turn of the solver
+     * @param {Object} turn - The turn (see core/rules.js for the format)
+     * @returns {Object} - { correct, solved, reply }: reply is the defender's turn to play next, or null
+     */
+    tryTurn(turn) {
+        const state = this.state;
+        if (this.isSolved || state.currentPlayer !== this.solver || !isLegalTurn(state, turn)) {
+            this.mistakes++;
+            return { correct: false, solved: false, reply: null };
+        }
+
+        const text = formatTurn(state, turn);
+        const lines = this.getMatchingLines().filter(line => line[this.played.length] === text);
+        if (lines.length === 0) {
+            this.mistakes++;
+            return { correct: false, solved: false, reply: null };
+        }
+
+        applyTurn(state, turn, { skipValidation: true });
+        this.played.push(text);
+
+        if (lines.some(line => line.length === this.played.length)) {
+            this.isSolved = true;
+            return { correct: true, solved: true, reply: null };
+        }
+
+        // The defender answers as the first matching line goes on
+        const replyText = lines[0][this.played.length];
+        const reply = parseTurn(replyText);
+        applyTurn(state, reply, { skipValidation: true });
+        this.played.push(replyText);
+
+        return { correct: true, solved: false, reply };
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * rules - Headless rules engine for complete turns
+ * Builds on GameState only (no DOM, no Three.js), so it can be imported in Node,
+ * in Web Workers, by bots, servers and tests to play complete games without a browser
+ *
+ * A turn is one of:
+ * - { type: 'place_tile', q, r }
+ * - { type: 'place_piece', q, r, pieceType: 'disc'|'ring' }
+ * - { type: 'move_piece', from: {q, r}, path: [{q, r}, ...] } (path holds every landing hex, in order)
+ *
+ * Turns are always played by state.currentPlayer.
+ */
+
+/**
+ * Get the key of a hex in GameState.board.tiles
+ * @param {Object} hex - {q, r}
+ * @returns {string} - The 'q,r' key
+ */
+function hexKey(hex) {
+    return `${hex.q},${hex.r}`;
+}
+
+/**
+ * Check if a list of hexes contains a hex
+ * @param {Array} hexes - Array of {q, r}
+ * @param {Object} hex - {q, r}
+ * @returns {boolean} - True if found
+ */
+function containsHex(hexes, hex) {
+    return hexes.some(other => other.q === hex.q && other.r === hex.r);
+}
+
+/**
+ * Check if the game is over
+ * @param {GameState} state - The game state
+ * @returns {boolean} - True if the game is won or drawn
+ */
+export function isTerminal(state) {
+    return state.gameStatus !== 'ongoing';
+}
+
+/**
+ * Get the legal next landing hexes for a piece movement turn in progress
+ * The state must already reflect the steps of the path (the piece stands at the end of it).
+ * - With an empty path, any normal move of the piece is allowed
+ * - Rings and adjacent disc moves end the turn after one step
+ * - A disc that jumped may keep jumping, but never lands twice on the same hex
+ * @param {GameState} state - The game state
+ * @param {Object} turn - { from: {q, r}, path: [{q, r}, ...] }
+ * @returns {Array} - Array of {q, r}
+ */
+export function getNextSteps(state, turn) {
+    const { from, path } = turn;
+    const current = path.length > 0 ? path[path.length - 1] : from;
+    const tile = state.board.tiles[hexKey(current)];
+
+    if (!tile || !tile.piece || tile.piece.color !== state.currentPlayer) {
+        return [];
+    }
+
+    if (path.length === 0) {
+        return state.getValidMoves(current.q, current.r);
+    }
+
+    // Next jumps of the chains still open
+    const steps = [];
+    for (const { path: chain } of getJumpChains(state, turn)) {
+        if (!containsHex(steps, chain[0])) {
+            steps.push(chain[0]);
+        }
+    }
+    return steps;
+}
+
+/**
+ * Get the jump chains that can follow in a piece movement turn in progress (GameState.getJumpPaths)
+ * The state must already reflect the steps of the path. A disc that has not moved yet, or that has jumped,
+ * can jump (on); rings and adjacent disc moves cannot.
+ * @param {GameState} state - The game state
+ * @param {Object} turn - { from: {q, r}, path: [{q, r}, ...] }
+ * @returns {Array} - Array of { path, captures }, with paths starting after the current hex
+ */
+export function getJumpChains(state, turn) {
+    const { from, path } = turn;
+    const current = path.length > 0 ? path[path.length - 1] : from;
+
+    if (path.length > 0 && state.isAdjacentMove(from.q, from.r, path[0].q, path[0].r)) {
+        return [];
+    }
+    return state.getJumpPaths(current.q, current.r, [from, ...path]);
+}
+
+/**
+ * List every legal complete turn for the current player
+ * Every prefix of a disc jump chain is a turn of its own, since the player may stop after any jump
+ * @param {GameState} state - The game state (not modified)
+ * @returns {Array} - Array of turn objects
+ */
+export function generateTurns(state) {
+    if (isTerminal(state)) {
+        return [];
+    }
+
+    const player = state.currentPlayer;
+    const turns = [];
+
+    // 1. Tile placements
+    if (state.pieces[player].tilesAvailable > 0) {
+        for (const { q, r } of state.getValidTilePlacements(player)) {
+            turns.push({ type: 'place_tile', q, r });
+        }
+    }
+
+    // 2. Piece placements
+    for (const pieceType of ['disc', 'ring']) {
+        for (const { q, r } of state.getValidPiecePlacements(player, pieceType)) {
+            turns.push({ type: 'place_piece', q, r, pieceType });
+        }
+    }
+
+    // 3. Piece movements, each jump followed by the chains going on from it
+    for (const key in state.board.tiles) {
+        const tile = state.board.tiles[key];
+        if (!tile.piece || tile.piece.color !== player) continue;
+
+        const [q, r] = key.split(',').map(Number);
+        const from = { q, r };
+        const chains = state.getJumpPaths(q, r);
+
+        for (const step of state.getValidMoves(q, r)) {
+            if (tile.piece.type === 'disc' && !state.isAdjacentMove(q, r, step.q, step.r)) {
+                for (const { path } of chains) {
+                    if (path[0].q === step.q && path[0].r === step.r) {
+                        turns.push({ type: 'move_piece', from, path });
+                    }
+                }
+            } else {
+                turns.push({ type: 'move_piece', from, path: [step] });
+            }
+        }
+    }
+
+    return turns;
+}
+
+/**
+ * Check if a turn is legal for the current player
+ * @param {GameState} state - The game state (not modified)
+ * @param {Object} turn - The turn to check
+ * @returns {boolean} - True if the turn can be played
+ */
+export function isLegalTurn(state, turn) {
+    if (isTerminal(state) || !turn) {
+        return false;
+    }
+
+    const player = state.currentPlayer;
+
+    if (turn.type === 'place_tile') {
+        return state.pieces[player].tilesAvailable > 0 &&
+               containsHex(state.getValidTilePlacements(player), turn);
+    }
+
+    if (turn.type === 'place_piece') {
+        return (turn.pieceType === 'disc' || turn.pieceType === 'ring') &&
+               containsHex(state.getValidPiecePlacements(player, turn.pieceType), turn);
+    }
+
+    if (turn.type === 'move_piece') {
+        if (!turn.from || !Array.isArray(turn.path) || turn.path.length === 0) {
+            return false;
+        }
+
+        // Walk the path on a copy, checking each step against the rules
+        const probe = state.clone();
+        const partial = { from: turn.from, path: [] };
+        let current = turn.from;
+
+        for (const step of turn.path) {
+            if (!containsHex(getNextSteps(probe, partial), step)) {
+                return false;
+            }
+            probe.movePiece(current.q, current.r, step.q, step.r);
+            partial.path.push(step);
+            current = step;
+        }
+
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Play a complete turn and end it (victory/draw checks and player switch happen in GameState.endTurn)
+ * The state is only modified if the turn is legal.
+ * @param {GameState} state - The game state to modify
+ * @param {Object} turn - The turn to play
+ * @param {Object} [options] - { skipValidation: true } for turns coming straight from generateTurns
+ * @returns {boolean} - True if the turn was played
+ */
+export function applyTurn(state, turn, options = {}) {
+    if (!options.skipValidation && !isLegalTurn(state, turn)) {
+        return false;
+    }
+
+    const player = state.currentPlayer;
+
+    if (turn.type === 'place_tile') {
+        state.placeTile(turn.q, turn.r, player);
+    } else if (turn.type === 'place_piece') {
+        state.placePiece(turn.q, turn.r, player, turn.pieceType);
+    } else {
+        let current = turn.from;
+        for (const step of turn.path) {
+            state.movePiece(current.q, current.r, step.q, step.r);
+            current = step;
+        }
+    }
+
+    state.endTurn(turn);
+    return true;
+}
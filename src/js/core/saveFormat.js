@@ -0,0 +1,408 @@
+import { validateClock } from './gameClock.js';
+import { STANDARD_VARIANT, VICTORY_CONDITIONS, validateVariant } from './variants.js';
+import { getSnapshotKey } from './zobrist.js';
+
+/**
+ * saveFormat - Versioned format of saved games (GameState.getSerializableState)
+ * Every save goes through readSave before being loaded: older versions are migrated,
+ * then the position and its turn history are checked, so a corrupted save cannot put the game in an impossible state.
+ *
+ * Versions:
+ * - 1: no version field, turn history optional (saves from before undo/redo)
+ * - 2: version field, turn history required
+ * - 3: game clocks (clock field, 'timeout' game status)
+ * - 4: rules variants (variant field, see core/variants.js)
+ * - 5: positions of the repetition history are Zobrist keys (see core/zobrist.js) instead of board JSON
+ * - 6: how the game ended (winReason field, draws by agreement)
+ */
+
+export const SAVE_VERSION = 6;
+
+const COLORS = ['black', 'white'];
+const GAME_STATUSES = ['ongoing', 'black_win', 'white_win', 'draw', 'timeout'];
+const WIN_REASONS = [...Object.keys(VICTORY_CONDITIONS), 'resignation'];
+const DRAW_REASONS = ['no_moves', 'repetition', 'agreement'];
+const PIECE_TYPES = ['disc', 'ring'];
+const PIECE_COUNTS = ['tilesAvailable', 'discsAvailable', 'ringsAvailable', 'discsCaptured', 'ringsCaptured'];
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, -1], [-1, 1]];
+const TILE_KEY_REGEX = /^-?\d+,-?\d+$/;
+
+/**
+ * Migrations: MIGRATIONS[n] turns a version n save into a version n + 1 save
+ */
+const MIGRATIONS = {
+    1: (save) => {
+        const positionHistory = save.board && Array.isArray(save.board.positionHistory) ? save.board.positionHistory : [];
+
+        // Start the turn history from the saved position (a copy, as the board changes during the game)
+        if (!save.history || !save.history.start) {
+            const snapshot = {
+                currentPlayer: save.currentPlayer,
+                gameStatus: save.gameStatus,
+                winner: save.winner,
+                drawReason: save.drawReason,
+                tiles: save.board ? save.board.tiles : undefined,
+                pieces: save.pieces
+            };
+            save.history = {
+                start: {
+                    snapshot: JSON.parse(JSON.stringify(snapshot)),
+                    positionHistory: [...positionHistory]
+                },
+                turns: [],
+                redo: []
+            };
+        }
+        if (save.board) {
+            save.board.positionHistory = positionHistory;
+        }
+        save.history.turns = save.history.turns || [];
+        save.history.redo = save.history.redo || [];
+        return save;
+    },
+    2: (save) => {
+        save.clock = null;
+        return save;
+    },
+    3: (save) => {
+        save.variant = JSON.parse(JSON.stringify(STANDARD_VARIANT));
+        return save;
+    },
+    4: (save) => {
+        const history = save.history;
+        const canHash = (snapshot) => isObject(snapshot) && isObject(snapshot.tiles) && isObject(snapshot.pieces);
+        if (!isObject(history) || !isObject(history.start) || !canHash(history.start.snapshot) ||
+            !Array.isArray(history.turns) || !Array.isArray(history.redo) || !isObject(save.board)) {
+            return save; // Rejected by validateSave anyway
+        }
+
+        // Keys are worked out from the snapshots; positions from before the history start are lost
+        history.start.positionHistory = [getSnapshotKey(history.start.snapshot)];
+        for (const entry of [...history.turns, ...history.redo]) {
+            if (isObject(entry) && canHash(entry.snapshot)) {
+                entry.position = getSnapshotKey(entry.snapshot);
+            }
+        }
+        save.board.positionHistory = [
+            ...history.start.positionHistory,
+            ...history.turns.map(entry => isObject(entry) ? entry.position : null)
+        ];
+        return save;
+    },
+    5: (save) => {
+        const variant = isObject(save.variant) ? save.variant : STANDARD_VARIANT;
+        save.winReason = findWinReason({
+            gameStatus: save.gameStatus,
+            winner: save.winner,
+            tiles: isObject(save.board) ? save.board.tiles : null,
+            pieces: save.pieces
+        }, variant);
+
+        const history = save.history;
+        if (isObject(history)) {
+            const entries = [history.start, ...(Array.isArray(history.turns) ? history.turns : []),
+                             ...(Array.isArray(history.redo) ? history.redo : [])];
+            for (const entry of entries) {
+                if (isObject(entry) && isObject(entry.snapshot)) {
+                    entry.snapshot.winReason = findWinReason(entry.snapshot, variant);
+                }
+            }
+        }
+        return save;
+    }
+};
+
+/**
+ * Work out how a game saved before version 6 was won: games could only be won by a victory condition or on time then
+ * @param {Object} position - { gameStatus, winner, tiles, pieces }, not checked yet
+ * @param {Object} variant - Rules variant of the game
+ * @returns {string|null} - The win reason, or null if the game was not won (or cannot be read)
+ */
+function findWinReason(position, variant) {
+    const { gameStatus, winner, tiles, pieces } = position;
+    if (gameStatus === 'timeout') {
+        return 'time';
+    }
+    if ((gameStatus !== 'black_win' && gameStatus !== 'white_win') || !isObject(tiles) || !isObject(pieces)) {
+        return null;
+    }
+
+    const loser = winner === 'black' ? 'white' : 'black';
+    if (!isObject(pieces[loser]) || !Array.isArray(variant.victoryConditions)) {
+        return null;
+    }
+
+    // The victory conditions only look at the pieces in hand and the pieces on the board
+    const state = {
+        pieces,
+        countPiecesOnBoard: (color, type) => Object.values(tiles).filter(tile =>
+            isObject(tile) && isObject(tile.piece) && tile.piece.color === color && tile.piece.type === type
+        ).length
+    };
+    return variant.victoryConditions.find(name =>
+        VICTORY_CONDITIONS[name] && VICTORY_CONDITIONS[name].hasLost(state, loser)
+    ) || null;
+}
+
+/**
+ * SaveFormatError - A save was rejected
+ * problems lists everything wrong with it, for error reports
+ */
+export class SaveFormatError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'SaveFormatError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Bring a save to the current version
+ * @param {Object} data - Save of any known version (not modified)
+ * @returns {Object} - Migrated copy of the save
+ * @throws {SaveFormatError} - If the save is not an object or comes from a newer version
+ */
+export function migrateSave(data) {
+    if (!isObject(data)) {
+        throw new SaveFormatError('The save is not a game');
+    }
+
+    const version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new SaveFormatError(`Unknown save version ${JSON.stringify(data.version)}`);
+    }
+    if (version > SAVE_VERSION) {
+        throw new SaveFormatError(`The save comes from a newer version of the game (version ${version})`);
+    }
+
+    let save = JSON.parse(JSON.stringify(data));
+    for (let from = version; from < SAVE_VERSION; from++) {
+        save = MIGRATIONS[from](save);
+    }
+    save.version = SAVE_VERSION;
+    return save;
+}
+
+/**
+ * Check a position: status fields, tiles, pieces and the inventory of each player (9/6/3 in standard games)
+ * @param {Object} position - { currentPlayer, gameStatus, winner, winReason, drawReason, tiles, pieces }
+ * @param {string|null} where - Name of the position in the problem descriptions (null for none)
+ * @param {Object} [inventory] - Tiles, discs and rings of each player in the game variant
+ * @returns {Array<string>} - Problems found (empty if the position is valid)
+ */
+export function validatePosition(position, where = 'position', inventory = STANDARD_VARIANT.inventory) {
+    const problems = [];
+    const report = (text) => problems.push(where ? `${where}: ${text}` : text);
+
+    if (!isObject(position)) {
+        report('missing');
+        return problems;
+    }
+
+    // Status
+    const { currentPlayer, gameStatus, winner, winReason, drawReason } = position;
+    if (!COLORS.includes(currentPlayer)) {
+        report(`invalid current player ${JSON.stringify(currentPlayer)}`);
+    }
+    if (!GAME_STATUSES.includes(gameStatus)) {
+        report(`invalid game status ${JSON.stringify(gameStatus)}`);
+    } else {
+        const expectedWinner = gameStatus === 'black_win' ? 'black' : gameStatus === 'white_win' ? 'white' : null;
+        if (gameStatus === 'timeout' ? !COLORS.includes(winner) : (winner || null) !== expectedWinner) {
+            report(`winner ${JSON.stringify(winner)} does not match the game status ${gameStatus}`);
+        }
+        const winReasons = gameStatus === 'timeout' ? ['time'] : expectedWinner ? WIN_REASONS : [null];
+        if (!winReasons.includes(winReason || null)) {
+            report(`win reason ${JSON.stringify(winReason)} does not match the game status ${gameStatus}`);
+        }
+        if (gameStatus === 'draw' ? !DRAW_REASONS.includes(drawReason) : (drawReason || null) !== null) {
+            report(`draw reason ${JSON.stringify(drawReason)} does not match the game status ${gameStatus}`);
+        }
+    }
+
+    // Pieces in hand and captured
+    const { pieces, tiles } = position;
+    let piecesValid = isObject(pieces);
+    if (!piecesValid) {
+        report('missing piece counts');
+    } else {
+        for (const color of COLORS) {
+            for (const count of PIECE_COUNTS) {
+                const value = isObject(pieces[color]) ? pieces[color][count] : undefined;
+                if (!Number.isInteger(value) || value < 0) {
+                    report(`invalid ${color} ${count} ${JSON.stringify(value)}`);
+                    piecesValid = false;
+                }
+            }
+        }
+    }
+
+    // Tiles and the pieces on them
+    if (!isObject(tiles)) {
+        report('missing tiles');
+        return problems;
+    }
+
+    const onBoard = {
+        black: { tiles: 0, discs: 0, rings: 0 },
+        white: { tiles: 0, discs: 0, rings: 0 }
+    };
+    let tilesValid = true;
+
+    for (const [key, tile] of Object.entries(tiles)) {
+        if (!TILE_KEY_REGEX.test(key)) {
+            report(`invalid tile coordinates "${key}"`);
+            tilesValid = false;
+            continue;
+        }
+        if (!isObject(tile) || !COLORS.includes(tile.color)) {
+            report(`invalid tile at ${key}`);
+            tilesValid = false;
+            continue;
+        }
+        onBoard[tile.color].tiles++;
+
+        if (tile.piece !== null && tile.piece !== undefined) {
+            const piece = tile.piece;
+            if (!isObject(piece) || !COLORS.includes(piece.color) || !PIECE_TYPES.includes(piece.type)) {
+                report(`invalid piece at ${key}`);
+                tilesValid = false;
+                continue;
+            }
+            onBoard[piece.color][`${piece.type}s`]++;
+        }
+    }
+
+    // Every piece is on the board, in hand, or captured by the opponent
+    if (piecesValid && tilesValid) {
+        for (const color of COLORS) {
+            const opponent = color === 'black' ? 'white' : 'black';
+            const counts = {
+                tiles: onBoard[color].tiles + pieces[color].tilesAvailable,
+                discs: onBoard[color].discs + pieces[color].discsAvailable + pieces[opponent].discsCaptured,
+                rings: onBoard[color].rings + pieces[color].ringsAvailable + pieces[opponent].ringsCaptured
+            };
+            for (const type of Object.keys(counts)) {
+                if (counts[type] !== inventory[type]) {
+                    report(`${color} has ${counts[type]} ${type} instead of ${inventory[type]}`);
+                }
+            }
+        }
+    }
+
+    // Tiles are always placed next to others, so the board is in one piece
+    if (tilesValid && !isBoardConnected(Object.keys(tiles))) {
+        report('the tiles are not all connected');
+    }
+
+    return problems;
+}
+
+/**
+ * Check if a set of tiles forms a single group
+ * @param {Array<string>} keys - Tile keys ('q,r')
+ * @returns {boolean} - True if every tile can be reached from every other one
+ */
+function isBoardConnected(keys) {
+    if (keys.length <= 1) {
+        return true;
+    }
+
+    const remaining = new Set(keys);
+    const stack = [keys[0]];
+    remaining.delete(keys[0]);
+
+    while (stack.length > 0) {
+        const [q, r] = stack.pop().split(',').map(Number);
+        for (const [dq, dr] of NEIGHBORS) {
+            const key = `${q + dq},${r + dr}`;
+            if (remaining.delete(key)) {
+                stack.push(key);
+            }
+        }
+    }
+
+    return remaining.size === 0;
+}
+
+/**
+ * Check a save of the current version
+ * @param {Object} save - Migrated save
+ * @returns {Array<string>} - Problems found (empty if the save is valid)
+ */
+export function validateSave(save) {
+    if (!isObject(save)) {
+        return ['the save is not a game'];
+    }
+    if (!isObject(save.board) || !Array.isArray(save.board.positionHistory)) {
+        return ['missing board'];
+    }
+
+    // Positions are checked against the inventory of the variant
+    const variantProblems = validateVariant(save.variant);
+    if (variantProblems.length > 0) {
+        return variantProblems.map(problem => `variant: ${problem}`);
+    }
+    const { inventory } = save.variant;
+
+    const problems = validatePosition({
+        currentPlayer: save.currentPlayer,
+        gameStatus: save.gameStatus,
+        winner: save.winner,
+        winReason: save.winReason,
+        drawReason: save.drawReason,
+        tiles: save.board.tiles,
+        pieces: save.pieces
+    }, 'position', inventory);
+    problems.push(...validateClock(save.clock).map(problem => `clock: ${problem}`));
+
+    // Turn history: every snapshot must be a valid position too, as undo and redo restore them
+    const history = save.history;
+    if (!isObject(history) || !isObject(history.start) || !Array.isArray(history.turns) || !Array.isArray(history.redo)) {
+        problems.push('missing turn history');
+        return problems;
+    }
+    if (!Array.isArray(history.start.positionHistory)) {
+        problems.push('history start: missing position history');
+    }
+    problems.push(...validatePosition(history.start.snapshot, 'history start', inventory));
+
+    const entries = [
+        ...history.turns.map((entry, index) => [entry, `turn ${index + 1}`]),
+        ...history.redo.map((entry, index) => [entry, `undone turn ${index + 1}`])
+    ];
+    for (const [entry, where] of entries) {
+        if (!isObject(entry) || (entry.turn !== null && !isObject(entry.turn)) || typeof entry.position !== 'string') {
+            problems.push(`${where}: invalid history entry`);
+            continue;
+        }
+        problems.push(...validatePosition(entry.snapshot, where, inventory));
+    }
+
+    return problems;
+}
+
+/**
+ * Migrate and check a save before loading it
+ * @param {Object} data - Save of any known version (not modified)
+ * @returns {Object} - Valid save of the current version
+ * @throws {SaveFormatError} - If the save cannot be loaded
+ */
+export function readSave(data) {
+    const save = migrateSave(data);
+    const problems = validateSave(save);
+
+    if (problems.length > 0) {
+        throw new SaveFormatError('Invalid saved game', problems);
+    }
+    return save;
+}
@@ -0,0 +1,212 @@
+/**
+ * variants - Rules variants: what each player owns, the starting layout and how games are won and drawn
+ * A variant is a plain (serializable) object, given to GameState.setupNewGame and saved with the game.
+ * House rules are made with createVariant(), which starts from the standard rules:
+ *
+ *   createVariant({ id: 'big_board', name: 'Big board', inventory: { tiles: 14, discs: 6, rings: 3 } })
+ *
+ * Fields:
+ * - id, name, description: identification, shown in the settings
+ * - inventory: { tiles, discs, rings } owned by each player, starting layout included
+ * - layout: { tiles: [{ q, r, color }], pieces: [{ q, r, color, type }] } on the board when the game starts
+ * - victoryConditions: names from VICTORY_CONDITIONS, checked in order after every turn
+ * - repetitionLimit: the game is drawn when a position occurs this many times (0 never draws by repetition)
+ * - ringCostsCapturedDisc: placing a ring gives one of the captured discs back to the opponent
+ */
+
+const COLORS = ['black', 'white'];
+const PIECE_TYPES = ['disc', 'ring'];
+
+/**
+ * Ways to lose: a player loses when the condition holds for them after a turn
+ */
+export const VICTORY_CONDITIONS = {
+    all_discs_captured: {
+        name: 'All discs captured',
+        hasLost: (state, color) => state.countPiecesOnBoard(color, 'disc') === 0 && state.pieces[color].discsAvailable === 0
+    },
+    all_rings_captured: {
+        name: 'All rings captured',
+        hasLost: (state, color) => state.countPiecesOnBoard(color, 'ring') === 0 && state.pieces[color].ringsAvailable === 0
+    },
+    no_pieces_on_board: {
+        name: 'No pieces on the board',
+        hasLost: (state, color) => state.countPiecesOnBoard(color, 'disc') === 0 && state.countPiecesOnBoard(color, 'ring') === 0
+    }
+};
+
+/**
+ * Freeze a variant and everything in it, as variants are shared by every state of a game
+ * @param {Object} variant - The variant
+ * @returns {Object} - The same variant, frozen
+ */
+function deepFreeze(variant) {
+    for (const value of Object.values(variant)) {
+        if (value !== null && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(variant);
+}
+
+export const STANDARD_VARIANT = deepFreeze({
+    id: 'standard',
+    name: 'Standard',
+    description: '9 tiles, 6 discs and 3 rings each; a ring costs a captured disc.',
+    inventory: { tiles: 9, discs: 6, rings: 3 },
+    layout: {
+        tiles: [
+            { q: 0, r: 0, color: 'black' },
+            { q: 1, r: 0, color: 'black' },
+            { q: 0, r: 1, color: 'white' },
+            { q: 1, r: 1, color: 'white' }
+        ],
+        pieces: [
+            { q: 0, r: 0, color: 'black', type: 'disc' },
+            { q: 1, r: 1, color: 'white', type: 'disc' }
+        ]
+    },
+    victoryConditions: ['all_discs_captured', 'all_rings_captured', 'no_pieces_on_board'],
+    repetitionLimit: 3,
+    ringCostsCapturedDisc: true
+});
+
+/**
+ * Check a variant definition
+ * @param {Object} variant - The variant
+ * @returns {Array<string>} - Problems found (empty if the variant is valid)
+ */
+export function validateVariant(variant) {
+    const problems = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+    if (!isObject(variant)) {
+        return ['not a variant'];
+    }
+    if (typeof variant.id !== 'string' || !variant.id) {
+        problems.push('missing id');
+    }
+    if (typeof variant.name !== 'string' || !variant.name) {
+        problems.push('missing name');
+    }
+
+    // Inventory
+    const { inventory } = variant;
+    if (!isObject(inventory) || !['tiles', 'discs', 'rings'].every(type => isCount(inventory[type]))) {
+        problems.push(`invalid inventory ${JSON.stringify(inventory)}`);
+        return problems;
+    }
+    if (inventory.discs < 1) {
+        problems.push('players need at least one disc');
+    }
+
+    // Starting layout: tiles in one piece (new tiles need two neighbors), pieces on empty tiles of their color
+    const { layout } = variant;
+    if (!isObject(layout) || !Array.isArray(layout.tiles) || !Array.isArray(layout.pieces)) {
+        problems.push('missing starting layout');
+        return problems;
+    }
+
+    const used = { black: { tiles: 0, discs: 0, rings: 0 }, white: { tiles: 0, discs: 0, rings: 0 } };
+    const tiles = new Map();
+    for (const tile of layout.tiles) {
+        const key = isObject(tile) ? `${tile.q},${tile.r}` : null;
+        if (!key || !Number.isInteger(tile.q) || !Number.isInteger(tile.r) || !COLORS.includes(tile.color)) {
+            problems.push(`invalid layout tile ${JSON.stringify(tile)}`);
+        } else if (tiles.has(key)) {
+            problems.push(`two layout tiles at ${key}`);
+        } else {
+            tiles.set(key, { color: tile.color, piece: null });
+            used[tile.color].tiles++;
+        }
+    }
+    if (layout.tiles.length < 2) {
+        problems.push('the starting layout needs at least two tiles');
+    }
+
+    for (const piece of layout.pieces) {
+        const tile = isObject(piece) ? tiles.get(`${piece.q},${piece.r}`) : null;
+        if (!tile || !COLORS.includes(piece.color) || !PIECE_TYPES.includes(piece.type)) {
+            problems.push(`invalid layout piece ${JSON.stringify(piece)}`);
+        } else if (tile.color !== piece.color || tile.piece) {
+            problems.push(`layout piece at ${piece.q},${piece.r} is not on an empty tile of its color`);
+        } else {
+            tile.piece = piece;
+            used[piece.color][`${piece.type}s`]++;
+        }
+    }
+
+    for (const color of COLORS) {
+        for (const type of Object.keys(used[color])) {
+            if (used[color][type] > inventory[type]) {
+                problems.push(`the starting layout uses ${used[color][type]} ${color} ${type}, more than the inventory`);
+            }
+        }
+    }
+
+    // Game end
+    if (!Array.isArray(variant.victoryConditions) || variant.victoryConditions.length === 0 ||
+        !variant.victoryConditions.every(name => Object.hasOwn(VICTORY_CONDITIONS, name))) {
+        problems.push(`invalid victory conditions ${JSON.stringify(variant.victoryConditions)}`);
+    } else if (variant.victoryConditions.includes('all_rings_captured') && inventory.rings === 0) {
+        problems.push('all_rings_captured needs rings in the inventory');
+    }
+    if (!isCount(variant.repetitionLimit) || variant.repetitionLimit === 1) {
+        problems.push(`invalid repetition limit ${JSON.stringify(variant.repetitionLimit)} (0 or at least 2)`);
+    }
+    if (typeof variant.ringCostsCapturedDisc !== 'boolean') {
+        problems.push('ringCostsCapturedDisc must be true or false');
+    }
+
+    return problems;
+}
+
+/**
+ * Create a variant from the standard rules
+ * @param {Object} overrides - Fields that differ from the standard rules (inventory and layout are replaced whole)
+ * @returns {Object} - The variant, frozen
+ * @throws {Error} - If the variant is invalid
+ */
+export function createVariant(overrides) {
+    const variant = JSON.parse(JSON.stringify({ ...STANDARD_VARIANT, description: '', ...overrides }));
+    const problems = validateVariant(variant);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid rules variant ${JSON.stringify(variant.id)}: ${problems.join('; ')}`);
+    }
+    return deepFreeze(variant);
+}
+
+// Variants selectable in the settings
+export const VARIANTS = [
+    STANDARD_VARIANT,
+    createVariant({
+        id: 'free_rings',
+        name: 'Free rings',
+        description: 'Rings can be placed without giving back a captured disc.',
+        ringCostsCapturedDisc: false
+    }),
+    createVariant({
+        id: 'long_game',
+        name: 'Long game',
+        description: '12 tiles, 8 discs and 4 rings each; a draw takes five repetitions.',
+        inventory: { tiles: 12, discs: 8, rings: 4 },
+        repetitionLimit: 5
+    }),
+    createVariant({
+        id: 'last_piece_standing',
+        name: 'Last piece standing',
+        description: 'Losing all discs or all rings is not enough: a player loses with no pieces left on the board.',
+        victoryConditions: ['no_pieces_on_board']
+    })
+];
+
+/**
+ * Get a variant selectable in the settings
+ * @param {string} id - Variant id
+ * @returns {Object|null} - The variant, or null if there is none with this id
+ */
+export function getVariant(id) {
+    return VARIANTS.find(variant => variant.id === id) || null;
+}
@@ -0,0 +1,151 @@
+/**
+ * zobrist - Zobrist hashing of positions
+ * A position hash is the XOR of one random key per feature: each tile, each piece, each piece count in hand
+ * or captured, and the side to move. Playing a turn only flips the keys of what changed, so GameState keeps
+ * its hash up to date as it goes (see GameState.setPiece/changeCount) instead of serializing the board.
+ *
+ * Hashes are 64 bits, held as [high, low] 32-bit halves. The board has no fixed size, so keys are not
+ * drawn from a table but derived from the feature coordinates by an integer hash, which makes them the same
+ * in every browser, worker and server (position keys are saved with games).
+ */
+
+const COLORS = ['black', 'white'];
+const PIECE_TYPES = ['disc', 'ring'];
+const COUNTERS = ['tilesAvailable', 'discsAvailable', 'ringsAvailable', 'discsCaptured', 'ringsCaptured'];
+
+// Feature kinds, the third coordinate of a key
+const KIND = {
+    TILE: 0, // + color index (0-1)
+    PIECE: 2, // + color index * 2 + piece type index (2-5)
+    COUNT: 6, // + color index * 5 + counter index (6-15)
+    SIDE: 16
+};
+
+const keyCache = new Map();
+
+/**
+ * Scramble the bits of a 32-bit integer (MurmurHash3 finalizer)
+ * @param {number} h - The integer
+ * @returns {number} - The scrambled integer (unsigned)
+ */
+function mix(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Get the random key of a feature
+ * @param {number} a - First coordinate (q, or the count)
+ * @param {number} b - Second coordinate (r)
+ * @param {number} kind - Feature kind (see KIND)
+ * @returns {Array<number>} - [high, low] key
+ */
+function featureKey(a, b, kind) {
+    const id = `${a},${b},${kind}`;
+    let key = keyCache.get(id);
+
+    if (!key) {
+        const half = (seed) => mix(mix(mix(seed ^ Math.imul(a, 0x9e3779b1)) ^ Math.imul(b, 0x85ebca77)) ^ kind);
+        key = [half(0x2545f491), half(0x6c8e9cf5)];
+        keyCache.set(id, key);
+    }
+    return key;
+}
+
+/**
+ * Key of a tile
+ * @param {number} q - Hex q coordinate
+ * @param {number} r - Hex r coordinate
+ * @param {string} color - Tile color
+ * @returns {Array<number>} - [high, low] key
+ */
+export function tileKey(q, r, color) {
+    return featureKey(q, r, KIND.TILE + COLORS.indexOf(color));
+}
+
+/**
+ * Key of a piece on a hex
+ * @param {number} q - Hex q coordinate
+ * @param {number} r - Hex r coordinate
+ * @param {Object} piece - { color, type }
+ * @returns {Array<number>} - [high, low] key
+ */
+export function pieceKey(q, r, piece) {
+    return featureKey(q, r, KIND.PIECE + COLORS.indexOf(piece.color) * 2 + PIECE_TYPES.indexOf(piece.type));
+}
+
+/**
+ * Key of a piece count (in hand or captured)
+ * @param {string} color - Player
+ * @param {string} counter - Count name, e.g. 'discsAvailable'
+ * @param {number} value - The count
+ * @returns {Array<number>} - [high, low] key
+ */
+export function countKey(color, counter, value) {
+    return featureKey(value, 0, KIND.COUNT + COLORS.indexOf(color) * COUNTERS.length + COUNTERS.indexOf(counter));
+}
+
+/**
+ * Flip a key in a hash
+ * @param {Array<number>} hash - [high, low] hash, changed in place
+ * @param {Array<number>} key - [high, low] key
+ */
+export function toggleKey(hash, key) {
+    hash[0] = (hash[0] ^ key[0]) >>> 0;
+    hash[1] = (hash[1] ^ key[1]) >>> 0;
+}
+
+/**
+ * Hash the tiles, pieces and piece counts of a position from scratch
+ * @param {Object} tiles - Board tiles (GameState.board.tiles)
+ * @param {Object} pieces - Piece counts (GameState.pieces)
+ * @returns {Array<number>} - [high, low] hash, without the side to move
+ */
+export function computeHash(tiles, pieces) {
+    const hash = [0, 0];
+
+    for (const key in tiles) {
+        const [q, r] = key.split(',').map(Number);
+        const tile = tiles[key];
+
+        toggleKey(hash, tileKey(q, r, tile.color));
+        if (tile.piece) {
+            toggleKey(hash, pieceKey(q, r, tile.piece));
+        }
+    }
+
+    for (const color of COLORS) {
+        for (const counter of COUNTERS) {
+            toggleKey(hash, countKey(color, counter, (pieces[color] || {})[counter] | 0));
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * Write a position key: the hash with the side to move, as 16 hex digits
+ * @param {Array<number>} hash - [high, low] hash from computeHash
+ * @param {string} side - Player to move
+ * @returns {string} - The position key
+ */
+export function formatPositionKey(hash, side) {
+    const sideKey = featureKey(0, 0, KIND.SIDE);
+    const high = side === 'white' ? (hash[0] ^ sideKey[0]) >>> 0 : hash[0];
+    const low = side === 'white' ? (hash[1] ^ sideKey[1]) >>> 0 : hash[1];
+
+    return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+}
+
+/**
+ * Get the key of a position snapshot (GameState.createSnapshot)
+ * @param {Object} snapshot - { currentPlayer, tiles, pieces }
+ * @returns {string} - The position key
+ */
+export function getSnapshotKey(snapshot) {
+    return formatPositionKey(computeHash(snapshot.tiles, snapshot.pieces), snapshot.currentPlayer);
+}
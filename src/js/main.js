@@ -2,7 +2,10 @@ import { GameBoard } from './core/gameBoard.js';
 import { GameState } from './core/gameState.js';
 import { UIManager } from './ui/uiManager.js';
 import { ThreeRenderer } from './ui/threeRenderer.js';
+import { SvgRenderer } from './ui/svgRenderer.js';
 import { StorageManager } from './utils/storageManager.js';
+import { AIPlayer } from './ai/aiPlayer.js';
+import { OnlineGame } from './online/onlineGame.js';
 
 // Set correct viewport height for mobile browsers
 function setMobileViewportHeight() {
@@ -22,50 +25,113 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize game state
     const gameState = new GameState();
     
-    // Initialize 3D renderer
-    const threeRenderer = new ThreeRenderer(
+    // Initialize the board renderer (3D, or the 2D board chosen in the settings or without WebGL)
+    const boardRenderer = createRenderer(
         document.getElementById('game-board'),
         gameState
     );
     
     // Initialize game board logic
-    const gameBoard = new GameBoard(gameState, threeRenderer);
+    const gameBoard = new GameBoard(gameState, boardRenderer);
     
-    // Initialize UI manager
-    const uiManager = new UIManager(gameState, threeRenderer, gameBoard);
+    // Initialize computer opponent (enabled from the settings modal)
+    const aiPlayer = new AIPlayer(gameState, gameBoard);
+    
+    // Initialize online play (registered after the computer opponent so it has the last word on board input)
+    const onlineGame = new OnlineGame(gameState, gameBoard);
     
     // Initialize storage manager
     const storageManager = new StorageManager(gameState);
     
+    // Initialize UI manager
+    const uiManager = new UIManager(gameState, boardRenderer, gameBoard, aiPlayer, onlineGame, storageManager);
+    
     // Load game if saved in session
     const savedGame = storageManager.loadGame();
+    let restored = false;
     if (savedGame) {
-        gameState.loadFromSave(savedGame);
-        threeRenderer.updateBoard();
-        uiManager.updateUI();
-    } else {
+        try {
+            gameState.loadFromSave(savedGame);
+            boardRenderer.updateBoard();
+            uiManager.updateUI();
+            restored = true;
+        } catch (error) {
+            storageManager.clearSavedGame();
+            uiManager.reportLoadError('The game of this tab could not be restored, a new game was started.', error);
+        }
+    }
+    
+    if (!restored) {
         // Setup initial game state
-        gameState.setupNewGame();
-        threeRenderer.setupScene();
+        gameState.setupNewGame(uiManager.getSelectedVariant());
+        uiManager.clockPanel.setupClock();
+        boardRenderer.setupScene();
         uiManager.updateUI();
+        
+        // New tab: continue the last unfinished game saved in the browser
+        storageManager.getLastUnfinishedGame().then(slot => {
+            if (slot && !onlineGame.isInRoom() && gameState.turnHistory.length === 0) {
+                console.log(`Continuing saved game "${slot.name}"`);
+                gameState.loadFromSave(slot.state);
+                uiManager.syncBoard();
+            }
+        });
+    }
+    
+    // Watch links (?watch=CODE) open a live game as a spectator, otherwise go back to the online game
+    // of this tab, if any (the server's game replaces the saved one)
+    const watchCode = new URLSearchParams(window.location.search).get('watch');
+    if (watchCode) {
+        onlineGame.watchGame(watchCode).catch(error => console.warn('Could not watch the online game:', error));
+    } else {
+        onlineGame.resume();
     }
     
     // Start animation loop
-    threeRenderer.animate();
+    boardRenderer.animate();
     
     // Setup auto-save on game state changes
     gameState.onStateChange(() => {
         storageManager.saveGame(gameState.getSerializableState());
+        
+        // Online games are kept by the server
+        if (!onlineGame.isInRoom()) {
+            storageManager.scheduleAutosave(() =>
+                uiManager.replayViewer.isActive ? null : boardRenderer.captureThumbnail()
+            );
+        }
         uiManager.updateUI();
     });
     
     // Handle zoom behavior
-    setupZoomHandling(threeRenderer);
+    setupZoomHandling(boardRenderer);
 }); 
 
+/**
+ * Create the board renderer
+ * The 2D board is used when chosen in the settings, or when the browser cannot draw the 3D board
+ * @param {HTMLElement} container - The board element
+ * @param {GameState} gameState - The game state
+ * @returns {ThreeRenderer|SvgRenderer} - The renderer
+ */
+function createRenderer(container, gameState) {
+    const settings = JSON.parse(localStorage.getItem('hexaequo_settings') || '{}');
+    
+    if (settings.boardView !== '2d' && ThreeRenderer.isSupported()) {
+        try {
+            return new ThreeRenderer(container, gameState);
+        } catch (error) {
+            console.warn('Cannot create the 3D board, using the 2D board:', error);
+            container.replaceChildren();
+        }
+    }
+    
+    return new SvgRenderer(container, gameState);
+}
+
 /**
  * Setup custom zoom handling for the game board only
- * @param {ThreeRenderer} renderer - The 3D renderer instance
+ * @param {ThreeRenderer|SvgRenderer} renderer - The board renderer instance
  */
 function setupZoomHandling(renderer) {
     const gameBoard = document.getElementById('game-board');
@@ -97,13 +163,11 @@ function setupZoomHandling(renderer) {
                 if (renderer.previousTouchDistance) {
                     const zoomFactor = dist / renderer.previousTouchDistance;
                     
-                    // Apply zoom to the camera
-                    if (renderer.camera) {
-                        if (zoomFactor > 1.05) { // Zoom in
-                            renderer.zoomIn(zoomFactor);
-                        } else if (zoomFactor < 0.95) { // Zoom out
-                            renderer.zoomOut(1/zoomFactor);
-                        }
+                    // Apply zoom to the board view
+                    if (zoomFactor > 1.05) { // Zoom in
+                        renderer.zoomIn(zoomFactor);
+                    } else if (zoomFactor < 0.95) { // Zoom out
+                        renderer.zoomOut(1/zoomFactor);
                     }
                 }
                 
@@ -0,0 +1,559 @@
+/**
+ * OnlineGame - Plays one side of a game against a remote opponent through the reference server (server/)
+ * Local committed turns are sent to the server, which checks them with the shared rules and relays them;
+ * the opponent's turns are played through GameBoard like the computer opponent's turns.
+ * A spectator watches a game instead: the turns of both players are played that way, and the board stays read-only.
+ */
+export class OnlineGame {
+    constructor(gameState, gameBoard, serverUrl = OnlineGame.getDefaultServerUrl()) {
+        this.gameState = gameState;
+        this.gameBoard = gameBoard;
+        this.serverUrl = serverUrl;
+        this.storageKey = 'hexaequo_online';
+
+        // Connection
+        this.socket = null;
+        this.isConnected = false;
+        this.connecting = null; // Promise of the connection being opened
+        this.reconnectTimer = null;
+
+        // Room
+        this.code = null; // Join code of the room
+        this.color = null; // Seat of the local player
+        this.token = null; // Lets the local player take the seat back after reconnecting
+        this.spectating = false; // Watching the game without a seat
+        this.players = { black: null, white: null };
+        this.spectators = 0; // Number of connections watching the game
+        this.drawOffer = null; // Color of the player whose draw offer waits for an answer
+        this.drawDeclinedBy = null; // Color of the player who declined the last draw offer, until the next turn
+        this.lastError = null;
+
+        // Turns agreed with the server, and whether a turn from the server is being played
+        this.turnCount = 0;
+        this.isApplyingRemote = false;
+        this.remoteTurns = Promise.resolve(); // Opponent turns are played one after another
+
+        this.onStatusChangeCallbacks = [];
+
+        // Send local turns as they are committed
+        this.gameState.onStateChange(() => this.onLocalStateChange());
+    }
+
+    /**
+     * Get the WebSocket URL of the server the page was loaded from
+     * @returns {string} - The server URL
+     */
+    static getDefaultServerUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/ws`;
+    }
+
+    /**
+     * Check if the local player is seated in an online game
+     * @returns {boolean} - True during an online game
+     */
+    isActive() {
+        return this.code !== null && this.color !== null;
+    }
+
+    /**
+     * Check if the local player watches an online game
+     * @returns {boolean} - True while spectating
+     */
+    isSpectating() {
+        return this.code !== null && this.spectating;
+    }
+
+    /**
+     * Check if an online game is on the board, played or watched
+     * @returns {boolean} - True during an online game
+     */
+    isInRoom() {
+        return this.isActive() || this.isSpectating();
+    }
+
+    /**
+     * Check if both seats are taken and connected
+     * @returns {boolean} - True if turns can be played
+     */
+    isOpponentPresent() {
+        const opponent = this.players[this.color === 'black' ? 'white' : 'black'];
+        return Boolean(opponent && opponent.connected);
+    }
+
+    /**
+     * Check if the local player may play now
+     * @returns {boolean} - True if it is the local player's turn and the game can go on
+     */
+    isLocalTurn() {
+        return this.isActive() && this.isConnected && this.isOpponentPresent() &&
+               this.gameState.currentPlayer === this.color;
+    }
+
+    /* Room Actions */
+
+    /**
+     * Create a new online game
+     * @param {string} color - 'black', 'white' or 'random'
+     * @param {string} [name] - Name shown to the opponent
+     * @param {Object|null} [clock] - Time control { type, initial, increment } (see core/gameClock.js), null for no clock
+     */
+    async createGame(color, name, clock = null) {
+        await this.connect();
+        this.send({ type: 'create', color, name, clock });
+    }
+
+    /**
+     * Join an online game with its code
+     * @param {string} code - The join code
+     * @param {string} [name] - Name shown to the opponent
+     */
+    async joinGame(code, name) {
+        await this.connect();
+        this.send({ type: 'join', code: code.trim().toUpperCase(), name });
+    }
+
+    /**
+     * Watch an online game with its code, without playing
+     * @param {string} code - The join code
+     */
+    async watchGame(code) {
+        await this.connect();
+        this.send({ type: 'watch', code: code.trim().toUpperCase() });
+    }
+
+    /**
+     * Go back to the online game of this browser tab after a page reload
+     */
+    async resume() {
+        const saved = sessionStorage.getItem(this.storageKey);
+        if (!saved) return;
+
+        const { code, token, watch } = JSON.parse(saved);
+        try {
+            await this.connect();
+            this.send(watch ? { type: 'watch', code } : { type: 'join', code, token });
+        } catch (error) {
+            console.warn('Could not reconnect to the online game:', error);
+
+            // Keep trying while the game is still on the board
+            if (this.isInRoom()) {
+                this.reconnectTimer = setTimeout(() => this.resume(), 5000);
+            }
+        }
+    }
+
+    /**
+     * Ask for a new game in the same room once the game is over (colors are swapped)
+     */
+    requestRematch() {
+        if (this.isActive() && this.gameState.gameStatus !== 'ongoing') {
+            this.send({ type: 'rematch' });
+        }
+    }
+
+    /**
+     * Resign the online game (the server ends it for both players)
+     */
+    resign() {
+        if (this.isActive() && this.gameState.gameStatus === 'ongoing') {
+            this.send({ type: 'resign' });
+        }
+    }
+
+    /**
+     * Offer a draw to the opponent
+     */
+    offerDraw() {
+        if (this.isActive() && this.gameState.gameStatus === 'ongoing' && !this.drawOffer) {
+            this.send({ type: 'offer_draw' });
+        }
+    }
+
+    /**
+     * Answer the draw offer of the opponent
+     * @param {boolean} accept - True to agree to the draw
+     */
+    answerDraw(accept) {
+        if (this.isActive() && this.drawOffer && this.drawOffer !== this.color) {
+            this.send({ type: 'answer_draw', accept });
+        }
+    }
+
+    /**
+     * Leave the online game (the local game stays on the board)
+     */
+    leave() {
+        if (this.socket) {
+            this.send({ type: 'leave' });
+            this.socket.close();
+        }
+
+        clearTimeout(this.reconnectTimer);
+        sessionStorage.removeItem(this.storageKey);
+
+        this.socket = null;
+        this.isConnected = false;
+        this.code = null;
+        this.color = null;
+        this.token = null;
+        this.spectating = false;
+        this.players = { black: null, white: null };
+        this.spectators = 0;
+        this.drawOffer = null;
+        this.drawDeclinedBy = null;
+
+        // Both sides are played locally again
+        this.gameBoard.inputLocked = false;
+        this.gameBoard.readOnly = false;
+        this.notifyStatusChange();
+    }
+
+    /* Connection */
+
+    /**
+     * Open the WebSocket connection if needed
+     * @returns {Promise} - Resolves once connected
+     */
+    connect() {
+        if (this.socket && this.isConnected) {
+            return Promise.resolve();
+        }
+        if (this.connecting) {
+            return this.connecting;
+        }
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.serverUrl);
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                this.isConnected = true;
+                this.lastError = null;
+                this.notifyStatusChange();
+                resolve();
+            });
+
+            socket.addEventListener('message', (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    message = null;
+                }
+                if (!message || typeof message !== 'object') {
+                    console.warn('Ignoring a malformed message from the server', event.data);
+                    return;
+                }
+                this.onMessage(message);
+            });
+
+            socket.addEventListener('close', () => {
+                if (this.socket !== socket) return;
+
+                const wasConnected = this.isConnected;
+                this.isConnected = false;
+                this.updateInputLock();
+                this.notifyStatusChange();
+
+                if (!wasConnected) {
+                    this.lastError = `Cannot reach the game server at ${this.serverUrl}`;
+                    this.notifyStatusChange();
+                    reject(new Error(this.lastError));
+                } else if (this.isInRoom()) {
+                    // Keep trying to get back to the game
+                    this.reconnectTimer = setTimeout(() => this.resume(), 2000);
+                }
+            });
+        });
+
+        // Allow a new attempt once this one is settled
+        const clear = () => { this.connecting = null; };
+        this.connecting.then(clear, clear);
+
+        return this.connecting;
+    }
+
+    /**
+     * Send a message to the server
+     * @param {Object} message - The message
+     */
+    send(message) {
+        if (this.socket && this.isConnected) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Handle a message from the server
+     * @param {Object} message - The message
+     */
+    onMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.code = message.code;
+                this.color = message.color;
+                this.token = message.token;
+                this.setSpectating(false);
+                this.players = message.players;
+                this.drawOffer = message.drawOffer || null;
+                this.drawDeclinedBy = null;
+                this.lastError = null;
+                sessionStorage.setItem(this.storageKey, JSON.stringify({ code: this.code, token: this.token }));
+                console.log(`Joined online game ${this.code} as ${this.color}`);
+                this.loadServerState(message.state);
+                break;
+
+            case 'watching':
+                this.code = message.code;
+                this.color = null;
+                this.token = null;
+                this.setSpectating(true);
+                this.players = message.players;
+                this.spectators = message.spectators;
+                this.drawOffer = message.drawOffer || null;
+                this.drawDeclinedBy = null;
+                this.lastError = null;
+                sessionStorage.setItem(this.storageKey, JSON.stringify({ code: this.code, watch: true }));
+                console.log(`Watching online game ${this.code}`);
+                this.loadServerState(message.state);
+                break;
+
+            case 'players':
+                this.players = message.players;
+                this.spectators = message.spectators || 0;
+                this.updateInputLock();
+                this.notifyStatusChange();
+                break;
+
+            case 'turn':
+                // Playing on declines the opponent's draw offer
+                if (this.drawOffer && this.drawOffer !== message.color) {
+                    this.drawOffer = null;
+                }
+                this.drawDeclinedBy = null;
+
+                // Our own turns come back as an acknowledgement (spectators have no turns of their own)
+                this.queueRemote(async () => {
+                    if (message.color !== this.color) {
+                        await this.playRemoteTurn(message.turn, message.index);
+                    }
+                    this.setServerClock(message.clock);
+                });
+                this.notifyStatusChange();
+                break;
+
+            case 'resigned':
+                this.drawOffer = null;
+                this.queueRemote(() => this.endRemoteGame(() => this.gameState.resign(message.color)));
+                break;
+
+            case 'timeout':
+                this.drawOffer = null;
+                this.queueRemote(() => this.endRemoteGame(() => this.gameState.loseOnTime(message.color)));
+                break;
+
+            case 'draw_offer':
+                this.drawOffer = message.color;
+                this.drawDeclinedBy = null;
+                this.notifyStatusChange();
+                break;
+
+            case 'draw_answer':
+                this.drawOffer = null;
+                if (message.accept) {
+                    this.queueRemote(() => this.endRemoteGame(() => this.gameState.agreeDraw()));
+                } else {
+                    this.drawDeclinedBy = message.color;
+                }
+                this.notifyStatusChange();
+                break;
+
+            case 'sync':
+                if (message.color) {
+                    this.color = message.color;
+                }
+                this.drawOffer = null;
+                this.drawDeclinedBy = null;
+                this.loadServerState(message.state);
+                break;
+
+            case 'error':
+                console.warn(`Online game error (${message.code}): ${message.message}`);
+                this.lastError = message.message;
+
+                // The saved game no longer exists or has no seat for us
+                if (!this.isInRoom() && (message.code === 'unknown_room' || message.code === 'room_full')) {
+                    sessionStorage.removeItem(this.storageKey);
+                }
+                this.notifyStatusChange();
+                break;
+
+            default:
+                console.warn('Unknown message from the server', message);
+        }
+    }
+
+    /* Turns */
+
+    /**
+     * Send the turn the local player just committed
+     */
+    onLocalStateChange() {
+        if (this.isActive() && !this.isApplyingRemote &&
+            this.gameState.turnHistory.length === this.turnCount + 1) {
+            const entry = this.gameState.turnHistory[this.turnCount];
+            this.send({ type: 'turn', turn: entry.turn, index: this.turnCount });
+            this.turnCount++;
+        }
+
+        this.updateInputLock();
+    }
+
+    /**
+     * Play a change from the server after the ones received before
+     * A change that fails is logged and the whole game is taken from the server again,
+     * so the next ones are still played.
+     * @param {Function} task - Plays the change, may return a promise
+     */
+    queueRemote(task) {
+        this.remoteTurns = this.remoteTurns.then(task).catch((error) => {
+            console.error('Could not play a change from the server:', error);
+            this.requestSync();
+        });
+    }
+
+    /**
+     * Get the whole game from the server again
+     */
+    requestSync() {
+        this.send(this.spectating ? { type: 'watch', code: this.code } : { type: 'join', code: this.code, token: this.token });
+    }
+
+    /**
+     * Play a turn of the opponent
+     * @param {Object} turn - The turn (see core/rules.js for the format)
+     * @param {number} index - Number of turns played before it
+     */
+    async playRemoteTurn(turn, index) {
+        if (index !== this.turnCount) {
+            // Missed or duplicated turn - get the whole game from the server again
+            this.requestSync();
+            return;
+        }
+
+        this.isApplyingRemote = true;
+        try {
+            if (this.gameState.currentAction) {
+                this.gameBoard.cancelAction();
+            }
+            await this.gameBoard.playTurn(turn);
+            this.turnCount++;
+        } finally {
+            this.isApplyingRemote = false;
+        }
+
+        this.updateInputLock();
+        this.notifyStatusChange();
+    }
+
+    /**
+     * End the game the way the server did, after the turns received before
+     * @param {Function} end - Ends the local game (resignation or draw by agreement)
+     */
+    endRemoteGame(end) {
+        this.isApplyingRemote = true;
+        try {
+            // Drop a turn the local player was building
+            if (this.gameState.currentAction) {
+                this.gameBoard.cancelAction();
+            }
+            end();
+        } finally {
+            this.isApplyingRemote = false;
+        }
+
+        this.gameBoard.renderer.clearActionUI();
+        this.updateInputLock();
+        this.notifyStatusChange();
+    }
+
+    /**
+     * Take the clocks of the server, which decides when a flag falls
+     * The running time is already counted in the times of the server, so the running clock restarts now.
+     * @param {Object|null} clock - The clock from the server (see core/gameClock.js)
+     */
+    setServerClock(clock) {
+        if (!clock) return;
+
+        this.gameState.clock = { ...clock, turnStartedAt: clock.running ? Date.now() : null };
+    }
+
+    /**
+     * Replace the local game with the server's game
+     * @param {Object} state - Serializable game state from the server
+     */
+    loadServerState(state) {
+        this.isApplyingRemote = true;
+
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        try {
+            this.gameState.loadFromSave(state);
+            this.setServerClock(this.gameState.clock);
+            this.turnCount = this.gameState.turnHistory.length;
+        } catch (error) {
+            console.error('Invalid game from the server:', error);
+            this.lastError = `The server sent an invalid game (${error.message})`;
+        } finally {
+            this.isApplyingRemote = false;
+        }
+
+        this.gameBoard.renderer.clearActionUI();
+        this.gameBoard.renderer.updateBoard();
+        this.updateInputLock();
+        this.notifyStatusChange();
+    }
+
+    /**
+     * Only accept board input on the local player's turn (never while spectating)
+     */
+    updateInputLock() {
+        if (this.isSpectating()) {
+            this.gameBoard.inputLocked = true;
+        } else if (this.isActive()) {
+            this.gameBoard.inputLocked = !this.isLocalTurn();
+        }
+    }
+
+    /**
+     * Switch between playing and watching
+     * A read-only board plays the turns it gets without showing any placement or validation UI.
+     * @param {boolean} spectating - True to watch the game
+     */
+    setSpectating(spectating) {
+        this.spectating = spectating;
+        this.gameBoard.readOnly = spectating;
+        this.gameBoard.inputLocked = spectating;
+    }
+
+    /* Events */
+
+    /**
+     * Register a callback for connection, room and player changes
+     * @param {Function} callback - Called with the OnlineGame
+     */
+    onStatusChange(callback) {
+        this.onStatusChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Notify the status change listeners
+     */
+    notifyStatusChange() {
+        for (const callback of this.onStatusChangeCallbacks) {
+            callback(this);
+        }
+    }
+}
@@ -0,0 +1,246 @@
+import { GameState } from '../core/gameState.js';
+import { formatTurn } from '../core/notation.js';
+import { analyzePosition, turnsToEnd, ANALYSIS } from '../ai/aiSearch.js';
+
+// Score units per disc (see the evaluation weights in ai/aiSearch.js)
+const DISC_VALUE = 10;
+
+// Score giving a 3/4 filled evaluation bar
+const BAR_SCALE = 40;
+
+/**
+ * AnalysisPanel - Evaluation of the position shown on the board (the game, or the replayed position)
+ * Runs an analysis search in its own worker and shows an evaluation bar, the best turns in notation
+ * and the suggested turn on the board. Off during online games in progress, which are played for real.
+ */
+export class AnalysisPanel {
+    constructor(gameState, renderer, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.uiManager = uiManager;
+
+        // Settings (updated from the settings modal through configure())
+        this.enabled = false;
+
+        // Analysis state
+        this.requestId = 0;
+        this.positionKey = null; // Position analyzed or being analyzed
+        this.analyzedState = null; // Copy of that position (notation needs it)
+        this.lines = [];
+
+        // UI elements
+        this.panel = document.getElementById('analysis-panel');
+        this.barFill = document.getElementById('analysis-bar-black');
+        this.scoreElement = document.getElementById('analysis-score');
+        this.linesElement = document.getElementById('analysis-lines');
+
+        this.worker = this.createWorker();
+
+        this.gameState.onStateChange(() => this.refresh());
+    }
+
+    /**
+     * Create the search worker (separate from the computer opponent's)
+     * @returns {Worker|null} - The worker, or null if module workers are not supported
+     */
+    createWorker() {
+        try {
+            const worker = new Worker(new URL('../ai/aiWorker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', (event) => this.onAnalysis(event.data));
+            worker.addEventListener('error', (error) => {
+                console.error('Analysis worker error, analyzing on the main thread instead:', error);
+                this.worker = null;
+                this.positionKey = null;
+                this.refresh();
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Web Workers not available, the analysis will run on the main thread:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Update the analysis settings
+     * @param {Object} options - { enabled }
+     */
+    configure({ enabled = this.enabled } = {}) {
+        this.enabled = enabled;
+        this.refresh();
+    }
+
+    /**
+     * Check if the analysis may be shown now
+     * @returns {boolean} - True if the panel is on, the game is not a rated online game in progress,
+     *                      no position is being set up in the board editor and no puzzle is being solved
+     */
+    isAvailable() {
+        const isRatedGame = this.uiManager.isOnline() && this.gameState.gameStatus === 'ongoing';
+        return this.enabled && !isRatedGame && !this.uiManager.boardEditor.isActive &&
+               !this.uiManager.puzzlePlayer.isActive;
+    }
+
+    /**
+     * Analyze the position shown on the board if it changed
+     * Called after state changes, replay steps and online status changes
+     */
+    refresh() {
+        const available = this.isAvailable();
+        this.panel.classList.toggle('hidden', !available);
+
+        if (!available) {
+            this.stop();
+            return;
+        }
+
+        // Keep the analysis of the position before the turn being played
+        const position = this.renderer.gameState;
+        if (position.currentAction) return;
+
+        const key = this.getPositionKey(position);
+        if (key === this.positionKey) return;
+
+        this.positionKey = key;
+        this.analyzedState = position.clone();
+        this.lines = [];
+        this.renderer.hideHint();
+
+        if (position.gameStatus !== 'ongoing') {
+            this.showResult(position);
+            return;
+        }
+
+        this.scoreElement.textContent = 'Analyzing...';
+        this.linesElement.replaceChildren();
+        this.requestAnalysis(position);
+    }
+
+    /**
+     * Stop showing the analysis (answers still on their way are ignored)
+     */
+    stop() {
+        this.requestId++;
+        this.positionKey = null;
+        this.lines = [];
+        this.renderer.hideHint();
+    }
+
+    /**
+     * Ask the worker (or the main thread as a fallback) for an analysis
+     * @param {GameState} position - The position to analyze
+     */
+    requestAnalysis(position) {
+        const id = ++this.requestId;
+        const state = position.getSerializableState();
+
+        if (this.worker) {
+            this.worker.postMessage({ id, state, analysis: { ...ANALYSIS } });
+        } else {
+            // Let the UI update before blocking the main thread with the search
+            setTimeout(() => {
+                if (id !== this.requestId) return;
+
+                const searchState = new GameState();
+                searchState.loadFromSave(JSON.parse(JSON.stringify(state)));
+                this.onAnalysis({ id, analysis: analyzePosition(searchState) });
+            }, 50);
+        }
+    }
+
+    /**
+     * Show the analysis received from the search
+     * @param {Object} data - { id, analysis }
+     */
+    onAnalysis({ id, analysis }) {
+        // Ignore answers for a position that is no longer shown
+        if (id !== this.requestId) return;
+
+        if (!analysis) {
+            this.scoreElement.textContent = 'No legal turn';
+            return;
+        }
+
+        const position = this.analyzedState;
+        const toBlack = position.currentPlayer === 'black' ? 1 : -1;
+        this.lines = analysis.lines;
+
+        this.setBar(analysis.lines[0].score * toBlack);
+        this.scoreElement.textContent = `${this.formatScore(analysis.lines[0].score * toBlack)} (depth ${analysis.depth})`;
+
+        this.linesElement.replaceChildren(...analysis.lines.map((line, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.textContent = `${formatTurn(position, line.turn)}  ${this.formatScore(line.score * toBlack)}`;
+            button.title = 'Show on the board';
+
+            // The best turn is shown on the board, the others while pointed at
+            const showLine = () => this.renderer.showHint(line.turn);
+            const showBest = () => this.renderer.showHint(this.lines[0].turn);
+            button.addEventListener('mouseenter', showLine);
+            button.addEventListener('focus', showLine);
+            button.addEventListener('mouseleave', showBest);
+            button.addEventListener('blur', showBest);
+
+            if (index === 0) {
+                button.classList.add('best');
+            }
+            item.appendChild(button);
+            return item;
+        }));
+
+        this.renderer.showHint(this.lines[0].turn);
+    }
+
+    /**
+     * Show the result of a finished game in the panel
+     * @param {GameState} position - The final position
+     */
+    showResult(position) {
+        this.requestId++;
+        this.linesElement.replaceChildren();
+
+        if (position.gameStatus === 'draw') {
+            this.setBar(0);
+            this.scoreElement.textContent = 'Draw';
+        } else {
+            this.setBar(position.winner === 'black' ? Infinity : -Infinity);
+            this.scoreElement.textContent = `${position.winner === 'black' ? 'Black' : 'White'} won`;
+        }
+    }
+
+    /**
+     * Fill the evaluation bar
+     * @param {number} score - Score for black
+     */
+    setBar(score) {
+        const share = !isFinite(score) || turnsToEnd(score)
+            ? (score > 0 ? 1 : 0)
+            : 1 / (1 + Math.exp(-score * Math.log(3) / BAR_SCALE));
+
+        this.barFill.style.width = `${(share * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Format a score for black, in discs ("+1.5") or as a forced result ("White wins in 3")
+     * @param {number} score - Score for black
+     * @returns {string} - The formatted score
+     */
+    formatScore(score) {
+        const turns = turnsToEnd(score);
+        if (turns) {
+            return `${score > 0 ? 'Black' : 'White'} wins in ${turns}`;
+        }
+
+        const discs = score / DISC_VALUE;
+        return `${discs > 0 ? '+' : ''}${discs.toFixed(1)}`;
+    }
+
+    /**
+     * Get a key identifying a position
+     * @param {GameState} position - The position
+     * @returns {string} - The position key
+     */
+    getPositionKey(position) {
+        return `${position.gameStatus}|${position.getPositionKey()}`;
+    }
+}
@@ -0,0 +1,242 @@
+import { PositionEditor } from '../core/positionEditor.js';
+
+/**
+ * BoardEditor - Sets up a position by clicking the board, then starts a game from it (see core/positionEditor.js)
+ * Like the replay, the edited position lives in its own GameState, shown by swapping the renderer's game state,
+ * so the game is only replaced once "Play from here" is chosen. Clicks on the board apply the selected tool:
+ * a tile of a color (added on a free hex, or recoloring a tile), a piece (put on a tile) or the eraser.
+ */
+export class BoardEditor {
+    constructor(gameState, renderer, gameBoard, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.gameBoard = gameBoard;
+        this.uiManager = uiManager;
+
+        // Editor state
+        this.isActive = false;
+        this.editor = null; // PositionEditor of the position being set up
+        this.tool = 'black-tile';
+
+        // UI elements
+        this.openButton = document.getElementById('edit-position-button');
+        this.bar = document.getElementById('editor-bar');
+        this.toolButtons = this.bar.querySelectorAll('[data-tool]');
+        this.countInputs = this.bar.querySelectorAll('input[data-count]');
+        this.sideSelect = document.getElementById('editor-side');
+        this.problemsList = document.getElementById('editor-problems');
+        this.clearButton = document.getElementById('editor-clear');
+        this.resetButton = document.getElementById('editor-reset');
+        this.cancelButton = document.getElementById('editor-cancel');
+        this.playButton = document.getElementById('editor-play');
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the editor controls
+     */
+    initEventListeners() {
+        this.openButton.addEventListener('click', () => this.open());
+        this.cancelButton.addEventListener('click', () => this.close());
+        this.playButton.addEventListener('click', () => this.play());
+
+        this.clearButton.addEventListener('click', () => {
+            this.editor.clear();
+            this.refresh();
+        });
+
+        this.resetButton.addEventListener('click', () => {
+            this.editor.resetToStart();
+            this.refresh();
+        });
+
+        for (const button of this.toolButtons) {
+            button.addEventListener('click', () => {
+                this.tool = button.dataset.tool;
+                this.updateTools();
+            });
+        }
+
+        for (const input of this.countInputs) {
+            input.addEventListener('change', () => {
+                this.editor.setCount(input.dataset.color, input.dataset.count, Number(input.value));
+                this.refresh();
+            });
+        }
+
+        this.sideSelect.addEventListener('change', () => {
+            this.editor.setSideToMove(this.sideSelect.value);
+            this.refresh();
+        });
+
+        // Escape leaves the editor without changing the game
+        document.addEventListener('keydown', (event) => {
+            if (this.isActive && event.key === 'Escape') {
+                event.preventDefault();
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Check if the editor can be opened now
+     * @returns {boolean} - True if no online game, replay, computer turn or puzzle reply is in progress
+     */
+    canOpen() {
+        return !this.isActive && !this.uiManager.isOnline() && !this.uiManager.isComputerBusy() &&
+               !this.uiManager.replayViewer.isActive && !this.uiManager.puzzlePlayer.isAnswering;
+    }
+
+    /**
+     * Open the editor on a copy of the position on the board
+     */
+    open() {
+        if (!this.canOpen()) {
+            if (this.uiManager.isOnline()) {
+                alert('Positions cannot be edited during an online game.');
+            }
+            return;
+        }
+
+        // Drop any action in progress on the game, a puzzle position is edited as a game
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        this.uiManager.puzzlePlayer.close();
+
+        this.isActive = true;
+        this.editor = PositionEditor.fromState(this.gameState);
+
+        // Show the edited position instead of the game, and send board clicks to the editor
+        this.renderer.gameState = this.editor.state;
+        this.gameBoard.editor = this;
+
+        this.uiManager.closeModal(this.uiManager.settingsModal);
+        this.bar.classList.remove('hidden');
+        this.updateTools();
+        this.uiManager.updateUI();
+        this.uiManager.updateHistoryButtons();
+        this.uiManager.analysisPanel.refresh();
+    }
+
+    /**
+     * Leave the editor and show the game again
+     */
+    close() {
+        if (!this.isActive) return;
+
+        this.hide();
+        this.renderer.clearActionUI();
+        this.renderer.updateBoard();
+
+        // Let the UI, the computer opponent and the analysis catch up with the game
+        this.gameState.notifyStateChange();
+    }
+
+    /**
+     * Hide the editor and give the board back to the game
+     */
+    hide() {
+        this.isActive = false;
+        this.editor = null;
+        this.bar.classList.add('hidden');
+
+        this.gameBoard.editor = null;
+        this.renderer.gameState = this.gameState;
+    }
+
+    /**
+     * Apply the selected tool to a hex of the board
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    editHex(q, r) {
+        if (!this.isActive) return;
+
+        const tile = this.editor.state.board.tiles[`${q},${r}`];
+        const [color, item] = this.tool.split('-');
+
+        if (this.tool === 'erase') {
+            if (tile && tile.piece) {
+                this.editor.setPiece(q, r, null);
+            } else if (tile) {
+                this.editor.setTile(q, r, null);
+            }
+        } else if (item === 'tile') {
+            this.editor.setTile(q, r, color);
+        } else if (tile) {
+            this.editor.setPiece(q, r, { type: item, color });
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Start a game from the edited position, replacing the current game
+     */
+    play() {
+        if (!this.isActive || this.editor.getProblems().length > 0) return;
+
+        if (this.gameState.turnHistory.length > 0 &&
+            !confirm('Start a game from this position? Current progress will be lost.')) {
+            return;
+        }
+
+        const editor = this.editor;
+        this.hide();
+        editor.startGame(this.gameState);
+        this.uiManager.clockPanel.setupClock();
+
+        // Fully reset the visual board, as for a new game
+        this.renderer.clearActionUI();
+        this.renderer.setupScene();
+        this.uiManager.updateUI();
+    }
+
+    /**
+     * Get the status line shown while editing
+     * @returns {string} - e.g. 'Editing the position: black to move'
+     */
+    getStatusText() {
+        return `Editing the position: ${this.editor.state.currentPlayer} to move`;
+    }
+
+    /**
+     * Show the tool in use
+     */
+    updateTools() {
+        for (const button of this.toolButtons) {
+            button.setAttribute('aria-pressed', String(button.dataset.tool === this.tool));
+        }
+    }
+
+    /**
+     * Redraw the edited position, its counts and the problems preventing a game from it
+     */
+    refresh() {
+        if (!this.isActive) return;
+
+        const state = this.editor.state;
+
+        this.renderer.clearActionUI();
+        this.renderer.updateBoard();
+        this.renderer.showEditorPlaceholders(this.editor.getFreeHexes());
+
+        for (const input of this.countInputs) {
+            input.value = state.pieces[input.dataset.color][input.dataset.count];
+        }
+        this.sideSelect.value = state.currentPlayer;
+
+        const problems = this.editor.getProblems();
+        this.problemsList.replaceChildren(...problems.map(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem.charAt(0).toUpperCase() + problem.slice(1);
+            return item;
+        }));
+        this.playButton.disabled = problems.length > 0;
+
+        this.uiManager.updateCurrentPlayer(state);
+        this.uiManager.updatePieceCounts(state);
+    }
+}
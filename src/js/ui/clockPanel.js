@@ -0,0 +1,138 @@
+import { createClock, formatClockTime, getRemainingTime, startClock, stopClock } from '../core/gameClock.js';
+
+const TICK_INTERVAL = 100; // Display refresh and flag check (milliseconds)
+const LOW_TIME = 10000; // Clocks turn red under 10 seconds
+
+/**
+ * ClockPanel - Runs and shows the game clocks (see core/gameClock.js) in the #game-status panel
+ * The clock of the player to move runs from the end of the first turn, and stops while the page is hidden
+ * (so closing the tab pauses the game) and once the game is over.
+ * Online games are clocked by the server: their clocks are only shown here, and never paused or flagged.
+ */
+export class ClockPanel {
+    constructor(gameState, gameBoard, uiManager) {
+        this.gameState = gameState;
+        this.gameBoard = gameBoard;
+        this.uiManager = uiManager;
+
+        // Time control given to new games: { type, initial, increment } or null for untimed games
+        this.control = null;
+
+        // UI elements
+        this.clockElements = {
+            black: document.getElementById('black-clock'),
+            white: document.getElementById('white-clock')
+        };
+
+        this.gameState.onStateChange(() => this.sync());
+        document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+        setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    /**
+     * Change the time control of new games
+     * The current game gets it too if no turn has been played yet
+     * @param {Object|null} control - { type, initial, increment } in milliseconds, or null for no clock
+     */
+    configure(control) {
+        this.control = control;
+
+        if (this.gameState.turnHistory.length === 0 && this.gameState.gameStatus === 'ongoing' &&
+            !this.uiManager.isOnline() && !this.uiManager.puzzlePlayer.isActive) {
+            this.setupClock();
+        }
+    }
+
+    /**
+     * Give the current game a fresh clock with the configured time control (called for new games)
+     */
+    setupClock() {
+        this.gameState.clock = this.control ? createClock(this.control) : null;
+        this.gameState.notifyStateChange();
+    }
+
+    /**
+     * Get the player whose clock should be running
+     * @returns {string|null} - The player to move, or null if the clocks should be stopped
+     */
+    getRunningColor() {
+        const state = this.gameState;
+        const isRunning = state.clock && state.gameStatus === 'ongoing' && state.turnHistory.length > 0 &&
+                          !document.hidden;
+
+        return isRunning ? state.currentPlayer : null;
+    }
+
+    /**
+     * Start or stop the clocks after the game changed (undo, redo, loaded game, game over...)
+     * Committed turns switch the clocks themselves in GameState.endTurn, with the increment
+     */
+    sync() {
+        const clock = this.gameState.clock;
+
+        if (clock && !this.uiManager.isOnline()) {
+            const color = this.getRunningColor();
+            if (clock.running !== color) {
+                if (color) {
+                    startClock(clock, color, Date.now());
+                } else {
+                    stopClock(clock, Date.now());
+                }
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Pause the clocks while the page is hidden, saving the paused times
+     */
+    onVisibilityChange() {
+        if (!this.gameState.clock || this.uiManager.isOnline()) return;
+
+        this.sync();
+        if (document.hidden) {
+            this.gameState.notifyStateChange();
+        }
+    }
+
+    /**
+     * Refresh the display and end the game when the running clock reaches zero
+     */
+    tick() {
+        const clock = this.gameState.clock;
+        if (!clock) return;
+
+        // The server ends online games on time
+        if (clock.running && !this.uiManager.isOnline() && getRemainingTime(clock, clock.running, Date.now()) <= 0) {
+            console.log(`${clock.running} lost on time`);
+
+            // Drop a turn in progress before the game ends
+            if (this.gameState.currentAction) {
+                this.gameBoard.cancelAction();
+            }
+            this.gameState.loseOnTime(clock.running);
+            this.uiManager.syncBoard();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Show the remaining times
+     */
+    render() {
+        const clock = this.gameState.clock;
+        const now = Date.now();
+
+        for (const [color, element] of Object.entries(this.clockElements)) {
+            element.classList.toggle('hidden', !clock);
+            if (!clock) continue;
+
+            const remaining = getRemainingTime(clock, color, now);
+            element.textContent = formatClockTime(remaining);
+            element.classList.toggle('active', clock.running === color);
+            element.classList.toggle('low', remaining < LOW_TIME);
+        }
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * GameEndControls - Resign and Offer draw buttons, and the draw offer banner of the #game-status panel
+ * Online, the server ends the game for both players (see online/onlineGame.js). Against the computer,
+ * the computer answers draw offers at once. In hot seat games, the offer waits for the other player
+ * on the same device, until the next turn.
+ */
+export class GameEndControls {
+    constructor(gameState, gameBoard, uiManager) {
+        this.gameState = gameState;
+        this.gameBoard = gameBoard;
+        this.uiManager = uiManager;
+
+        // Local draw offers (hot seat), and the last answer of a local offer
+        this.pendingOffer = null; // Color of the player whose offer waits for an answer
+        this.notice = null; // e.g. 'The computer declines the draw.'
+        this.lastTurnCount = gameState.turnHistory.length;
+
+        // UI elements
+        this.resignButton = document.getElementById('resign-button');
+        this.offerDrawButton = document.getElementById('offer-draw-button');
+        this.offerElement = document.getElementById('draw-offer');
+        this.offerMessage = document.getElementById('draw-offer-message');
+        this.acceptButton = document.getElementById('draw-accept-button');
+        this.declineButton = document.getElementById('draw-decline-button');
+
+        this.resignButton.addEventListener('click', () => this.resign());
+        this.offerDrawButton.addEventListener('click', () => this.offerDraw());
+        this.acceptButton.addEventListener('click', () => this.answerDraw(true));
+        this.declineButton.addEventListener('click', () => this.answerDraw(false));
+    }
+
+    /**
+     * Get the side played on this device that resigns or offers a draw
+     * @returns {string} - 'black' or 'white'
+     */
+    getLocalColor() {
+        const { aiPlayer, onlineGame } = this.uiManager;
+
+        if (this.uiManager.isOnline()) {
+            return onlineGame.color;
+        }
+        if (aiPlayer && aiPlayer.enabled) {
+            return aiPlayer.color === 'black' ? 'white' : 'black';
+        }
+        // Hot seat: the player holding the device
+        return this.gameState.currentPlayer;
+    }
+
+    /**
+     * Check if the local player can end the game now
+     * @returns {boolean} - True if Resign is available
+     */
+    canEndGame() {
+        return this.gameState.gameStatus === 'ongoing' && !this.uiManager.isSpectating() &&
+               !this.uiManager.isComputerBusy() && !this.uiManager.replayViewer.isActive &&
+               !this.uiManager.boardEditor.isActive && !this.uiManager.puzzlePlayer.isActive;
+    }
+
+    /**
+     * Check if the local player can offer a draw now
+     * @returns {boolean} - True if Offer draw is available (online, the opponent has to be there to answer)
+     */
+    canOfferDraw() {
+        if (!this.canEndGame()) {
+            return false;
+        }
+        if (this.uiManager.isOnline()) {
+            const { onlineGame } = this.uiManager;
+            return onlineGame.isOpponentPresent() && !onlineGame.drawOffer;
+        }
+        return !this.pendingOffer;
+    }
+
+    /**
+     * Resign the game after confirmation
+     */
+    resign() {
+        if (!this.canEndGame()) return;
+
+        const color = this.getLocalColor();
+        if (!confirm(`Resign the game as ${color}?`)) {
+            return;
+        }
+
+        if (this.uiManager.isOnline()) {
+            this.uiManager.onlineGame.resign();
+            return;
+        }
+
+        // Drop a turn in progress before the game ends
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        this.gameState.resign(color);
+        this.uiManager.syncBoard();
+    }
+
+    /**
+     * Offer a draw to the opponent
+     */
+    offerDraw() {
+        if (!this.canOfferDraw()) return;
+
+        const { aiPlayer, onlineGame } = this.uiManager;
+
+        if (this.uiManager.isOnline()) {
+            onlineGame.offerDraw();
+            return;
+        }
+
+        if (aiPlayer && aiPlayer.enabled) {
+            if (aiPlayer.acceptsDraw()) {
+                this.endInDraw();
+            } else {
+                this.notice = 'The computer declines the draw.';
+                this.update();
+            }
+            return;
+        }
+
+        this.pendingOffer = this.getLocalColor();
+        this.notice = null;
+        this.update();
+    }
+
+    /**
+     * Answer the draw offer of the opponent
+     * @param {boolean} accept - True to agree to the draw
+     */
+    answerDraw(accept) {
+        if (this.uiManager.isOnline()) {
+            this.uiManager.onlineGame.answerDraw(accept);
+            return;
+        }
+        if (!this.pendingOffer) return;
+
+        const offeredBy = this.pendingOffer;
+        this.pendingOffer = null;
+
+        if (accept) {
+            this.endInDraw();
+        } else {
+            const decliner = offeredBy === 'black' ? 'White' : 'Black';
+            this.notice = `${decliner} declines the draw.`;
+            this.update();
+        }
+    }
+
+    /**
+     * End the local game in a draw by agreement
+     */
+    endInDraw() {
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        this.gameState.agreeDraw();
+        this.uiManager.syncBoard();
+    }
+
+    /**
+     * Get the text of the draw offer banner, and whether the local player has to answer
+     * @returns {Object|null} - { message, canAnswer }, or null to hide the banner
+     */
+    getOfferStatus() {
+        if (this.gameState.gameStatus !== 'ongoing') {
+            return null;
+        }
+
+        if (this.uiManager.isOnline()) {
+            const { drawOffer, drawDeclinedBy, color } = this.uiManager.onlineGame;
+            const name = (side) => side.charAt(0).toUpperCase() + side.slice(1);
+
+            if (drawOffer && this.uiManager.isSpectating()) {
+                return { message: `${name(drawOffer)} offers a draw.`, canAnswer: false };
+            }
+            if (drawOffer === color) {
+                return { message: 'Draw offered, waiting for your opponent.', canAnswer: false };
+            }
+            if (drawOffer) {
+                return { message: 'Your opponent offers a draw.', canAnswer: true };
+            }
+            if (drawDeclinedBy && !this.uiManager.isSpectating()) {
+                const message = drawDeclinedBy === color ? 'You declined the draw.' : 'Your opponent declines the draw.';
+                return { message, canAnswer: false };
+            }
+            return drawDeclinedBy ? { message: `${name(drawDeclinedBy)} declines the draw.`, canAnswer: false } : null;
+        }
+
+        if (this.pendingOffer) {
+            const opponent = this.pendingOffer === 'black' ? 'White' : 'Black';
+            const offeredBy = this.pendingOffer === 'black' ? 'Black' : 'White';
+            return { message: `${offeredBy} offers a draw. ${opponent}, do you accept?`, canAnswer: true };
+        }
+        return this.notice ? { message: this.notice, canAnswer: false } : null;
+    }
+
+    /**
+     * Refresh the buttons and the draw offer banner (local offers lapse once the game moves on)
+     */
+    update() {
+        const turnCount = this.gameState.turnHistory.length;
+        if (turnCount !== this.lastTurnCount || this.gameState.gameStatus !== 'ongoing') {
+            this.pendingOffer = null;
+            this.notice = null;
+        }
+        this.lastTurnCount = turnCount;
+
+        this.resignButton.disabled = !this.canEndGame();
+        this.offerDrawButton.disabled = !this.canOfferDraw();
+
+        const status = this.getOfferStatus();
+        this.offerElement.classList.toggle('hidden', !status);
+        this.offerMessage.textContent = status ? status.message : '';
+        this.acceptButton.classList.toggle('hidden', !status || !status.canAnswer);
+        this.declineButton.classList.toggle('hidden', !status || !status.canAnswer);
+    }
+}
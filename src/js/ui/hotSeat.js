@@ -0,0 +1,111 @@
+/**
+ * HotSeat - Pass-and-play on a shared device
+ * After each committed turn the camera turns to the side of the player who plays next,
+ * optionally behind a "hand over the device" screen the next player dismisses.
+ * Only active when both sides are played locally (no computer opponent, no online game).
+ */
+export class HotSeat {
+    constructor(gameState, renderer, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.uiManager = uiManager;
+
+        // Settings
+        this.enabled = false;
+        this.handOverScreen = false;
+
+        // Last seen game progress, to tell committed turns from undo, redo and loaded games
+        this.lastPlayer = gameState.currentPlayer;
+        this.lastTurnCount = gameState.turnHistory.length;
+
+        this.viewColor = 'black'; // Side the camera looks from
+
+        // UI elements
+        this.screen = document.getElementById('hand-over-screen');
+        this.messageElement = document.getElementById('hand-over-message');
+        this.readyButton = document.getElementById('hand-over-ready');
+
+        this.readyButton.addEventListener('click', () => {
+            this.hideHandOverScreen();
+        });
+
+        this.gameState.onStateChange(() => this.onStateChange());
+    }
+
+    /**
+     * Change the pass-and-play settings
+     * @param {Object} options - { enabled, handOverScreen }
+     */
+    configure({ enabled, handOverScreen }) {
+        this.enabled = enabled;
+        this.handOverScreen = handOverScreen;
+
+        if (!this.handOverScreen) {
+            this.screen.classList.add('hidden');
+        }
+        this.faceCurrentPlayer();
+    }
+
+    /**
+     * Check if both sides are played by people on this device
+     * @returns {boolean} - True if the board should turn between turns
+     */
+    isActive() {
+        const computerPlays = this.uiManager.aiPlayer && this.uiManager.aiPlayer.enabled;
+        return this.enabled && !computerPlays && !this.uiManager.isOnline() &&
+               !this.uiManager.puzzlePlayer.isActive;
+    }
+
+    /**
+     * Turn the board when the player to move changes
+     */
+    onStateChange() {
+        const player = this.gameState.currentPlayer;
+        const turnCount = this.gameState.turnHistory.length;
+        const isCommittedTurn = turnCount === this.lastTurnCount + 1;
+
+        this.lastTurnCount = turnCount;
+        if (player === this.lastPlayer) return;
+        this.lastPlayer = player;
+
+        if (!this.isActive() || this.gameState.gameStatus !== 'ongoing') return;
+
+        // Undo, redo and loaded games are handled by the player already holding the device
+        if (isCommittedTurn && this.handOverScreen) {
+            this.showHandOverScreen(player);
+        } else {
+            this.faceCurrentPlayer();
+        }
+    }
+
+    /**
+     * Look at the board from the side of the player to move (or from black's side when inactive)
+     * @param {boolean} [animate] - False to jump to the view at once
+     */
+    faceCurrentPlayer(animate = true) {
+        const color = this.isActive() ? this.gameState.currentPlayer : 'black';
+        if (color === this.viewColor) return;
+
+        this.viewColor = color;
+        this.renderer.rotateCameraToPlayer(color, animate);
+    }
+
+    /**
+     * Cover the board until the next player is ready
+     * @param {string} color - The player who plays next
+     */
+    showHandOverScreen(color) {
+        const name = color.charAt(0).toUpperCase() + color.slice(1);
+        this.messageElement.textContent = `${name} to play - hand the device over`;
+        this.screen.classList.remove('hidden');
+        this.readyButton.focus();
+    }
+
+    /**
+     * Uncover the board and turn it to the next player
+     */
+    hideHandOverScreen() {
+        this.screen.classList.add('hidden');
+        this.faceCurrentPlayer();
+    }
+}
@@ -0,0 +1,375 @@
+import { describeTurn, formatSpokenHex } from '../core/notation.js';
+
+// Hex neighbors (axial directions)
+const DIRECTIONS = [
+    { q: 1, r: 0 }, { q: -1, r: 0 },
+    { q: 0, r: 1 }, { q: 0, r: -1 },
+    { q: 1, r: -1 }, { q: -1, r: 1 }
+];
+
+// Arrow key moves as seen from black's side (the tiles' q axis runs right, r runs down the screen).
+// Left and right have two candidates each (up and down), the one keeping the cursor's row is used.
+const ARROW_MOVES = {
+    ArrowUp: [{ q: 0, r: -1 }],
+    ArrowDown: [{ q: 0, r: 1 }],
+    ArrowLeft: [{ q: -1, r: 0 }, { q: -1, r: 1 }],
+    ArrowRight: [{ q: 1, r: -1 }, { q: 1, r: 0 }]
+};
+
+// Arrow keys are reversed when the board is seen from white's side (pass-and-play)
+const OPPOSITE_ARROWS = {
+    ArrowUp: 'ArrowDown',
+    ArrowDown: 'ArrowUp',
+    ArrowLeft: 'ArrowRight',
+    ArrowRight: 'ArrowLeft'
+};
+
+/**
+ * KeyboardControls - Keyboard-only play and screen reader support
+ * The board element is focusable: arrow keys move a hex cursor, letter keys start actions at the cursor
+ * (T tile, D disc, R ring, M move / step), Enter validates and Escape cancels, Space reads the hex.
+ * Actions, turns and results are announced in words in the #board-announcer live region.
+ */
+export class KeyboardControls {
+    constructor(gameState, renderer, gameBoard, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.gameBoard = gameBoard;
+        this.uiManager = uiManager;
+
+        this.cursor = { q: 0, r: 0 };
+        this.cursorRow = 0; // Row kept while moving left and right, so the cursor goes straight across
+
+        // Last seen game progress, to tell new turns from undo and loaded games
+        this.lastTurnCount = gameState.turnHistory.length;
+
+        // UI elements
+        this.boardElement = renderer.domElement;
+        this.announcer = document.getElementById('board-announcer');
+
+        this.boardElement.addEventListener('keydown', (event) => this.onKeyDown(event));
+        this.boardElement.addEventListener('focus', () => {
+            this.placeCursor(this.isOnBoard(this.cursor) ? this.cursor : this.getStartHex());
+            this.announce(`${this.uiManager.getStatusText()}. Cursor at ${this.describeHex(this.cursor)}`);
+        });
+        this.boardElement.addEventListener('blur', () => {
+            this.renderer.hideCursor();
+        });
+
+        this.gameState.onStateChange(() => this.onStateChange());
+    }
+
+    /**
+     * Handle a key pressed while the board has the focus
+     * @param {KeyboardEvent} event - The key event
+     */
+    onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        // Keys pressed on the buttons inside the board (replay bar...) are theirs
+        if (event.target !== this.boardElement) return;
+
+        // The replay viewer has the arrow keys while it is open
+        if (this.uiManager.replayViewer.isActive) return;
+
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const actions = {
+            ArrowUp: () => this.moveCursor(key),
+            ArrowDown: () => this.moveCursor(key),
+            ArrowLeft: () => this.moveCursor(key),
+            ArrowRight: () => this.moveCursor(key),
+            ' ': () => this.announce(this.describeHex(this.cursor)),
+            t: () => this.placeTile(),
+            d: () => this.placePiece('disc'),
+            r: () => this.placePiece('ring'),
+            m: () => this.movePiece(),
+            Enter: () => this.validate(),
+            Escape: () => this.cancel()
+        };
+
+        if (actions[key]) {
+            event.preventDefault();
+            actions[key]();
+        }
+    }
+
+    /**
+     * Get the hex the cursor starts on
+     * @returns {Object} - {q, r} of the first tile, or 0,0 on an empty board
+     */
+    getStartHex() {
+        const key = Object.keys(this.gameState.board.tiles)[0];
+        if (!key) return { q: 0, r: 0 };
+
+        const [q, r] = key.split(',').map(Number);
+        return { q, r };
+    }
+
+    /**
+     * Check if the cursor can go to a hex: tiles and the hexes around them (where tiles can be placed)
+     * @param {Object} hex - {q, r}
+     * @returns {boolean} - True if the hex is on the board
+     */
+    isOnBoard(hex) {
+        const tiles = this.gameState.board.tiles;
+        if (Object.keys(tiles).length === 0) {
+            return hex.q === 0 && hex.r === 0;
+        }
+
+        return [{ q: 0, r: 0 }, ...DIRECTIONS].some(direction =>
+            tiles[`${hex.q + direction.q},${hex.r + direction.r}`]
+        );
+    }
+
+    /**
+     * Put the cursor on a hex and show it
+     * @param {Object} hex - {q, r}
+     */
+    placeCursor(hex) {
+        this.cursor = { q: hex.q, r: hex.r };
+        this.renderer.showCursor(hex.q, hex.r);
+    }
+
+    /**
+     * Move the cursor with an arrow key
+     * @param {string} arrow - 'ArrowUp', 'ArrowDown', 'ArrowLeft' or 'ArrowRight'
+     */
+    moveCursor(arrow) {
+        const seenFromWhite = this.uiManager.hotSeat.viewColor === 'white';
+        const moves = ARROW_MOVES[seenFromWhite ? OPPOSITE_ARROWS[arrow] : arrow];
+
+        // Row of a hex in half-hex steps down the screen
+        const rowOf = (hex) => hex.q / 2 + hex.r;
+
+        const candidates = moves
+            .map(move => ({ q: this.cursor.q + move.q, r: this.cursor.r + move.r }))
+            .filter(hex => this.isOnBoard(hex))
+            .sort((a, b) => Math.abs(rowOf(a) - this.cursorRow) - Math.abs(rowOf(b) - this.cursorRow));
+
+        if (candidates.length === 0) {
+            this.announce('Edge of the board');
+            return;
+        }
+
+        this.placeCursor(candidates[0]);
+        if (moves.length === 1) {
+            this.cursorRow = rowOf(candidates[0]);
+        }
+        this.announce(this.describeHex(this.cursor));
+    }
+
+    /**
+     * Describe a hex in words
+     * @param {Object} hex - {q, r}
+     * @returns {string} - e.g. "2,−1: white tile, black disc"
+     */
+    describeHex(hex) {
+        const tile = this.gameState.board.tiles[`${hex.q},${hex.r}`];
+        let text = `${formatSpokenHex(hex)}: `;
+
+        if (tile) {
+            text += `${tile.color} tile, ${tile.piece ? `${tile.piece.color} ${tile.piece.type}` : 'empty'}`;
+        } else {
+            text += 'no tile';
+        }
+
+        // Steps the piece being moved can take
+        if (this.gameBoard.getMoveTargets().some(target => target.q === hex.q && target.r === hex.r)) {
+            text += ', piece can move here';
+        }
+
+        return text;
+    }
+
+    /**
+     * Check if the player may act with the keyboard now
+     * @returns {boolean} - True if the player to move is at this keyboard
+     */
+    canPlay() {
+        if (this.uiManager.boardEditor.isActive) {
+            this.announce('The board editor is open: click the board to edit the position, Escape to leave.');
+            return false;
+        }
+        if (this.gameState.gameStatus !== 'ongoing') {
+            this.announce(this.uiManager.getStatusText());
+            return false;
+        }
+        if (this.uiManager.isSpectating()) {
+            this.announce(`You are watching this game. ${this.uiManager.getStatusText()}`);
+            return false;
+        }
+        if (this.gameBoard.inputLocked) {
+            this.announce(`Not your turn. ${this.uiManager.getStatusText()}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Drop the action in progress before starting another one
+     */
+    cancelCurrentAction() {
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+    }
+
+    /**
+     * Start placing a tile at the cursor (T)
+     */
+    placeTile() {
+        if (!this.canPlay()) return;
+
+        const { q, r } = this.cursor;
+        this.cancelCurrentAction();
+
+        if (this.gameBoard.startTilePlacement(q, r)) {
+            this.announce(`Placing a tile at ${formatSpokenHex(this.cursor)}. Enter to validate, Escape to cancel`);
+        } else {
+            this.announce(`No tile can be placed at ${formatSpokenHex(this.cursor)}`);
+        }
+    }
+
+    /**
+     * Start placing a piece at the cursor (D, R)
+     * @param {string} pieceType - 'disc' or 'ring'
+     */
+    placePiece(pieceType) {
+        if (!this.canPlay()) return;
+
+        const { q, r } = this.cursor;
+        this.cancelCurrentAction();
+
+        if (this.gameBoard.startPiecePlacement(q, r, pieceType)) {
+            this.announce(`Placing a ${pieceType} at ${formatSpokenHex(this.cursor)}. Enter to validate, Escape to cancel`);
+        } else {
+            this.announce(`No ${pieceType} can be placed at ${formatSpokenHex(this.cursor)}`);
+        }
+    }
+
+    /**
+     * Pick up the piece at the cursor, or move the picked up piece to the cursor (M)
+     */
+    async movePiece() {
+        if (!this.canPlay()) return;
+
+        const { q, r } = this.cursor;
+        const turn = this.gameBoard.currentTurn;
+
+        // Step of the piece being moved
+        if (this.gameState.currentAction === 'move_piece' && turn) {
+            // One step, or a whole jump chain
+            const steps = this.gameBoard.getStepsTo(q, r);
+            if (!steps) {
+                this.announce(`The piece cannot move to ${formatSpokenHex(this.cursor)}`);
+                return;
+            }
+
+            const before = this.gameState.clone();
+            const from = turn.path.length > 0 ? turn.path[turn.path.length - 1] : turn.from;
+            await this.gameBoard.moveSelectedPiece(q, r);
+
+            const stepText = describeTurn(before, { type: 'move_piece', from, path: steps });
+            this.announce(`${stepText}. ${this.describeNextSteps()}`);
+            return;
+        }
+
+        this.cancelCurrentAction();
+
+        if (await this.gameBoard.startPieceMovement(q, r)) {
+            this.announce(`Moving the piece at ${formatSpokenHex(this.cursor)}. ${this.describeNextSteps()}`);
+        } else {
+            this.announce(`No piece of yours can move from ${formatSpokenHex(this.cursor)}`);
+        }
+    }
+
+    /**
+     * Tell where the piece being moved can go next
+     * @returns {string} - Instructions
+     */
+    describeNextSteps() {
+        const turn = this.gameBoard.currentTurn;
+        const steps = this.gameBoard.getMoveTargets();
+        const places = steps.map(step => formatSpokenHex(step)).join('; ');
+
+        if (turn && turn.path.length > 0) {
+            return steps.length > 0
+                ? `Further jumps to ${places}. Press M on one of them, Enter to validate, Escape to cancel`
+                : 'Enter to validate, Escape to cancel';
+        }
+        return `It can move to ${places}. Press M on one of them, Escape to cancel`;
+    }
+
+    /**
+     * Validate the action in progress (Enter)
+     */
+    validate() {
+        if (!this.canPlay()) return;
+
+        const turn = this.gameBoard.currentTurn;
+        if (!this.gameState.currentAction || (turn && turn.path.length === 0)) {
+            this.announce('Nothing to validate');
+            return;
+        }
+
+        // The turn is announced once committed (see onStateChange)
+        this.gameBoard.validateAction();
+    }
+
+    /**
+     * Cancel the action in progress (Escape)
+     */
+    cancel() {
+        if (!this.gameState.currentAction) {
+            this.announce('Nothing to cancel');
+            return;
+        }
+
+        this.gameBoard.cancelAction();
+        this.announce('Cancelled');
+    }
+
+    /**
+     * Announce the turns played (by anyone: this keyboard, the mouse, the computer or an online opponent)
+     */
+    onStateChange() {
+        const history = this.gameState.turnHistory;
+        const turnCount = history.length;
+        const previousCount = this.lastTurnCount;
+        this.lastTurnCount = turnCount;
+
+        if (turnCount === previousCount + 1) {
+            const entry = history[turnCount - 1];
+            const previous = turnCount > 1 ? history[turnCount - 2].snapshot : this.gameState.historyStart.snapshot;
+            const before = this.gameState.clone();
+            before.loadSnapshot(previous);
+
+            const turnText = entry.turn ? `${describeTurn(before, entry.turn)}. ` : '';
+            this.announce(`${turnText}${this.uiManager.getStatusText()}`);
+        } else if (turnCount < previousCount) {
+            this.announce(`Back to turn ${turnCount}. ${this.uiManager.getStatusText()}`);
+        } else if (turnCount !== previousCount) {
+            this.announce(`Game loaded. ${this.uiManager.getStatusText()}`);
+        }
+
+        // Keep the cursor on the board (new or loaded game)
+        if (!this.isOnBoard(this.cursor)) {
+            this.cursor = this.getStartHex();
+            if (document.activeElement === this.boardElement) {
+                this.placeCursor(this.cursor);
+            }
+        }
+    }
+
+    /**
+     * Read a message out through the live region
+     * @param {string} message - The message
+     */
+    announce(message) {
+        // Clear first so the same message is announced again
+        this.announcer.textContent = '';
+        requestAnimationFrame(() => {
+            this.announcer.textContent = message;
+        });
+    }
+}
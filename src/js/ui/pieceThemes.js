@@ -0,0 +1,76 @@
+/**
+ * pieceThemes - Piece themes: folders of src/assets/models described by a manifest
+ * (see src/assets/models/README.txt for the format), plus the built-in procedural theme.
+ */
+
+const MODELS_URL = './src/assets/models';
+
+// Models every theme provides
+export const MODEL_NAMES = ['tile_black', 'tile_white', 'disc_black', 'disc_white', 'ring_black', 'ring_white'];
+
+// Built-in theme made of generated geometries (no files)
+export const PROCEDURAL_THEME = { id: 'procedural', name: 'Procedural', models: {} };
+
+export const DEFAULT_THEME_ID = 'modern';
+
+/**
+ * Fetch a JSON file
+ * @param {string} url - The file URL
+ * @returns {Promise<Object>} - The parsed file
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Load the manifest of a theme
+ * @param {string} id - Theme folder name, or 'procedural'
+ * @returns {Promise<Object>} - { id, name, models: { tile_black: url, ... } } with model URLs resolved
+ */
+export async function loadThemeManifest(id) {
+    if (id === PROCEDURAL_THEME.id) {
+        return PROCEDURAL_THEME;
+    }
+
+    const manifest = await fetchJson(`${MODELS_URL}/${id}/theme.json`);
+    const models = {};
+
+    for (const name of MODEL_NAMES) {
+        if (manifest.models && typeof manifest.models[name] === 'string') {
+            models[name] = `${MODELS_URL}/${id}/${manifest.models[name]}`;
+        }
+    }
+
+    return { id, name: manifest.name || id, models };
+}
+
+/**
+ * List the available themes (the ones whose manifest cannot be read are skipped)
+ * @returns {Promise<Array>} - Array of { id, name }, procedural last
+ */
+export async function listThemes() {
+    let ids = [];
+    try {
+        const index = await fetchJson(`${MODELS_URL}/themes.json`);
+        ids = Array.isArray(index.themes) ? index.themes : [];
+    } catch (error) {
+        console.warn('Cannot read the theme list:', error);
+    }
+
+    const themes = [];
+    for (const id of ids) {
+        try {
+            const { name } = await loadThemeManifest(id);
+            themes.push({ id, name });
+        } catch (error) {
+            console.warn(`Skipping theme ${id}:`, error);
+        }
+    }
+
+    themes.push({ id: PROCEDURAL_THEME.id, name: PROCEDURAL_THEME.name });
+    return themes;
+}
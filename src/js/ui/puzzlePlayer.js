@@ -0,0 +1,382 @@
+import { PuzzleAttempt, getPuzzleLength, readPuzzleCollection } from '../core/puzzles.js';
+
+const PUZZLES_URL = './src/assets/puzzles';
+
+// Pauses that let the player see the board before it changes (milliseconds)
+const REPLY_DELAY = 600; // Before the defender's reply
+const WRONG_TURN_DELAY = 900; // Before a wrong turn is taken back
+
+/**
+ * Fetch a JSON file
+ * @param {string} url - The file URL
+ * @returns {Promise<Object>} - The parsed file
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Load the bundled puzzle collections (see src/assets/puzzles/README.txt); invalid ones are skipped
+ * @returns {Promise<Array>} - Array of { id, name, puzzles }
+ */
+async function loadCollections() {
+    let ids = [];
+    try {
+        const index = await fetchJson(`${PUZZLES_URL}/collections.json`);
+        ids = Array.isArray(index.collections) ? index.collections : [];
+    } catch (error) {
+        console.warn('Cannot read the puzzle collection list:', error);
+    }
+
+    const collections = [];
+    for (const id of ids) {
+        try {
+            const { name, puzzles } = readPuzzleCollection(await fetchJson(`${PUZZLES_URL}/${id}.json`));
+            collections.push({ id, name, puzzles });
+        } catch (error) {
+            console.warn(`Skipping puzzle collection ${id}:`, error);
+        }
+    }
+    return collections;
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise} - Resolves after the wait
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * PuzzlePlayer - "Win in N" puzzles played on the board (see core/puzzles.js)
+ * The puzzle position replaces the game, and the player's turns are made with the usual board input.
+ * Each committed turn is checked against the solution: a wrong turn is taken back, a correct one is answered
+ * with the defender's reply, played like a computer turn. Solved puzzles are remembered in the browser.
+ */
+export class PuzzlePlayer {
+    constructor(gameState, renderer, gameBoard, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.gameBoard = gameBoard;
+        this.uiManager = uiManager;
+
+        // Puzzle state
+        this.isActive = false;
+        this.collections = null; // Loaded on first use
+        this.collection = null;
+        this.puzzle = null;
+        this.attempt = null; // PuzzleAttempt of the puzzle on the board
+        this.isAnswering = false; // Checking a turn, or playing the defender's reply
+        this.progress = uiManager.storageManager.loadPuzzleProgress();
+
+        // UI elements
+        this.openButton = document.getElementById('puzzles-button');
+        this.modal = document.getElementById('puzzles-modal');
+        this.statusElement = document.getElementById('puzzles-status');
+        this.listElement = document.getElementById('puzzles-list');
+        this.bar = document.getElementById('puzzle-bar');
+        this.titleElement = document.getElementById('puzzle-title');
+        this.goalElement = document.getElementById('puzzle-goal');
+        this.descriptionElement = document.getElementById('puzzle-description');
+        this.messageElement = document.getElementById('puzzle-message');
+        this.restartButton = document.getElementById('puzzle-restart');
+        this.nextButton = document.getElementById('puzzle-next');
+        this.listButton = document.getElementById('puzzle-list');
+        this.exitButton = document.getElementById('puzzle-exit');
+
+        this.initEventListeners();
+        this.gameState.onStateChange(() => this.onStateChange());
+    }
+
+    /**
+     * Initialize event listeners for the puzzle controls
+     */
+    initEventListeners() {
+        this.openButton.addEventListener('click', () => this.openList());
+        this.listButton.addEventListener('click', () => this.openList());
+        this.restartButton.addEventListener('click', () => this.restart());
+        this.nextButton.addEventListener('click', () => this.startNext());
+        this.exitButton.addEventListener('click', () => this.close());
+
+        // Puzzle buttons of the list
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-puzzle]');
+            if (!button) return;
+
+            const collection = this.collections.find(({ id }) => id === button.dataset.collection);
+            this.start(collection, collection.puzzles.find(({ id }) => id === button.dataset.puzzle));
+        });
+    }
+
+    /**
+     * Get the key a puzzle result is kept under
+     * @param {Object} collection - The collection of the puzzle
+     * @param {Object} puzzle - The puzzle
+     * @returns {string} - 'collection/puzzle'
+     */
+    getProgressKey(collection, puzzle) {
+        return `${collection.id}/${puzzle.id}`;
+    }
+
+    /**
+     * Show the puzzle collections, with the puzzles already solved
+     */
+    async openList() {
+        this.uiManager.closeModal(this.uiManager.settingsModal);
+        this.uiManager.openModal(this.modal);
+
+        if (!this.collections) {
+            this.statusElement.textContent = 'Loading puzzles...';
+            this.collections = await loadCollections();
+        }
+        this.refreshList();
+    }
+
+    /**
+     * Fill the puzzle list
+     */
+    refreshList() {
+        const puzzles = this.collections.flatMap(collection => collection.puzzles.map(puzzle => [collection, puzzle]));
+        const solved = puzzles.filter(([collection, puzzle]) => this.isSolved(collection, puzzle)).length;
+
+        this.statusElement.textContent = puzzles.length === 0 ? 'No puzzles could be loaded.' :
+            `${solved} of ${puzzles.length} puzzles solved.`;
+
+        this.listElement.replaceChildren(...this.collections.map(collection => {
+            const section = document.createElement('section');
+            const heading = document.createElement('h3');
+            heading.textContent = collection.name;
+
+            const list = document.createElement('ol');
+            list.replaceChildren(...collection.puzzles.map(puzzle => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.dataset.collection = collection.id;
+                button.dataset.puzzle = puzzle.id;
+                button.textContent = `${puzzle.title} (win in ${getPuzzleLength(puzzle)})`;
+
+                if (this.isSolved(collection, puzzle)) {
+                    item.classList.add('solved');
+                    button.textContent += ' ✓';
+                    button.title = 'Solved';
+                }
+                item.appendChild(button);
+                return item;
+            }));
+
+            section.append(heading, list);
+            return section;
+        }));
+    }
+
+    /**
+     * Check if a puzzle has been solved in this browser
+     * @param {Object} collection - The collection of the puzzle
+     * @param {Object} puzzle - The puzzle
+     * @returns {boolean} - True if solved
+     */
+    isSolved(collection, puzzle) {
+        const result = this.progress[this.getProgressKey(collection, puzzle)];
+        return Boolean(result && result.solved);
+    }
+
+    /**
+     * Put a puzzle on the board, replacing the current game
+     * @param {Object} collection - The collection of the puzzle
+     * @param {Object} puzzle - The puzzle
+     */
+    async start(collection, puzzle) {
+        if (this.uiManager.isOnline()) {
+            alert('Puzzles cannot be played during an online game.');
+            return;
+        }
+        if (this.uiManager.isComputerBusy()) {
+            return;
+        }
+        if (!this.isActive && this.gameState.turnHistory.length > 0 && this.gameState.gameStatus === 'ongoing' &&
+            !confirm('Start the puzzle? Current progress will be lost.')) {
+            return;
+        }
+
+        this.uiManager.closeModal(this.modal);
+        await this.uiManager.replayViewer.close();
+        this.uiManager.boardEditor.close();
+
+        this.isActive = true;
+        this.collection = collection;
+        this.puzzle = puzzle;
+        this.attempt = new PuzzleAttempt(puzzle);
+
+        // The puzzle plays the defender instead of the computer opponent
+        this.uiManager.applyOpponentSettings();
+        this.bar.classList.remove('hidden');
+        this.restart();
+    }
+
+    /**
+     * Start the puzzle on the board again
+     */
+    restart() {
+        if (!this.isActive) return;
+
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+
+        // A new attempt: replies of the previous one are dropped
+        this.attempt = new PuzzleAttempt(this.puzzle);
+        this.attempt.restart(this.gameState);
+        this.isAnswering = false;
+        this.gameBoard.inputLocked = false;
+        this.setMessage('');
+        this.gameState.notifyStateChange();
+
+        // Fully reset the visual board, as for a new game
+        this.renderer.clearActionUI();
+        this.renderer.setupScene();
+        this.uiManager.updateUI();
+        this.update();
+    }
+
+    /**
+     * Start the puzzle after the current one in its collection
+     */
+    startNext() {
+        const puzzles = this.collection.puzzles;
+        const next = puzzles[puzzles.indexOf(this.puzzle) + 1];
+        if (next) {
+            this.start(this.collection, next);
+        }
+    }
+
+    /**
+     * Leave puzzle mode: the position stays on the board as a game
+     */
+    close() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.attempt = null;
+        this.isAnswering = false;
+        this.gameBoard.inputLocked = false;
+        this.bar.classList.add('hidden');
+
+        // The computer opponent plays again if it is on
+        this.uiManager.applyOpponentSettings();
+        this.uiManager.updateUI();
+    }
+
+    /**
+     * Check if the defender is to move, so the board waits for the reply
+     * @returns {boolean} - True while the defender's reply is due
+     */
+    isDefenderTurn() {
+        return this.isActive && this.gameState.currentPlayer !== this.attempt.solver;
+    }
+
+    /**
+     * Check the turns of the solver as they are committed on the board
+     */
+    onStateChange() {
+        if (!this.isActive) return;
+        if (this.isAnswering) {
+            // Keep the board locked while the turn is answered (the computer opponent unlocks it when off)
+            this.gameBoard.inputLocked = true;
+            return;
+        }
+
+        // Only a new turn of the solver has to be checked (not the replies, undos or the puzzle set-up)
+        const history = this.gameState.turnHistory;
+        if (history.length === this.attempt.played.length + 1) {
+            this.answerTurn(history[history.length - 1].turn);
+        }
+    }
+
+    /**
+     * Answer a turn of the solver: take it back, reply to it or tell the puzzle is solved
+     * @param {Object} turn - The committed turn
+     */
+    async answerTurn(turn) {
+        const attempt = this.attempt;
+        const result = attempt.tryTurn(turn);
+
+        this.isAnswering = true;
+        this.gameBoard.inputLocked = true;
+        this.update();
+
+        if (result.solved) {
+            this.setMessage(attempt.mistakes === 0 ? 'Solved at the first try!' :
+                `Solved, after ${attempt.mistakes} wrong turn${attempt.mistakes === 1 ? '' : 's'}.`, 'solved');
+            this.recordSolved(attempt.mistakes);
+        } else if (result.correct) {
+            this.setMessage('Correct!', 'correct');
+            await wait(REPLY_DELAY);
+            if (this.attempt === attempt) {
+                await this.gameBoard.playTurn(result.reply);
+            }
+        } else {
+            this.setMessage('That is not the solution. Try again.', 'wrong');
+            await wait(WRONG_TURN_DELAY);
+            if (this.attempt === attempt) {
+                this.gameState.undoTurn();
+                this.uiManager.syncBoard();
+            }
+        }
+
+        // The puzzle may have been restarted or left meanwhile
+        if (this.attempt !== attempt) return;
+
+        this.isAnswering = false;
+        this.gameBoard.inputLocked = attempt.isSolved;
+        this.uiManager.updateUI();
+        this.update();
+    }
+
+    /**
+     * Remember that the puzzle on the board is solved
+     * @param {number} mistakes - Wrong turns played before the solution
+     */
+    recordSolved(mistakes) {
+        const key = this.getProgressKey(this.collection, this.puzzle);
+        const previous = this.progress[key];
+
+        this.progress[key] = {
+            solved: true,
+            mistakes: previous && previous.solved ? Math.min(previous.mistakes, mistakes) : mistakes
+        };
+        this.uiManager.storageManager.savePuzzleProgress(this.progress);
+    }
+
+    /**
+     * Show a message about the last turn
+     * @param {string} text - The message ('' to clear it)
+     * @param {string} [kind] - 'correct', 'wrong' or 'solved', for the message style
+     */
+    setMessage(text, kind = '') {
+        this.messageElement.textContent = text;
+        this.messageElement.className = kind;
+    }
+
+    /**
+     * Refresh the puzzle bar
+     */
+    update() {
+        if (!this.isActive) return;
+
+        const { puzzle, attempt } = this;
+        const solver = attempt.solver.charAt(0).toUpperCase() + attempt.solver.slice(1);
+        const collectionPuzzles = this.collection.puzzles;
+
+        this.titleElement.textContent = `${collectionPuzzles.indexOf(puzzle) + 1}. ${puzzle.title}`;
+        this.goalElement.textContent = `${solver} to play and win in ${getPuzzleLength(puzzle)}`;
+        this.descriptionElement.textContent = puzzle.description || '';
+        this.nextButton.disabled = puzzle === collectionPuzzles[collectionPuzzles.length - 1];
+        this.restartButton.disabled = this.isAnswering || this.gameState.turnHistory.length === 0;
+    }
+}
@@ -0,0 +1,326 @@
+import { GameState } from '../core/gameState.js';
+import { formatTurn } from '../core/notation.js';
+
+// Pause between two turns during autoplay, at normal speed (milliseconds)
+const AUTOPLAY_DELAY = 900;
+
+/**
+ * ReplayViewer - Steps through the committed turns of a game (finished, imported or in progress)
+ * The replayed position lives in its own GameState, shown by swapping the renderer's game state,
+ * so the real game is never modified and continues where it was once the replay is closed.
+ */
+export class ReplayViewer {
+    constructor(gameState, renderer, gameBoard, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.gameBoard = gameBoard;
+        this.uiManager = uiManager;
+
+        // Replay state
+        this.isActive = false;
+        this.replayState = null; // Position shown on the board
+        this.entries = []; // Committed turns being replayed (GameState.turnHistory entries)
+        this.index = 0; // Number of turns played in the shown position
+        this.isPlaying = false;
+        this.speed = 1;
+        this.currentStep = null; // Promise of the animated step in progress
+        this.autoplayTimer = null;
+
+        // UI elements
+        this.replayButton = document.getElementById('replay-button');
+        this.bar = document.getElementById('replay-bar');
+        this.firstButton = document.getElementById('replay-first');
+        this.previousButton = document.getElementById('replay-previous');
+        this.playButton = document.getElementById('replay-play');
+        this.nextButton = document.getElementById('replay-next');
+        this.lastButton = document.getElementById('replay-last');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.turnLabel = document.getElementById('replay-turn');
+        this.exitButton = document.getElementById('replay-exit');
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the replay controls
+     */
+    initEventListeners() {
+        this.replayButton.addEventListener('click', () => this.open());
+        this.exitButton.addEventListener('click', () => this.close());
+
+        this.firstButton.addEventListener('click', () => this.goTo(0));
+        this.previousButton.addEventListener('click', () => this.goTo(this.index - 1));
+        this.nextButton.addEventListener('click', () => this.stepForward());
+        this.lastButton.addEventListener('click', () => this.goTo(this.entries.length));
+        this.playButton.addEventListener('click', () => this.togglePlay());
+
+        // Dragging the scrubber jumps straight to the position, without animation
+        this.scrubber.addEventListener('input', () => this.goTo(Number(this.scrubber.value)));
+
+        this.speedSelect.addEventListener('change', () => {
+            this.speed = Number(this.speedSelect.value);
+            this.renderer.animationHandler.setSpeed(this.speed);
+        });
+
+        // Arrow keys step through the turns, Home/End jump to the start/end, Escape closes the replay
+        document.addEventListener('keydown', (event) => {
+            if (!this.isActive || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement) return;
+
+            const actions = {
+                ArrowLeft: () => this.goTo(this.index - 1),
+                ArrowRight: () => this.stepForward(),
+                Home: () => this.goTo(0),
+                End: () => this.goTo(this.entries.length),
+                Escape: () => this.close()
+            };
+
+            if (actions[event.key]) {
+                event.preventDefault();
+                actions[event.key]();
+            }
+        });
+    }
+
+    /**
+     * Check if the current game has turns to replay
+     * @returns {boolean} - True if a replay can be opened
+     */
+    canOpen() {
+        return Boolean(this.gameState.historyStart) && this.gameState.turnHistory.length > 0;
+    }
+
+    /**
+     * Enter replay mode, starting from the first turn
+     */
+    open() {
+        if (this.isActive || !this.canOpen()) return;
+
+        // Drop any action in progress on the real game
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+
+        this.isActive = true;
+        this.entries = [...this.gameState.turnHistory];
+        this.replayState = new GameState();
+        this.replayState.variant = this.gameState.variant;
+        this.replayState.recordHistory = false;
+
+        // Show the replayed position instead of the game, and ignore board clicks meanwhile
+        this.renderer.gameState = this.replayState;
+        this.gameBoard.inputLocked = true;
+
+        this.scrubber.max = this.entries.length;
+        this.bar.classList.remove('hidden');
+        this.uiManager.updateHistoryButtons();
+
+        this.showPosition(0);
+    }
+
+    /**
+     * Leave replay mode and show the game again
+     */
+    async close() {
+        if (!this.isActive) return;
+
+        this.pause();
+        await this.finishStep();
+
+        this.isActive = false;
+        this.bar.classList.add('hidden');
+
+        this.renderer.gameState = this.gameState;
+        this.renderer.animationHandler.setSpeed(1);
+        this.renderer.clearActionUI();
+        this.renderer.updateBoard();
+
+        // Let the UI, the computer opponent and the board input catch up with the real game
+        this.gameBoard.inputLocked = false;
+        this.gameState.notifyStateChange();
+    }
+
+    /**
+     * Show the position after a number of turns, without animation
+     * @param {number} index - Number of turns played (0 is the start of the game)
+     */
+    showPosition(index) {
+        this.index = Math.max(0, Math.min(index, this.entries.length));
+
+        const entry = this.entries[this.index - 1];
+        this.replayState.loadSnapshot(entry ? entry.snapshot : this.gameState.historyStart.snapshot);
+
+        this.renderer.clearActionUI();
+        this.renderer.updateBoard();
+        this.updateControls();
+    }
+
+    /**
+     * Jump to a position (stops any animation in progress first)
+     * @param {number} index - Number of turns played
+     */
+    async goTo(index) {
+        if (!this.isActive) return;
+
+        this.pause();
+        await this.finishStep();
+        this.showPosition(index);
+    }
+
+    /**
+     * Play the next turn with its animations
+     * @returns {Promise<boolean>} - True if a turn was played
+     */
+    async stepForward() {
+        if (!this.isActive || this.currentStep || this.index >= this.entries.length) {
+            return false;
+        }
+
+        this.currentStep = this.animateTurn(this.entries[this.index].turn);
+        await this.currentStep;
+        this.currentStep = null;
+
+        // The replay may have been closed while the turn was animating
+        if (this.isActive) {
+            this.showPosition(this.index + 1);
+        }
+        return true;
+    }
+
+    /**
+     * Animate a turn from the shown position
+     * The board is set to the exact position after the turn by showPosition() afterwards.
+     * @param {Object|null} turn - The turn (see core/rules.js for the format)
+     */
+    async animateTurn(turn) {
+        if (!turn) return;
+
+        const color = this.replayState.currentPlayer;
+
+        if (turn.type === 'place_tile') {
+            this.renderer.showTilePlacementUI(turn.q, turn.r, color);
+            this.renderer.cancelIcon.visible = false;
+            this.renderer.validateIcon.visible = false;
+            await this.renderer.animateTilePlacement(turn.q, turn.r, color);
+        } else if (turn.type === 'place_piece') {
+            await this.renderer.animatePiecePlacement(turn.q, turn.r, color, turn.pieceType);
+        } else if (turn.type === 'move_piece') {
+            let { q, r } = turn.from;
+            await this.renderer.animatePieceLift(q, r);
+
+            // Each hop follows an arc, captures are animated as the piece lands
+            for (const step of turn.path) {
+                await this.renderer.animatePieceMovement(q, r, step.q, step.r);
+                q = step.q;
+                r = step.r;
+            }
+
+            await this.renderer.animatePieceDropAfterMove(q, r);
+        }
+    }
+
+    /**
+     * Wait for the animated step in progress, skipping its remaining animations
+     */
+    async finishStep() {
+        if (!this.currentStep) return;
+
+        const handler = this.renderer.animationHandler;
+        const wasEnabled = handler.isEnabled;
+
+        handler.setEnabled(false);
+        await this.currentStep;
+        handler.setEnabled(wasEnabled);
+    }
+
+    /**
+     * Start or stop autoplay
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Play the remaining turns one after another
+     */
+    async play() {
+        if (!this.isActive || this.isPlaying) return;
+
+        // Start over when the end was reached
+        if (this.index >= this.entries.length) {
+            this.showPosition(0);
+        }
+
+        this.isPlaying = true;
+        this.updateControls();
+
+        while (this.isPlaying && this.index < this.entries.length) {
+            await this.stepForward();
+
+            if (this.isPlaying && this.index < this.entries.length) {
+                await new Promise(resolve => {
+                    this.autoplayTimer = setTimeout(resolve, AUTOPLAY_DELAY / this.speed);
+                });
+            }
+        }
+
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    /**
+     * Stop autoplay (the turn being animated still finishes)
+     */
+    pause() {
+        this.isPlaying = false;
+        clearTimeout(this.autoplayTimer);
+        this.updateControls();
+    }
+
+    /**
+     * Update the replay controls and the status panel for the shown position
+     */
+    updateControls() {
+        if (!this.isActive) return;
+
+        const total = this.entries.length;
+        this.scrubber.value = this.index;
+        this.firstButton.disabled = this.index === 0;
+        this.previousButton.disabled = this.index === 0;
+        this.nextButton.disabled = this.index >= total;
+        this.lastButton.disabled = this.index >= total;
+        this.playButton.textContent = this.isPlaying ? '❚❚' : '▶';
+        this.playButton.title = this.isPlaying ? 'Pause' : 'Play';
+
+        this.turnLabel.textContent = this.index === 0
+            ? `Start (0/${total})`
+            : `${this.describeTurn(this.index - 1)} (${this.index}/${total})`;
+
+        this.uiManager.updateCurrentPlayer(this.replayState);
+        this.uiManager.updatePieceCounts(this.replayState);
+        this.uiManager.analysisPanel.refresh();
+    }
+
+    /**
+     * Describe a replayed turn in notation, e.g. 'Black 0,0>2,0'
+     * @param {number} index - Index of the turn in the replay
+     * @returns {string} - The description
+     */
+    describeTurn(index) {
+        const entry = this.entries[index];
+        const previous = this.entries[index - 1];
+
+        // Notation needs the position before the turn
+        const before = new GameState();
+        before.loadSnapshot(previous ? previous.snapshot : this.gameState.historyStart.snapshot);
+
+        const player = before.currentPlayer.charAt(0).toUpperCase() + before.currentPlayer.slice(1);
+        const text = entry.turn ? formatTurn(before, entry.turn) : '?';
+        return `${player} ${text}`;
+    }
+}
@@ -0,0 +1,98 @@
+import { describeResult } from '../core/gameResult.js';
+
+/**
+ * ResultScreen - End-of-game screen with the result and how it was reached (see core/gameResult.js)
+ * Opens when the game on the board ends: after the last turn, a resignation, a draw by agreement
+ * or a loss on time. Loading a finished game does not open it, the status line shows the result.
+ * Solved puzzles do not open it either, the puzzle bar tells.
+ */
+export class ResultScreen {
+    constructor(gameState, uiManager) {
+        this.gameState = gameState;
+        this.uiManager = uiManager;
+
+        // Last seen game progress, to tell the end of the game from loaded games
+        this.lastStatus = gameState.gameStatus;
+        this.lastTurnCount = gameState.turnHistory.length;
+
+        // UI elements
+        this.modal = document.getElementById('result-modal');
+        this.titleElement = document.getElementById('result-title');
+        this.reasonElement = document.getElementById('result-reason');
+        this.detailsElement = document.getElementById('result-details');
+        this.replayButton = document.getElementById('result-replay-button');
+        this.exportButton = document.getElementById('result-export-button');
+        this.newGameButton = document.getElementById('result-new-game-button');
+
+        this.replayButton.addEventListener('click', () => {
+            this.close();
+            this.uiManager.replayViewer.open();
+        });
+
+        this.exportButton.addEventListener('click', () => {
+            this.uiManager.exportGame();
+        });
+
+        this.newGameButton.addEventListener('click', () => {
+            this.close();
+            this.uiManager.startNewGame();
+        });
+
+        this.gameState.onStateChange(() => this.onStateChange());
+    }
+
+    /**
+     * Open the screen when the game on the board just ended
+     */
+    onStateChange() {
+        const status = this.gameState.gameStatus;
+        const turnCount = this.gameState.turnHistory.length;
+        const justEnded = this.lastStatus === 'ongoing' && status !== 'ongoing' &&
+                          (turnCount === this.lastTurnCount || turnCount === this.lastTurnCount + 1);
+
+        this.lastStatus = status;
+        this.lastTurnCount = turnCount;
+
+        if (justEnded && !this.uiManager.replayViewer.isActive && !this.uiManager.puzzlePlayer.isActive) {
+            this.open();
+        } else if (status === 'ongoing') {
+            this.close();
+        }
+    }
+
+    /**
+     * Show the result of the current game
+     */
+    open() {
+        const result = describeResult(this.gameState);
+        if (!result) return;
+
+        const turnCount = this.gameState.turnHistory.length;
+        let details = `Game over after ${turnCount} turn${turnCount === 1 ? '' : 's'}.`;
+
+        // Name the players when they are not both on this device
+        const computerPlays = this.uiManager.aiPlayer && this.uiManager.aiPlayer.enabled;
+        if (this.uiManager.isOnline() || computerPlays) {
+            const players = ['black', 'white'].map(color => `${this.uiManager.getPlayerName(color)} (${color})`);
+            details = `${players.join(' vs ')}. ${details}`;
+        }
+
+        this.titleElement.textContent = result.title;
+        this.reasonElement.textContent = result.reason;
+        this.detailsElement.textContent = details;
+
+        // Online players play again against the same opponent
+        const canRematch = this.uiManager.isOnline() && !this.uiManager.isSpectating();
+        this.newGameButton.textContent = canRematch ? 'Play again' : 'New game';
+        this.replayButton.disabled = !this.uiManager.replayViewer.canOpen();
+
+        this.uiManager.openModal(this.modal);
+    }
+
+    /**
+     * Hide the screen
+     */
+    close() {
+        this.uiManager.closeModal(this.modal);
+    }
+}
@@ -0,0 +1,224 @@
+import { readSave } from '../core/saveFormat.js';
+import { formatResult } from '../core/gameResult.js';
+import { AUTOSAVE_SLOT_ID } from '../utils/storageManager.js';
+
+/**
+ * SavedGamesDialog - Lists the save slots kept in the browser, and saves, loads or deletes them
+ */
+export class SavedGamesDialog {
+    constructor(gameState, renderer, storageManager, uiManager) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.storageManager = storageManager;
+        this.uiManager = uiManager;
+
+        // UI elements
+        this.modal = document.getElementById('saved-games-modal');
+        this.openButton = document.getElementById('saved-games-button');
+        this.saveForm = document.getElementById('save-game-form');
+        this.nameInput = document.getElementById('save-game-name');
+        this.statusElement = document.getElementById('saved-games-status');
+        this.listElement = document.getElementById('saved-games-list');
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the dialog controls
+     */
+    initEventListeners() {
+        this.openButton.addEventListener('click', () => {
+            this.open();
+        });
+
+        this.saveForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveCurrentGame(this.nameInput.value.trim());
+        });
+
+        // Load and Delete buttons of the slots
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            const id = button.closest('li').dataset.id;
+            if (button.dataset.action === 'load') {
+                this.loadSlot(id);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteSlot(id);
+            }
+        });
+    }
+
+    /**
+     * Open the dialog over the settings modal
+     */
+    open() {
+        this.uiManager.closeModal(this.uiManager.settingsModal);
+        this.uiManager.openModal(this.modal);
+        this.refresh();
+    }
+
+    /**
+     * Show the save slots, most recent first
+     */
+    async refresh() {
+        let slots;
+        try {
+            slots = await this.storageManager.listSlots();
+        } catch (error) {
+            console.error('Error listing saved games:', error);
+            this.statusElement.textContent = 'Saved games are not available in this browser.';
+            this.listElement.replaceChildren();
+            return;
+        }
+
+        this.statusElement.textContent = slots.length === 0 ? 'No saved games yet.' : '';
+        this.listElement.replaceChildren(...slots.map(slot => this.createSlotElement(slot)));
+    }
+
+    /**
+     * Create the list item of a save slot
+     * @param {Object} slot - The slot
+     * @returns {HTMLElement} - The list item
+     */
+    createSlotElement(slot) {
+        const item = document.createElement('li');
+        item.className = 'saved-game';
+        item.dataset.id = slot.id;
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'saved-game-thumbnail';
+        if (slot.thumbnail) {
+            const image = document.createElement('img');
+            image.src = slot.thumbnail;
+            image.alt = '';
+            thumbnail.appendChild(image);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'saved-game-info';
+        const name = document.createElement('strong');
+        name.textContent = slot.name;
+        const details = document.createElement('span');
+        info.append(name, details);
+
+        const loadButton = this.createButton('Load', 'load');
+        try {
+            const save = readSave(slot.state);
+            details.textContent = `${new Date(slot.updatedAt).toLocaleString()} - ${this.describeState(save)}`;
+        } catch (error) {
+            // Damaged or too recent saves are listed so they can be deleted
+            item.classList.add('invalid');
+            details.textContent = `Cannot be loaded: ${error.problems.length > 0 ? error.problems[0] : error.message}`;
+            details.title = error.message;
+            loadButton.disabled = true;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-game-actions';
+        actions.append(loadButton, this.createButton('Delete', 'delete'));
+
+        item.append(thumbnail, info, actions);
+        return item;
+    }
+
+    /**
+     * Create a slot action button
+     * @param {string} text - Button text
+     * @param {string} action - 'load' or 'delete'
+     * @returns {HTMLButtonElement} - The button
+     */
+    createButton(text, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.dataset.action = action;
+        return button;
+    }
+
+    /**
+     * Describe the progress of a saved game
+     * @param {Object} state - Valid save (see core/saveFormat.js)
+     * @returns {string} - E.g. "12 turns, White to play"
+     */
+    describeState(state) {
+        const turns = state.history.turns.length;
+        const progress = `${turns} turn${turns === 1 ? '' : 's'}`;
+
+        if (state.gameStatus !== 'ongoing') {
+            return `${progress}, ${formatResult(state)}`;
+        }
+        const player = state.currentPlayer.charAt(0).toUpperCase() + state.currentPlayer.slice(1);
+        return `${progress}, ${player} to play`;
+    }
+
+    /**
+     * Save the current game to a named slot (a slot with the same name is replaced)
+     * @param {string} name - Name of the slot
+     */
+    async saveCurrentGame(name) {
+        if (!name) {
+            this.nameInput.focus();
+            return;
+        }
+
+        try {
+            const slots = await this.storageManager.listSlots();
+            const existing = slots.find(slot => slot.id !== AUTOSAVE_SLOT_ID && slot.name === name);
+            if (existing && !confirm(`Replace the saved game "${name}"?`)) {
+                return;
+            }
+
+            await this.storageManager.saveSlot({
+                id: existing ? existing.id : null,
+                name,
+                state: JSON.parse(JSON.stringify(this.gameState.getSerializableState())),
+                // The board shows another position during a replay
+                thumbnail: this.uiManager.replayViewer.isActive ? null : this.renderer.captureThumbnail()
+            });
+        } catch (error) {
+            console.error('Error saving game:', error);
+            alert(`Cannot save this game: ${error.message}`);
+            return;
+        }
+
+        this.nameInput.value = '';
+        this.refresh();
+    }
+
+    /**
+     * Load the game of a slot
+     * @param {string} id - Slot id
+     */
+    async loadSlot(id) {
+        if (this.uiManager.isOnline()) {
+            alert('Leave the online game before loading a saved game.');
+            return;
+        }
+
+        const slot = await this.storageManager.loadSlot(id);
+        if (!slot) {
+            this.refresh();
+            return;
+        }
+        if (!confirm(`Load "${slot.name}"? Current progress will be lost.`)) {
+            return;
+        }
+
+        this.uiManager.closeModal(this.modal);
+        await this.uiManager.loadGameState(slot.state);
+    }
+
+    /**
+     * Delete a slot after confirmation
+     * @param {string} id - Slot id
+     */
+    async deleteSlot(id) {
+        const slot = await this.storageManager.loadSlot(id);
+        if (slot && confirm(`Delete "${slot.name}"?`)) {
+            await this.storageManager.deleteSlot(id);
+        }
+        this.refresh();
+    }
+}
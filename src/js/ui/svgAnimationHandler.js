@@ -0,0 +1,145 @@
+import { ANIMATION_CONFIG } from './threeAnimationHandler.js';
+
+// Extra lift at the middle of a move, so pieces seem to hop over the board (in lift units)
+const ARC_LIFT = 1;
+
+/**
+ * SvgAnimationHandler - Handles animations of the 2D board items (see svgRenderer.js)
+ * Same controls as ThreeAnimationHandler (speed, enable/disable), animating the item properties
+ * x, z, lift, scale and opacity instead of 3D positions
+ */
+export class SvgAnimationHandler {
+    constructor() {
+        this.animations = new Map(); // Store active animations
+        this.animationId = 0; // Unique ID for animations
+        this.isEnabled = true; // Global animation toggle
+        this.speed = 1; // Playback speed multiplier (e.g. 2 plays animations twice as fast)
+    }
+
+    /**
+     * Set the playback speed of new animations
+     * @param {number} speed - Speed multiplier (1 is normal speed)
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    /**
+     * Enable or disable all animations
+     * @param {boolean} enabled - Whether animations should be enabled
+     */
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+        if (!enabled) {
+            // Complete all running animations immediately
+            this.completeAllAnimations();
+        }
+    }
+
+    /**
+     * Animate board item properties to new values
+     * @param {Object} item - The item to animate (SvgItem)
+     * @param {Object} target - End values, e.g. { x, z } or { lift: 0 }
+     * @param {Object} options - { easing, duration, arc (hop when moving), onComplete }
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    animate(item, target, options = {}) {
+        const {
+            easing = ANIMATION_CONFIG.EASING.LINEAR,
+            duration = ANIMATION_CONFIG.DURATION,
+            arc = false,
+            onComplete = null
+        } = options;
+
+        const start = {};
+        for (const key of Object.keys(target)) {
+            start[key] = item[key];
+        }
+
+        if (!this.isEnabled) {
+            Object.assign(item, target);
+            item.update();
+            if (onComplete) onComplete();
+            return Promise.resolve();
+        }
+
+        const isMove = start.x !== undefined && (start.x !== target.x || start.z !== target.z);
+
+        return new Promise((resolve) => {
+            const id = this.animationId++;
+            this.animations.set(id, {
+                item,
+                start,
+                target,
+                easing,
+                arc: arc && isMove,
+                baseLift: item.lift,
+                startTime: performance.now(),
+                duration: duration / this.speed,
+                onComplete,
+                resolve
+            });
+
+            this.step(id);
+        });
+    }
+
+    /**
+     * Animate a specific animation
+     * @param {number} id - Animation ID
+     */
+    step(id) {
+        const animation = this.animations.get(id);
+        if (!animation) return;
+
+        const progress = Math.min((performance.now() - animation.startTime) / animation.duration, 1);
+        const easedProgress = animation.easing(progress);
+        const { item, start, target } = animation;
+
+        for (const key of Object.keys(target)) {
+            item[key] = start[key] + (target[key] - start[key]) * easedProgress;
+        }
+        if (animation.arc) {
+            item.lift = animation.baseLift + ARC_LIFT * 4 * progress * (1 - progress);
+        }
+        item.update();
+
+        if (progress >= 1) {
+            this.completeAnimation(id);
+        } else {
+            requestAnimationFrame(() => this.step(id));
+        }
+    }
+
+    /**
+     * Complete an animation
+     * @param {number} id - Animation ID
+     */
+    completeAnimation(id) {
+        const animation = this.animations.get(id);
+        if (!animation) return;
+
+        // Ensure final values are set
+        Object.assign(animation.item, animation.target);
+        if (animation.arc) {
+            animation.item.lift = animation.baseLift;
+        }
+        animation.item.update();
+
+        if (animation.onComplete) {
+            animation.onComplete();
+        }
+
+        animation.resolve();
+        this.animations.delete(id);
+    }
+
+    /**
+     * Complete all running animations immediately
+     */
+    completeAllAnimations() {
+        for (const [id] of this.animations) {
+            this.completeAnimation(id);
+        }
+    }
+}
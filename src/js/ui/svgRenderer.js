@@ -0,0 +1,1443 @@
+import { ANIMATION_CONFIG } from './threeAnimationHandler.js';
+import { SvgAnimationHandler } from './svgAnimationHandler.js';
+import { DEFAULT_THEME_ID } from './pieceThemes.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Board geometry, in board units
+const HEX_SIZE = 1; // Distance from a hex center to its corners
+const TILE_RADIUS = 0.94; // Tiles are drawn a little smaller, leaving a gap between them
+const DISC_RADIUS = 0.5;
+const RING_RADIUS = 0.55;
+const RING_WIDTH = 0.18;
+const ICON_RADIUS = 0.3;
+const CHOICE_SCALE = 0.55; // Size of the disc/ring choice shown when both can be placed
+const BOARD_MARGIN = 2.5; // Space kept around the tiles for placements and icons (in hex sizes)
+
+// Lifted items rise towards the top of the screen and grow a little
+const LIFT = {
+    FLOATING: 1, // Lift of a piece or tile being played
+    OFFSET: 0.25, // Rise at a lift of 1
+    SCALE: 0.15, // Growth at a lift of 1
+    CAPTURED: 2 // Lift reached by captured pieces while fading out
+};
+
+// Board turn between the players' sides in pass-and-play (milliseconds)
+const VIEW_ROTATION_DURATION = 1200;
+
+const COLORS = {
+    BACKGROUND: { light: '#f0f0f0', dark: '#222222' },
+    TILE: { black: '#3a3a3a', white: '#e8e8e8' },
+    TILE_EDGE: { black: '#1e1e1e', white: '#a0a0a0' },
+    PIECE: { black: '#111111', white: '#ffffff' },
+    PIECE_EDGE: { black: '#777777', white: '#555555' },
+    CANCEL: '#ff0000',
+    VALIDATE: '#00b000',
+    CURSOR: '#ffcc00',
+    HINT: '#3399ff'
+};
+
+// Suggested turn of the analysis panel: highlighted hexes joined by arrows
+const HINT = {
+    RADIUS: 0.8,
+    OPACITY: 0.45,
+    ARROW_WIDTH: 0.12,
+    HEAD_WIDTH: 0.5,
+    HEAD_LENGTH: 0.45
+};
+
+// Valid action placeholders, as on the 3D board
+const PLACEHOLDER = {
+    VISIBLE_OPACITY: 0.5,
+    INVISIBLE_OPACITY: 0,
+    TILE_COLOR: '#00ff00',
+    PIECE_COLOR: '#00ff00',
+    MOVE_COLOR: '#0000ff',
+    TILE_RADIUS: 0.8
+};
+
+/**
+ * Create an SVG element
+ * @param {string} name - Element name
+ * @param {Object} [attributes] - Attribute values
+ * @returns {SVGElement} - The element
+ */
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    for (const [attribute, value] of Object.entries(attributes)) {
+        element.setAttribute(attribute, value);
+    }
+    return element;
+}
+
+/**
+ * Get the corners of a flat-topped hexagon centered on the origin
+ * @param {number} radius - Distance from the center to the corners
+ * @returns {string} - Value of a polygon points attribute
+ */
+function hexagonPoints(radius) {
+    const points = [];
+    for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 3 * i;
+        points.push(`${(radius * Math.cos(angle)).toFixed(3)},${(radius * Math.sin(angle)).toFixed(3)}`);
+    }
+    return points.join(' ');
+}
+
+/**
+ * SvgItem - A drawn tile, piece, icon or placeholder of the 2D board
+ * Plays the part of a Three.js object for the code shared with the 3D board: it has userData and visible,
+ * and its position (x, z), lift, scale and opacity are applied to the SVG element by update()
+ */
+class SvgItem {
+    constructor(element, userData = {}) {
+        this.element = element;
+        this.userData = userData;
+        this.x = 0;
+        this.z = 0;
+        this.lift = 0; // 0 when resting on the board, LIFT.FLOATING when being played
+        this.scale = 1;
+        this.opacity = 1;
+        this.angle = 0; // Counter-rotation of the board view, so items rise towards the top of the screen
+        this.hitRadius = 0; // Radius of the clickable area of icons
+    }
+
+    get visible() {
+        return this.element.style.display !== 'none';
+    }
+
+    set visible(visible) {
+        this.element.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Apply the item's properties to its SVG element
+     */
+    update() {
+        const scale = this.scale * (1 + LIFT.SCALE * this.lift);
+        this.element.setAttribute('transform',
+            `translate(${this.x} ${this.z}) rotate(${this.angle}) translate(0 ${-LIFT.OFFSET * this.lift}) scale(${scale})`);
+        this.element.setAttribute('opacity', this.opacity);
+        this.element.classList.toggle('lifted', this.lift > 0.01);
+    }
+}
+
+/**
+ * SvgGroup - A layer of the 2D board, listing its items like a Three.js group lists its children
+ */
+class SvgGroup {
+    constructor(element) {
+        this.element = element;
+        this.children = [];
+    }
+
+    add(item) {
+        this.children.push(item);
+        this.element.appendChild(item.element);
+    }
+
+    remove(item) {
+        const index = this.children.indexOf(item);
+        if (index !== -1) {
+            this.children.splice(index, 1);
+            item.element.remove();
+        }
+    }
+
+    clear() {
+        for (const item of [...this.children]) {
+            this.remove(item);
+        }
+    }
+}
+
+/**
+ * SvgRenderer - Draws the game board as a flat, top-down SVG hex board
+ * Alternative to ThreeRenderer for devices without WebGL or players who prefer a 2D board:
+ * it implements the renderer interface GameBoard, UIManager and the other modules rely on
+ * (screenToHex, show...UI, animate..., updateBoard, clearActionUI...) with the same behavior.
+ */
+export class SvgRenderer {
+    constructor(domElement, gameState) {
+        this.domElement = domElement;
+        this.gameState = gameState;
+        this.viewType = '2d';
+
+        // Animation handler
+        this.animationHandler = new SvgAnimationHandler();
+
+        // Piece themes are 3D models: the 2D board draws flat pieces whatever the theme
+        this.themeId = DEFAULT_THEME_ID;
+
+        // View
+        this.zoom = 1;
+        this.viewAngle = 0; // Board rotation in degrees (180 when seen from white's side)
+        this.viewCenter = { x: 0, z: 0 };
+        this.cameraRotationId = 0; // Increased by each view rotation, so a new one stops the previous one
+        this.previousTouchDistance = null;
+
+        // Map of hex coordinates to drawn items
+        this.tileItems = {}; // (q,r) -> tile item
+        this.pieceItems = {}; // (q,r) -> piece item
+
+        // Temporary items of the action in progress
+        this.tempTileModel = null;
+        this.tempPieceModel = null;
+
+        this.initScene();
+        this.initUI();
+
+        // Zoom with the mouse wheel (pinch zoom is handled in main.js)
+        this.domElement.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            if (event.deltaY < 0) {
+                this.zoomIn();
+            } else {
+                this.zoomOut();
+            }
+        }, { passive: false });
+    }
+
+    /**
+     * Create the SVG element and the board layers
+     */
+    initScene() {
+        this.svg = createSvgElement('svg', {
+            class: 'svg-board',
+            width: '100%',
+            height: '100%'
+        });
+        this.viewGroup = createSvgElement('g');
+        this.svg.appendChild(this.viewGroup);
+
+        const createGroup = (className) => {
+            const element = createSvgElement('g', { class: className });
+            this.viewGroup.appendChild(element);
+            return new SvgGroup(element);
+        };
+
+        // Move indicators are drawn over the pieces, as rings can move onto opponent pieces
+        this.tilesGroup = createGroup('tiles');
+        this.piecesGroup = createGroup('pieces');
+        this.validMovesGroup = createGroup('valid-moves');
+        this.uiGroup = createGroup('ui');
+
+        // Suggested turn of the analysis panel
+        this.hintElement = createSvgElement('g', {
+            class: 'board-hint',
+            fill: COLORS.HINT,
+            'fill-opacity': HINT.OPACITY
+        });
+        this.viewGroup.appendChild(this.hintElement);
+
+        // Keyboard cursor, over everything else
+        this.cursorElement = createSvgElement('polygon', {
+            class: 'board-cursor',
+            points: hexagonPoints(HEX_SIZE * 0.9),
+            fill: 'none',
+            stroke: COLORS.CURSOR,
+            'stroke-width': 0.12
+        });
+        this.cursorElement.style.display = 'none';
+        this.viewGroup.appendChild(this.cursorElement);
+
+        this.updateBackgroundColor(false);
+        this.fitView();
+        this.domElement.appendChild(this.svg);
+    }
+
+    /**
+     * Create the cancel and validate icons
+     */
+    initUI() {
+        this.cancelIcon = this.createIcon(COLORS.CANCEL, 'M-0.12,-0.12 L0.12,0.12 M0.12,-0.12 L-0.12,0.12');
+        this.validateIcon = this.createIcon(COLORS.VALIDATE, 'M-0.14,0 L-0.04,0.1 L0.14,-0.1');
+    }
+
+    /**
+     * Create a hidden round icon in the UI layer
+     * @param {string} color - Fill color
+     * @param {string} symbol - Path drawn in white on the icon
+     * @returns {SvgItem} - The icon
+     */
+    createIcon(color, symbol) {
+        const element = createSvgElement('g', { class: 'board-icon' });
+        element.appendChild(createSvgElement('circle', { r: ICON_RADIUS, fill: color }));
+        element.appendChild(createSvgElement('path', {
+            d: symbol,
+            fill: 'none',
+            stroke: '#ffffff',
+            'stroke-width': 0.06,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round'
+        }));
+
+        const icon = this.createItem(this.uiGroup, element, {});
+        icon.hitRadius = ICON_RADIUS;
+        icon.visible = false;
+        return icon;
+    }
+
+    /**
+     * Add an item to a layer
+     * @param {SvgGroup} group - The layer
+     * @param {SVGElement} element - The drawing of the item
+     * @param {Object} userData - Data about the item
+     * @param {number} [q] - Hex q coordinate of the item
+     * @param {number} [r] - Hex r coordinate of the item
+     * @returns {SvgItem} - The item
+     */
+    createItem(group, element, userData, q, r) {
+        const item = new SvgItem(element, userData);
+        if (q !== undefined && r !== undefined) {
+            const position = this.hexToWorld(q, r);
+            item.x = position.x;
+            item.z = position.z;
+        }
+        item.angle = -this.viewAngle;
+        item.update();
+        group.add(item);
+        return item;
+    }
+
+    /**
+     * Draw a tile
+     * @param {string} color - 'black' or 'white'
+     * @returns {SVGElement} - The drawing
+     */
+    createTileElement(color) {
+        return createSvgElement('polygon', {
+            points: hexagonPoints(TILE_RADIUS),
+            fill: COLORS.TILE[color],
+            stroke: COLORS.TILE_EDGE[color],
+            'stroke-width': 0.04
+        });
+    }
+
+    /**
+     * Draw a piece
+     * @param {string} color - 'black' or 'white'
+     * @param {string} type - 'disc' or 'ring'
+     * @returns {SVGElement} - The drawing
+     */
+    createPieceElement(color, type) {
+        const element = createSvgElement('g');
+
+        if (type === 'ring') {
+            // Edge drawn under the ring so it shows on both tile colors
+            element.appendChild(createSvgElement('circle', {
+                r: RING_RADIUS,
+                fill: 'none',
+                stroke: COLORS.PIECE_EDGE[color],
+                'stroke-width': RING_WIDTH + 0.06
+            }));
+            element.appendChild(createSvgElement('circle', {
+                r: RING_RADIUS,
+                fill: 'none',
+                stroke: COLORS.PIECE[color],
+                'stroke-width': RING_WIDTH
+            }));
+        } else {
+            element.appendChild(createSvgElement('circle', {
+                r: DISC_RADIUS,
+                fill: COLORS.PIECE[color],
+                stroke: COLORS.PIECE_EDGE[color],
+                'stroke-width': 0.05
+            }));
+        }
+
+        return element;
+    }
+
+    /**
+     * Draw a valid action placeholder
+     * @param {string} shape - 'tile', 'disc' or 'ring'
+     * @param {string} color - Placeholder color
+     * @returns {SVGElement} - The drawing
+     */
+    createPlaceholderElement(shape, color) {
+        if (shape === 'tile') {
+            return createSvgElement('polygon', { points: hexagonPoints(PLACEHOLDER.TILE_RADIUS), fill: color });
+        }
+        if (shape === 'ring') {
+            return createSvgElement('circle', { r: RING_RADIUS, fill: 'none', stroke: color, 'stroke-width': RING_WIDTH });
+        }
+        return createSvgElement('circle', { r: DISC_RADIUS, fill: color });
+    }
+
+    /**
+     * Get the opacity of the placeholders from the "Show valid moves" setting
+     * @returns {number} - Placeholder opacity
+     */
+    getPlaceholderOpacity() {
+        const showValidMoves = document.getElementById('show-valid-moves').checked;
+        return showValidMoves ? PLACEHOLDER.VISIBLE_OPACITY : PLACEHOLDER.INVISIBLE_OPACITY;
+    }
+
+    /**
+     * Add a valid action placeholder
+     * @param {string} shape - 'tile', 'disc' or 'ring'
+     * @param {string} color - Placeholder color
+     * @param {Object} userData - Action data, with the hex coordinates q and r
+     */
+    addPlaceholder(shape, color, userData) {
+        const item = this.createItem(
+            this.validMovesGroup,
+            this.createPlaceholderElement(shape, color),
+            userData,
+            userData.q,
+            userData.r
+        );
+        item.opacity = this.getPlaceholderOpacity();
+        item.update();
+    }
+
+    /**
+     * Set up the board for a new game or a loaded one
+     */
+    setupScene() {
+        this.tilesGroup.clear();
+        this.piecesGroup.clear();
+        this.tileItems = {};
+        this.pieceItems = {};
+
+        this.clearActionUI();
+        this.updateBoard();
+    }
+
+    /**
+     * Update the board to match the current game state
+     */
+    updateBoard() {
+        console.log('Updating 2D board to match game state');
+
+        // Remove tiles and pieces that are no longer in the game state (e.g. after an undo)
+        for (const key of Object.keys(this.tileItems)) {
+            if (!this.gameState.board.tiles[key]) {
+                const [q, r] = key.split(',').map(Number);
+                this.removeTile(q, r);
+            }
+        }
+
+        for (const key of Object.keys(this.pieceItems)) {
+            const tileData = this.gameState.board.tiles[key];
+            if (!tileData || !tileData.piece) {
+                const [q, r] = key.split(',').map(Number);
+                this.removePiece(q, r);
+            }
+        }
+
+        // Add/update tiles and pieces based on game state
+        for (const key in this.gameState.board.tiles) {
+            const [q, r] = key.split(',').map(Number);
+            const tileData = this.gameState.board.tiles[key];
+
+            if (!this.tileItems[key]) {
+                this.addTile(q, r, tileData.color);
+            }
+
+            if (tileData.piece) {
+                const existingPiece = this.pieceItems[key];
+                if (!existingPiece ||
+                    existingPiece.userData.color !== tileData.piece.color ||
+                    existingPiece.userData.pieceType !== tileData.piece.type) {
+                    this.addPiece(q, r, tileData.piece.color, tileData.piece.type);
+                }
+            }
+        }
+
+        this.fitView();
+    }
+
+    /**
+     * Add a tile to the board
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     */
+    addTile(q, r, color) {
+        const key = `${q},${r}`;
+        this.removeTile(q, r);
+        this.tileItems[key] = this.createItem(
+            this.tilesGroup,
+            this.createTileElement(color),
+            { type: 'tile', q, r, color },
+            q, r
+        );
+    }
+
+    /**
+     * Add a piece to the board
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     * @param {string} type - 'disc' or 'ring'
+     */
+    addPiece(q, r, color, type) {
+        const key = `${q},${r}`;
+        this.removePiece(q, r);
+
+        // Use the piece type and color from the game state for consistency
+        const tileData = this.gameState.board.tiles[key];
+        if (tileData && tileData.piece) {
+            color = tileData.piece.color;
+            type = tileData.piece.type;
+        }
+
+        this.pieceItems[key] = this.createItem(
+            this.piecesGroup,
+            this.createPieceElement(color, type),
+            { type: 'piece', pieceType: type, q, r, color },
+            q, r
+        );
+    }
+
+    /**
+     * Remove a piece from the board
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    removePiece(q, r) {
+        const key = `${q},${r}`;
+        if (this.pieceItems[key]) {
+            this.piecesGroup.remove(this.pieceItems[key]);
+            delete this.pieceItems[key];
+        }
+    }
+
+    /**
+     * Remove a tile from the board
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    removeTile(q, r) {
+        const key = `${q},${r}`;
+        if (this.tileItems[key]) {
+            this.tilesGroup.remove(this.tileItems[key]);
+            delete this.tileItems[key];
+        }
+    }
+
+    /**
+     * Convert hex coordinates to board position
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @returns {Object} - { x, z } board coordinates (z runs down the screen, as the depth of the 3D board)
+     */
+    hexToWorld(q, r) {
+        const x = HEX_SIZE * (3/2 * q);
+        const z = HEX_SIZE * (Math.sqrt(3)/2 * q + Math.sqrt(3) * r);
+
+        return { x, z };
+    }
+
+    /**
+     * Convert a board position to the hex containing it
+     * @param {number} x - Board x coordinate
+     * @param {number} z - Board z coordinate
+     * @returns {Object} - Hex coordinates {q, r}
+     */
+    worldToHex(x, z) {
+        // Fractional cube coordinates, rounded to the nearest hex
+        // Formula from: https://www.redblobgames.com/grids/hexagons/
+        const fq = (2/3 * x) / HEX_SIZE;
+        const fr = (-1/3 * x + Math.sqrt(3)/3 * z) / HEX_SIZE;
+        const fs = -fq - fr;
+
+        let q = Math.round(fq);
+        let r = Math.round(fr);
+        const s = Math.round(fs);
+
+        const dq = Math.abs(q - fq);
+        const dr = Math.abs(r - fr);
+        const ds = Math.abs(s - fs);
+
+        if (dq > dr && dq > ds) {
+            q = -r - s;
+        } else if (dr > ds) {
+            r = -q - s;
+        }
+
+        return { q: q + 0, r: r + 0 }; // + 0 turns -0 into 0
+    }
+
+    /**
+     * Convert a point of the board element to board coordinates
+     * @param {number} x - Screen x coordinate, relative to the board element
+     * @param {number} y - Screen y coordinate, relative to the board element
+     * @returns {Object|null} - { x, z } board coordinates, or null if the board is not displayed
+     */
+    screenToWorld(x, y) {
+        const matrix = this.viewGroup.getScreenCTM();
+        if (!matrix) return null;
+
+        const rect = this.domElement.getBoundingClientRect();
+        const point = this.svg.createSVGPoint();
+        point.x = rect.left + x;
+        point.y = rect.top + y;
+
+        const boardPoint = point.matrixTransform(matrix.inverse());
+        return { x: boardPoint.x, z: boardPoint.y };
+    }
+
+    /**
+     * Convert screen coordinates to hex grid coordinates
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {Object|null} - Hex coordinates {q, r} or null if no valid hex
+     */
+    screenToHex(x, y) {
+        const point = this.screenToWorld(x, y);
+        if (!point) return null;
+
+        const { q, r } = this.worldToHex(point.x, point.z);
+
+        // Tiles, and empty hexes showing a valid action (tile placements)
+        const hasTile = Boolean(this.gameState.board.tiles[`${q},${r}`]);
+        const hasPlaceholder = this.validMovesGroup.children.some(
+            child => child.userData.q === q && child.userData.r === r
+        );
+
+        if (hasTile || hasPlaceholder) {
+            console.log(`Found hex at (${q}, ${r})`);
+            return { q, r };
+        }
+
+        console.log('No valid hex found');
+        return null;
+    }
+
+    /**
+     * Check if a point of the screen is on a visible icon
+     * @param {SvgItem} item - The icon
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {boolean} - True if the icon was hit
+     */
+    isItemHit(item, x, y) {
+        if (!item || !item.visible) return false;
+
+        const point = this.screenToWorld(x, y);
+        if (!point) return false;
+
+        return Math.hypot(point.x - item.x, point.z - item.z) <= item.hitRadius * item.scale;
+    }
+
+    /**
+     * Find the visible disc or ring choice hit by a click
+     * @param {string} pieceType - 'disc' or 'ring'
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {SvgItem|null} - The choice icon hit
+     */
+    findPieceIconHit(pieceType, x, y) {
+        return this.uiGroup.children.find(child =>
+            child.userData.type === 'ui-icon' &&
+            child.userData.pieceType === pieceType &&
+            this.isItemHit(child, x, y)
+        ) || null;
+    }
+
+    /**
+     * Check if the user clicked on a UI element
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {boolean} - True if a UI element was clicked
+     */
+    checkUIClick(x, y) {
+        return this.isCancelClicked(x, y) ||
+               this.isValidateClicked(x, y) ||
+               Boolean(this.findPieceIconHit('disc', x, y)) ||
+               Boolean(this.findPieceIconHit('ring', x, y));
+    }
+
+    /**
+     * Check if the cancel icon was clicked
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {boolean} - True if the cancel icon was clicked
+     */
+    isCancelClicked(x, y) {
+        return this.isItemHit(this.cancelIcon, x, y);
+    }
+
+    /**
+     * Check if the validate icon was clicked
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {boolean} - True if the validate icon was clicked
+     */
+    isValidateClicked(x, y) {
+        return this.isItemHit(this.validateIcon, x, y);
+    }
+
+    /**
+     * Check if the disc icon was clicked
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {Object|boolean} - The clicked item or false if no disc icon was clicked
+     */
+    isDiscClicked(x, y) {
+        return this.findPieceIconHit('disc', x, y) || false;
+    }
+
+    /**
+     * Check if the ring icon was clicked
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {Object|boolean} - The clicked item or false if no ring icon was clicked
+     */
+    isRingClicked(x, y) {
+        return this.findPieceIconHit('ring', x, y) || false;
+    }
+
+    /**
+     * Place an icon next to a hex, the offset being given as seen on the screen
+     * @param {SvgItem} item - The icon
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {number} dx - Offset to the right of the screen
+     * @param {number} dy - Offset down the screen
+     */
+    placeIcon(item, q, r, dx, dy) {
+        const { x, z } = this.hexToWorld(q, r);
+        const angle = -this.viewAngle * Math.PI / 180;
+
+        item.x = x + dx * Math.cos(angle) - dy * Math.sin(angle);
+        item.z = z + dx * Math.sin(angle) + dy * Math.cos(angle);
+        item.visible = true;
+        item.update();
+    }
+
+    /**
+     * Show the cancel and validate icons above a hex
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    showValidationIcons(q, r) {
+        this.placeIcon(this.cancelIcon, q, r, -0.45, -1);
+        this.placeIcon(this.validateIcon, q, r, 0.45, -1);
+    }
+
+    /**
+     * Remove the placeholder shown at a hex
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    removePlaceholder(q, r) {
+        for (const child of [...this.validMovesGroup.children]) {
+            if (child.userData.q === q && child.userData.r === r) {
+                this.validMovesGroup.remove(child);
+            }
+        }
+    }
+
+    /**
+     * Animate a piece dropping from floating height to resting position after move validation
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animatePieceDropAfterMove(q, r) {
+        const piece = this.pieceItems[`${q},${r}`];
+
+        if (!piece || piece.lift === 0) {
+            return Promise.resolve();
+        }
+
+        await this.animationHandler.animate(piece, { lift: 0 }, {
+            easing: ANIMATION_CONFIG.EASING.BOUNCE,
+            duration: ANIMATION_CONFIG.DURATION * 1.2
+        });
+
+        return true;
+    }
+
+    /**
+     * Show validation UI at the specified position
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    showValidationUI(q, r) {
+        const key = `${q},${r}`;
+        const tileData = this.gameState.board.tiles[key];
+        const selectedPiece = this.gameState.selectedPiece;
+
+        // Make sure the piece drawn here is the one of the game state (or the one being placed)
+        if (tileData && tileData.piece) {
+            const piece = this.pieceItems[key];
+            if (!piece || piece.userData.color !== tileData.piece.color ||
+                piece.userData.pieceType !== tileData.piece.type) {
+                this.addPiece(q, r, tileData.piece.color, tileData.piece.type);
+            }
+        } else if (selectedPiece && selectedPiece.color && selectedPiece.type && !this.pieceItems[key]) {
+            this.addPiece(q, r, selectedPiece.color, selectedPiece.type);
+        }
+
+        const piece = this.pieceItems[key];
+        if (piece) {
+            piece.lift = LIFT.FLOATING;
+            piece.update();
+        }
+
+        this.showValidationIcons(q, r);
+    }
+
+    /**
+     * Show UI for tile placement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     */
+    showTilePlacementUI(q, r, color) {
+        this.removePlaceholder(q, r);
+
+        // Temporary floating tile
+        this.tempTileModel = this.createItem(
+            this.uiGroup,
+            this.createTileElement(color),
+            { type: 'temp-tile', q, r, color },
+            q, r
+        );
+        this.tempTileModel.lift = LIFT.FLOATING;
+        this.tempTileModel.update();
+
+        // Keep the icons over the temporary tile
+        this.uiGroup.element.append(this.cancelIcon.element, this.validateIcon.element);
+        this.showValidationIcons(q, r);
+    }
+
+    /**
+     * Animate tile placement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animateTilePlacement(q, r, color) {
+        const tile = this.tempTileModel;
+        if (!tile) return Promise.resolve();
+
+        await this.animationHandler.animate(tile, { lift: 0 }, {
+            easing: ANIMATION_CONFIG.EASING.BOUNCE,
+            duration: ANIMATION_CONFIG.DURATION * 1.2
+        });
+
+        this.uiGroup.remove(tile);
+        this.tempTileModel = null;
+
+        this.addTile(q, r, color);
+        this.fitView();
+    }
+
+    /**
+     * Animate piece placement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     * @param {string} pieceType - 'disc' or 'ring'
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animatePiecePlacement(q, r, color, pieceType) {
+        // The floating piece shown for the placement, or a new one (computer turns, replays)
+        let floatingPiece = this.uiGroup.children.find(
+            child => child.userData.type === 'ui-icon' && child.userData.pieceType === pieceType
+        );
+
+        if (!floatingPiece) {
+            floatingPiece = this.createItem(
+                this.uiGroup,
+                this.createPieceElement(color, pieceType),
+                { type: 'ui-icon', pieceType, q, r, color },
+                q, r
+            );
+            floatingPiece.lift = LIFT.FLOATING;
+            floatingPiece.update();
+        }
+
+        const { x, z } = this.hexToWorld(q, r);
+        await this.animationHandler.animate(floatingPiece, { x, z, lift: 0, scale: 1 }, {
+            easing: ANIMATION_CONFIG.EASING.BOUNCE,
+            duration: ANIMATION_CONFIG.DURATION * 1.2
+        });
+
+        this.uiGroup.remove(floatingPiece);
+        this.addPiece(q, r, color, pieceType);
+    }
+
+    /**
+     * Animate a piece moving from one position to another, then the pieces it captured
+     * @param {number} fromQ - Starting hex q coordinate
+     * @param {number} fromR - Starting hex r coordinate
+     * @param {number} toQ - Destination hex q coordinate
+     * @param {number} toR - Destination hex r coordinate
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animatePieceMovement(fromQ, fromR, toQ, toR) {
+        const fromKey = `${fromQ},${fromR}`;
+        const toKey = `${toQ},${toR}`;
+        const piece = this.pieceItems[fromKey];
+
+        if (!piece) {
+            console.warn(`No piece found at (${fromQ}, ${fromR}) to animate`);
+            return Promise.resolve();
+        }
+
+        const color = piece.userData.color;
+        const captured = [];
+
+        // A disc jumping over an opponent piece captures it
+        const distance = Math.max(
+            Math.abs(toQ - fromQ),
+            Math.abs(toR - fromR),
+            Math.abs((toQ - fromQ) + (toR - fromR))
+        );
+        if (piece.userData.pieceType === 'disc' && distance === 2) {
+            const jumpedKey = `${(fromQ + toQ) / 2},${(fromR + toR) / 2}`;
+            const jumpedPiece = this.pieceItems[jumpedKey];
+            if (jumpedPiece && jumpedPiece.userData.color !== color) {
+                captured.push(jumpedPiece);
+                delete this.pieceItems[jumpedKey];
+            }
+        }
+
+        // A ring captures the opponent piece it moves onto
+        const destinationPiece = this.pieceItems[toKey];
+        if (piece.userData.pieceType === 'ring' && destinationPiece && destinationPiece.userData.color !== color) {
+            captured.push(destinationPiece);
+        }
+
+        delete this.pieceItems[fromKey];
+        this.pieceItems[toKey] = piece;
+        piece.userData.q = toQ;
+        piece.userData.r = toR;
+
+        // Keep the moving piece above the others
+        this.piecesGroup.element.appendChild(piece.element);
+
+        const { x, z } = this.hexToWorld(toQ, toR);
+        await this.animationHandler.animate(piece, { x, z }, {
+            easing: ANIMATION_CONFIG.EASING.EASE_OUT,
+            duration: ANIMATION_CONFIG.DURATION,
+            arc: true
+        });
+
+        for (const capturedPiece of captured) {
+            await this.animatePieceCapture(capturedPiece);
+        }
+
+        return true;
+    }
+
+    /**
+     * Animate a captured piece floating upward while fading out, then remove it
+     * @param {SvgItem} piece - The captured piece
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animatePieceCapture(piece) {
+        await this.animationHandler.animate(piece, { lift: LIFT.CAPTURED, opacity: 0 }, {
+            easing: ANIMATION_CONFIG.EASING.EASE_OUT,
+            duration: 600
+        });
+
+        this.piecesGroup.remove(piece);
+    }
+
+    /**
+     * Create a floating piece offered for placement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     * @param {string} pieceType - 'disc' or 'ring'
+     * @returns {SvgItem} - The piece
+     */
+    createPlacementPiece(q, r, color, pieceType) {
+        const piece = this.createItem(
+            this.uiGroup,
+            this.createPieceElement(color, pieceType),
+            { type: 'ui-icon', pieceType, q, r, color, action: 'place_piece' },
+            q, r
+        );
+        piece.hitRadius = pieceType === 'ring' ? RING_RADIUS : DISC_RADIUS;
+        return piece;
+    }
+
+    /**
+     * Show UI for piece placement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {string} color - 'black' or 'white'
+     * @param {boolean} canPlaceDisc - Whether the player can place a disc
+     * @param {boolean} canPlaceRing - Whether the player can place a ring
+     */
+    showPiecePlacementUI(q, r, color, canPlaceDisc, canPlaceRing) {
+        this.tempPieceModel = null;
+        this.removePlaceholder(q, r);
+
+        // Reference to the placement coordinates, used by the game board when a choice is clicked
+        this.createItem(this.uiGroup, createSvgElement('g'), { type: 'temp-piece', q, r, color }, q, r);
+
+        if (canPlaceDisc && canPlaceRing) {
+            // Offer both pieces side by side, small, until one is chosen
+            const disc = this.createPlacementPiece(q, r, color, 'disc');
+            const ring = this.createPlacementPiece(q, r, color, 'ring');
+
+            for (const [piece, dx] of [[disc, -0.45], [ring, 0.45]]) {
+                piece.scale = CHOICE_SCALE;
+                this.placeIcon(piece, q, r, dx, 0);
+            }
+
+            this.placeIcon(this.cancelIcon, q, r, 0, -1);
+            this.validateIcon.visible = false;
+
+            this.tempPieceModel = disc;
+        } else if (canPlaceDisc || canPlaceRing) {
+            const pieceType = canPlaceDisc ? 'disc' : 'ring';
+            const piece = this.createPlacementPiece(q, r, color, pieceType);
+            piece.lift = LIFT.FLOATING;
+            piece.update();
+
+            this.showValidationIcons(q, r);
+
+            // Update selected piece type
+            this.gameState.selectedPiece = { type: pieceType, q, r, color };
+
+            this.tempPieceModel = piece;
+        }
+
+        // Keep the icons over the pieces
+        this.uiGroup.element.append(this.cancelIcon.element, this.validateIcon.element);
+    }
+
+    /**
+     * Animate a piece being selected from the piece choice UI (when both disc and ring are available)
+     * @param {SvgItem} model - The piece to animate
+     * @param {Object} position - Target board position {x, z}
+     * @param {string} pieceType - 'disc' or 'ring'
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animatePieceSelection(model, position, pieceType) {
+        if (!model) {
+            console.warn('No model provided for piece selection animation');
+            return Promise.resolve();
+        }
+
+        console.log(`Animating selection of ${pieceType}`);
+
+        await this.animationHandler.animate(model, {
+            x: position.x,
+            z: position.z,
+            scale: 1,
+            lift: LIFT.FLOATING
+        }, {
+            easing: ANIMATION_CONFIG.EASING.EASE_OUT,
+            duration: ANIMATION_CONFIG.DURATION * 1.5
+        });
+    }
+
+    /**
+     * Show valid action placeholders for the current player's turn
+     * These are always present for interaction, but only visible when "Show valid moves" is checked
+     */
+    showValidActionPlaceholders() {
+        this.clearValidMoveIndicators();
+
+        if (this.gameState.gameStatus !== 'ongoing') {
+            return;
+        }
+
+        // Piece movements are shown by showPieceMovementUI
+        if (this.gameState.currentAction === 'move_piece') {
+            return;
+        }
+
+        const currentPlayer = this.gameState.currentPlayer;
+        const pieces = this.gameState.pieces[currentPlayer];
+
+        // 1. Valid tile placements
+        if (pieces.tilesAvailable > 0) {
+            for (const placement of this.gameState.getValidTilePlacements(currentPlayer)) {
+                this.addPlaceholder('tile', PLACEHOLDER.TILE_COLOR, {
+                    q: placement.q,
+                    r: placement.r,
+                    action: 'place_tile'
+                });
+            }
+        }
+
+        // 2. Valid piece placements: empty tiles of the player's color
+        const canPlaceDisc = pieces.discsAvailable > 0;
+        const canPlaceRing = this.gameState.canPlaceRing(currentPlayer);
+
+        if (canPlaceDisc || canPlaceRing) {
+            for (const key in this.gameState.board.tiles) {
+                const tile = this.gameState.board.tiles[key];
+                if (tile.piece || tile.color !== currentPlayer) continue;
+
+                const [q, r] = key.split(',').map(Number);
+                this.addPlaceholder(canPlaceDisc ? 'disc' : 'ring', PLACEHOLDER.PIECE_COLOR, {
+                    q,
+                    r,
+                    action: 'place_piece',
+                    canPlaceDisc,
+                    canPlaceRing
+                });
+            }
+        }
+    }
+
+    /**
+     * Show the empty hexes where the board editor can add a tile (always visible, whatever the settings)
+     * @param {Array} hexes - Array of {q, r}
+     */
+    showEditorPlaceholders(hexes) {
+        this.clearValidMoveIndicators();
+
+        for (const { q, r } of hexes) {
+            this.addPlaceholder('tile', PLACEHOLDER.TILE_COLOR, { q, r, action: 'edit' });
+        }
+        for (const indicator of this.validMovesGroup.children) {
+            indicator.opacity = PLACEHOLDER.VISIBLE_OPACITY;
+            indicator.update();
+        }
+    }
+
+    /**
+     * Update the visibility of valid move indicators based on checkbox state
+     */
+    updateValidMovesVisibility() {
+        const opacity = this.getPlaceholderOpacity();
+
+        for (const indicator of this.validMovesGroup.children) {
+            indicator.opacity = opacity;
+            indicator.update();
+        }
+    }
+
+    /**
+     * Animate a piece lifting up when selected for movement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @returns {Promise} - Promise that resolves when animation completes
+     */
+    async animatePieceLift(q, r) {
+        const piece = this.pieceItems[`${q},${r}`];
+
+        if (!piece) {
+            console.warn('No piece found to animate');
+            return Promise.resolve();
+        }
+
+        await this.animationHandler.animate(piece, { lift: LIFT.FLOATING }, {
+            easing: ANIMATION_CONFIG.EASING.EASE_OUT,
+            duration: ANIMATION_CONFIG.DURATION
+        });
+    }
+
+    /**
+     * Show the hexes a piece can move to
+     * @param {number} q - Hex q coordinate of the piece
+     * @param {number} r - Hex r coordinate of the piece
+     * @param {Array} validMoves - Array of valid move coordinates {q, r}
+     * @param {string} pieceType - 'disc' or 'ring'
+     */
+    showMoveIndicators(q, r, validMoves, pieceType) {
+        this.clearValidMoveIndicators();
+
+        for (const move of validMoves) {
+            this.addPlaceholder(pieceType, PLACEHOLDER.MOVE_COLOR, {
+                q: move.q,
+                r: move.r,
+                sourceQ: q,
+                sourceR: r,
+                action: 'move_piece',
+                pieceType
+            });
+        }
+    }
+
+    /**
+     * Show UI for piece movement
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {Array} validMoves - Array of valid move coordinates {q, r}
+     */
+    async showPieceMovementUI(q, r, validMoves) {
+        const piece = this.gameState.board.tiles[`${q},${r}`].piece;
+        if (!piece) {
+            console.warn('No piece found at clicked position');
+            return;
+        }
+
+        // A ring that has already moved cannot go any further
+        if (piece.type === 'ring' && this.gameState.selectedPiece &&
+            (this.gameState.selectedPiece.q !== q || this.gameState.selectedPiece.r !== r)) {
+            return;
+        }
+
+        const pieceItem = this.pieceItems[`${q},${r}`];
+        if (!pieceItem || pieceItem.userData.pieceType !== piece.type || pieceItem.userData.color !== piece.color) {
+            this.addPiece(q, r, piece.color, piece.type);
+        }
+
+        await this.animatePieceLift(q, r);
+
+        // Only the cancel icon until the piece has moved
+        this.placeIcon(this.cancelIcon, q, r, 0, -1);
+        this.validateIcon.visible = false;
+
+        this.showMoveIndicators(q, r, validMoves, piece.type);
+    }
+
+    /**
+     * Show UI for further jumps after a first move, keeping both icons visible
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     * @param {Array} validMoves - Array of valid move coordinates {q, r}
+     */
+    showFurtherJumpUI(q, r, validMoves) {
+        const tileData = this.gameState.board.tiles[`${q},${r}`];
+        const pieceType = tileData && tileData.piece ? tileData.piece.type : 'disc';
+
+        this.showMoveIndicators(q, r, validMoves, pieceType);
+    }
+
+    /**
+     * Clear only the valid move indicators (placeholders)
+     */
+    clearValidMoveIndicators() {
+        this.validMovesGroup.clear();
+    }
+
+    /**
+     * Clear any UI elements for actions
+     * @param {boolean} [showDropAnimation] - Drop lifted pieces with an animation instead of at once
+     */
+    clearActionUI(showDropAnimation = false) {
+        this.cancelIcon.visible = false;
+        this.validateIcon.visible = false;
+
+        // Remove temporary tiles/pieces and UI icons
+        for (const child of [...this.uiGroup.children]) {
+            if (['temp-tile', 'temp-piece', 'ui-icon'].includes(child.userData.type)) {
+                this.uiGroup.remove(child);
+            }
+        }
+
+        this.tempTileModel = null;
+        this.tempPieceModel = null;
+
+        this.clearValidMoveIndicators();
+
+        for (const key in this.pieceItems) {
+            const piece = this.pieceItems[key];
+            if (piece.lift === 0) continue;
+
+            if (showDropAnimation) {
+                const [q, r] = key.split(',').map(Number);
+                this.animatePieceDropAfterMove(q, r);
+            } else {
+                piece.lift = 0;
+                piece.update();
+            }
+        }
+    }
+
+    /**
+     * Show the keyboard cursor on a hex
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    showCursor(q, r) {
+        const { x, z } = this.hexToWorld(q, r);
+        this.cursorElement.setAttribute('transform', `translate(${x} ${z})`);
+        this.cursorElement.style.display = '';
+    }
+
+    /**
+     * Hide the keyboard cursor
+     */
+    hideCursor() {
+        this.cursorElement.style.display = 'none';
+    }
+
+    /**
+     * Show a suggested turn: its hexes are highlighted and the moves drawn as arrows
+     * @param {Object} turn - The turn (see core/rules.js for the format)
+     */
+    showHint(turn) {
+        this.hideHint();
+
+        const points = (turn.type === 'move_piece' ? [turn.from, ...turn.path] : [turn])
+            .map(hex => this.hexToWorld(hex.q, hex.r));
+
+        for (const { x, z } of points) {
+            this.hintElement.appendChild(createSvgElement('polygon', {
+                points: hexagonPoints(HINT.RADIUS),
+                transform: `translate(${x} ${z})`
+            }));
+        }
+
+        // Arrows drawn along x, then turned towards the next hex
+        for (let i = 1; i < points.length; i++) {
+            const start = points[i - 1];
+            const end = points[i];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const neck = length - HINT.HEAD_LENGTH;
+            const angle = Math.atan2(end.z - start.z, end.x - start.x) * 180 / Math.PI;
+
+            this.hintElement.appendChild(createSvgElement('polygon', {
+                points: [
+                    `0,${-HINT.ARROW_WIDTH / 2}`, `${neck},${-HINT.ARROW_WIDTH / 2}`,
+                    `${neck},${-HINT.HEAD_WIDTH / 2}`, `${length},0`, `${neck},${HINT.HEAD_WIDTH / 2}`,
+                    `${neck},${HINT.ARROW_WIDTH / 2}`, `0,${HINT.ARROW_WIDTH / 2}`
+                ].join(' '),
+                transform: `translate(${start.x} ${start.z}) rotate(${angle})`
+            }));
+        }
+    }
+
+    /**
+     * Remove the suggested turn from the board
+     */
+    hideHint() {
+        this.hintElement.replaceChildren();
+    }
+
+    /**
+     * Frame the board: all tiles plus a margin, at the current zoom
+     */
+    fitView() {
+        let minX = 0, maxX = 0, minZ = 0, maxZ = 0;
+        const keys = Object.keys(this.gameState.board.tiles);
+
+        keys.forEach((key, index) => {
+            const [q, r] = key.split(',').map(Number);
+            const { x, z } = this.hexToWorld(q, r);
+            minX = index === 0 ? x : Math.min(minX, x);
+            maxX = index === 0 ? x : Math.max(maxX, x);
+            minZ = index === 0 ? z : Math.min(minZ, z);
+            maxZ = index === 0 ? z : Math.max(maxZ, z);
+        });
+
+        const margin = BOARD_MARGIN * HEX_SIZE;
+        const width = (maxX - minX + 2 * margin) / this.zoom;
+        const height = (maxZ - minZ + 2 * margin) / this.zoom;
+
+        this.viewCenter = { x: (minX + maxX) / 2, z: (minZ + maxZ) / 2 };
+        this.svg.setAttribute('viewBox',
+            `${this.viewCenter.x - width / 2} ${this.viewCenter.z - height / 2} ${width} ${height}`);
+        this.viewGroup.setAttribute('transform',
+            `rotate(${this.viewAngle} ${this.viewCenter.x} ${this.viewCenter.z})`);
+    }
+
+    /**
+     * Turn the board view, keeping the items upright
+     * @param {number} angle - Board rotation in degrees
+     */
+    setViewAngle(angle) {
+        this.viewAngle = angle;
+
+        for (const group of [this.tilesGroup, this.piecesGroup, this.validMovesGroup, this.uiGroup]) {
+            for (const item of group.children) {
+                item.angle = -angle;
+                item.update();
+            }
+        }
+
+        this.fitView();
+    }
+
+    /**
+     * Nothing to do each frame: the SVG elements are updated when the board changes
+     * (kept so the 2D board can be used in place of the 3D one)
+     */
+    animate() {}
+
+    /**
+     * Capture a small picture of the board, e.g. for saved game thumbnails
+     * @param {number} [size] - Size of the longest side in pixels
+     * @returns {string} - SVG data URL
+     */
+    captureThumbnail(size = 160) {
+        const { width, height } = this.svg.getBoundingClientRect();
+        const scale = size / Math.max(width, height, 1);
+        const picture = this.svg.cloneNode(true);
+
+        picture.setAttribute('width', Math.max(1, Math.round(width * scale)));
+        picture.setAttribute('height', Math.max(1, Math.round(height * scale)));
+
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(picture))}`;
+    }
+
+    /**
+     * Update the background color of the board based on dark mode setting
+     * @param {boolean} isDarkMode - Whether dark mode is enabled
+     */
+    updateBackgroundColor(isDarkMode) {
+        this.svg.style.backgroundColor = isDarkMode ? COLORS.BACKGROUND.dark : COLORS.BACKGROUND.light;
+    }
+
+    /**
+     * Keep the piece theme setting (the 2D board draws the same flat pieces for every theme)
+     * @param {string} themeId - Theme folder name, or 'procedural'
+     * @returns {Promise<boolean>} - True
+     */
+    async setTheme(themeId) {
+        this.themeId = themeId;
+        return true;
+    }
+
+    /**
+     * Zoom in by the specified factor
+     * @param {number} factor - The zoom factor
+     */
+    zoomIn(factor = 1.1) {
+        this.zoom = Math.min(this.zoom * factor, 3.0);
+        this.fitView();
+    }
+
+    /**
+     * Zoom out by the specified factor
+     * @param {number} factor - The zoom factor
+     */
+    zoomOut(factor = 1.1) {
+        this.zoom = Math.max(this.zoom / factor, 0.5);
+        this.fitView();
+    }
+
+    /**
+     * Turn the board to look at it from a player's side (pass-and-play)
+     * @param {string} color - 'black' (the initial view) or 'white'
+     * @param {boolean} [animate] - False to jump to the new view at once
+     * @returns {Promise} - Resolves when the board is in place
+     */
+    rotateCameraToPlayer(color, animate = true) {
+        const startAngle = this.viewAngle;
+        const endAngle = color === 'white' ? 180 : 0;
+        const rotationId = ++this.cameraRotationId;
+        const startTime = performance.now();
+
+        return new Promise((resolve) => {
+            const step = () => {
+                // A newer rotation took over
+                if (rotationId !== this.cameraRotationId) {
+                    resolve();
+                    return;
+                }
+
+                const progress = animate ? Math.min((performance.now() - startTime) / VIEW_ROTATION_DURATION, 1) : 1;
+                const easedProgress = ANIMATION_CONFIG.EASING.EASE_IN_OUT(progress);
+                this.setViewAngle(startAngle + (endAngle - startAngle) * easedProgress);
+
+                if (progress < 1) {
+                    requestAnimationFrame(step);
+                } else {
+                    resolve();
+                }
+            };
+
+            step();
+        });
+    }
+}
@@ -52,6 +52,15 @@ export class ThreeAnimationHandler {
         this.animations = new Map(); // Store active animations
         this.animationId = 0; // Unique ID for animations
         this.isEnabled = true; // Global animation toggle
+        this.speed = 1; // Playback speed multiplier (e.g. 2 plays animations twice as fast)
+    }
+
+    /**
+     * Set the playback speed of new animations
+     * @param {number} speed - Speed multiplier (1 is normal speed)
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
     }
 
     /**
@@ -188,6 +197,7 @@ export class ThreeAnimationHandler {
             this.animations.set(id, {
                 object,
                 ...animationData,
+                duration: animationData.duration / this.speed,
                 resolve
             });
 
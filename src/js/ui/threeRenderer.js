@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { ThreeAnimationHandler, ANIMATION_CONFIG } from './threeAnimationHandler.js';
+import { DEFAULT_THEME_ID, loadThemeManifest } from './pieceThemes.js';
 
 // Constants for positioning
 const POSITIONS = {
@@ -21,6 +22,28 @@ const POSITIONS = {
     HEX_SPACING: 0.6
 };
 
+// Camera turn between the players' sides in pass-and-play (milliseconds)
+const CAMERA_ROTATION_DURATION = 1200;
+
+// Keyboard cursor: hexagonal outline drawn over the board
+const CURSOR = {
+    INNER_RADIUS: 0.72,
+    OUTER_RADIUS: 0.88,
+    HEIGHT: 0.3,
+    COLOR: 0xffcc00
+};
+
+// Suggested turn of the analysis panel: highlighted hexes joined by arrows
+const HINT = {
+    RADIUS: 0.8,
+    HEIGHT: 0.32,
+    COLOR: 0x3399ff,
+    OPACITY: 0.45,
+    ARROW_WIDTH: 0.12,
+    HEAD_RADIUS: 0.25,
+    HEAD_LENGTH: 0.45
+};
+
 // Constants for placeholders - easily tweakable
 const PLACEHOLDER = {
     // Opacity values
@@ -65,15 +88,31 @@ const PLACEHOLDER = {
  * ThreeRenderer - Handles 3D rendering of the game board using Three.js
  */
 export class ThreeRenderer {
+    /**
+     * Check if the browser can draw the 3D board
+     * @returns {boolean} - True if WebGL is available
+     */
+    static isSupported() {
+        try {
+            const canvas = document.createElement('canvas');
+            return Boolean(window.WebGLRenderingContext &&
+                           (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+        } catch (error) {
+            return false;
+        }
+    }
+    
     constructor(domElement, gameState) {
         this.domElement = domElement;
         this.gameState = gameState;
+        this.viewType = '3d';
         
         // Three.js components
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
+        this.cameraRotationId = 0; // Increased by each camera rotation, so a new one stops the previous one
         
         // Animation handler
         this.animationHandler = new ThreeAnimationHandler();
@@ -88,6 +127,11 @@ export class ThreeRenderer {
             ring_white: null
         };
         
+        // Piece theme (see ui/pieceThemes.js)
+        this.themeId = DEFAULT_THEME_ID;
+        this.themeModels = {}; // Theme id -> loaded models, for switching back without loading again
+        this.themeLoadId = 0; // Increased by each theme change, so a slow load cannot replace a newer theme
+        
         // Game board elements
         this.hexSize = 1.5; // Size of a hex tile in 3D units
         this.boardGroup = null; // Group for all board elements
@@ -100,6 +144,10 @@ export class ThreeRenderer {
         this.tilesMeshes = {}; // (q,r) -> tile mesh
         this.piecesMeshes = {}; // (q,r) -> piece mesh
         
+        // Keyboard cursor, created when first shown
+        this.cursorMesh = null;
+        this.hintGroup = null;
+        
         // UI elements
         this.cancelIcon = null;
         this.validateIcon = null;
@@ -221,54 +269,14 @@ export class ThreeRenderer {
     
     /**
      * Load 3D models for game pieces
+     * The procedural models are used until the theme's models are loaded
      */
     loadModels() {
-        const loader = new GLTFLoader();
-        const modelPaths = {
-            tile_black: './src/assets/models/modern/tile_black.glb',
-            tile_white: './src/assets/models/modern/tile_white.glb',
-            disc_black: './src/assets/models/modern/disc_black.glb',
-            disc_white: './src/assets/models/modern/disc_white.glb',
-            ring_black: './src/assets/models/modern/ring_black.glb',
-            ring_white: './src/assets/models/modern/ring_white.glb'
-        };
-        
         // Create fallback geometries in case models fail to load
-        this.createFallbackGeometries();
-        
-        // Load each model
-        const promises = [];
-        for (const [name, path] of Object.entries(modelPaths)) {
-            const promise = new Promise((resolve) => {
-                loader.load(
-                    path,
-                    (gltf) => {
-                        this.models[name] = gltf.scene.children[0];
-                        // Enable shadows for the model
-                        this.models[name].castShadow = true;
-                        this.models[name].receiveShadow = true;
-                        // Enable shadows for all child meshes
-                        this.models[name].traverse((child) => {
-                            if (child.isMesh) {
-                                child.castShadow = true;
-                                child.receiveShadow = true;
-                            }
-                        });
-                        resolve();
-                    },
-                    undefined,
-                    (error) => {
-                        console.warn(`Using fallback geometry for ${name}: ${error.message}`);
-                        // We'll use the fallback geometries we created earlier
-                        resolve();
-                    }
-                );
-            });
-            promises.push(promise);
-        }
+        this.models = this.createFallbackGeometries();
         
         // When all models are loaded (or failed to load), set up the board
-        Promise.all(promises)
+        this.setTheme(this.themeId)
             .then(() => {
                 console.log('All models loaded');
                 this.setupScene();
@@ -276,7 +284,125 @@ export class ThreeRenderer {
     }
     
     /**
-     * Create fallback geometries for when 3D models fail to load
+     * Switch to another piece theme, replacing the tiles and pieces on the board without touching the game
+     * @param {string} themeId - Theme id (see ui/pieceThemes.js)
+     * @returns {Promise<boolean>} - False if another theme was picked while this one was loading
+     */
+    async setTheme(themeId) {
+        const loadId = ++this.themeLoadId;
+        this.themeId = themeId;
+        
+        const models = await this.loadThemeModels(themeId);
+        if (loadId !== this.themeLoadId) {
+            return false;
+        }
+        
+        this.models = models;
+        this.refreshBoardMeshes();
+        return true;
+    }
+    
+    /**
+     * Load the models of a theme
+     * Models missing from the theme or failing to load are replaced by the procedural ones
+     * @param {string} themeId - Theme id
+     * @returns {Promise<Object>} - Models by name (tile_black, disc_white...)
+     */
+    async loadThemeModels(themeId) {
+        if (this.themeModels[themeId]) {
+            return this.themeModels[themeId];
+        }
+        
+        const models = this.createFallbackGeometries();
+        
+        let manifest;
+        try {
+            manifest = await loadThemeManifest(themeId);
+        } catch (error) {
+            // Not kept, so the theme is loaded again next time
+            console.warn(`Cannot load theme ${themeId}, using procedural models:`, error);
+            return models;
+        }
+        
+        // Load each model
+        const loader = new GLTFLoader();
+        const promises = Object.entries(manifest.models).map(([name, path]) => new Promise((resolve) => {
+            loader.load(
+                path,
+                (gltf) => {
+                    models[name] = gltf.scene.children[0];
+                    // Enable shadows for the model
+                    models[name].castShadow = true;
+                    models[name].receiveShadow = true;
+                    // Enable shadows for all child meshes
+                    models[name].traverse((child) => {
+                        if (child.isMesh) {
+                            child.castShadow = true;
+                            child.receiveShadow = true;
+                        }
+                    });
+                    resolve();
+                },
+                undefined,
+                (error) => {
+                    console.warn(`Using fallback geometry for ${name}: ${error.message}`);
+                    // We'll use the fallback geometries we created earlier
+                    resolve();
+                }
+            );
+        }));
+        
+        await Promise.all(promises);
+        
+        this.themeModels[themeId] = models;
+        return models;
+    }
+    
+    /**
+     * Replace the tile and piece meshes on the board with the current models (after a theme change)
+     * Meshes keep their place, so pieces lifted for a move in progress stay lifted
+     */
+    refreshBoardMeshes() {
+        for (const [key, oldMesh] of Object.entries(this.tilesMeshes)) {
+            const mesh = this.replaceMesh(oldMesh, this.models[`tile_${oldMesh.userData.color}`], this.tilesGroup);
+            mesh.rotation.y = oldMesh.rotation.y;
+            this.tilesMeshes[key] = mesh;
+        }
+        
+        for (const [key, oldMesh] of Object.entries(this.piecesMeshes)) {
+            const { pieceType, color } = oldMesh.userData;
+            this.piecesMeshes[key] = this.replaceMesh(oldMesh, this.models[`${pieceType}_${color}`], this.piecesGroup);
+        }
+    }
+    
+    /**
+     * Swap a mesh on the board for a copy of another model
+     * @param {THREE.Object3D} oldMesh - The mesh to replace
+     * @param {THREE.Object3D} model - The model to copy
+     * @param {THREE.Group} group - Group holding the mesh
+     * @returns {THREE.Object3D} - The new mesh
+     */
+    replaceMesh(oldMesh, model, group) {
+        const mesh = model.clone();
+        mesh.position.copy(oldMesh.position);
+        mesh.userData = oldMesh.userData;
+        
+        // Ensure shadows are enabled for cloned model
+        mesh.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        
+        group.remove(oldMesh);
+        group.add(mesh);
+        return mesh;
+    }
+    
+    /**
+     * Create fallback geometries for when 3D models fail to load (also the procedural theme)
+     * @returns {Object} - Models by name (tile_black, disc_white...)
      */
     createFallbackGeometries() {
         // Tile geometries
@@ -349,13 +475,14 @@ export class ThreeRenderer {
         whiteRingMesh.castShadow = true;
         whiteRingMesh.receiveShadow = true;
         
-        // Assign fallback meshes to models
-        this.models.tile_black = blackTileMesh;
-        this.models.tile_white = whiteTileMesh;
-        this.models.disc_black = blackDiscMesh;
-        this.models.disc_white = whiteDiscMesh;
-        this.models.ring_black = blackRingMesh;
-        this.models.ring_white = whiteRingMesh;
+        return {
+            tile_black: blackTileMesh,
+            tile_white: whiteTileMesh,
+            disc_black: blackDiscMesh,
+            disc_white: whiteDiscMesh,
+            ring_black: blackRingMesh,
+            ring_white: whiteRingMesh
+        };
     }
     
     /**
@@ -397,6 +524,22 @@ export class ThreeRenderer {
     updateBoard() {
         console.log('Updating board to match game state');
         
+        // Remove tiles and pieces that are no longer in the game state (e.g. after an undo)
+        for (const key of Object.keys(this.tilesMeshes)) {
+            if (!this.gameState.board.tiles[key]) {
+                const [q, r] = key.split(',').map(Number);
+                this.removeTile(q, r);
+            }
+        }
+        
+        for (const key of Object.keys(this.piecesMeshes)) {
+            const tileData = this.gameState.board.tiles[key];
+            if (!tileData || !tileData.piece) {
+                const [q, r] = key.split(',').map(Number);
+                this.removePiece(q, r);
+            }
+        }
+        
         // Add/update tiles and pieces based on game state
         for (const key in this.gameState.board.tiles) {
             const [q, r] = key.split(',').map(Number);
@@ -543,6 +686,21 @@ export class ThreeRenderer {
         }
     }
     
+    /**
+     * Remove a tile from the board
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    removeTile(q, r) {
+        const key = `${q},${r}`;
+        const tile = this.tilesMeshes[key];
+        
+        if (tile) {
+            this.tilesGroup.remove(tile);
+            delete this.tilesMeshes[key];
+        }
+    }
+    
     /**
      * Convert hex coordinates to world position
      * @param {number} q - Hex q coordinate
@@ -1869,8 +2027,7 @@ export class ThreeRenderer {
             
             // Check if player can place pieces here
             const canPlaceDisc = this.gameState.pieces[currentPlayer].discsAvailable > 0;
-            const canPlaceRing = this.gameState.pieces[currentPlayer].ringsAvailable > 0 &&
-                                this.gameState.pieces[currentPlayer].discsCaptured > 0;
+            const canPlaceRing = this.gameState.canPlaceRing(currentPlayer);
             
             if (canPlaceDisc || canPlaceRing) {
                 const position = this.hexToWorld(q, r);
@@ -1935,6 +2092,36 @@ export class ThreeRenderer {
         // Pieces can still be clicked and moved without visual indicators
     }
 
+    /**
+     * Show the empty hexes where the board editor can add a tile (always visible, whatever the settings)
+     * @param {Array} hexes - Array of {q, r}
+     */
+    showEditorPlaceholders(hexes) {
+        this.clearValidMoveIndicators();
+        
+        for (const { q, r } of hexes) {
+            const position = this.hexToWorld(q, r);
+            const geometry = new THREE.CylinderGeometry(
+                PLACEHOLDER.TILE_RADIUS, 
+                PLACEHOLDER.TILE_RADIUS, 
+                PLACEHOLDER.TILE_THICKNESS, 
+                PLACEHOLDER.TILE_SEGMENTS
+            );
+            const material = new THREE.MeshBasicMaterial({ 
+                color: PLACEHOLDER.TILE_COLOR,
+                transparent: true,
+                opacity: PLACEHOLDER.VISIBLE_OPACITY
+            });
+            const indicator = new THREE.Mesh(geometry, material);
+            
+            indicator.rotation.y = Math.PI / 6;
+            indicator.position.set(position.x, PLACEHOLDER.TILE_HEIGHT, position.z);
+            indicator.userData = { q, r, action: 'edit' };
+            
+            this.validMovesGroup.add(indicator);
+        }
+    }
+    
     /**
      * Update the visibility of valid move indicators based on checkbox state
      */
@@ -2252,6 +2439,110 @@ export class ThreeRenderer {
         }
     }
     
+    /**
+     * Show the keyboard cursor on a hex
+     * @param {number} q - Hex q coordinate
+     * @param {number} r - Hex r coordinate
+     */
+    showCursor(q, r) {
+        if (!this.cursorMesh) {
+            const geometry = new THREE.RingGeometry(CURSOR.INNER_RADIUS, CURSOR.OUTER_RADIUS, 6);
+            const material = new THREE.MeshBasicMaterial({
+                color: CURSOR.COLOR,
+                side: THREE.DoubleSide,
+                depthTest: false // Keep the cursor visible over pieces
+            });
+            this.cursorMesh = new THREE.Mesh(geometry, material);
+            this.cursorMesh.rotation.x = -Math.PI / 2; // Lay the outline flat, corners along x like the tiles
+            this.cursorMesh.renderOrder = 1;
+            this.cursorMesh.userData = { type: 'cursor' };
+            this.boardGroup.add(this.cursorMesh);
+        }
+        
+        const position = this.hexToWorld(q, r);
+        this.cursorMesh.position.set(position.x, CURSOR.HEIGHT, position.z);
+        this.cursorMesh.visible = true;
+    }
+    
+    /**
+     * Hide the keyboard cursor
+     */
+    hideCursor() {
+        if (this.cursorMesh) {
+            this.cursorMesh.visible = false;
+        }
+    }
+    
+    /**
+     * Show a suggested turn: its hexes are highlighted and the moves drawn as arrows
+     * @param {Object} turn - The turn (see core/rules.js for the format)
+     */
+    showHint(turn) {
+        this.hideHint();
+        
+        const hexes = turn.type === 'move_piece' ? [turn.from, ...turn.path] : [turn];
+        const material = new THREE.MeshBasicMaterial({
+            color: HINT.COLOR,
+            transparent: true,
+            opacity: HINT.OPACITY,
+            side: THREE.DoubleSide,
+            depthTest: false // Keep the hint visible over pieces
+        });
+        
+        this.hintGroup = new THREE.Group();
+        this.hintGroup.userData = { type: 'hint' };
+        
+        for (const hex of hexes) {
+            const position = this.hexToWorld(hex.q, hex.r);
+            const highlight = new THREE.Mesh(new THREE.CircleGeometry(HINT.RADIUS, 6), material);
+            highlight.rotation.x = -Math.PI / 2;
+            highlight.position.set(position.x, HINT.HEIGHT, position.z);
+            this.hintGroup.add(highlight);
+        }
+        
+        // Arrows built along x, then turned towards the next hex
+        for (let i = 1; i < hexes.length; i++) {
+            const start = this.hexToWorld(hexes[i - 1].q, hexes[i - 1].r);
+            const end = this.hexToWorld(hexes[i].q, hexes[i].r);
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const shaftLength = length - HINT.HEAD_LENGTH;
+            
+            const arrow = new THREE.Group();
+            const shaft = new THREE.Mesh(new THREE.PlaneGeometry(shaftLength, HINT.ARROW_WIDTH), material);
+            shaft.rotation.x = -Math.PI / 2;
+            shaft.position.x = shaftLength / 2;
+            arrow.add(shaft);
+            
+            const head = new THREE.Mesh(new THREE.ConeGeometry(HINT.HEAD_RADIUS, HINT.HEAD_LENGTH, 12), material);
+            head.rotation.z = -Math.PI / 2; // Point along x
+            head.position.x = length - HINT.HEAD_LENGTH / 2;
+            arrow.add(head);
+            
+            arrow.position.set(start.x, HINT.HEIGHT + 0.01, start.z);
+            arrow.rotation.y = -Math.atan2(end.z - start.z, end.x - start.x);
+            this.hintGroup.add(arrow);
+        }
+        
+        this.hintGroup.traverse(object => {
+            object.renderOrder = 1;
+        });
+        this.boardGroup.add(this.hintGroup);
+    }
+    
+    /**
+     * Remove the suggested turn from the board
+     */
+    hideHint() {
+        if (!this.hintGroup) return;
+        
+        this.boardGroup.remove(this.hintGroup);
+        this.hintGroup.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+        });
+        this.hintGroup.children[0].material.dispose();
+        this.hintGroup = null;
+    }
+    
     /**
      * Handle window resize
      */
@@ -2277,6 +2568,25 @@ export class ThreeRenderer {
         this.renderer.render(this.scene, this.camera);
     }
     
+    /**
+     * Capture a small picture of the board, e.g. for saved game thumbnails
+     * @param {number} [size] - Size of the longest side in pixels
+     * @returns {string} - JPEG data URL
+     */
+    captureThumbnail(size = 160) {
+        // The WebGL drawing buffer is only readable right after rendering, so render a fresh frame first
+        this.renderer.render(this.scene, this.camera);
+        
+        const source = this.renderer.domElement;
+        const scale = size / Math.max(source.width, source.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(source.width * scale));
+        canvas.height = Math.max(1, Math.round(source.height * scale));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+    
     /**
      * Update the background color of the scene based on dark mode setting
      * @param {boolean} isDarkMode - Whether dark mode is enabled
@@ -2323,6 +2633,80 @@ export class ThreeRenderer {
             this.camera.updateProjectionMatrix();
         }
     }
+    
+    /**
+     * Get the middle of the tiles on the board
+     * @returns {THREE.Vector3} - Center of the board in world coordinates
+     */
+    getBoardCenter() {
+        const center = new THREE.Vector3();
+        const keys = Object.keys(this.gameState.board.tiles);
+        
+        for (const key of keys) {
+            const [q, r] = key.split(',').map(Number);
+            const { x, z } = this.hexToWorld(q, r);
+            center.x += x;
+            center.z += z;
+        }
+        
+        return keys.length > 0 ? center.divideScalar(keys.length) : center;
+    }
+    
+    /**
+     * Turn the camera around the board to look at it from a player's side (pass-and-play)
+     * The orbit controls target moves to the middle of the board while the camera swings around it,
+     * keeping the player's zoom and tilt
+     * @param {string} color - 'black' (the initial view) or 'white'
+     * @param {boolean} [animate] - False to jump to the new view at once
+     * @returns {Promise} - Resolves when the camera is in place
+     */
+    rotateCameraToPlayer(color, animate = true) {
+        const startTarget = this.controls.target.clone();
+        const endTarget = this.getBoardCenter();
+        const start = new THREE.Spherical().setFromVector3(
+            new THREE.Vector3().subVectors(this.camera.position, startTarget)
+        );
+        
+        // Black looks from the +z side as set up in initScene, white from the opposite side.
+        // Turn the shortest way round.
+        const endTheta = color === 'white' ? Math.PI : 0;
+        let deltaTheta = (endTheta - start.theta) % (2 * Math.PI);
+        if (deltaTheta > Math.PI) deltaTheta -= 2 * Math.PI;
+        if (deltaTheta < -Math.PI) deltaTheta += 2 * Math.PI;
+        
+        const rotationId = ++this.cameraRotationId;
+        const startTime = performance.now();
+        this.controls.enabled = false;
+        
+        return new Promise((resolve) => {
+            const step = () => {
+                // A newer rotation took over
+                if (rotationId !== this.cameraRotationId) {
+                    resolve();
+                    return;
+                }
+                
+                const progress = animate ? Math.min((performance.now() - startTime) / CAMERA_ROTATION_DURATION, 1) : 1;
+                const easedProgress = ANIMATION_CONFIG.EASING.EASE_IN_OUT(progress);
+                
+                this.controls.target.lerpVectors(startTarget, endTarget, easedProgress);
+                this.camera.position
+                    .setFromSpherical(new THREE.Spherical(start.radius, start.phi, start.theta + deltaTheta * easedProgress))
+                    .add(this.controls.target);
+                this.camera.lookAt(this.controls.target);
+                
+                if (progress < 1) {
+                    requestAnimationFrame(step);
+                } else {
+                    this.controls.enabled = true;
+                    this.controls.update();
+                    resolve();
+                }
+            };
+            
+            step();
+        });
+    }
 
     /**
      * Animate a piece being selected from the piece choice UI (when both disc and ring are available)
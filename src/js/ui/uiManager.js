@@ -1,11 +1,29 @@
+import { exportGameRecord, importGameRecord, RECORD_FILE_EXTENSION } from '../core/gameRecord.js';
+import { formatResult } from '../core/gameResult.js';
+import { ReplayViewer } from './replayViewer.js';
+import { SavedGamesDialog } from './savedGamesDialog.js';
+import { HotSeat } from './hotSeat.js';
+import { ClockPanel } from './clockPanel.js';
+import { KeyboardControls } from './keyboardControls.js';
+import { AnalysisPanel } from './analysisPanel.js';
+import { BoardEditor } from './boardEditor.js';
+import { PuzzlePlayer } from './puzzlePlayer.js';
+import { GameEndControls } from './gameEndControls.js';
+import { ResultScreen } from './resultScreen.js';
+import { VARIANTS, STANDARD_VARIANT, getVariant } from '../core/variants.js';
+import { listThemes } from './pieceThemes.js';
+
 /**
  * UIManager - Handles the 2D user interface elements and interactions
  */
 export class UIManager {
-    constructor(gameState, renderer, gameBoard) {
+    constructor(gameState, renderer, gameBoard, aiPlayer, onlineGame, storageManager) {
         this.gameState = gameState;
         this.renderer = renderer;
         this.gameBoard = gameBoard;
+        this.aiPlayer = aiPlayer;
+        this.onlineGame = onlineGame;
+        this.storageManager = storageManager;
         
         // UI elements
         this.currentPlayerElement = document.getElementById('current-player');
@@ -14,9 +32,37 @@ export class UIManager {
         this.rulesModal = document.getElementById('rules-modal');
         this.closeButtons = document.querySelectorAll('.close-button');
         this.showValidMovesCheckbox = document.getElementById('show-valid-moves');
+        this.showAnalysisCheckbox = document.getElementById('show-analysis');
         this.darkModeCheckbox = document.getElementById('dark-mode');
+        this.boardViewSelect = document.getElementById('board-view');
+        this.pieceThemeSelect = document.getElementById('piece-theme');
+        this.opponentSelect = document.getElementById('opponent');
+        this.computerColorSelect = document.getElementById('computer-color');
+        this.passAndPlayCheckbox = document.getElementById('pass-and-play');
+        this.handOverCheckbox = document.getElementById('hand-over');
+        this.variantSelect = document.getElementById('rules-variant');
+        this.variantDescription = document.getElementById('rules-variant-description');
+        this.clockTypeSelect = document.getElementById('clock-type');
+        this.clockTimes = document.getElementById('clock-times');
+        this.clockMinutesInput = document.getElementById('clock-minutes');
+        this.clockIncrementInput = document.getElementById('clock-increment');
         this.rulesButton = document.getElementById('rules-button');
+        this.exportGameButton = document.getElementById('export-game-button');
+        this.importGameButton = document.getElementById('import-game-button');
+        this.importGameInput = document.getElementById('import-game-input');
+        this.onlineStatusElement = document.getElementById('online-status');
+        this.onlineSetup = document.getElementById('online-setup');
+        this.onlineNameInput = document.getElementById('online-name');
+        this.onlineColorSelect = document.getElementById('online-color');
+        this.onlineCreateButton = document.getElementById('online-create-button');
+        this.onlineCodeInput = document.getElementById('online-code');
+        this.onlineJoinButton = document.getElementById('online-join-button');
+        this.onlineWatchButton = document.getElementById('online-watch-button');
+        this.onlineLeaveButton = document.getElementById('online-leave-button');
         this.newGameButton = document.getElementById('new-game-button');
+        this.undoButton = document.getElementById('undo-button');
+        this.redoButton = document.getElementById('redo-button');
+        this.replayButton = document.getElementById('replay-button');
         
         // Piece counters
         this.counters = {
@@ -36,10 +82,44 @@ export class UIManager {
             }
         };
         
+        // Replay of the committed turns
+        this.replayViewer = new ReplayViewer(gameState, renderer, gameBoard, this);
+        
+        // Board rotation between the players of a shared device
+        this.hotSeat = new HotSeat(gameState, renderer, this);
+        
+        // Game clocks
+        this.clockPanel = new ClockPanel(gameState, gameBoard, this);
+        
+        // Keyboard play and screen reader announcements
+        this.keyboardControls = new KeyboardControls(gameState, renderer, gameBoard, this);
+        
+        // Position analysis
+        this.analysisPanel = new AnalysisPanel(gameState, renderer, this);
+        
+        // Games saved in the browser
+        this.savedGamesDialog = new SavedGamesDialog(gameState, renderer, storageManager, this);
+        
+        // Position set-up
+        this.boardEditor = new BoardEditor(gameState, renderer, gameBoard, this);
+        
+        // "Win in N" puzzles
+        this.puzzlePlayer = new PuzzlePlayer(gameState, renderer, gameBoard, this);
+        
+        // Resignation and draw offers
+        this.gameEndControls = new GameEndControls(gameState, gameBoard, this);
+        
+        // End-of-game result screen
+        this.resultScreen = new ResultScreen(gameState, this);
+        
         // Initialize UI
         this.initEventListeners();
+        this.initVariantOptions();
         this.loadSettings();
+        this.initBoardViewOptions();
+        this.initThemeOptions();
         this.initRulesContent();
+        this.updateOnlineStatus();
         this.updateUI();
     }
     
@@ -57,6 +137,56 @@ export class UIManager {
             this.openModal(this.rulesModal);
         });
         
+        // Online game
+        this.onlineCreateButton.addEventListener('click', () => {
+            this.createOnlineGame();
+        });
+        
+        this.onlineJoinButton.addEventListener('click', () => {
+            this.joinOnlineGame();
+        });
+        
+        this.onlineWatchButton.addEventListener('click', () => {
+            this.watchOnlineGame();
+        });
+        
+        this.onlineCodeInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.joinOnlineGame();
+            }
+        });
+        
+        this.onlineLeaveButton.addEventListener('click', () => {
+            this.leaveOnlineGame();
+        });
+        
+        if (this.onlineGame) {
+            this.onlineGame.onStatusChange(() => {
+                this.applyOpponentSettings();
+                this.updateOnlineStatus();
+                this.updateCurrentPlayer();
+                this.updateHistoryButtons();
+            });
+        }
+        
+        // Game record export / import
+        this.exportGameButton.addEventListener('click', () => {
+            this.exportGame();
+        });
+        
+        this.importGameButton.addEventListener('click', () => {
+            this.importGameInput.click();
+        });
+        
+        this.importGameInput.addEventListener('change', () => {
+            const file = this.importGameInput.files[0];
+            // Reset the input so the same file can be picked again
+            this.importGameInput.value = '';
+            if (file) {
+                this.importGame(file);
+            }
+        });
+        
         // Close buttons
         this.closeButtons.forEach(button => {
             button.addEventListener('click', () => {
@@ -83,21 +213,109 @@ export class UIManager {
             }
         });
         
+        // Analysis panel toggle
+        this.showAnalysisCheckbox.addEventListener('change', () => {
+            this.analysisPanel.configure({ enabled: this.showAnalysisCheckbox.checked });
+            this.saveSettings();
+        });
+        
         // Dark mode toggle
         this.darkModeCheckbox.addEventListener('change', () => {
             this.toggleDarkMode();
             this.saveSettings();
         });
         
+        // Board view: the renderer is created with the page, so the page is reloaded
+        // (the game of the tab is restored from the session)
+        this.boardViewSelect.addEventListener('change', () => {
+            this.saveSettings();
+            if (this.boardViewSelect.value !== this.renderer.viewType) {
+                window.location.reload();
+            }
+        });
+        
+        // Piece theme
+        this.pieceThemeSelect.addEventListener('change', () => {
+            this.applyThemeSettings();
+            this.saveSettings();
+        });
+        
+        // Computer opponent settings
+        this.opponentSelect.addEventListener('change', () => {
+            this.applyOpponentSettings();
+            this.saveSettings();
+        });
+        
+        this.computerColorSelect.addEventListener('change', () => {
+            this.applyOpponentSettings();
+            this.saveSettings();
+        });
+        
+        // Pass-and-play settings
+        this.passAndPlayCheckbox.addEventListener('change', () => {
+            this.applyHotSeatSettings();
+            this.saveSettings();
+        });
+        
+        this.handOverCheckbox.addEventListener('change', () => {
+            this.applyHotSeatSettings();
+            this.saveSettings();
+        });
+        
+        // Rules variant of new games
+        this.variantSelect.addEventListener('change', () => {
+            this.updateVariantDescription();
+            this.saveSettings();
+        });
+        
+        // Clock settings
+        [this.clockTypeSelect, this.clockMinutesInput, this.clockIncrementInput].forEach(element => {
+            element.addEventListener('change', () => {
+                this.applyClockSettings();
+                this.saveSettings();
+            });
+        });
+        
         // Toggle valid move indicators when the checkbox is changed
         document.getElementById('show-valid-moves').addEventListener('change', () => {
             this.renderer.updateValidMovesVisibility();
         });
         
+        // Refresh the status while the computer thinks
+        if (this.aiPlayer) {
+            this.aiPlayer.onThinkingChange(() => {
+                this.updateCurrentPlayer();
+                this.updateHistoryButtons();
+            });
+        }
+        
         // New Game button
         this.newGameButton.addEventListener('click', () => {
             this.startNewGame();
         });
+        
+        // Undo / Redo buttons
+        this.undoButton.addEventListener('click', () => {
+            this.undoTurn();
+        });
+        
+        this.redoButton.addEventListener('click', () => {
+            this.redoTurn();
+        });
+        
+        // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo (Cmd on macOS)
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey)) return;
+            
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undoTurn();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redoTurn();
+            }
+        });
     }
     
     /**
@@ -125,17 +343,152 @@ export class UIManager {
         const isDarkMode = this.darkModeCheckbox.checked;
         document.body.classList.toggle('dark-mode', isDarkMode);
         
-        // Update the 3D renderer background color
+        // Update the board background color
         this.renderer.updateBackgroundColor(isDarkMode);
     }
     
+    /**
+     * Show the board view in use, and that the 3D board is unavailable when the 2D one replaced it
+     */
+    initBoardViewOptions() {
+        if (this.renderer.viewType === '2d' && this.boardViewSelect.value === '3d') {
+            const option3d = this.boardViewSelect.querySelector('option[value="3d"]');
+            option3d.disabled = true;
+            option3d.textContent = '3D (not available in this browser)';
+        }
+        this.boardViewSelect.value = this.renderer.viewType;
+        
+        // Piece themes are 3D models
+        this.pieceThemeSelect.disabled = this.renderer.viewType === '2d';
+    }
+    
+    /**
+     * Show the piece themes found in the theme list (themes dropped in after the page was written)
+     */
+    async initThemeOptions() {
+        const themes = await listThemes();
+        const selected = this.pieceThemeSelect.value;
+        
+        this.pieceThemeSelect.replaceChildren(...themes.map(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            return option;
+        }));
+        
+        if (themes.some(theme => theme.id === selected)) {
+            this.pieceThemeSelect.value = selected;
+        }
+    }
+    
+    /**
+     * Fill the rules variant list (see core/variants.js)
+     */
+    initVariantOptions() {
+        this.variantSelect.replaceChildren(...VARIANTS.map(variant => new Option(variant.name, variant.id)));
+        this.updateVariantDescription();
+    }
+    
+    /**
+     * Show the rules of the selected variant
+     */
+    updateVariantDescription() {
+        this.variantDescription.textContent = this.getSelectedVariant().description;
+    }
+    
+    /**
+     * Get the rules variant chosen for new games
+     * @returns {Object} - The variant
+     */
+    getSelectedVariant() {
+        return getVariant(this.variantSelect.value) || STANDARD_VARIANT;
+    }
+    
+    /**
+     * Switch the board to the selected piece theme
+     */
+    applyThemeSettings() {
+        const themeId = this.pieceThemeSelect.value;
+        if (themeId && themeId !== this.renderer.themeId) {
+            this.renderer.setTheme(themeId);
+        }
+    }
+    
+    /**
+     * Pass the opponent settings on to the computer player
+     */
+    applyOpponentSettings() {
+        if (!this.aiPlayer) return;
+        
+        // The computer opponent is off during online games and puzzles
+        const isOnline = this.isOnline();
+        const isOff = isOnline || this.puzzlePlayer.isActive;
+        this.opponentSelect.disabled = isOff;
+        this.computerColorSelect.disabled = isOff;
+        
+        const opponent = this.opponentSelect.value;
+        this.aiPlayer.configure({
+            enabled: opponent !== 'human' && !isOff,
+            level: opponent !== 'human' ? opponent : this.aiPlayer.level,
+            color: this.computerColorSelect.value
+        });
+        
+        // The computer player resets the board input lock, the online game decides it during online games
+        if (isOnline) {
+            this.onlineGame.updateInputLock();
+        }
+        
+        // Pass-and-play only turns the board when both sides are played here
+        this.hotSeat.faceCurrentPlayer();
+    }
+    
+    /**
+     * Pass the pass-and-play settings on to the hot seat mode
+     */
+    applyHotSeatSettings() {
+        this.handOverCheckbox.disabled = !this.passAndPlayCheckbox.checked;
+        this.hotSeat.configure({
+            enabled: this.passAndPlayCheckbox.checked,
+            handOverScreen: this.passAndPlayCheckbox.checked && this.handOverCheckbox.checked
+        });
+    }
+    
+    /**
+     * Pass the time control on to the clocks (used by new games)
+     */
+    applyClockSettings() {
+        const type = this.clockTypeSelect.value;
+        const minutes = Math.max(1, Number(this.clockMinutesInput.value) || 10);
+        const seconds = Math.max(0, Number(this.clockIncrementInput.value) || 0);
+        
+        this.clockTimes.classList.toggle('hidden', type === 'none');
+        this.clockIncrementInput.disabled = type === 'sudden_death';
+        
+        this.clockPanel.configure(type === 'none' ? null : {
+            type,
+            initial: minutes * 60 * 1000,
+            increment: seconds * 1000
+        });
+    }
+    
     /**
      * Save UI settings to local storage
      */
     saveSettings() {
         const settings = {
             showValidMoves: this.showValidMovesCheckbox.checked,
-            darkMode: this.darkModeCheckbox.checked
+            showAnalysis: this.showAnalysisCheckbox.checked,
+            darkMode: this.darkModeCheckbox.checked,
+            boardView: this.boardViewSelect.value,
+            pieceTheme: this.pieceThemeSelect.value,
+            opponent: this.opponentSelect.value,
+            computerColor: this.computerColorSelect.value,
+            passAndPlay: this.passAndPlayCheckbox.checked,
+            handOverScreen: this.handOverCheckbox.checked,
+            variant: this.variantSelect.value,
+            clockType: this.clockTypeSelect.value,
+            clockMinutes: this.clockMinutesInput.value,
+            clockIncrement: this.clockIncrementInput.value
         };
         
         localStorage.setItem('hexaequo_settings', JSON.stringify(settings));
@@ -151,59 +504,474 @@ export class UIManager {
             const settings = JSON.parse(savedSettings);
             
             this.showValidMovesCheckbox.checked = settings.showValidMoves;
+            this.showAnalysisCheckbox.checked = Boolean(settings.showAnalysis);
             this.darkModeCheckbox.checked = settings.darkMode;
+            this.boardViewSelect.value = settings.boardView || '3d';
+            
+            // The option of a theme found later in the theme list is added for now
+            if (settings.pieceTheme && !this.pieceThemeSelect.querySelector(`option[value="${settings.pieceTheme}"]`)) {
+                this.pieceThemeSelect.add(new Option(settings.pieceTheme, settings.pieceTheme));
+            }
+            this.pieceThemeSelect.value = settings.pieceTheme || this.pieceThemeSelect.value;
+            
+            this.opponentSelect.value = settings.opponent || 'human';
+            this.computerColorSelect.value = settings.computerColor || 'white';
+            this.passAndPlayCheckbox.checked = Boolean(settings.passAndPlay);
+            this.handOverCheckbox.checked = Boolean(settings.handOverScreen);
+            this.variantSelect.value = getVariant(settings.variant) ? settings.variant : STANDARD_VARIANT.id;
+            this.updateVariantDescription();
+            this.clockTypeSelect.value = settings.clockType || 'none';
+            this.clockMinutesInput.value = settings.clockMinutes || this.clockMinutesInput.value;
+            this.clockIncrementInput.value = settings.clockIncrement || this.clockIncrementInput.value;
             
             // Apply dark mode if enabled
             this.toggleDarkMode();
         }
+        
+        this.applyThemeSettings();
+        this.applyOpponentSettings();
+        this.applyHotSeatSettings();
+        this.applyClockSettings();
+        this.analysisPanel.configure({ enabled: this.showAnalysisCheckbox.checked });
     }
     
     /**
      * Update the UI to reflect the current game state
      */
     updateUI() {
+        // The board editor shows the position being set up instead of the game
+        if (this.boardEditor.isActive) {
+            this.boardEditor.refresh();
+            return;
+        }
+        
         // Update current player
         this.updateCurrentPlayer();
         
         // Update piece counts
         this.updatePieceCounts();
         
-        // Show valid action placeholders for the current turn
-        if (this.gameState.gameStatus === 'ongoing' && !this.gameState.currentAction) {
+        // Update undo/redo availability
+        this.updateHistoryButtons();
+        
+        // Show valid action placeholders for the current turn (not while the computer or a puzzle plays, nor to spectators)
+        const isComputerTurn = this.aiPlayer && this.aiPlayer.isComputerTurn();
+        if (this.gameState.gameStatus === 'ongoing' && !this.gameState.currentAction && !isComputerTurn &&
+            !this.puzzlePlayer.isDefenderTurn() && !this.isSpectating()) {
             this.renderer.showValidActionPlaceholders();
         }
     }
     
     /**
      * Update the current player display
+     * @param {GameState} [state] - State to describe (the replayed position during a replay)
      */
-    updateCurrentPlayer() {
+    updateCurrentPlayer(state = this.gameState) {
+        this.currentPlayerElement.textContent = this.getStatusText(state);
+    }
+    
+    /**
+     * Get the status line of a game: player to move, or result
+     * @param {GameState} [state] - State to describe (the replayed position during a replay)
+     * @returns {string} - The status text
+     */
+    getStatusText(state = this.gameState) {
+        if (this.boardEditor.isActive) {
+            return this.boardEditor.getStatusText();
+        }
+        
         let statusText = '';
         
-        if (this.gameState.gameStatus === 'ongoing') {
-            statusText = `${this.gameState.currentPlayer.charAt(0).toUpperCase() + this.gameState.currentPlayer.slice(1)} player's turn`;
-        } else if (this.gameState.gameStatus === 'black_win') {
-            statusText = 'Game over! Black wins!';
-        } else if (this.gameState.gameStatus === 'white_win') {
-            statusText = 'Game over! White wins!';
-        } else if (this.gameState.gameStatus === 'draw') {
-            statusText = `Game over! Draw (${this.gameState.drawReason === 'repetition' ? 'position repeated three times' : 'no valid moves'})`;
+        if (state.gameStatus === 'ongoing') {
+            statusText = `${state.currentPlayer.charAt(0).toUpperCase() + state.currentPlayer.slice(1)} player's turn`;
+            
+            if (state === this.gameState && this.aiPlayer && this.aiPlayer.isComputerTurn()) {
+                statusText = `Computer (${state.currentPlayer}) is thinking...`;
+            }
+            
+            if (state === this.gameState && this.isSpectating()) {
+                const player = this.onlineGame.players[state.currentPlayer];
+                statusText = `${statusText}${player ? ` (${player.name})` : ''}`;
+            } else if (state === this.gameState && this.isOnline()) {
+                if (!this.onlineGame.isOpponentPresent()) {
+                    statusText = 'Waiting for your opponent...';
+                } else if (state.currentPlayer === this.onlineGame.color) {
+                    statusText = `Your turn (${state.currentPlayer})`;
+                } else {
+                    statusText = `Opponent's turn (${state.currentPlayer})`;
+                }
+            }
+        } else {
+            statusText = `Game over! ${formatResult(state)}`;
         }
         
-        this.currentPlayerElement.textContent = statusText;
+        if (state !== this.gameState) {
+            statusText = `Replay: ${statusText}`;
+        }
+        
+        return statusText;
     }
     
     /**
      * Update the piece counts display
+     * @param {GameState} [state] - State to show the counts of (the replayed position during a replay)
      */
-    updatePieceCounts() {
+    updatePieceCounts(state = this.gameState) {
         for (const color of ['black', 'white']) {
-            this.counters[color].tilesAvailable.textContent = this.gameState.pieces[color].tilesAvailable;
-            this.counters[color].discsAvailable.textContent = this.gameState.pieces[color].discsAvailable;
-            this.counters[color].discsCaptured.textContent = this.gameState.pieces[color].discsCaptured;
-            this.counters[color].ringsAvailable.textContent = this.gameState.pieces[color].ringsAvailable;
-            this.counters[color].ringsCaptured.textContent = this.gameState.pieces[color].ringsCaptured;
+            this.counters[color].tilesAvailable.textContent = state.pieces[color].tilesAvailable;
+            this.counters[color].discsAvailable.textContent = state.pieces[color].discsAvailable;
+            this.counters[color].discsCaptured.textContent = state.pieces[color].discsCaptured;
+            this.counters[color].ringsAvailable.textContent = state.pieces[color].ringsAvailable;
+            this.counters[color].ringsCaptured.textContent = state.pieces[color].ringsCaptured;
+        }
+    }
+    
+    /**
+     * Enable or disable the undo/redo buttons
+     */
+    updateHistoryButtons() {
+        const isBusy = this.isComputerBusy() || this.replayViewer.isActive || this.boardEditor.isActive ||
+                       this.puzzlePlayer.isActive;
+        const isOnline = this.isOnline();
+        
+        // Online turns are final, and opponent turns may arrive at any time while the game is on
+        this.undoButton.disabled = isBusy || isOnline || !this.gameState.canUndo();
+        this.redoButton.disabled = isBusy || isOnline || !this.gameState.canRedo();
+        this.replayButton.disabled = isBusy || (isOnline && this.gameState.gameStatus === 'ongoing') ||
+                                     !this.replayViewer.canOpen();
+        
+        // Resign and Offer draw wait for the same things
+        this.gameEndControls.update();
+    }
+    
+    /**
+     * Check if an online game is being played or watched
+     * @returns {boolean} - True during an online game
+     */
+    isOnline() {
+        return Boolean(this.onlineGame && this.onlineGame.isInRoom());
+    }
+    
+    /**
+     * Check if an online game is being watched
+     * @returns {boolean} - True while spectating
+     */
+    isSpectating() {
+        return Boolean(this.onlineGame && this.onlineGame.isSpectating());
+    }
+    
+    /**
+     * Check if the computer opponent is thinking or playing its turn
+     * @returns {boolean} - True if history changes must wait
+     */
+    isComputerBusy() {
+        return Boolean(this.aiPlayer && this.aiPlayer.isThinking);
+    }
+    
+    /**
+     * Check if the current turn belongs to the computer opponent
+     * @returns {boolean} - True if the computer plays the side to move
+     */
+    isComputerSide() {
+        return Boolean(this.aiPlayer && this.aiPlayer.enabled &&
+                       this.aiPlayer.color === this.gameState.currentPlayer);
+    }
+    
+    /**
+     * Undo the last committed turn
+     * Against the computer, also undo its reply so the human player is to move again
+     */
+    undoTurn() {
+        if (this.isComputerBusy() || this.replayViewer.isActive || this.boardEditor.isActive || this.isOnline() ||
+            this.puzzlePlayer.isActive || !this.gameState.canUndo()) return;
+        
+        // Drop any action in progress first
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        
+        this.gameState.undoTurn();
+        while (this.isComputerSide() && this.gameState.canUndo()) {
+            this.gameState.undoTurn();
+        }
+        
+        this.syncBoard();
+    }
+    
+    /**
+     * Redo the last undone turn
+     * Against the computer, also redo its reply
+     */
+    redoTurn() {
+        if (this.isComputerBusy() || this.replayViewer.isActive || this.boardEditor.isActive || this.isOnline() ||
+            this.puzzlePlayer.isActive || !this.gameState.canRedo()) return;
+        
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        
+        this.gameState.redoTurn();
+        while (this.isComputerSide() && this.gameState.canRedo()) {
+            this.gameState.redoTurn();
+        }
+        
+        this.syncBoard();
+    }
+    
+    /**
+     * Re-sync the 3D board with the game state after it changed as a whole (undo, redo...)
+     */
+    syncBoard() {
+        this.renderer.clearActionUI();
+        this.renderer.updateBoard();
+        this.updateUI();
+    }
+    
+    /**
+     * Create an online game and wait for an opponent to join with its code
+     */
+    async createOnlineGame() {
+        if (!this.confirmLeaveLocalGame()) return;
+        
+        try {
+            await this.onlineGame.createGame(this.onlineColorSelect.value, this.onlineNameInput.value.trim() || null,
+                this.clockPanel.control);
+        } catch (error) {
+            this.updateOnlineStatus();
+        }
+    }
+    
+    /**
+     * Join an online game with the code given by its creator
+     */
+    async joinOnlineGame() {
+        const code = this.onlineCodeInput.value.trim();
+        if (!code) {
+            this.onlineCodeInput.focus();
+            return;
+        }
+        if (!this.confirmLeaveLocalGame()) return;
+        
+        try {
+            await this.onlineGame.joinGame(code, this.onlineNameInput.value.trim() || null);
+        } catch (error) {
+            this.updateOnlineStatus();
+        }
+    }
+    
+    /**
+     * Watch an online game with its code, without playing
+     */
+    async watchOnlineGame() {
+        const code = this.onlineCodeInput.value.trim();
+        if (!code) {
+            this.onlineCodeInput.focus();
+            return;
+        }
+        if (!this.confirmLeaveLocalGame()) return;
+        
+        try {
+            await this.onlineGame.watchGame(code);
+        } catch (error) {
+            this.updateOnlineStatus();
+        }
+    }
+    
+    /**
+     * Leave the online game, keeping the position on the board as a local game
+     */
+    leaveOnlineGame() {
+        if (this.isOnline() && !this.isSpectating() && this.gameState.gameStatus === 'ongoing' &&
+            !confirm('Leave the online game? The game will continue locally.')) {
+            return;
+        }
+        
+        this.onlineGame.leave();
+        this.updateUI();
+    }
+    
+    /**
+     * Ask before the local game is replaced by an online game
+     * @returns {boolean} - True if the local game can be replaced
+     */
+    confirmLeaveLocalGame() {
+        if (this.isOnline() || this.gameState.turnHistory.length === 0 || this.gameState.gameStatus !== 'ongoing') {
+            return true;
+        }
+        return confirm('The current game will be replaced by the online game. Continue?');
+    }
+    
+    /**
+     * Show the online game status in the settings modal
+     */
+    updateOnlineStatus() {
+        if (!this.onlineGame) return;
+        
+        const online = this.onlineGame;
+        let text = 'Play against a friend: create a game and share its code. Anyone with the code can watch.';
+        
+        if (online.isActive()) {
+            const opponent = online.players[online.color === 'black' ? 'white' : 'black'];
+            text = `Game ${online.code} - you play ${online.color}`;
+            
+            if (!opponent) {
+                text += '. Waiting for an opponent: share the code!';
+            } else {
+                text += ` against ${opponent.name}${opponent.connected ? '' : ' (disconnected)'}.`;
+            }
+            if (!online.isConnected) {
+                text += ' Reconnecting...';
+            }
+        } else if (online.isSpectating()) {
+            const name = (color) => online.players[color] ? online.players[color].name : 'nobody yet';
+            text = `Watching game ${online.code}: ${name('black')} (black) vs ${name('white')} (white).`;
+            
+            if (!online.isConnected) {
+                text += ' Reconnecting...';
+            }
+        }
+        
+        if (online.isInRoom() && online.spectators > 0) {
+            text += ` ${online.spectators} watching.`;
+        }
+        if (online.lastError) {
+            text += ` ${online.lastError}`;
+        }
+        
+        this.onlineStatusElement.textContent = text;
+        this.onlineSetup.classList.toggle('hidden', online.isInRoom());
+        this.onlineLeaveButton.classList.toggle('hidden', !online.isInRoom());
+        
+        // No analysis during online games in progress
+        this.analysisPanel.refresh();
+    }
+    
+    /**
+     * Get the player name written in game records for a side
+     * @param {string} color - 'black' or 'white'
+     * @returns {string} - The player name
+     */
+    getPlayerName(color) {
+        if (this.isOnline() && this.onlineGame.players[color]) {
+            return this.onlineGame.players[color].name;
+        }
+        if (this.aiPlayer && this.aiPlayer.enabled && this.aiPlayer.color === color) {
+            return `Computer (${this.aiPlayer.level})`;
+        }
+        return 'Player';
+    }
+    
+    /**
+     * Download the record of the current game
+     */
+    exportGame() {
+        let record;
+        try {
+            record = exportGameRecord(this.gameState, {
+                Black: this.getPlayerName('black'),
+                White: this.getPlayerName('white')
+            });
+        } catch (error) {
+            alert(`Cannot export this game: ${error.message}`);
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        const blob = new Blob([record], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hexaequo-${date}${RECORD_FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load a game from a record file, replaying it through the rules
+     * @param {File} file - The record file
+     */
+    async importGame(file) {
+        if (this.isOnline()) {
+            alert('Leave the online game before importing a game.');
+            return;
+        }
+        
+        let imported;
+        try {
+            imported = importGameRecord(await file.text());
+        } catch (error) {
+            alert(`Cannot read this game record: ${error.message}`);
+            return;
+        }
+        
+        if (imported.error) {
+            const { moveNumber, color, text, message } = imported.error;
+            const details = `Illegal move ${moveNumber} (${color}) "${text}": ${message}.`;
+            
+            if (imported.turns.length === 0) {
+                alert(`Cannot import this game. ${details}`);
+                return;
+            }
+            if (!confirm(`${details}\n\nLoad the game up to the previous turn?`)) {
+                return;
+            }
+        } else if (!confirm('Load this game? Current progress will be lost.')) {
+            return;
+        }
+        
+        // Copy the replayed game into the live game state, keeping its turn history for undo
+        await this.loadGameState(JSON.parse(JSON.stringify(imported.state.getSerializableState())));
+    }
+    
+    /**
+     * Replace the current game with a saved or imported one
+     * @param {Object} state - Serializable game state
+     * @returns {Promise<boolean>} - False if the save was rejected (the current game is kept)
+     */
+    async loadGameState(state) {
+        if (this.gameState.currentAction) {
+            this.gameBoard.cancelAction();
+        }
+        await this.replayViewer.close();
+        this.boardEditor.close();
+        this.puzzlePlayer.close();
+        
+        try {
+            this.gameState.loadFromSave(state);
+        } catch (error) {
+            this.reportLoadError('Cannot load this game.', error);
+            return false;
+        }
+        
+        this.closeModal(this.settingsModal);
+        this.syncBoard();
+        return true;
+    }
+    
+    /**
+     * Tell the player why a saved game was rejected
+     * @param {string} title - What could not be loaded
+     * @param {Error} error - The error, with the list of problems for a SaveFormatError
+     */
+    reportLoadError(title, error) {
+        console.error(title, error);
+        
+        const problems = error.problems || [];
+        let text = `${title}\n\n`;
+        
+        if (problems.length === 0) {
+            text += error.message;
+        } else {
+            text += 'The save is damaged:\n' + problems.slice(0, 5).map(problem => `- ${problem}`).join('\n');
+            if (problems.length > 5) {
+                text += `\n- and ${problems.length - 5} more problems`;
+            }
         }
+        
+        alert(text);
     }
     
     /**
@@ -271,19 +1039,44 @@ export class UIManager {
     /**
      * Start a new game by resetting the game state
      */
-    startNewGame() {
-        if (confirm('Are you sure you want to start a new game? Current progress will be lost.')) {
-            // Reset the game state
-            this.gameState.reset();
-            this.gameState.setupNewGame();
-            
-            // Reset the renderer
-            this.renderer.clearActionUI();
-            // Fully reset the visual board instead of just updating it
-            this.renderer.setupScene();
+    async startNewGame() {
+        if (this.isSpectating()) {
+            if (!confirm('Stop watching the online game and start a new local game?')) {
+                return;
+            }
+            this.onlineGame.leave();
+        } else if (this.isOnline()) {
+            // Once an online game is over, the same players can play again
+            if (this.gameState.gameStatus !== 'ongoing') {
+                if (confirm('Play again against the same opponent? Colors will be swapped.')) {
+                    this.onlineGame.requestRematch();
+                }
+                return;
+            }
             
-            // Update the UI
-            this.updateUI();
+            if (!confirm('Leave the online game and start a new local game?')) {
+                return;
+            }
+            this.onlineGame.leave();
+        } else if (!confirm('Are you sure you want to start a new game? Current progress will be lost.')) {
+            return;
         }
+        
+        await this.replayViewer.close();
+        this.boardEditor.close();
+        this.puzzlePlayer.close();
+        
+        // Reset the game state
+        this.gameState.reset();
+        this.gameState.setupNewGame(this.getSelectedVariant());
+        this.clockPanel.setupClock();
+        
+        // Reset the renderer
+        this.renderer.clearActionUI();
+        // Fully reset the visual board instead of just updating it
+        this.renderer.setupScene();
+        
+        // Update the UI
+        this.updateUI();
     }
 } 
\ No newline at end of file
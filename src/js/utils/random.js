@@ -0,0 +1,18 @@
+/**
+ * random - Seeded random numbers, for games that must be played again the same way
+ * (random openings of engine tournaments, random games of the tests)
+ */
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - The seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -1,10 +1,27 @@
+import { readSave } from '../core/saveFormat.js';
+
+// Id of the slot the current game is saved to automatically
+export const AUTOSAVE_SLOT_ID = 'autosave';
+
+const DATABASE_NAME = 'hexaequo';
+const DATABASE_VERSION = 1;
+const SLOTS_STORE = 'saved_games';
+const AUTOSAVE_DELAY = 1000; // Wait for animations to end before saving (milliseconds)
+
 /**
- * StorageManager - Handles saving and loading game state to/from session storage
+ * StorageManager - Handles saving and loading game state:
+ * - Session storage for the game of the current tab (survives page reloads)
+ * - Local storage for the puzzles solved (see ui/puzzlePlayer.js)
+ * - IndexedDB save slots, named by the player or kept up to date automatically (survive closing the browser)
  */
 export class StorageManager {
     constructor(gameState) {
         this.gameState = gameState;
         this.storageKey = 'hexaequo_game_state';
+        this.puzzleProgressKey = 'hexaequo_puzzle_progress';
+        
+        this.databasePromise = null;
+        this.autosaveTimer = null;
     }
     
     /**
@@ -62,6 +79,179 @@ export class StorageManager {
         return sessionStorage.getItem(this.storageKey) !== null;
     }
     
+    /* Puzzle Progress (local storage) */
+    
+    /**
+     * Load the results of the puzzles played in this browser
+     * @returns {Object} - Map of puzzle keys ('collection/puzzle') to { solved, mistakes }
+     */
+    loadPuzzleProgress() {
+        try {
+            return JSON.parse(localStorage.getItem(this.puzzleProgressKey)) || {};
+        } catch (error) {
+            console.error('Error loading puzzle progress:', error);
+            return {};
+        }
+    }
+    
+    /**
+     * Save the results of the puzzles played in this browser
+     * @param {Object} progress - Map of puzzle keys to { solved, mistakes }
+     * @returns {boolean} - True if saved
+     */
+    savePuzzleProgress(progress) {
+        try {
+            localStorage.setItem(this.puzzleProgressKey, JSON.stringify(progress));
+            return true;
+        } catch (error) {
+            console.error('Error saving puzzle progress:', error);
+            return false;
+        }
+    }
+    
+    /* Save Slots (IndexedDB) */
+    
+    /**
+     * Open the saved games database
+     * @returns {Promise<IDBDatabase>} - The database
+     */
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+                
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(SLOTS_STORE, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Allow a new attempt later if opening failed
+            this.databasePromise.catch(() => {
+                this.databasePromise = null;
+            });
+        }
+        
+        return this.databasePromise;
+    }
+    
+    /**
+     * Run a request on the save slots store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} createRequest - Called with the store, returns an IDBRequest
+     * @returns {Promise} - Result of the request
+     */
+    async runSlotsRequest(mode, createRequest) {
+        const database = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(SLOTS_STORE, mode);
+            const request = createRequest(transaction.objectStore(SLOTS_STORE));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Save a game to a slot (a new slot is created without id)
+     * @param {Object} slot - { id, name, state, thumbnail } - state is a serializable game state
+     * @returns {Promise<Object>} - The saved slot
+     */
+    async saveSlot({ id = null, name, state, thumbnail = null }) {
+        const existing = id ? await this.loadSlot(id) : null;
+        const now = Date.now();
+        
+        const slot = {
+            id: id || `slot-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            state,
+            // Keep the previous picture when no new one could be taken
+            thumbnail: thumbnail || (existing ? existing.thumbnail : null),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        
+        await this.runSlotsRequest('readwrite', store => store.put(slot));
+        return slot;
+    }
+    
+    /**
+     * Load a save slot
+     * @param {string} id - Slot id
+     * @returns {Promise<Object|null>} - The slot, or null if not found
+     */
+    async loadSlot(id) {
+        const slot = await this.runSlotsRequest('readonly', store => store.get(id));
+        return slot || null;
+    }
+    
+    /**
+     * List the save slots, most recently saved first
+     * @returns {Promise<Array>} - Array of slots
+     */
+    async listSlots() {
+        const slots = await this.runSlotsRequest('readonly', store => store.getAll());
+        return slots.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    /**
+     * Delete a save slot
+     * @param {string} id - Slot id
+     * @returns {Promise} - Resolves once deleted
+     */
+    deleteSlot(id) {
+        return this.runSlotsRequest('readwrite', store => store.delete(id));
+    }
+    
+    /**
+     * Find the most recently saved game that is not over yet
+     * @returns {Promise<Object|null>} - The slot, or null if there is none
+     */
+    async getLastUnfinishedGame() {
+        try {
+            const slots = await this.listSlots();
+            return slots.find(slot => {
+                let save;
+                try {
+                    save = readSave(slot.state);
+                } catch (error) {
+                    // Rejected saves are flagged in the saved games dialog instead
+                    return false;
+                }
+                return save.gameStatus === 'ongoing' && save.history.turns.length > 0;
+            }) || null;
+        } catch (error) {
+            console.error('Error reading saved games:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Save the current game to the autosave slot once it has settled
+     * @param {Function} getThumbnail - Returns a picture of the board (or null) when the save happens
+     */
+    scheduleAutosave(getThumbnail) {
+        clearTimeout(this.autosaveTimer);
+        
+        this.autosaveTimer = setTimeout(() => {
+            this.saveSlot({
+                id: AUTOSAVE_SLOT_ID,
+                name: 'Autosave',
+                state: JSON.parse(JSON.stringify(this.gameState.getSerializableState())),
+                thumbnail: getThumbnail()
+            }).catch(error => console.error('Error saving game:', error));
+        }, AUTOSAVE_DELAY);
+    }
+    
     /**
      * Create an API function that saves/loads game state via JSON
      * This function can be used for future integration with external systems
@@ -79,6 +269,15 @@ export class StorageManager {
                     };
                 }
                 
+                try {
+                    readSave(data);
+                } catch (error) {
+                    return { 
+                        success: false, 
+                        error: error.message 
+                    };
+                }
+                
                 const saveResult = this.saveGame(data);
                 return { 
                     success: saveResult, 
@@ -0,0 +1,199 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { applyTurn, generateTurns } from '../src/js/core/rules.js';
+import { formatTurn } from '../src/js/core/notation.js';
+import { createClock } from '../src/js/core/gameClock.js';
+import {
+    describeGame, formatGoCommand, formatPositionCommand, parseCommand, parseGoCommand, parseInfo, readPositionCommand
+} from '../engine/protocol.js';
+import { EngineError, ExternalEngine } from '../engine/externalEngine.js';
+import { playGame } from '../engine/match.js';
+import { createGame, createPosition } from './helpers.js';
+
+/**
+ * Engine protocol (engine/protocol.js), the Node adapter for engine processes and games between engines
+ */
+
+const NODE = `"${process.execPath}"`;
+const BUILTIN_ENGINE = `${NODE} "${fileURLToPath(new URL('../engine/builtinEngine.js', import.meta.url))}"`;
+const SCRIPTED_ENGINE = `${NODE} "${fileURLToPath(new URL('./fixtures/engines/scriptedEngine.js', import.meta.url))}"`;
+
+/**
+ * Start an engine
+ * @param {string} command - Command line
+ * @param {Array} [log] - Array receiving the commands sent to the engine
+ * @returns {Promise<ExternalEngine>} - The started engine
+ */
+async function startEngine(command, log = null) {
+    const engine = new ExternalEngine(command, {
+        onLine: log ? (direction, line) => direction === '>' && log.push(line) : null
+    });
+    await engine.start();
+    return engine;
+}
+
+/**
+ * Read back the position command of a game, as an engine does
+ * @param {GameState} game - The game
+ * @returns {GameState} - The position set up by the command
+ */
+function roundTrip(game) {
+    const { name, args } = parseCommand(formatPositionCommand(describeGame(game)));
+    assert.equal(name, 'position');
+    return readPositionCommand(args, game.variant);
+}
+
+describe('engine protocol', () => {
+    it('writes positions that engines read back, from the start or from a set-up position', () => {
+        const game = createGame();
+        for (let index = 0; index < 6; index++) {
+            applyTurn(game, generateTurns(game)[0]);
+        }
+        assert.match(formatPositionCommand(describeGame(game)), /^position startpos turns T\S+ T\S+ /);
+        assert.equal(roundTrip(game).getPositionKey(), game.getPositionKey());
+
+        const setUp = createPosition({ '0,0': 'black disc', '1,0': 'black', '0,1': 'white', '1,1': 'white disc' });
+        applyTurn(setUp, { type: 'place_tile', q: 2, r: 0 });
+        const copy = roundTrip(setUp);
+        assert.match(formatPositionCommand(describeGame(setUp)), /^position snapshot \{\S+\} turns T2,0$/);
+        assert.equal(copy.getPositionKey(), setUp.getPositionKey());
+        assert.equal(copy.turnHistory.length, 1);
+    });
+
+    it('refuses positions that cannot be set up', () => {
+        const variant = createGame().variant;
+
+        assert.throws(() => readPositionCommand(['startpos', 'turns', 'T9,9'], variant), /"T9,9" is not a legal turn/);
+        assert.throws(() => readPositionCommand(['startpos', 'T2,0'], variant), /Unexpected "T2,0"/);
+        assert.throws(() => readPositionCommand(['snapshot', '{'], variant), /Invalid position snapshot/);
+        assert.throws(() => readPositionCommand(['fen'], variant), /startpos or snapshot/);
+    });
+
+    it('sends the clocks with go, and reads go and info arguments', () => {
+        const game = createGame();
+        game.clock = createClock({ type: 'fischer', initial: 60000, increment: 1000 });
+
+        const command = formatGoCommand(game, { movetime: 500 });
+        assert.equal(command, 'go btime 60000 binc 1000 wtime 60000 winc 1000 movetime 500');
+        assert.deepEqual(parseGoCommand(parseCommand(command).args),
+            { btime: 60000, binc: 1000, wtime: 60000, winc: 1000, movetime: 500 });
+        assert.deepEqual(parseGoCommand(['depth', '3', 'ponder', 'movetime', 'soon']), { depth: 3 });
+
+        assert.deepEqual(parseInfo(['depth', '2', 'score', '-30', 'nodes', '512', 'string', 'two', 'words']),
+            { depth: 2, score: -30, nodes: 512, string: 'two words' });
+    });
+});
+
+describe('external engines', () => {
+    it('asks the built-in engine for a turn', async () => {
+        // White has a single disc left, which the black ring can take
+        const game = createPosition({
+            '0,0': 'black disc', '1,0': 'black ring', '0,1': 'white', '1,1': 'white', '1,2': 'white disc'
+        });
+        const engine = await startEngine(`${BUILTIN_ENGINE} --level medium`);
+
+        try {
+            assert.equal(engine.name, 'Hexaequo built-in AI (medium)');
+            await engine.newGame(game.variant);
+
+            const { turn, info } = await engine.chooseTurn(game, { depth: 1 });
+            applyTurn(game, turn);
+            assert.equal(game.gameStatus, 'black_win');
+            assert.equal(info.depth, 1);
+        } finally {
+            await engine.quit();
+        }
+    });
+
+    it('sends the position once, then only the opponent turns', async () => {
+        const log = [];
+        const engines = {
+            black: await startEngine(`${SCRIPTED_ENGINE} first`, log),
+            white: await startEngine(`${SCRIPTED_ENGINE} first`)
+        };
+
+        try {
+            const { state, forfeit } = await playGame(engines, { movetime: 1000 });
+
+            assert.equal(forfeit, null);
+            assert.notEqual(state.gameStatus, 'ongoing');
+            assert.deepEqual(log.slice(0, 4), ['hep', 'newgame', 'isready', 'position startpos']);
+            assert.equal(log.filter(line => line.startsWith('position')).length, 1);
+
+            // Every white turn, in the notation of the game
+            const replay = createGame();
+            const whiteTurns = [];
+            for (const { turn } of state.turnHistory) {
+                if (replay.currentPlayer === 'white') whiteTurns.push(`turn ${formatTurn(replay, turn)}`);
+                applyTurn(replay, turn);
+            }
+            const sent = log.filter(line => line.startsWith('turn '));
+            assert.deepEqual(sent, whiteTurns.slice(0, sent.length));
+            assert.ok(whiteTurns.length - sent.length <= 1);
+        } finally {
+            await Promise.all([engines.black.quit(), engines.white.quit()]);
+        }
+    });
+
+    it('draws a game that reaches the turn limit', async () => {
+        const engines = {
+            black: await startEngine(`${SCRIPTED_ENGINE} first`),
+            white: await startEngine(`${SCRIPTED_ENGINE} first`)
+        };
+
+        try {
+            const { state, forfeit, adjudication } = await playGame(engines, { movetime: 1000, maxPlies: 6 });
+
+            assert.equal(forfeit, null);
+            assert.equal(adjudication, 'Drawn after 6 turns');
+            assert.equal(state.turnHistory.length, 6);
+            assert.equal(state.gameStatus, 'draw');
+        } finally {
+            await Promise.all([engines.black.quit(), engines.white.quit()]);
+        }
+    });
+
+    it('makes an engine that plays an illegal turn resign', async () => {
+        const engines = {
+            black: await startEngine(`${SCRIPTED_ENGINE} illegal`),
+            white: await startEngine(`${SCRIPTED_ENGINE} first`)
+        };
+
+        try {
+            const { state, forfeit } = await playGame(engines, { movetime: 1000 });
+
+            assert.equal(forfeit.color, 'black');
+            assert.match(forfeit.message, /played an illegal turn: T9,9/);
+            assert.equal(state.winner, 'white');
+            assert.equal(state.winReason, 'resignation');
+        } finally {
+            await Promise.all([engines.black.quit(), engines.white.quit()]);
+        }
+    });
+
+    it('makes an engine that does not answer in time lose on time', async () => {
+        const engines = {
+            black: await startEngine(`${SCRIPTED_ENGINE} first`),
+            white: await startEngine(`${SCRIPTED_ENGINE} silent`)
+        };
+
+        try {
+            const { state, forfeit } = await playGame(engines, { movetime: 50 });
+
+            assert.equal(forfeit, null);
+            assert.equal(state.gameStatus, 'timeout');
+            assert.equal(state.winner, 'black');
+            assert.equal(state.turnHistory.length, 1);
+        } finally {
+            await Promise.all([engines.black.quit(), engines.white.quit()]);
+        }
+    });
+
+    it('reports engines that cannot be started', async () => {
+        const engine = new ExternalEngine(`${NODE} -e "process.exit(3)"`);
+
+        await assert.rejects(engine.start(),
+            (error) => error instanceof EngineError && /exited \(code 3\)/.test(error.message));
+    });
+});
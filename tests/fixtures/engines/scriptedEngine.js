@@ -0,0 +1,49 @@
+import { createInterface } from 'node:readline';
+import { generateTurns } from '../../../src/js/core/rules.js';
+import { formatTurn } from '../../../src/js/core/notation.js';
+import { STANDARD_VARIANT, getVariant } from '../../../src/js/core/variants.js';
+import { GameState } from '../../../src/js/core/gameState.js';
+import { parseCommand, playTurnText, readPositionCommand } from '../../../engine/protocol.js';
+
+/**
+ * scriptedEngine - Engine for the protocol tests (see tests/engine.test.js)
+ *
+ * Usage: node tests/fixtures/engines/scriptedEngine.js first|illegal|silent
+ * - first: plays the first legal turn of its position
+ * - illegal: answers a turn off the board
+ * - silent: never answers go
+ */
+
+const mode = process.argv[2];
+let variant = STANDARD_VARIANT;
+let state = new GameState();
+state.setupNewGame(variant);
+
+createInterface({ input: process.stdin }).on('line', (line) => {
+    const { name, args } = parseCommand(line) || {};
+
+    if (name === 'hep') {
+        console.log(`id name scripted ${mode}`);
+        console.log('hepok');
+    } else if (name === 'isready') {
+        console.log('readyok');
+    } else if (name === 'newgame') {
+        variant = args[0] ? getVariant(args[0]) : STANDARD_VARIANT;
+        state = new GameState();
+        state.setupNewGame(variant);
+    } else if (name === 'position') {
+        state = readPositionCommand(args, variant);
+    } else if (name === 'turn') {
+        playTurnText(state, args[0]);
+    } else if (name === 'go' && mode === 'illegal') {
+        console.log('bestturn T9,9');
+    } else if (name === 'go' && mode === 'first') {
+        const turn = generateTurns(state)[0];
+        const text = formatTurn(state, turn);
+        playTurnText(state, text);
+        console.log('info depth 0 score 0 string first turn');
+        console.log(`bestturn ${text}`);
+    } else if (name === 'quit') {
+        process.exit(0);
+    }
+});
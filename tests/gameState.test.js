@@ -0,0 +1,403 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTurn, getNextSteps, isLegalTurn } from '../src/js/core/rules.js';
+import { createVariant, getVariant } from '../src/js/core/variants.js';
+import { parseTurn } from '../src/js/core/notation.js';
+import { createGame, createPosition } from './helpers.js';
+
+/**
+ * Rules of the game, played through GameState and the rules engine (core/rules.js)
+ */
+
+/**
+ * Play turns written in notation, failing on the first illegal one
+ * @param {GameState} state - The game state
+ * @param {Array<string>} turns - Turns in notation, e.g. ['T2,0', '0,0>1,0']
+ */
+function play(state, turns) {
+    for (const text of turns) {
+        assert.ok(applyTurn(state, parseTurn(text)), `${text} should be legal`);
+    }
+}
+
+/**
+ * Count the tiles next to a hex
+ * @param {GameState} state - The game state
+ * @param {Object} hex - {q, r}
+ * @returns {number} - Number of neighboring tiles
+ */
+function countNeighborTiles(state, { q, r }) {
+    const neighbors = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+    return neighbors.filter(([dq, dr]) => state.board.tiles[`${q + dq},${r + dr}`]).length;
+}
+
+describe('tile placement', () => {
+    it('only allows empty hexes next to at least two tiles', () => {
+        const state = createGame();
+        const placements = state.getValidTilePlacements('black');
+
+        assert.ok(placements.length > 0);
+        for (const hex of placements) {
+            assert.equal(state.board.tiles[`${hex.q},${hex.r}`], undefined);
+            assert.ok(countNeighborTiles(state, hex) >= 2, `${hex.q},${hex.r} has fewer than two neighbors`);
+        }
+        assert.ok(isLegalTurn(state, { type: 'place_tile', q: 1, r: -1 }));
+        assert.ok(!isLegalTurn(state, { type: 'place_tile', q: 2, r: -1 }), 'a hex next to one tile');
+        assert.ok(!isLegalTurn(state, { type: 'place_tile', q: 1, r: 0 }), 'an occupied hex');
+    });
+
+    it('places a tile of the player color from their hand', () => {
+        const state = createGame();
+        play(state, ['T1,-1']);
+
+        assert.equal(state.board.tiles['1,-1'].color, 'black');
+        assert.equal(state.pieces.black.tilesAvailable, 6);
+        assert.equal(state.currentPlayer, 'white');
+    });
+
+    it('is not possible without tiles in hand', () => {
+        const state = createGame();
+        state.pieces.black.tilesAvailable = 0;
+        state.updateHash();
+
+        assert.ok(!isLegalTurn(state, { type: 'place_tile', q: 1, r: -1 }));
+    });
+});
+
+describe('piece placement', () => {
+    const board = {
+        '0,0': 'black disc',
+        '1,0': 'black',
+        '0,1': 'white',
+        '1,1': 'white disc'
+    };
+
+    it('puts discs on empty tiles of the player color only', () => {
+        const state = createPosition(board);
+
+        assert.ok(isLegalTurn(state, { type: 'place_piece', q: 1, r: 0, pieceType: 'disc' }));
+        assert.ok(!isLegalTurn(state, { type: 'place_piece', q: 0, r: 1, pieceType: 'disc' }), 'an opponent tile');
+        assert.ok(!isLegalTurn(state, { type: 'place_piece', q: 0, r: 0, pieceType: 'disc' }), 'an occupied tile');
+    });
+
+    it('needs a captured disc to place a ring', () => {
+        const state = createPosition(board);
+
+        assert.ok(!state.canPlaceRing('black'));
+        assert.deepEqual(state.getValidPiecePlacements('black', 'ring'), []);
+        assert.ok(!isLegalTurn(state, { type: 'place_piece', q: 1, r: 0, pieceType: 'ring' }));
+    });
+
+    it('gives the captured disc back to the opponent when placing a ring', () => {
+        const state = createPosition(board, {
+            pieces: { black: { discsCaptured: 1 }, white: { discsAvailable: 4 } }
+        });
+        play(state, ['R1,0']);
+
+        assert.deepEqual(state.board.tiles['1,0'].piece, { type: 'ring', color: 'black' });
+        assert.equal(state.pieces.black.ringsAvailable, 2);
+        assert.equal(state.pieces.black.discsCaptured, 0);
+        assert.equal(state.pieces.white.discsAvailable, 5);
+    });
+
+    it('places rings for free in the free rings variant', () => {
+        const state = createPosition(board, { variant: getVariant('free_rings') });
+        play(state, ['R1,0']);
+
+        assert.equal(state.pieces.black.ringsAvailable, 2);
+        assert.equal(state.pieces.white.discsAvailable, 5);
+    });
+});
+
+describe('disc movement', () => {
+    const board = {
+        '0,0': 'black disc',
+        '1,0': 'black disc',
+        '2,0': 'black',
+        '3,0': 'white disc',
+        '4,0': 'white',
+        '0,1': 'black',
+        '5,-1': 'white ring'
+    };
+
+    it('moves to an adjacent empty tile', () => {
+        const state = createPosition(board);
+
+        assert.ok(isLegalTurn(state, parseTurn('0,0>0,1')));
+        assert.ok(!isLegalTurn(state, parseTurn('0,0>1,0')), 'an occupied tile');
+        assert.ok(!isLegalTurn(state, parseTurn('0,0>-1,0')), 'a hex without a tile');
+    });
+
+    it('chains jumps, capturing the opponent pieces only', () => {
+        const state = createPosition(board);
+        const turn = { type: 'move_piece', from: { q: 0, r: 0 }, path: [{ q: 2, r: 0 }, { q: 4, r: 0 }] };
+
+        assert.ok(applyTurn(state, turn));
+        assert.deepEqual(state.board.tiles['1,0'].piece, { type: 'disc', color: 'black' }, 'own disc jumped over');
+        assert.equal(state.board.tiles['3,0'].piece, null, 'opponent disc captured');
+        assert.deepEqual(state.board.tiles['4,0'].piece, { type: 'disc', color: 'black' });
+        assert.equal(state.board.tiles['0,0'].piece, null);
+        assert.equal(state.pieces.black.discsCaptured, 1);
+    });
+
+    it('may stop after any jump of a chain', () => {
+        const state = createPosition(board);
+
+        assert.ok(applyTurn(state, parseTurn('0,0>2,0')));
+        assert.equal(state.currentPlayer, 'white');
+        assert.ok(state.board.tiles['3,0'].piece, 'nothing captured');
+    });
+
+    it('never lands twice on the same hex and cannot step after jumping', () => {
+        const state = createPosition(board);
+        state.movePiece(0, 0, 2, 0);
+        const steps = getNextSteps(state, { from: { q: 0, r: 0 }, path: [{ q: 2, r: 0 }] });
+
+        assert.deepEqual(steps, [{ q: 4, r: 0 }]);
+        assert.ok(!isLegalTurn(createPosition(board), parseTurn('0,0>2,0>0,0')), 'back to the start');
+        assert.ok(!isLegalTurn(createPosition(board), parseTurn('0,0>2,0>2,-1')), 'a step after a jump');
+    });
+
+    it('lists every jump chain with its captures', () => {
+        const state = createPosition({ ...board, '2,-1': 'white disc', '2,-2': 'black' });
+
+        assert.deepEqual(state.getJumpPaths(0, 0), [
+            { path: [{ q: 2, r: 0 }], captures: [] },
+            { path: [{ q: 2, r: 0 }, { q: 4, r: 0 }], captures: [{ q: 3, r: 0 }] },
+            { path: [{ q: 2, r: 0 }, { q: 2, r: -2 }], captures: [{ q: 2, r: -1 }] }
+        ]);
+        assert.deepEqual(state.getJumpPaths(3, 0), [], 'an opponent disc');
+        assert.deepEqual(state.getJumpPaths(5, -1), [], 'a ring');
+    });
+
+    it('lists the chains going on from a disc in the middle of a chain', () => {
+        const state = createPosition(board);
+        state.movePiece(0, 0, 2, 0);
+
+        assert.deepEqual(state.getJumpPaths(2, 0, [{ q: 0, r: 0 }]), [
+            { path: [{ q: 4, r: 0 }], captures: [{ q: 3, r: 0 }] }
+        ]);
+    });
+
+    it('cannot continue after an adjacent move', () => {
+        const state = createPosition(board);
+
+        assert.ok(!isLegalTurn(state, parseTurn('1,0>2,0>4,0')));
+    });
+});
+
+describe('ring movement', () => {
+    const board = {
+        '0,0': 'black ring',
+        '1,0': 'black',
+        '2,0': 'white disc',
+        '1,1': 'black disc',
+        '0,1': 'white',
+        '0,2': 'white ring',
+        '-1,2': 'white disc'
+    };
+
+    it('moves exactly two hexes away, over anything', () => {
+        const state = createPosition(board);
+
+        assert.ok(!isLegalTurn(state, parseTurn('0,0>1,0')), 'one hex away');
+        assert.ok(!isLegalTurn(state, parseTurn('0,0>-2,0')), 'a hex without a tile');
+        assert.ok(!isLegalTurn(state, parseTurn('0,0>1,1')), 'a tile with an own piece');
+    });
+
+    it('captures the opponent disc it lands on', () => {
+        const state = createPosition(board);
+        play(state, ['0,0x2,0']);
+
+        assert.deepEqual(state.board.tiles['2,0'].piece, { type: 'ring', color: 'black' });
+        assert.equal(state.pieces.black.discsCaptured, 1);
+        assert.equal(state.pieces.black.ringsCaptured, 0);
+    });
+
+    it('captures the opponent ring it lands on', () => {
+        const state = createPosition(board);
+        play(state, ['0,0x0,2']);
+
+        assert.deepEqual(state.board.tiles['0,2'].piece, { type: 'ring', color: 'black' });
+        assert.equal(state.pieces.black.ringsCaptured, 1);
+        assert.equal(state.gameStatus, 'ongoing');
+    });
+
+    it('ends the turn after one move', () => {
+        const state = createPosition(board);
+
+        assert.ok(!isLegalTurn(state, parseTurn('0,0x2,0>2,-2')));
+    });
+});
+
+describe('victory conditions', () => {
+    it('are won by capturing all the opponent discs', () => {
+        const state = createPosition({
+            '0,0': 'black disc',
+            '1,0': 'white disc',
+            '2,0': 'white',
+            '2,1': 'white ring'
+        }, { pieces: { white: { discsAvailable: 0 } } });
+        play(state, ['0,0x2,0']);
+
+        assert.equal(state.gameStatus, 'black_win');
+        assert.equal(state.winner, 'black');
+        assert.equal(state.winReason, 'all_discs_captured');
+        assert.equal(state.currentPlayer, 'black', 'the winner keeps the turn');
+    });
+
+    it('are won by capturing all the opponent rings', () => {
+        const state = createPosition({
+            '0,0': 'white ring',
+            '1,0': 'black',
+            '2,0': 'black ring',
+            '3,0': 'black disc'
+        }, { currentPlayer: 'white', pieces: { black: { ringsAvailable: 0 } } });
+        play(state, ['0,0x2,0']);
+
+        assert.equal(state.gameStatus, 'white_win');
+        assert.equal(state.winner, 'white');
+        assert.equal(state.winReason, 'all_rings_captured');
+    });
+
+    it('are won by leaving the opponent without pieces on the board', () => {
+        // White still has discs and rings in hand
+        const state = createPosition({
+            '0,0': 'black disc',
+            '1,0': 'white disc',
+            '2,0': 'white'
+        });
+        play(state, ['0,0x2,0']);
+
+        assert.equal(state.pieces.white.discsAvailable, 5);
+        assert.equal(state.pieces.white.ringsAvailable, 3);
+        assert.equal(state.gameStatus, 'black_win');
+        assert.equal(state.winReason, 'no_pieces_on_board');
+    });
+
+    it('follow the variant', () => {
+        const state = createPosition({
+            '0,0': 'black disc',
+            '1,0': 'white disc',
+            '2,0': 'white',
+            '2,1': 'white ring'
+        }, { variant: getVariant('last_piece_standing'), pieces: { white: { discsAvailable: 0 } } });
+        play(state, ['0,0x2,0']);
+
+        assert.equal(state.gameStatus, 'ongoing', 'white still has a ring on the board');
+    });
+
+    it('regression: a winning turn that leaves the loser without moves is a win, not a no_moves draw', () => {
+        // White loses its last ring and is left with a disc that cannot move. checkDrawConditions used to run
+        // after the victory check and overwrite the win with a no_moves draw.
+        const state = createPosition({
+            '0,0': 'black ring',
+            '1,0': 'black',
+            '2,0': 'white ring',
+            '6,0': 'white disc'
+        }, { pieces: { white: { tilesAvailable: 0, discsAvailable: 0, ringsAvailable: 0 } } });
+        play(state, ['0,0x2,0']);
+
+        assert.equal(state.gameStatus, 'black_win');
+        assert.equal(state.drawReason, null);
+    });
+});
+
+describe('games ended away from the board', () => {
+    it('are won by the opponent of a player who resigns, on any turn', () => {
+        const state = createGame();
+        play(state, ['T2,0']);
+
+        assert.ok(state.resign('black'));
+        assert.equal(state.gameStatus, 'white_win');
+        assert.equal(state.winner, 'white');
+        assert.equal(state.winReason, 'resignation');
+        assert.equal(state.turnHistory.length, 1, 'resigning is not a turn');
+    });
+
+    it('are drawn when both players agree', () => {
+        const state = createGame();
+        play(state, ['T2,0', 'T-1,1']);
+
+        assert.ok(state.agreeDraw());
+        assert.equal(state.gameStatus, 'draw');
+        assert.equal(state.drawReason, 'agreement');
+        assert.equal(state.winner, null);
+    });
+
+    it('are lost on time with the time reason', () => {
+        const state = createGame();
+        state.loseOnTime('white');
+
+        assert.equal(state.gameStatus, 'timeout');
+        assert.equal(state.winner, 'black');
+        assert.equal(state.winReason, 'time');
+    });
+
+    it('cannot end a game twice', () => {
+        const state = createGame();
+        state.resign('white');
+
+        assert.ok(!state.resign('black'));
+        assert.ok(!state.agreeDraw());
+        assert.equal(state.winner, 'black');
+    });
+
+    it('go on after undoing the last turn', () => {
+        const state = createGame();
+        play(state, ['T2,0']);
+        state.resign('white');
+        state.undoTurn();
+
+        assert.equal(state.gameStatus, 'ongoing');
+        assert.equal(state.winReason, null);
+    });
+});
+
+describe('draws', () => {
+    it('happen when the next player cannot play', () => {
+        // White has nothing in hand, and its pieces stand on tiles with no tile around
+        const state = createPosition({
+            '0,0': 'black disc',
+            '1,0': 'black',
+            '10,0': 'white disc',
+            '20,0': 'white ring'
+        }, { pieces: { white: { tilesAvailable: 0, discsAvailable: 0, ringsAvailable: 0 } } });
+        play(state, ['0,0>1,0']);
+
+        assert.equal(state.gameStatus, 'draw');
+        assert.equal(state.drawReason, 'no_moves');
+        assert.equal(state.winner, null);
+    });
+
+    it('happen when a position occurs for the third time', () => {
+        const state = createGame();
+        const cycle = ['0,0>1,0', '1,1>0,1', '1,0>0,0', '0,1>1,1'];
+
+        play(state, [...cycle, ...cycle, ...cycle.slice(0, 3)]);
+        assert.equal(state.gameStatus, 'ongoing');
+
+        play(state, [cycle[3]]);
+        assert.equal(state.gameStatus, 'draw');
+        assert.equal(state.drawReason, 'repetition');
+    });
+
+    it('count repetitions with the side to move', () => {
+        const state = createGame();
+        const key = state.getPositionKey();
+
+        play(state, ['0,0>1,0', '1,1>0,1', '1,0>0,0', '0,1>1,1']);
+        assert.equal(state.getPositionKey(), key);
+        assert.notEqual(state.getPositionKey('white'), key);
+    });
+
+    it('never happen by repetition without a repetition limit', () => {
+        const state = createGame(createVariant({ id: 'no_repetition', name: 'No repetition', repetitionLimit: 0 }));
+        const cycle = ['0,0>1,0', '1,1>0,1', '1,0>0,0', '0,1>1,1'];
+
+        for (let i = 0; i < 10; i++) {
+            play(state, cycle);
+        }
+        assert.equal(state.gameStatus, 'ongoing');
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { exportGameRecord, getResultTag, importGameRecord, parseGameRecord } from '../src/js/core/gameRecord.js';
+
+/**
+ * Golden games: complete game records (tests/fixtures/*.hgn) that must replay to their recorded result
+ * Each record has its Result, WinReason or DrawReason, and PlyCount (number of turns) tags. A rules change that
+ * makes one of them fail changes the outcome of real games.
+ */
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+const records = readdirSync(FIXTURES)
+    .filter(name => name.endsWith('.hgn'))
+    .sort();
+
+describe('golden games', () => {
+    it('are found', () => {
+        assert.ok(records.length > 0);
+    });
+
+    for (const name of records) {
+        it(`${name} replays to its result`, () => {
+            const text = readFileSync(new URL(name, FIXTURES), 'utf8');
+            const { state, tags, turns, error } = importGameRecord(text);
+
+            assert.equal(error, null);
+            assert.equal(turns.length, Number(tags.PlyCount));
+            assert.equal(getResultTag(state), tags.Result);
+            assert.equal(parseGameRecord(text).result, tags.Result);
+            assert.equal(state.winReason, tags.WinReason || null);
+            assert.equal(state.drawReason, tags.DrawReason || null);
+            assert.equal(state.variant.id, tags.Variant || 'standard');
+        });
+
+        it(`${name} is written back identically`, () => {
+            const text = readFileSync(new URL(name, FIXTURES), 'utf8');
+            const { state, tags } = importGameRecord(text);
+
+            assert.equal(exportGameRecord(state, tags), text);
+        });
+    }
+});
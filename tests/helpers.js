@@ -0,0 +1,103 @@
+import { GameState } from '../src/js/core/gameState.js';
+import { STANDARD_VARIANT } from '../src/js/core/variants.js';
+import { applyTurn } from '../src/js/core/rules.js';
+import { importGameRecord } from '../src/js/core/gameRecord.js';
+
+/**
+ * helpers - Building positions for the rules tests
+ *
+ * Positions are written as a map of hexes to what stands on them:
+ *
+ *   createPosition({
+ *       '0,0': 'black disc',
+ *       '1,0': 'black',
+ *       '2,0': 'white ring'
+ *   }, { currentPlayer: 'black' })
+ *
+ * Each entry is a tile color, optionally followed by the piece on it (of the tile's color, or not).
+ */
+
+/**
+ * Create a game state with the given tiles and pieces
+ * Pieces not on the board are in hand, unless counts are given.
+ * @param {Object} board - Map of 'q,r' keys to 'color' or 'color type' strings
+ * @param {Object} [options] - { currentPlayer, variant, pieces: { black: {...}, white: {...} } counts to override }
+ * @returns {GameState} - The state, with the position as the start of its history
+ */
+export function createPosition(board, { currentPlayer = 'black', variant = STANDARD_VARIANT, pieces = {} } = {}) {
+    const state = new GameState();
+    state.variant = variant;
+    state.reset();
+    state.currentPlayer = currentPlayer;
+
+    for (const [key, content] of Object.entries(board)) {
+        const [tileColor, pieceColor, type] = parseContent(content);
+        state.board.tiles[key] = {
+            color: tileColor,
+            piece: type ? { color: pieceColor, type } : null
+        };
+    }
+
+    // Everything not on the board is in hand
+    for (const color of ['black', 'white']) {
+        state.pieces[color].tilesAvailable -= countOnBoard(state, color);
+        state.pieces[color].discsAvailable -= state.countPiecesOnBoard(color, 'disc');
+        state.pieces[color].ringsAvailable -= state.countPiecesOnBoard(color, 'ring');
+        Object.assign(state.pieces[color], pieces[color]);
+    }
+
+    state.updateHash();
+    state.savePositionToHistory();
+    state.startHistory();
+    return state;
+}
+
+/**
+ * Read a board entry
+ * @param {string} content - 'black', 'black disc' or 'black white ring' (tile, then piece)
+ * @returns {Array} - [tile color, piece color, piece type or undefined]
+ */
+function parseContent(content) {
+    const words = content.split(' ');
+    if (words.length === 3) {
+        return words;
+    }
+    return [words[0], words[0], words[1]];
+}
+
+/**
+ * Count the tiles of a color on the board
+ * @param {GameState} state - The game state
+ * @param {string} color - 'black' or 'white'
+ * @returns {number} - Number of tiles
+ */
+function countOnBoard(state, color) {
+    return Object.values(state.board.tiles).filter(tile => tile.color === color).length;
+}
+
+/**
+ * Create a standard game at its starting position
+ * @param {Object} [variant] - Rules variant
+ * @returns {GameState} - The new game
+ */
+export function createGame(variant = STANDARD_VARIANT) {
+    const state = new GameState();
+    state.setupNewGame(variant);
+    return state;
+}
+
+/**
+ * Get the position reached after the first turns of a game record
+ * @param {string} text - The game record
+ * @param {number} ply - Number of turns to play
+ * @returns {GameState} - The position
+ */
+export function replayRecord(text, ply) {
+    const { state: game, turns } = importGameRecord(text);
+    const state = createGame(game.variant);
+
+    for (const turn of turns.slice(0, ply)) {
+        applyTurn(state, turn, { skipValidation: true });
+    }
+    return state;
+}
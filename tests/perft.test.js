@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { divide, perft } from '../src/js/core/perft.js';
+import { getVariant } from '../src/js/core/variants.js';
+import { createGame, replayRecord } from './helpers.js';
+
+/**
+ * Turn generation counts (core/perft.js) against the known counts of tests/fixtures/perft.json
+ * Only the small counts are checked here; npm run perft -- --check checks them all.
+ */
+
+const TABLE_URL = new URL('./fixtures/perft.json', import.meta.url);
+
+// Larger counts take seconds each
+const MAX_NODES = 20000;
+
+const { positions } = JSON.parse(readFileSync(TABLE_URL, 'utf8'));
+
+/**
+ * Set up a position of the table
+ * @param {Object} entry - { variant } or { record, ply }
+ * @returns {GameState} - The position
+ */
+function loadPosition(entry) {
+    if (entry.record) {
+        return replayRecord(readFileSync(new URL(entry.record, TABLE_URL), 'utf8'), entry.ply);
+    }
+    return createGame(getVariant(entry.variant));
+}
+
+describe('perft', () => {
+    for (const entry of positions) {
+        it(`matches the known counts: ${entry.name}`, () => {
+            const state = loadPosition(entry);
+
+            entry.counts.forEach((expected, index) => {
+                if (expected <= MAX_NODES) {
+                    assert.equal(perft(state, index + 1), expected, `depth ${index + 1}`);
+                }
+            });
+        });
+    }
+
+    it('breaks the count down by first turn', () => {
+        const state = createGame();
+        const counts = divide(state, 3);
+
+        assert.equal(counts.length, perft(state, 1));
+        assert.equal(counts.reduce((total, { nodes }) => total + nodes, 0), perft(state, 3));
+        assert.deepEqual(counts.map(({ notation }) => notation).slice(0, 2), ['T1,-1', 'T-1,1']);
+    });
+
+    it('leaves the position untouched', () => {
+        const state = createGame();
+        const before = JSON.stringify(state.getSerializableState());
+        perft(state, 3);
+
+        assert.equal(JSON.stringify(state.getSerializableState()), before);
+    });
+
+    it('counts nothing past the end of a game', () => {
+        const state = createGame();
+        state.gameStatus = 'draw';
+        state.drawReason = 'no_moves';
+
+        assert.equal(perft(state, 0), 1);
+        assert.equal(perft(state, 2), 0);
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/js/core/gameState.js';
+import { PositionEditor } from '../src/js/core/positionEditor.js';
+import { applyTurn, generateTurns, isLegalTurn } from '../src/js/core/rules.js';
+import { getVariant } from '../src/js/core/variants.js';
+import { createGame } from './helpers.js';
+
+/**
+ * Setting up positions and starting games from them (core/positionEditor.js)
+ */
+
+/**
+ * Create an editor with a small legal position: black to move, one disc each
+ * @returns {PositionEditor} - The editor
+ */
+function createEditor() {
+    const editor = new PositionEditor();
+    editor.setTile(0, 0, 'black');
+    editor.setTile(1, 0, 'black');
+    editor.setTile(0, 1, 'white');
+    editor.setTile(1, 1, 'white');
+    editor.setPiece(0, 0, { type: 'disc', color: 'black' });
+    editor.setPiece(1, 1, { type: 'disc', color: 'white' });
+    editor.setPiece(1, 0, { type: 'ring', color: 'black' });
+    return editor;
+}
+
+describe('position editor', () => {
+    it('takes what goes on the board out of the reserves and gives it back', () => {
+        const editor = createEditor();
+
+        assert.deepEqual(editor.getProblems(), []);
+        assert.equal(editor.state.pieces.black.tilesAvailable, 7);
+        assert.equal(editor.state.pieces.black.ringsAvailable, 2);
+
+        editor.setTile(1, 0, 'white');
+        assert.equal(editor.state.pieces.black.tilesAvailable, 8);
+        assert.equal(editor.state.pieces.white.tilesAvailable, 6);
+        assert.deepEqual(editor.state.board.tiles['1,0'].piece, { type: 'ring', color: 'black' }, 'recoloring keeps the piece');
+
+        editor.setTile(1, 0, null);
+        assert.equal(editor.state.pieces.white.tilesAvailable, 7);
+        assert.equal(editor.state.pieces.black.ringsAvailable, 3);
+        assert.deepEqual(editor.getProblems(), []);
+    });
+
+    it('reports inventories that do not add up and tiles that are not connected', () => {
+        const editor = createEditor();
+        editor.setCount('white', 'discsCaptured', 2);
+        editor.setTile(5, 5, 'white');
+
+        assert.deepEqual(editor.getProblems(), [
+            'black has 8 discs instead of 6',
+            'the tiles are not all connected'
+        ]);
+    });
+
+    it('reports positions where the game is already over', () => {
+        const editor = createEditor();
+        editor.setPiece(1, 1, null);
+        editor.setCount('white', 'discsAvailable', 0);
+        editor.setCount('black', 'discsCaptured', 6);
+
+        assert.deepEqual(editor.getProblems(), [
+            'white has already lost (all discs captured)',
+            'white has already lost (no pieces on the board)'
+        ]);
+    });
+
+    it('reports a side to move without any legal turn', () => {
+        // Every white tile in a row, the white disc at one end and black pieces on all the others
+        const editor = new PositionEditor();
+        editor.setSideToMove('white');
+        for (let q = 0; q < 9; q++) {
+            editor.setTile(q, 0, 'white');
+            editor.setPiece(q, 0, { type: q < 7 ? 'disc' : 'ring', color: q === 0 ? 'white' : 'black' });
+        }
+        editor.setCount('white', 'discsAvailable', 0);
+        editor.setCount('black', 'discsCaptured', 5);
+
+        // No tile left, no disc to place, no captured disc to pay for a ring, and the disc cannot step or jump
+        assert.deepEqual(editor.getProblems(), ['white, to move, has no legal turn']);
+    });
+
+    it('starts a game from the position, with the position as the start of its history', () => {
+        const editor = createEditor();
+        editor.setSideToMove('white');
+
+        const game = createGame();
+        applyTurn(game, generateTurns(game)[0]);
+        editor.startGame(game);
+
+        assert.equal(game.currentPlayer, 'white');
+        assert.equal(game.gameStatus, 'ongoing');
+        assert.equal(game.turnHistory.length, 0);
+        assert.deepEqual(game.board.tiles, editor.state.board.tiles);
+        assert.equal(game.getPositionKey(), editor.state.getPositionKey());
+
+        const turn = { type: 'place_tile', q: 2, r: 0 };
+        assert.ok(isLegalTurn(game, turn));
+        applyTurn(game, turn);
+        assert.equal(game.pieces.white.tilesAvailable, 6);
+        game.undoTurn();
+        assert.deepEqual(game.board.tiles, editor.state.board.tiles);
+    });
+
+    it('refuses to start a game from a position with problems', () => {
+        const editor = new PositionEditor();
+
+        assert.throws(() => editor.startGame(new GameState()), /cannot be played/);
+    });
+
+    it('edits a copy of a game in the rules variant of that game', () => {
+        const game = new GameState();
+        game.setupNewGame(getVariant('long_game'));
+        const editor = PositionEditor.fromState(game);
+
+        editor.setTile(0, 0, 'white');
+        assert.equal(game.board.tiles['0,0'].color, 'black', 'the game is not modified');
+        assert.equal(editor.state.variant.id, 'long_game');
+        assert.deepEqual(editor.getProblems(), []);
+
+        editor.clear();
+        assert.deepEqual(editor.getFreeHexes(), [{ q: 0, r: 0 }]);
+        assert.equal(editor.state.pieces.black.tilesAvailable, game.variant.inventory.tiles);
+    });
+});
@@ -0,0 +1,202 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn, generateTurns } from '../src/js/core/rules.js';
+import { formatTurn, parseTurn } from '../src/js/core/notation.js';
+import {
+    PuzzleAttempt, getPuzzleLength, readPuzzleCollection, setupPuzzle, validatePuzzle
+} from '../src/js/core/puzzles.js';
+
+/**
+ * "Win in N" puzzles (core/puzzles.js) and the collections bundled in src/assets/puzzles
+ */
+
+const PUZZLES_URL = new URL('../src/assets/puzzles/', import.meta.url);
+
+/**
+ * Read a bundled collection file
+ * @param {string} id - File name without extension
+ * @returns {Object} - The parsed JSON
+ */
+function loadCollection(id) {
+    return JSON.parse(readFileSync(new URL(`${id}.json`, PUZZLES_URL), 'utf8'));
+}
+
+const { collections } = JSON.parse(readFileSync(new URL('collections.json', PUZZLES_URL), 'utf8'));
+const starter = loadCollection('starter');
+
+/**
+ * Get a copy of a bundled puzzle, to be changed by a test
+ * @param {string} id - Puzzle id in the starter collection
+ * @returns {Object} - The puzzle
+ */
+function getPuzzle(id) {
+    return JSON.parse(JSON.stringify(starter.puzzles.find(puzzle => puzzle.id === id)));
+}
+
+/**
+ * Check if a turn forces a win within a number of turns of the player playing it
+ * @param {GameState} state - The position before the turn
+ * @param {Object} turn - A legal turn
+ * @param {number} turns - Turns of the player to move, this one included
+ * @returns {boolean} - True if every defence loses in time
+ */
+function winsWithin(state, turn, turns) {
+    const solver = state.currentPlayer;
+    const after = state.clone();
+    applyTurn(after, turn, { skipValidation: true });
+
+    if (after.gameStatus === `${solver}_win`) return true;
+    if (turns === 1 || after.gameStatus !== 'ongoing') return false;
+
+    return generateTurns(after).every(reply => {
+        const next = after.clone();
+        applyTurn(next, reply, { skipValidation: true });
+        return next.gameStatus === `${solver}_win` ||
+               (next.gameStatus === 'ongoing' && generateTurns(next).some(again => winsWithin(next, again, turns - 1)));
+    });
+}
+
+describe('bundled puzzles', () => {
+    for (const id of collections) {
+        it(`reads the ${id} collection`, () => {
+            const collection = readPuzzleCollection(loadCollection(id));
+            assert.ok(collection.puzzles.length > 0);
+        });
+    }
+
+    it('accepts every turn that wins in time, and no other', () => {
+        for (const puzzle of starter.puzzles) {
+            const lines = [puzzle.solution, ...(puzzle.alternatives || [])];
+            const state = setupPuzzle(puzzle);
+            state.recordHistory = false;
+
+            // Along the solution, each turn of the solver is checked against the lines that go on from there
+            for (let index = 0; index < puzzle.solution.length; index += 2) {
+                const played = puzzle.solution.slice(0, index);
+                const accepted = new Set(lines
+                    .filter(line => played.every((text, i) => line[i] === text))
+                    .map(line => line[index]));
+                const turnsLeft = getPuzzleLength(puzzle) - index / 2;
+
+                const winning = generateTurns(state)
+                    .filter(turn => winsWithin(state, turn, turnsLeft))
+                    .map(turn => formatTurn(state, turn));
+
+                assert.deepEqual(new Set(winning), accepted, `${puzzle.id}, turn ${index + 1}`);
+
+                for (const text of puzzle.solution.slice(index, index + 2)) {
+                    applyTurn(state, parseTurn(text));
+                }
+            }
+        }
+    });
+});
+
+describe('puzzle format', () => {
+    it('reports lines that do not win', () => {
+        const puzzle = getPuzzle('ring-drop');
+        puzzle.solution = ['R1,-1', 'T2,1', 'T2,-3'];
+        puzzle.alternatives = [['R1,-1', 'T2,1'], ['R1,-1'], ['1,-1x1,1'], ['R1,-1', 'T2,1', '1,-1>3,-1', 'T2,2', 'T2,3']];
+
+        assert.deepEqual(validatePuzzle(puzzle), [
+            'solution: turn 3 "T2,-3" is not a legal turn',
+            'alternative 1: must end with a turn of the solver (odd number of turns)',
+            'alternative 2: does not end with a win for black',
+            'alternative 3: turn 1 "1,-1x1,1" is not a legal turn',
+            'alternative 4: longer than the solution'
+        ]);
+    });
+
+    it('reports notation and capture markers that do not match the position', () => {
+        const puzzle = getPuzzle('first-capture');
+        puzzle.solution = ['1,-1>1,1'];
+        puzzle.alternatives = [['1,-1+1,1']];
+
+        assert.deepEqual(validatePuzzle(puzzle), [
+            'solution: turn 1 "1,-1>1,1": captures do not match the position (expected 1,-1x1,1)',
+            'alternative 1: turn 1 "1,-1+1,1" is not valid notation'
+        ]);
+    });
+
+    it('checks the position against the rules variant of the puzzle', () => {
+        const puzzle = getPuzzle('first-capture');
+
+        puzzle.variant = 'last_piece_standing';
+        assert.deepEqual(validatePuzzle(puzzle), []);
+
+        puzzle.variant = 'long_game';
+        assert.deepEqual(validatePuzzle(puzzle), [
+            'position: black has 9 tiles instead of 12',
+            'position: black has 6 discs instead of 8',
+            'position: black has 3 rings instead of 4',
+            'position: white has 9 tiles instead of 12',
+            'position: white has 6 discs instead of 8',
+            'position: white has 3 rings instead of 4'
+        ]);
+
+        puzzle.variant = 'giant_board';
+        assert.deepEqual(validatePuzzle(puzzle), ['unknown rules variant "giant_board"']);
+    });
+
+    it('refuses positions where the game is already over', () => {
+        const puzzle = getPuzzle('first-capture');
+        puzzle.position.tiles['1,0'].piece = null;
+        puzzle.position.pieces.white.discsAvailable++;
+
+        assert.deepEqual(validatePuzzle(puzzle), ['position: white has already lost (no pieces on the board)']);
+    });
+
+    it('refuses collections with invalid puzzles or ids used twice', () => {
+        const collection = { name: 'Broken', puzzles: [getPuzzle('first-capture'), getPuzzle('first-capture'), {}] };
+
+        assert.throws(() => readPuzzleCollection(collection), {
+            message: 'Invalid puzzle collection "Broken": puzzle "first-capture": the id is used twice; ' +
+                     'puzzle 3: missing id; puzzle 3: missing title; puzzle 3: position: missing'
+        });
+        assert.throws(() => readPuzzleCollection({ puzzles: [] }), /a name and a list of puzzles/);
+    });
+});
+
+describe('puzzle attempts', () => {
+    it('answers correct turns with the defender reply until the puzzle is solved', () => {
+        const puzzle = getPuzzle('ring-drop');
+        const attempt = new PuzzleAttempt(puzzle);
+
+        assert.deepEqual(attempt.tryTurn(parseTurn('R1,-1')), { correct: true, solved: false, reply: parseTurn('T2,1') });
+        assert.deepEqual(attempt.tryTurn(parseTurn('1,-1x3,-1')), { correct: true, solved: true, reply: null });
+        assert.equal(attempt.state.gameStatus, 'black_win');
+        assert.deepEqual(attempt.played, puzzle.solution);
+        assert.equal(attempt.mistakes, 0);
+    });
+
+    it('refuses turns that are not in a line, without playing them', () => {
+        const attempt = new PuzzleAttempt(getPuzzle('ring-drop'));
+        const key = attempt.state.getPositionKey();
+
+        assert.deepEqual(attempt.tryTurn(parseTurn('R1,0')), { correct: false, solved: false, reply: null });
+        assert.deepEqual(attempt.tryTurn(parseTurn('T9,9')), { correct: false, solved: false, reply: null });
+        assert.equal(attempt.state.getPositionKey(), key);
+        assert.equal(attempt.mistakes, 2);
+
+        // Starting again keeps nothing of the attempt, and sets up a game at the puzzle position
+        const game = new GameState();
+        attempt.restart(game);
+        assert.equal(attempt.mistakes, 0);
+        assert.equal(game.getPositionKey(), key);
+        assert.equal(game.turnHistory.length, 0);
+    });
+
+    it('follows alternative lines', () => {
+        const puzzle = getPuzzle('two-roads');
+        const attempt = new PuzzleAttempt(puzzle);
+        const [first, reply, last] = puzzle.alternatives[0];
+
+        assert.deepEqual(attempt.tryTurn(parseTurn(first)), { correct: true, solved: false, reply: parseTurn(reply) });
+
+        // Once on the alternative line, the finish of the solution is refused
+        assert.equal(attempt.tryTurn(parseTurn(puzzle.solution[2])).correct, false);
+        assert.equal(attempt.tryTurn(parseTurn(last)).solved, true);
+    });
+});
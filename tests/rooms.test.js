@@ -0,0 +1,303 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomManager } from '../server/rooms.js';
+
+/**
+ * Online game rooms of the reference server, driven through fake WebSocket connections
+ */
+
+/**
+ * Fake connection that keeps the messages sent to it
+ */
+class FakeConnection {
+    constructor(manager) {
+        this.handlers = {};
+        this.received = [];
+        manager.addConnection(this);
+    }
+
+    on(event, callback) {
+        this.handlers[event] = callback;
+    }
+
+    send(text) {
+        this.received.push(JSON.parse(text));
+    }
+
+    /**
+     * Send a client message to the server
+     * @param {Object} message - The message
+     */
+    message(message) {
+        this.handlers.message(JSON.stringify(message));
+    }
+
+    close() {
+        this.handlers.close();
+    }
+
+    /**
+     * Get the last received message of a type
+     * @param {string} type - Message type
+     * @returns {Object|undefined} - The message
+     */
+    last(type) {
+        return this.received.filter(message => message.type === type).at(-1);
+    }
+}
+
+/**
+ * Create a room with both seats taken
+ * @returns {Object} - { manager, code, black, white }
+ */
+function createRoom() {
+    const manager = new RoomManager();
+    const black = new FakeConnection(manager);
+    const white = new FakeConnection(manager);
+
+    black.message({ type: 'create', color: 'black', name: 'Ann' });
+    const code = black.last('joined').code;
+    white.message({ type: 'join', code, name: 'Bob' });
+
+    return { manager, code, black, white };
+}
+
+describe('game rooms', () => {
+    it('seat two players and relay their turns', () => {
+        const { black, white } = createRoom();
+
+        assert.equal(white.last('joined').color, 'white');
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+
+        assert.deepEqual(white.last('turn'), {
+            type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, color: 'black', index: 0, clock: null
+        });
+        assert.deepEqual(black.last('turn'), white.last('turn'));
+    });
+
+    it('refuse an illegal turn and send the game back', () => {
+        const { black } = createRoom();
+
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 5, r: 5 }, index: 0 });
+
+        assert.equal(black.last('error').code, 'illegal_turn');
+        assert.equal(black.last('sync').state.history.turns.length, 0);
+        assert.equal(black.last('turn'), undefined);
+    });
+
+    it('refuse malformed turns without throwing', () => {
+        const { black, white } = createRoom();
+
+        const malformed = [
+            { type: 'place_tile', q: '1', r: -1 },
+            { type: 'place_piece', q: 1.5, r: 0, pieceType: 'disc' },
+            { type: 'move_piece', from: { q: 0, r: 0 }, path: [null] },
+            { type: 'move_piece', from: null, path: [{ q: 1, r: 0 }] },
+            { type: 'move_piece', from: { q: 0, r: 0 }, path: [{ q: 1 }] }
+        ];
+        for (const turn of malformed) {
+            black.message({ type: 'turn', turn, index: 0 });
+            assert.equal(black.last('error').message, 'Invalid turn');
+        }
+        assert.equal(white.last('turn'), undefined);
+    });
+
+    it('answer with an error when a message cannot be handled', (context) => {
+        const { manager, black } = createRoom();
+        context.mock.method(console, 'error', () => {});
+        context.mock.method(manager, 'playTurn', () => {
+            throw new Error('rules bug');
+        });
+
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+
+        assert.equal(black.last('error').code, 'server_error');
+    });
+});
+
+describe('clocks', () => {
+    it('are sent with the game and with every turn', () => {
+        const manager = new RoomManager();
+        const black = new FakeConnection(manager);
+        const white = new FakeConnection(manager);
+        black.message({ type: 'create', color: 'black', clock: { type: 'fischer', initial: 60000, increment: 2000 } });
+        const code = black.last('joined').code;
+        white.message({ type: 'join', code });
+
+        const clock = white.last('joined').state.clock;
+        assert.deepEqual(clock.remaining, { black: 60000, white: 60000 });
+        assert.equal(clock.running, null, 'the clocks start at the end of the first turn');
+
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+        const turn = white.last('turn');
+        assert.equal(turn.clock.running, 'white');
+        assert.equal(turn.clock.remaining.black, 60000);
+        assert.ok(turn.clock.remaining.white <= 60000);
+
+        const spectator = new FakeConnection(manager);
+        spectator.message({ type: 'watch', code });
+        assert.equal(spectator.last('watching').state.clock.running, 'white');
+    });
+
+    it('end the game when the player to move runs out of time', async () => {
+        const manager = new RoomManager();
+        const black = new FakeConnection(manager);
+        const white = new FakeConnection(manager);
+        black.message({ type: 'create', color: 'black', clock: { type: 'sudden_death', initial: 20 } });
+        white.message({ type: 'join', code: black.last('joined').code });
+
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        assert.deepEqual(black.last('timeout'), { type: 'timeout', color: 'white' });
+        assert.deepEqual(white.last('timeout'), black.last('timeout'));
+
+        white.message({ type: 'turn', turn: { type: 'place_tile', q: 0, r: -1 }, index: 1 });
+        assert.equal(white.last('error').message, 'The game is over');
+    });
+
+    it('refuse invalid time controls', () => {
+        const manager = new RoomManager();
+        const player = new FakeConnection(manager);
+
+        player.message({ type: 'create', clock: { type: 'hourglass', initial: 60000 } });
+        player.message({ type: 'create', clock: { type: 'fischer', initial: 60000, increment: 'soon' } });
+
+        assert.deepEqual(player.received.map(({ type, code }) => ({ type, code })), [
+            { type: 'error', code: 'bad_clock' },
+            { type: 'error', code: 'bad_clock' }
+        ]);
+        assert.equal(createRoom().white.last('joined').state.clock, null, 'games are untimed by default');
+    });
+});
+
+describe('resignation and draw offers', () => {
+    it('end the game with the resignation of a player', () => {
+        const { black, white } = createRoom();
+
+        white.message({ type: 'resign' });
+
+        assert.deepEqual(black.last('resigned'), { type: 'resigned', color: 'white' });
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+        assert.equal(black.last('error').message, 'The game is over');
+    });
+
+    it('draw the game when the opponent accepts the offer', () => {
+        const { black, white } = createRoom();
+
+        black.message({ type: 'offer_draw' });
+        assert.deepEqual(white.last('draw_offer'), { type: 'draw_offer', color: 'black' });
+
+        black.message({ type: 'answer_draw', accept: true });
+        assert.equal(black.last('error').message, 'No draw offer to answer', 'players cannot accept their own offer');
+
+        white.message({ type: 'answer_draw', accept: true });
+        assert.deepEqual(black.last('draw_answer'), { type: 'draw_answer', color: 'white', accept: true });
+
+        black.message({ type: 'rematch' });
+        assert.equal(black.last('sync').color, 'white', 'the game is over');
+    });
+
+    it('go on when the offer is declined or the opponent plays on', () => {
+        const { black, white } = createRoom();
+
+        black.message({ type: 'offer_draw' });
+        white.message({ type: 'answer_draw', accept: false });
+        assert.equal(black.last('draw_answer').accept, false);
+
+        white.message({ type: 'offer_draw' });
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+        black.message({ type: 'answer_draw', accept: true });
+        assert.equal(black.last('error').message, 'No draw offer to answer');
+        assert.equal(black.last('draw_answer').accept, false);
+    });
+});
+
+describe('spectators', () => {
+    it('get the game and the players when they start watching', () => {
+        const { manager, code, black } = createRoom();
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+
+        const spectator = new FakeConnection(manager);
+        spectator.message({ type: 'watch', code: code.toLowerCase() });
+
+        const watching = spectator.last('watching');
+        assert.equal(watching.code, code);
+        assert.equal(watching.state.history.turns.length, 1);
+        assert.equal(watching.players.black.name, 'Ann');
+        assert.equal(watching.players.white.name, 'Bob');
+        assert.equal(watching.spectators, 1);
+        assert.equal(black.last('players').spectators, 1);
+    });
+
+    it('receive every turn as it is played', () => {
+        const { manager, code, black, white } = createRoom();
+        const spectator = new FakeConnection(manager);
+        spectator.message({ type: 'watch', code });
+
+        black.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+        white.message({ type: 'turn', turn: { type: 'place_tile', q: 0, r: -1 }, index: 1 });
+
+        const turns = spectator.received.filter(message => message.type === 'turn');
+        assert.deepEqual(turns.map(({ color, index }) => ({ color, index })), [
+            { color: 'black', index: 0 },
+            { color: 'white', index: 1 }
+        ]);
+    });
+
+    it('cannot play or start a new game', () => {
+        const { manager, code, black } = createRoom();
+        const spectator = new FakeConnection(manager);
+        spectator.message({ type: 'watch', code });
+
+        spectator.message({ type: 'turn', turn: { type: 'place_tile', q: 1, r: -1 }, index: 0 });
+        assert.equal(spectator.last('error').code, 'spectator');
+        assert.equal(black.last('turn'), undefined);
+
+        spectator.message({ type: 'rematch' });
+        spectator.message({ type: 'resign' });
+        spectator.message({ type: 'offer_draw' });
+        assert.deepEqual(spectator.received.filter(message => message.type === 'error').map(({ code }) => code),
+            ['spectator', 'spectator', 'spectator', 'spectator']);
+        assert.equal(black.last('resigned'), undefined);
+    });
+
+    it('do not take a free seat', () => {
+        const manager = new RoomManager();
+        const black = new FakeConnection(manager);
+        black.message({ type: 'create', color: 'black' });
+        const code = black.last('joined').code;
+
+        const spectator = new FakeConnection(manager);
+        spectator.message({ type: 'watch', code });
+        assert.equal(spectator.last('watching').players.white, null);
+
+        const white = new FakeConnection(manager);
+        white.message({ type: 'join', code });
+        assert.equal(white.last('joined').color, 'white');
+    });
+
+    it('are counted out when they leave or disconnect', () => {
+        const { manager, code, black } = createRoom();
+        const first = new FakeConnection(manager);
+        const second = new FakeConnection(manager);
+        first.message({ type: 'watch', code });
+        second.message({ type: 'watch', code });
+        assert.equal(black.last('players').spectators, 2);
+
+        first.message({ type: 'leave' });
+        assert.equal(black.last('players').spectators, 1);
+
+        second.close();
+        assert.equal(black.last('players').spectators, 0);
+    });
+
+    it('cannot watch an unknown game', () => {
+        const manager = new RoomManager();
+        const spectator = new FakeConnection(manager);
+
+        spectator.message({ type: 'watch', code: 'ZZZZZ' });
+
+        assert.equal(spectator.last('error').code, 'unknown_room');
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn, generateTurns } from '../src/js/core/rules.js';
+import { SaveFormatError } from '../src/js/core/saveFormat.js';
+import { getVariant } from '../src/js/core/variants.js';
+import { createRandom } from '../src/js/utils/random.js';
+import { createGame } from './helpers.js';
+
+/**
+ * Saving and loading games (GameState.getSerializableState/loadFromSave, core/saveFormat.js)
+ */
+
+/**
+ * Play random legal turns
+ * @param {GameState} state - The game state
+ * @param {number} count - Maximum number of turns (fewer if the game ends)
+ * @param {Function} random - Random number generator
+ */
+function playRandomTurns(state, count, random) {
+    for (let i = 0; i < count && state.gameStatus === 'ongoing'; i++) {
+        const turns = generateTurns(state);
+        applyTurn(state, turns[Math.floor(random() * turns.length)], { skipValidation: true });
+    }
+}
+
+/**
+ * Save a game the way the browser does (through JSON) and load it in a new state
+ * @param {GameState} state - The game to save
+ * @returns {GameState} - The loaded game
+ */
+function saveAndLoad(state) {
+    const loaded = new GameState();
+    loaded.loadFromSave(JSON.parse(JSON.stringify(state.getSerializableState())));
+    return loaded;
+}
+
+describe('save and load', () => {
+    it('round-trips a game in progress', () => {
+        const state = createGame();
+        playRandomTurns(state, 30, createRandom(7));
+        const loaded = saveAndLoad(state);
+
+        assert.deepEqual(loaded.getSerializableState(), state.getSerializableState());
+        assert.equal(loaded.getPositionKey(), state.getPositionKey());
+        assert.deepEqual(generateTurns(loaded), generateTurns(state));
+    });
+
+    it('plays on identically after loading', () => {
+        const state = createGame();
+        playRandomTurns(state, 20, createRandom(11));
+        const loaded = saveAndLoad(state);
+
+        playRandomTurns(state, 200, createRandom(12));
+        playRandomTurns(loaded, 200, createRandom(12));
+
+        assert.deepEqual(loaded.getSerializableState(), state.getSerializableState());
+    });
+
+    it('keeps the undo and redo history', () => {
+        const state = createGame();
+        playRandomTurns(state, 10, createRandom(3));
+        state.undoTurn();
+        const loaded = saveAndLoad(state);
+
+        assert.equal(loaded.turnHistory.length, 9);
+        assert.ok(loaded.canRedo());
+        loaded.redoTurn();
+        state.redoTurn();
+        assert.equal(loaded.getPositionKey(), state.getPositionKey());
+
+        for (let i = 0; i < 10; i++) {
+            loaded.undoTurn();
+        }
+        assert.equal(loaded.getPositionKey(), createGame().getPositionKey());
+    });
+
+    it('round-trips a finished game and its variant', () => {
+        const state = createGame(getVariant('long_game'));
+        playRandomTurns(state, 1000, createRandom(5));
+        const loaded = saveAndLoad(state);
+
+        assert.notEqual(state.gameStatus, 'ongoing');
+        assert.equal(loaded.gameStatus, state.gameStatus);
+        assert.equal(loaded.winner, state.winner);
+        assert.equal(loaded.winReason, state.winReason);
+        assert.equal(loaded.drawReason, state.drawReason);
+        assert.deepEqual(loaded.variant, getVariant('long_game'));
+    });
+
+    it('round-trips a resignation', () => {
+        const state = createGame();
+        playRandomTurns(state, 8, createRandom(4));
+        state.resign('black');
+        const loaded = saveAndLoad(state);
+
+        assert.equal(loaded.gameStatus, 'white_win');
+        assert.equal(loaded.winReason, 'resignation');
+    });
+
+    it('works out how games saved before win reasons were won', () => {
+        const state = createGame();
+        playRandomTurns(state, 1000, createRandom(4));
+        assert.ok(state.winReason, 'the game should be won');
+
+        const save = JSON.parse(JSON.stringify(state.getSerializableState()));
+        save.version = 5;
+        delete save.winReason;
+        for (const entry of [save.history.start, ...save.history.turns]) {
+            delete entry.snapshot.winReason;
+        }
+
+        const loaded = new GameState();
+        loaded.loadFromSave(save);
+
+        assert.equal(loaded.winReason, state.winReason);
+        loaded.undoTurn();
+        assert.equal(loaded.winReason, null);
+    });
+
+    it('migrates saves from before the version field', () => {
+        const state = createGame();
+        playRandomTurns(state, 6, createRandom(9));
+        const { currentPlayer, gameStatus, winner, drawReason, pieces } = state;
+        const save = JSON.parse(JSON.stringify({
+            currentPlayer, gameStatus, winner, drawReason, pieces,
+            board: { tiles: state.board.tiles, positionHistory: [] }
+        }));
+
+        const loaded = new GameState();
+        loaded.loadFromSave(save);
+
+        assert.equal(loaded.getPositionKey(), state.getPositionKey());
+        assert.equal(loaded.variant.id, 'standard');
+        assert.deepEqual(loaded.board.positionHistory, [state.getPositionKey()]);
+    });
+
+    it('rejects impossible positions and leaves the game untouched', () => {
+        const state = createGame();
+        const save = JSON.parse(JSON.stringify(state.getSerializableState()));
+        save.pieces.black.discsAvailable = 6; // One disc too many with the one on the board
+
+        const loaded = createGame();
+        playRandomTurns(loaded, 4, createRandom(1));
+        const before = JSON.stringify(loaded.getSerializableState());
+
+        assert.throws(() => loaded.loadFromSave(save), SaveFormatError);
+        assert.equal(JSON.stringify(loaded.getSerializableState()), before);
+    });
+
+    it('rejects a win reason that does not match the result', () => {
+        const state = createGame();
+        state.agreeDraw();
+        const save = JSON.parse(JSON.stringify(state.getSerializableState()));
+        save.winReason = 'resignation';
+
+        assert.throws(() => new GameState().loadFromSave(save), /win reason "resignation" does not match/);
+    });
+
+    it('rejects saves from newer versions', () => {
+        const save = createGame().getSerializableState();
+
+        assert.throws(() => new GameState().loadFromSave({ ...save, version: save.version + 1 }), /newer version/);
+    });
+});
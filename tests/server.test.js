@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { connect } from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { WebSocketConnection } from '../server/webSocket.js';
+
+/**
+ * Reference server (server/server.js), run as a separate process, and its WebSocket connections
+ */
+
+const SERVER = fileURLToPath(new URL('../server/server.js', import.meta.url));
+
+/**
+ * Start the server on a free port
+ * @returns {Promise<Object>} - { child, port }
+ */
+async function startServer() {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: String(port) }, stdio: 'pipe' });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', (data) => {
+            output += data;
+            if (output.includes('Starting server')) resolve();
+        });
+        child.on('exit', (code) => reject(new Error(`The server exited (code ${code})`)));
+    });
+    return { child, port };
+}
+
+/**
+ * Send raw bytes to the server and read the answer until the server closes the connection
+ * @param {number} port - Server port
+ * @param {string} text - The request
+ * @returns {Promise<string>} - The answer
+ */
+async function sendRaw(port, text) {
+    const socket = connect(port, 'localhost');
+    let answer = '';
+    socket.on('data', (data) => { answer += data; });
+    socket.write(text);
+    await once(socket, 'close');
+    return answer;
+}
+
+/**
+ * Fake socket that keeps the bytes written to it
+ */
+class FakeSocket {
+    constructor() {
+        this.handlers = {};
+        this.written = [];
+    }
+
+    setNoDelay() {}
+
+    on(event, callback) {
+        this.handlers[event] = callback;
+    }
+
+    write(data) {
+        this.written.push(data);
+    }
+
+    end() {}
+
+    destroy() {}
+}
+
+/**
+ * Encode a client frame (client frames are always masked)
+ * @param {number} opcode - Frame opcode
+ * @param {string} text - Frame payload
+ * @returns {Buffer} - The frame
+ */
+function clientFrame(opcode, text) {
+    const payload = Buffer.from(text, 'utf8');
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const masked = payload.map((byte, index) => byte ^ mask[index % 4]);
+    return Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]);
+}
+
+describe('WebSocket connections', () => {
+    it('drop the frames received after the close', () => {
+        const socket = new FakeSocket();
+        const connection = new WebSocketConnection(socket);
+        const messages = [];
+        connection.on('message', (text) => messages.push(text));
+
+        socket.handlers.data(Buffer.concat([
+            clientFrame(0x1, 'before'), clientFrame(0x8, ''), clientFrame(0x1, 'after')
+        ]));
+        socket.handlers.data(clientFrame(0x1, 'later'));
+
+        assert.deepEqual(messages, ['before']);
+        assert.equal(connection.isOpen, false);
+    });
+});
+
+describe('reference server', () => {
+    it('refuses upgrade requests it cannot parse and keeps running', async () => {
+        const { child, port } = await startServer();
+
+        try {
+            const answer = await sendRaw(port, 'GET // HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\n' +
+                'Upgrade: websocket\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+            assert.match(answer, /^HTTP\/1\.1 400 Bad Request/);
+
+            const response = await fetch(`http://localhost:${port}/index.html`);
+            assert.equal(response.status, 200);
+            await response.arrayBuffer();
+            assert.equal(child.exitCode, null);
+        } finally {
+            child.kill();
+        }
+    });
+});
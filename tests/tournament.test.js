@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { applyTurn } from '../src/js/core/rules.js';
+import { STANDARD_VARIANT } from '../src/js/core/variants.js';
+import { ExternalEngine } from '../engine/externalEngine.js';
+import { createRandom } from '../src/js/utils/random.js';
+import { eloFromScore, randomOpening, runTournament, summarizeResults } from '../engine/tournament.js';
+import { createGame } from './helpers.js';
+
+/**
+ * Tournaments between engines (engine/tournament.js): openings, colours and the Elo estimate
+ */
+
+const SCRIPTED_ENGINE = `"${process.execPath}" "${fileURLToPath(new URL('./fixtures/engines/scriptedEngine.js', import.meta.url))}"`;
+
+describe('tournament results', () => {
+    it('turns scores into Elo differences with a 95% error bar', () => {
+        const even = summarizeResults({ wins: 30, losses: 30, draws: 40 });
+        assert.equal(even.games, 100);
+        assert.equal(even.score, 0.5);
+        assert.equal(even.drawRate, 0.4);
+        assert.equal(even.elo, 0);
+        assert.ok(Math.abs(even.eloError - 53.1) < 0.1, `error bar ${even.eloError}`);
+
+        const ahead = summarizeResults({ wins: 60, losses: 20, draws: 20 });
+        assert.equal(ahead.score, 0.7);
+        assert.ok(Math.abs(ahead.elo - 147.2) < 0.1, `elo ${ahead.elo}`);
+        assert.ok(ahead.eloError > 0 && ahead.eloError < even.eloError * 2);
+
+        assert.ok(Math.abs(eloFromScore(0.75) + eloFromScore(0.25)) < 1e-9);
+        assert.equal(summarizeResults({ wins: 3, losses: 0, draws: 0 }).elo, Infinity);
+        assert.equal(summarizeResults({ wins: 3, losses: 0, draws: 0 }).eloError, Infinity);
+    });
+
+    it('draws the same random openings from the same seed, with the game still going', () => {
+        const variant = STANDARD_VARIANT;
+        const first = randomOpening(variant, 6, createRandom(7));
+        assert.deepEqual(randomOpening(variant, 6, createRandom(7)), first);
+        assert.notDeepEqual(randomOpening(variant, 6, createRandom(8)), first);
+
+        const game = createGame(variant);
+        for (const turn of first) {
+            assert.ok(applyTurn(game, turn));
+        }
+        assert.equal(game.gameStatus, 'ongoing');
+    });
+});
+
+describe('tournaments', () => {
+    it('alternates colours, plays each opening with both and counts the score of the candidate', async () => {
+        const engines = {
+            candidate: new ExternalEngine(`${SCRIPTED_ENGINE} first`),
+            baseline: new ExternalEngine(`${SCRIPTED_ENGINE} illegal`)
+        };
+        await Promise.all([engines.candidate.start(), engines.baseline.start()]);
+
+        try {
+            const seen = [];
+            const { games, results } = await runTournament(engines, {
+                games: 4, openingLength: 2, seed: 3, movetime: 1000,
+                onGame: (game, soFar) => seen.push({ ...soFar })
+            });
+
+            assert.deepEqual(results, { wins: 4, losses: 0, draws: 0 });
+            assert.deepEqual(seen.map(({ wins }) => wins), [1, 2, 3, 4]);
+            assert.deepEqual(games.map(({ players }) => players.black),
+                ['candidate', 'baseline', 'candidate', 'baseline']);
+
+            // The baseline resigns on its first turn: each game is the opening, then at most one turn
+            const openings = games.map(({ state }) => JSON.stringify(state.turnHistory.slice(0, 2).map(({ turn }) => turn)));
+            assert.equal(openings[0], openings[1]);
+            assert.equal(openings[2], openings[3]);
+            assert.notEqual(openings[0], openings[2]);
+            assert.ok(games.every(({ forfeit, state }) => forfeit.color === state.currentPlayer));
+        } finally {
+            await Promise.all([engines.candidate.quit(), engines.baseline.quit()]);
+        }
+    });
+
+    it('scores the games that reach the turn limit as draws', async () => {
+        const engines = {
+            candidate: new ExternalEngine(`${SCRIPTED_ENGINE} first`),
+            baseline: new ExternalEngine(`${SCRIPTED_ENGINE} first`)
+        };
+        await Promise.all([engines.candidate.start(), engines.baseline.start()]);
+
+        try {
+            const { games, results } = await runTournament(engines, { games: 2, movetime: 1000, maxPlies: 4 });
+
+            assert.deepEqual(results, { wins: 0, losses: 0, draws: 2 });
+            assert.ok(games.every(({ adjudication }) => adjudication === 'Drawn after 4 turns'));
+        } finally {
+            await Promise.all([engines.candidate.quit(), engines.baseline.quit()]);
+        }
+    });
+});
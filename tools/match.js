@@ -0,0 +1,136 @@
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { exportGameRecord } from '../src/js/core/gameRecord.js';
+import { formatResult } from '../src/js/core/gameResult.js';
+import { STANDARD_VARIANT, getVariant } from '../src/js/core/variants.js';
+import { ExternalEngine } from '../engine/externalEngine.js';
+import { playGame } from '../engine/match.js';
+
+/**
+ * Match tool - plays a game between two engines speaking the engine protocol (see engine/protocol.js)
+ *
+ * Usage: npm run match -- [options]
+ *   --black CMD        Command line of the black engine (the built-in AI by default)
+ *   --white CMD        Command line of the white engine (the built-in AI by default)
+ *   --variant ID       Rules variant (standard by default)
+ *   --time MS          Clock of each player (Fischer clock with --increment, none by default)
+ *   --increment MS     Time added after each turn
+ *   --movetime MS      Time per turn, without clocks (default 1000)
+ *   --depth N          Search depth sent with each go
+ *   --max-plies N      Turns after which a game is drawn (default 400)
+ *   --record FILE      Write the game record (.hgn)
+ *   --verbose          Print the protocol traffic
+ *
+ * Prints the turns as they are played, then the result.
+ */
+
+const BUILTIN_ENGINE = `"${process.execPath}" "${fileURLToPath(new URL('../engine/builtinEngine.js', import.meta.url))}"`;
+
+const USAGE = `Usage: npm run match -- [--black CMD] [--white CMD] [--variant ID]
+       [--time MS [--increment MS] | --movetime MS] [--depth N] [--max-plies N] [--record FILE] [--verbose]`;
+
+/**
+ * Read a positive integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} - The number, undefined if the option is not set
+ */
+function parseNumber(value, name) {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a whole number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Play the game with the options of the command line
+ */
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            black: { type: 'string', default: BUILTIN_ENGINE },
+            white: { type: 'string', default: BUILTIN_ENGINE },
+            variant: { type: 'string' },
+            time: { type: 'string' },
+            increment: { type: 'string' },
+            movetime: { type: 'string' },
+            depth: { type: 'string' },
+            'max-plies': { type: 'string', default: '400' },
+            record: { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const variant = options.variant ? getVariant(options.variant) : STANDARD_VARIANT;
+    if (!variant) {
+        throw new Error(`Unknown rules variant "${options.variant}"`);
+    }
+    const time = parseNumber(options.time, '--time');
+    const increment = parseNumber(options.increment, '--increment') || 0;
+    const clock = time ? { type: 'fischer', initial: time, increment } : null;
+
+    // Without clocks, each turn has a fixed time
+    const movetime = parseNumber(options.movetime || (clock ? undefined : '1000'), '--movetime');
+    const depth = parseNumber(options.depth, '--depth');
+    const maxPlies = parseNumber(options['max-plies'], '--max-plies');
+    if (maxPlies === 0) {
+        throw new Error('--max-plies must be at least 1');
+    }
+
+    const engines = {};
+    for (const color of ['black', 'white']) {
+        const onLine = options.verbose ? (direction, line) => console.log(`${color} ${direction} ${line}`) : null;
+        engines[color] = new ExternalEngine(options[color], { onLine });
+    }
+
+    try {
+        await Promise.all([engines.black.start(), engines.white.start()]);
+        console.log(`${engines.black.name} (black) vs ${engines.white.name} (white), ${variant.name}`);
+
+        const { state, forfeit, adjudication } = await playGame(engines, {
+            variant, clock, movetime, depth, maxPlies,
+            onTurn: (game, text, color) => {
+                const number = game.turnHistory.length;
+                console.log(`${String(number).padStart(3)}. ${color.padEnd(5)} ${text}`);
+            }
+        });
+
+        // How the game ended when the rules did not end it
+        const termination = forfeit ? forfeit.message : adjudication;
+        if (termination) {
+            console.log(termination);
+        }
+        console.log(formatResult(state));
+
+        if (options.record) {
+            const tags = {
+                Event: 'Engine match',
+                Black: engines.black.name,
+                White: engines.white.name,
+                ...(termination ? { Termination: termination } : {})
+            };
+            writeFileSync(options.record, exportGameRecord(state, tags));
+            console.log(`Record written to ${options.record}`);
+        }
+    } finally {
+        await Promise.all([engines.black.quit(), engines.white.quit()]);
+    }
+}
+
+try {
+    await main();
+} catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+}
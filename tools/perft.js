@@ -0,0 +1,204 @@
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { GameState } from '../src/js/core/gameState.js';
+import { applyTurn, generateTurns } from '../src/js/core/rules.js';
+import { importGameRecord } from '../src/js/core/gameRecord.js';
+import { STANDARD_VARIANT, getVariant } from '../src/js/core/variants.js';
+import { divide, perft } from '../src/js/core/perft.js';
+
+/**
+ * Perft tool - counts the legal turn sequences from a position (see core/perft.js)
+ *
+ * Usage: npm run perft -- [options]
+ *   --depth N          Number of turns (default 3)
+ *   --variant ID       Start position of a rules variant (standard by default)
+ *   --record FILE      Position of a game record (.hgn)...
+ *   --ply N            ...after its first N turns (all of them by default)
+ *   --save FILE        Position of a saved game (JSON, see core/saveFormat.js)
+ *   --check            Check the known counts of tests/fixtures/perft.json instead
+ *   --max-nodes N      With --check, skip the counts above N nodes
+ *
+ * Prints the count of each first turn, then the total and the speed in nodes per second.
+ */
+
+const TABLE_URL = new URL('../tests/fixtures/perft.json', import.meta.url);
+
+const USAGE = `Usage: npm run perft -- [--depth N] [--variant ID | --record FILE [--ply N] | --save FILE]
+       npm run perft -- --check [--max-nodes N]`;
+
+/**
+ * Get the position reached after the first turns of a game record
+ * @param {string} text - The game record
+ * @param {number} [ply] - Number of turns to play (all by default)
+ * @returns {GameState} - The position
+ * @throws {Error} - If the record has an illegal turn before that
+ */
+function positionFromRecord(text, ply = Infinity) {
+    const { state: game, turns, error } = importGameRecord(text);
+    if (error && ply > turns.length) {
+        throw new Error(`Illegal turn ${error.moveNumber}. ${error.text} (${error.color}): ${error.message}`);
+    }
+    if (ply !== Infinity && ply > turns.length) {
+        throw new Error(`The record only has ${turns.length} turns`);
+    }
+
+    const state = new GameState();
+    state.setupNewGame(game.variant);
+    for (const turn of turns.slice(0, ply)) {
+        applyTurn(state, turn, { skipValidation: true });
+    }
+    return state;
+}
+
+/**
+ * Get the position to count from the command line options
+ * @param {Object} options - Parsed options
+ * @returns {Object} - { state, description }
+ */
+function loadPosition(options) {
+    if (options.record) {
+        const ply = options.ply === undefined ? Infinity : parseCount(options.ply, '--ply');
+        const state = positionFromRecord(readFileSync(options.record, 'utf8'), ply);
+        return { state, description: `${options.record}${ply === Infinity ? '' : ` after ${ply} turns`}` };
+    }
+
+    const state = new GameState();
+    if (options.save) {
+        state.loadFromSave(JSON.parse(readFileSync(options.save, 'utf8')));
+        return { state, description: options.save };
+    }
+
+    const variant = options.variant ? getVariant(options.variant) : STANDARD_VARIANT;
+    if (!variant) {
+        throw new Error(`Unknown rules variant "${options.variant}"`);
+    }
+    state.setupNewGame(variant);
+    return { state, description: `start position (${variant.name})` };
+}
+
+/**
+ * Read a non-negative integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number} - The number
+ */
+function parseCount(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a whole number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Format a speed in nodes per second
+ * @param {number} nodes - Nodes counted
+ * @param {number} time - Time taken in milliseconds
+ * @returns {string} - e.g. '0.175 s (25,384 nodes/s)'
+ */
+function formatSpeed(nodes, time) {
+    const speed = time > 0 ? Math.round(nodes / time * 1000) : 0;
+    return `${(time / 1000).toFixed(3)} s (${speed.toLocaleString('en-US')} nodes/s)`;
+}
+
+/**
+ * Count a position and print the breakdown by first turn
+ * @param {Object} options - Parsed options
+ */
+function runCount(options) {
+    const depth = parseCount(options.depth, '--depth');
+    const { state, description } = loadPosition(options);
+
+    console.log(`Position: ${description}, ${state.gameStatus === 'ongoing' ? `${state.currentPlayer} to play` : 'game over'}`);
+    console.log(`Key: ${state.getPositionKey()}`);
+    console.log('');
+
+    const start = performance.now();
+    let nodes;
+    if (depth === 0) {
+        nodes = perft(state, 0);
+    } else {
+        const counts = divide(state, depth);
+        const width = Math.max(0, ...counts.map(({ notation }) => notation.length));
+        for (const { notation, nodes: turnNodes } of counts) {
+            console.log(`${notation.padEnd(width)}  ${turnNodes}`);
+        }
+        console.log('');
+        nodes = counts.reduce((total, { nodes: turnNodes }) => total + turnNodes, 0);
+    }
+    const time = performance.now() - start;
+
+    console.log(`Turns: ${generateTurns(state).length}`);
+    console.log(`Depth ${depth}: ${nodes} nodes in ${formatSpeed(nodes, time)}`);
+}
+
+/**
+ * Check the counts of the known positions
+ * @param {Object} options - Parsed options
+ * @returns {boolean} - True if every count matches
+ */
+function runCheck(options) {
+    const maxNodes = options['max-nodes'] === undefined ? Infinity : parseCount(options['max-nodes'], '--max-nodes');
+    const { positions } = JSON.parse(readFileSync(TABLE_URL, 'utf8'));
+    let failures = 0;
+
+    for (const entry of positions) {
+        const state = entry.record
+            ? positionFromRecord(readFileSync(new URL(entry.record, TABLE_URL), 'utf8'), entry.ply)
+            : loadPosition({ variant: entry.variant }).state;
+
+        for (const [index, expected] of entry.counts.entries()) {
+            if (expected > maxNodes) break;
+
+            const depth = index + 1;
+            const start = performance.now();
+            const nodes = perft(state, depth);
+            const time = performance.now() - start;
+            const ok = nodes === expected;
+
+            if (!ok) failures++;
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${entry.name}, depth ${depth}: ${nodes}` +
+                `${ok ? '' : ` (expected ${expected})`} in ${formatSpeed(nodes, time)}`);
+        }
+    }
+
+    console.log(failures === 0 ? 'All counts match' : `${failures} count(s) do not match`);
+    return failures === 0;
+}
+
+/**
+ * Run the command with the options of the command line
+ */
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            depth: { type: 'string', short: 'd', default: '3' },
+            variant: { type: 'string' },
+            record: { type: 'string' },
+            ply: { type: 'string' },
+            save: { type: 'string' },
+            check: { type: 'boolean', default: false },
+            'max-nodes': { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.check) {
+        process.exitCode = runCheck(options) ? 0 : 1;
+    } else {
+        runCount(options);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+}
@@ -0,0 +1,179 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { exportGameRecord } from '../src/js/core/gameRecord.js';
+import { formatResult } from '../src/js/core/gameResult.js';
+import { STANDARD_VARIANT, getVariant } from '../src/js/core/variants.js';
+import { ExternalEngine } from '../engine/externalEngine.js';
+import { runTournament, summarizeResults } from '../engine/tournament.js';
+
+/**
+ * Tournament tool - plays a series of games between two engines and estimates their Elo difference
+ * (see engine/tournament.js)
+ *
+ * Usage: npm run tournament -- [options]
+ *   --candidate CMD    Command line of the engine being measured (the built-in AI by default)
+ *   --baseline CMD     Command line of the engine it is measured against (the built-in AI by default)
+ *   --games N          Number of games (default 20), the candidate plays black in every other game
+ *   --openings N       Random turns before the engines take over (default 0), each opening is played with both colours
+ *   --seed N           Seed of the random openings (default 1)
+ *   --variant ID       Rules variant (standard by default)
+ *   --time MS          Clock of each player (Fischer clock with --increment, none by default)
+ *   --increment MS     Time added after each turn
+ *   --movetime MS      Time per turn, without clocks (default 1000)
+ *   --depth N          Search depth sent with each go
+ *   --max-plies N      Turns after which a game is drawn (default 400)
+ *   --records DIR      Directory the game records are written to (default tournament-games)
+ *
+ * Prints each result as games end, then the score, draw rate and Elo difference of the candidate.
+ */
+
+const BUILTIN_ENGINE = `"${process.execPath}" "${fileURLToPath(new URL('../engine/builtinEngine.js', import.meta.url))}"`;
+
+const USAGE = `Usage: npm run tournament -- [--candidate CMD] [--baseline CMD] [--games N] [--openings N] [--seed N]
+       [--variant ID] [--time MS [--increment MS] | --movetime MS] [--depth N] [--max-plies N] [--records DIR]`;
+
+/**
+ * Read a positive integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} - The number, undefined if the option is not set
+ */
+function parseNumber(value, name) {
+    if (value === undefined) return undefined;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a whole number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} value - From 0 to 1
+ * @returns {string} - e.g. '52.5%'
+ */
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format an Elo difference
+ * @param {number} elo - The difference
+ * @returns {string} - e.g. '+17.4', or '+inf'
+ */
+function formatElo(elo) {
+    if (!Number.isFinite(elo)) {
+        return elo > 0 ? '+inf' : '-inf';
+    }
+    return `${elo >= 0 ? '+' : ''}${elo.toFixed(1)}`;
+}
+
+/**
+ * Play the tournament with the options of the command line
+ */
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            candidate: { type: 'string', default: BUILTIN_ENGINE },
+            baseline: { type: 'string', default: BUILTIN_ENGINE },
+            games: { type: 'string', default: '20' },
+            openings: { type: 'string', default: '0' },
+            seed: { type: 'string', default: '1' },
+            variant: { type: 'string' },
+            time: { type: 'string' },
+            increment: { type: 'string' },
+            movetime: { type: 'string' },
+            depth: { type: 'string' },
+            'max-plies': { type: 'string', default: '400' },
+            records: { type: 'string', default: 'tournament-games' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const variant = options.variant ? getVariant(options.variant) : STANDARD_VARIANT;
+    if (!variant) {
+        throw new Error(`Unknown rules variant "${options.variant}"`);
+    }
+    const games = parseNumber(options.games, '--games');
+    if (games === 0) {
+        throw new Error('--games must be at least 1');
+    }
+    const openingLength = parseNumber(options.openings, '--openings');
+    const seed = parseNumber(options.seed, '--seed');
+    const time = parseNumber(options.time, '--time');
+    const increment = parseNumber(options.increment, '--increment') || 0;
+    const clock = time ? { type: 'fischer', initial: time, increment } : null;
+
+    // Without clocks, each turn has a fixed time
+    const movetime = parseNumber(options.movetime || (clock ? undefined : '1000'), '--movetime');
+    const depth = parseNumber(options.depth, '--depth');
+    const maxPlies = parseNumber(options['max-plies'], '--max-plies');
+    if (maxPlies === 0) {
+        throw new Error('--max-plies must be at least 1');
+    }
+
+    mkdirSync(options.records, { recursive: true });
+
+    const engines = {
+        candidate: new ExternalEngine(options.candidate),
+        baseline: new ExternalEngine(options.baseline)
+    };
+
+    try {
+        await Promise.all([engines.candidate.start(), engines.baseline.start()]);
+        console.log(`Candidate: ${engines.candidate.name}`);
+        console.log(`Baseline:  ${engines.baseline.name}`);
+        const openings = openingLength > 0 ? `, random openings of ${openingLength} turns` : '';
+        console.log(`${games} games, ${variant.name}${openings}`);
+        console.log('');
+
+        const { results } = await runTournament(engines, {
+            games, openingLength, seed, variant, clock, movetime, depth, maxPlies,
+            onGame: ({ round, players, state, forfeit, adjudication }, results) => {
+                const termination = forfeit ? forfeit.message : adjudication;
+                const names = { black: engines[players.black].name, white: engines[players.white].name };
+                const tags = {
+                    Event: 'Engine tournament',
+                    Round: String(round),
+                    Black: names.black,
+                    White: names.white,
+                    ...(termination ? { Termination: termination } : {})
+                };
+                const file = join(options.records, `game-${String(round).padStart(String(games).length, '0')}.hgn`);
+                writeFileSync(file, exportGameRecord(state, tags));
+
+                const points = results.wins + results.draws / 2;
+                console.log(`Game ${round}: candidate ${players.black === 'candidate' ? 'black' : 'white'}, ` +
+                    `${formatResult(state)}${termination ? ` - ${termination}` : ''} ` +
+                    `[${points}/${round - points}]`);
+            }
+        });
+
+        const summary = summarizeResults(results);
+        console.log('');
+        console.log(`Candidate: ${results.wins} wins, ${results.losses} losses, ${results.draws} draws`);
+        console.log(`Score: ${formatPercent(summary.score)}`);
+        console.log(`Draw rate: ${formatPercent(summary.drawRate)}`);
+        const error = Number.isFinite(summary.eloError) ? summary.eloError.toFixed(1) : 'inf';
+        console.log(`Elo difference: ${formatElo(summary.elo)} ± ${error} (95% confidence)`);
+        console.log(`Records written to ${options.records}`);
+    } finally {
+        await Promise.all([engines.candidate.quit(), engines.baseline.quit()]);
+    }
+}
+
+try {
+    await main();
+} catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+}